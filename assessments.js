@@ -0,0 +1,51 @@
+// Serverless endpoint for the assessment history.
+//
+//   GET    /api/assessments[?organization=…]  list past assessments
+//   GET    /api/assessments?id=…              fetch one, with answers
+//   DELETE /api/assessments?id=…              delete one
+//
+// Every request needs the owner key the assessments were saved for, in
+// the `X-Owner-Key` header (see ./lib/store): listings hold only that
+// owner's assessments, optionally of one organization, and single
+// records are only returned or deleted for their owner.
+
+const { queryOf, ownerKeyOf, sendJson, rejectMethod } = require('./lib/http');
+const { getAssessment, findAssessments, deleteAssessment, summarise, ownedBy } = require('./lib/store');
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET', 'DELETE'])) return;
+  const { id, organization } = queryOf(req);
+  const ownerKey = ownerKeyOf(req);
+  if (!ownerKey) {
+    sendJson(res, 401, { error: 'An owner key is required.' });
+    return;
+  }
+  try {
+    if (req.method === 'DELETE' || id) {
+      if (!id) {
+        sendJson(res, 400, { error: 'An assessment id is required.' });
+        return;
+      }
+      const record = await getAssessment(id);
+      if (!record || !ownedBy(record, ownerKey)) {
+        sendJson(res, 404, { error: 'Assessment not found.' });
+        return;
+      }
+      if (req.method === 'DELETE') {
+        await deleteAssessment(id);
+        res.statusCode = 204;
+        res.end();
+        return;
+      }
+      // The owner hash stays on the server
+      const copy = Object.assign({}, record);
+      delete copy.owner;
+      sendJson(res, 200, copy);
+      return;
+    }
+    const records = await findAssessments({ ownerKey, organization });
+    sendJson(res, 200, { assessments: records.map(summarise) });
+  } catch (err) {
+    sendJson(res, 500, { error: 'Failed to read assessments' });
+  }
+};
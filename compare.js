@@ -0,0 +1,60 @@
+// Serverless endpoint comparing two assessments of one organization.
+//
+//   POST /api/compare                         body: { before, after }
+//   GET  /api/compare?before=…&after=…       two stored assessments
+//
+// In the POST form each side is a JSON export from the results page (or
+// a stored record) or a bare report returned by the evaluate endpoint.
+// The GET form loads both records from the store; like the assessments
+// endpoint it needs the owner key of both in the `X-Owner-Key` header.
+// The rubric both sides were scored against, and the language they were
+// scored in, are looked up from the later report.
+
+const { readJsonBody, queryOf, ownerKeyOf, sendJson, rejectMethod } = require('./lib/http');
+const { getAssessment, ownedBy } = require('./lib/store');
+const { CompareError, rubricOf, localeOf, compareAssessments } = require('./lib/compare');
+const { getRubric } = require('./lib/rubric');
+
+/**
+ * Load the two stored records named in the query string.
+ *
+ * @param {Object} query
+ * @param {string} ownerKey
+ * @returns {Promise<Array<Object>|null>} null when either is not found
+ */
+async function loadPair({ before, after }, ownerKey) {
+  const records = await Promise.all([getAssessment(before), getAssessment(after)]);
+  if (records.some((record) => !record || !ownedBy(record, ownerKey))) return null;
+  return records;
+}
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET', 'POST'])) return;
+  try {
+    let pair;
+    if (req.method === 'GET') {
+      const query = queryOf(req);
+      if (!query.before || !query.after) {
+        sendJson(res, 400, { error: 'Two assessment ids are required.' });
+        return;
+      }
+      if (!ownerKeyOf(req)) {
+        sendJson(res, 401, { error: 'An owner key is required.' });
+        return;
+      }
+      pair = await loadPair(query, ownerKeyOf(req));
+      if (!pair) {
+        sendJson(res, 404, { error: 'Assessment not found.' });
+        return;
+      }
+    } else {
+      const { before, after } = await readJsonBody(req);
+      pair = [before, after];
+    }
+    const rubric = getRubric(rubricOf(pair[1]), localeOf(pair[1]));
+    if (!rubric) throw new CompareError(`Unknown rubric "${rubricOf(pair[1])}".`);
+    sendJson(res, 200, compareAssessments(pair[0], pair[1], rubric));
+  } catch (err) {
+    sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Failed to compare assessments' });
+  }
+};
@@ -0,0 +1,55 @@
+// Serverless endpoint exporting a report as a PDF or Word document.
+//
+//   POST /api/export?format=pdf|docx                 body: {report}
+//   GET  /api/export?id=…&format=pdf|docx            a stored assessment
+//
+// The POST form renders the report the browser has open, as returned by
+// the evaluate endpoint; the GET form renders a stored assessment and,
+// like the assessments endpoint, only for its owner key. The
+// file is named `<organization>-three-whys-<date>.<format>` (see
+// ./lib/export).
+
+const { readJsonBody, queryOf, ownerKeyOf, sendJson, sendFile, rejectMethod } = require('./lib/http');
+const { getAssessment, ownedBy } = require('./lib/store');
+const { CONTENT_TYPES, RENDERERS, exportFileName } = require('./lib/export');
+const { rubricOf, localeOf } = require('./lib/compare');
+const { getRubric } = require('./lib/rubric');
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET', 'POST'])) return;
+  const { format = 'pdf', id } = queryOf(req);
+  if (!RENDERERS[format]) {
+    sendJson(res, 400, { error: 'The format must be "pdf" or "docx".' });
+    return;
+  }
+  try {
+    let report;
+    if (req.method === 'POST') {
+      ({ report } = await readJsonBody(req));
+    } else {
+      if (!id) {
+        sendJson(res, 400, { error: 'An assessment id is required.' });
+        return;
+      }
+      if (!ownerKeyOf(req)) {
+        sendJson(res, 401, { error: 'An owner key is required.' });
+        return;
+      }
+      const record = await getAssessment(id);
+      if (!record || !ownedBy(record, ownerKeyOf(req))) {
+        sendJson(res, 404, { error: 'Assessment not found.' });
+        return;
+      }
+      report = Object.assign({ profile: record.profile }, record.report, { id: record.id, createdAt: record.createdAt });
+    }
+    if (!report || typeof report !== 'object' || !Array.isArray(report.dimensions) || !report.coaching) {
+      sendJson(res, 400, { error: 'A report with dimensions and coaching is required.' });
+      return;
+    }
+    const rubric = getRubric(rubricOf(report), localeOf(report));
+    const data = RENDERERS[format](report, { rubricName: rubric ? rubric.name : '' });
+    sendFile(res, data, CONTENT_TYPES[format], exportFileName(report, format));
+  } catch (err) {
+    sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Failed to export the report' });
+  }
+};
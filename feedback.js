@@ -0,0 +1,54 @@
+// Serverless endpoint giving feedback on one answer of the assessment.
+//
+// The form posts each answer as it is typed or left: the rubric and
+// language of the assessment (`rubric`, `locale`), the question (`key`),
+// the `answer` and, for the question that offers it, the value
+// calculator inputs (`calculator`). The reply holds a provisional level
+// and score, why it was given, what is missing and, from the model, a
+// suggested rewrite (see ./lib/feedback). `privacy: true` keeps email addresses and phone
+// numbers out of the model call. Nothing is stored.
+
+const { questionFeedback } = require('./lib/feedback');
+const { readJsonBody, sendJson, rejectMethod } = require('./lib/http');
+const { getRubric } = require('./lib/rubric');
+const { isSupportedLocale, DEFAULT_LOCALE } = require('./lib/i18n');
+const { checkInputs, calculateValue } = require('./lib/calculator');
+const { checkAnswer } = require('./lib/guard');
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['POST'])) return;
+  try {
+    const { key, answer = '', rubric: rubricId, locale = DEFAULT_LOCALE, calculator, privacy } = await readJsonBody(req);
+    if (typeof key !== 'string') {
+      sendJson(res, 400, { error: 'Invalid request payload.' });
+      return;
+    }
+    checkAnswer(key, answer);
+    if (!isSupportedLocale(locale)) {
+      sendJson(res, 400, { error: `Unsupported language "${locale}".` });
+      return;
+    }
+    const rubric = getRubric(rubricId, locale);
+    if (!rubric) {
+      sendJson(res, 400, { error: `Unknown rubric "${rubricId}".` });
+      return;
+    }
+    let calculation;
+    if (calculator) {
+      const { inputs, errors } = checkInputs(calculator);
+      if (errors.length) {
+        sendJson(res, 400, { error: `Invalid value calculator input: ${errors.join('; ')}.` });
+        return;
+      }
+      calculation = calculateValue(inputs);
+    }
+    const feedback = await questionFeedback({ rubric, key, answer, calculation, privacy: privacy === true });
+    if (!feedback) {
+      sendJson(res, 400, { error: `Unknown question "${key}".` });
+      return;
+    }
+    sendJson(res, 200, feedback);
+  } catch (err) {
+    sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Failed to process request' });
+  }
+};
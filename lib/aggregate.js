@@ -0,0 +1,290 @@
+// Organization-level aggregation of stored assessments.
+//
+// Several people from one company answer the assessment independently;
+// this module combines their latest reports into one view: the average
+// and spread of each dimension, the average per role group, the
+// dimensions on which role groups disagree, and a consolidated list of
+// next actions. Misalignment between go-to-market functions is what
+// the Three Whys framework is meant to expose, so disagreements lead
+// the consolidated actions. Only assessments scored against the same
+// rubric are combined; they may have been answered in different
+// languages, and the aggregate is written in the language of the rubric
+// it is given. An anonymous aggregate, as shown to invited respondents,
+// leaves out who answered, the spread of the scores (its minimum and
+// maximum are someone's scores) and any average over too few people to
+// hide one person's score, for the whole team as for a role group.
+
+const { bandForScore } = require('./scoring');
+const { findDimension, localeOf } = require('./compare');
+const { fold, format, localeData, SUPPORTED_LOCALES } = require('./i18n');
+
+// Role groups used to compare functions, matched in order on whole words
+// of the respondent's role. Kept in line with the roles covered by the
+// role coaching in ./scoring. Each language adds its own keywords and
+// group names under `aggregate.groups` of its locale file.
+const ROLE_GROUPS = [
+  { name: 'Executive', keywords: ['ceo', 'chief executive', 'founder', 'president', 'coo', 'chief operating', 'cso', 'chief strategy', 'general manager'] },
+  { name: 'Finance', keywords: ['cfo', 'chief financial', 'finance', 'financial'] },
+  { name: 'Sales', keywords: ['cro', 'chief revenue', 'sales', 'seller', 'account executive', 'business development', 'revenue', 'customer success'] },
+  { name: 'Marketing', keywords: ['cmo', 'chief marketing', 'marketing', 'brand', 'demand generation'] },
+  { name: 'Product', keywords: ['cpo', 'chief product', 'product'] },
+  { name: 'Technology', keywords: ['cto', 'chief technology', 'cio', 'chief information', 'engineering', 'technology', 'it'] },
+  { name: 'People', keywords: ['chro', 'chief human', 'hr', 'human resources', 'people', 'talent'] },
+];
+
+const OTHER_GROUP = 'Other';
+
+// Disagreement summary and alignment action, in English
+const SUMMARY = '{high} rates {dimension} as {highLevel} while {low} rates it as {lowLevel}.';
+const ALIGN = 'Align {high} and {low} on {dimension}: agree on one shared answer and the evidence behind it before refining the message further.';
+
+// English keywords of each group followed by those of every translation,
+// folded like the role they are matched against
+const GROUP_KEYWORDS = ROLE_GROUPS.map((group) => ({
+  name: group.name,
+  keywords: SUPPORTED_LOCALES.reduce((all, locale) => {
+    const data = localeData(locale);
+    const extra = data && data.aggregate.groups[group.name];
+    return extra ? all.concat(extra.keywords.map(fold)) : all;
+  }, group.keywords),
+}));
+
+// Levels apart two role groups must be on a dimension to count as a
+// disagreement.
+const DISAGREEMENT_GAP = 2;
+
+// Maximum number of consolidated next actions.
+const MAX_ACTIONS = 8;
+
+// Fewest respondents an average needs to be shown in an anonymous
+// aggregate, for a dimension or a role group.
+const MIN_GROUP_SIZE = 3;
+
+/**
+ * Role group of a respondent, by its English name. Roles may be written
+ * in any supported language.
+ *
+ * @param {string} role
+ * @returns {string}
+ */
+function roleGroup(role) {
+  const text = fold(role || '').toLowerCase();
+  const match = GROUP_KEYWORDS.find((group) => group.keywords.some((k) => new RegExp(`\\b${k}\\b`).test(text)));
+  return match ? match.name : OTHER_GROUP;
+}
+
+/**
+ * Display name of a role group in a language.
+ *
+ * @param {string} group English group name
+ * @param {string} locale
+ */
+function groupName(group, locale) {
+  const data = localeData(locale);
+  return data ? data.aggregate.groups[group].name : group;
+}
+
+/**
+ * Keep only the latest assessment of each respondent, identified by
+ * email address.
+ *
+ * @param {Array<Object>} records stored records
+ */
+function latestPerRespondent(records) {
+  const latest = new Map();
+  records.forEach((record) => {
+    const key = String((record.profile && record.profile.email) || record.id).trim().toLowerCase();
+    const current = latest.get(key);
+    if (!current || current.createdAt < record.createdAt) latest.set(key, record);
+  });
+  return Array.from(latest.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Mean of a list of numbers, rounded to one decimal place.
+ *
+ * @param {number[]} values
+ */
+function mean(values) {
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Population standard deviation, rounded to one decimal place.
+ *
+ * @param {number[]} values
+ */
+function standardDeviation(values) {
+  const avg = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length;
+  return Math.round(Math.sqrt(variance) * 10) / 10;
+}
+
+/**
+ * Level name for an average score.
+ *
+ * @param {number} average
+ * @param {string[]} levels
+ */
+function levelFor(average, levels) {
+  return levels[Math.min(levels.length, Math.max(1, Math.round(average))) - 1];
+}
+
+/**
+ * Aggregate one dimension across respondents.
+ *
+ * @param {{name: string, key: string}} category
+ * @param {Array<{group: string, report: Object}>} respondents
+ * @param {string[]} levels
+ * @param {{minGroupSize: number, anonymous: boolean}} options averages of
+ *   fewer than minGroupSize respondents are left out, and the spread too
+ *   when anonymous
+ */
+function aggregateDimension(category, respondents, levels, { minGroupSize, anonymous }) {
+  const scored = respondents
+    .map(({ group, report }) => ({ group, dimension: findDimension({ dimensions: report.dimensions || [] }, category) }))
+    .filter((entry) => entry.dimension && typeof entry.dimension.score === 'number');
+  const scores = scored.map((entry) => entry.dimension.score);
+  if (!scores.length || scores.length < minGroupSize) {
+    return { name: category.name, key: category.key, respondents: scores.length, averageScore: null, level: null, spread: null, byGroup: [] };
+  }
+  const groups = {};
+  scored.forEach(({ group, dimension }) => {
+    (groups[group] = groups[group] || []).push(dimension.score);
+  });
+  const byGroup = Object.keys(groups).filter((group) => groups[group].length >= minGroupSize).map((group) => {
+    const average = mean(groups[group]);
+    return { group, respondents: groups[group].length, averageScore: average, level: levelFor(average, levels) };
+  }).sort((a, b) => b.averageScore - a.averageScore);
+  const average = mean(scores);
+  return {
+    name: category.name,
+    key: category.key,
+    respondents: scores.length,
+    averageScore: average,
+    level: levelFor(average, levels),
+    spread: anonymous ? null : {
+      min: Math.min(...scores),
+      max: Math.max(...scores),
+      range: Math.max(...scores) - Math.min(...scores),
+      standardDeviation: standardDeviation(scores),
+    },
+    byGroup,
+  };
+}
+
+/**
+ * Role groups that are at least DISAGREEMENT_GAP levels apart on a
+ * dimension, strongest gap first.
+ *
+ * @param {Array<Object>} dimensions aggregated dimensions
+ * @param {string} locale language of the summaries
+ */
+function findDisagreements(dimensions, locale) {
+  const data = localeData(locale);
+  const disagreements = [];
+  dimensions.forEach((dim) => {
+    if (dim.byGroup.length < 2) return;
+    const high = dim.byGroup[0];
+    const low = dim.byGroup[dim.byGroup.length - 1];
+    const gap = Math.round((high.averageScore - low.averageScore) * 10) / 10;
+    if (gap < DISAGREEMENT_GAP) return;
+    disagreements.push({
+      dimension: dim.name,
+      gap,
+      high: { group: high.group, averageScore: high.averageScore, level: high.level },
+      low: { group: low.group, averageScore: low.averageScore, level: low.level },
+      summary: format(data ? data.aggregate.summary : SUMMARY, {
+        high: high.group, low: low.group, dimension: dim.name, highLevel: high.level, lowLevel: low.level,
+      }),
+    });
+  });
+  return disagreements.sort((a, b) => b.gap - a.gap);
+}
+
+/**
+ * Consolidated next actions: first align the groups that disagree, then
+ * the actions most respondents were given, most frequent first. Only
+ * actions written in the language of the aggregate are counted.
+ *
+ * @param {Array<Object>} disagreements
+ * @param {Array<Object>} reports
+ * @param {string} locale
+ */
+function consolidateActions(disagreements, reports, locale) {
+  const data = localeData(locale);
+  const actions = disagreements.map((d) => format(data ? data.aggregate.align : ALIGN, {
+    high: d.high.group, low: d.low.group, dimension: d.dimension,
+  }));
+  const counts = new Map();
+  reports.filter((report) => localeOf(report) === locale).forEach((report) => {
+    const seen = new Set();
+    ((report.coaching && report.coaching.nextActions) || []).forEach((action) => {
+      if (seen.has(action)) return;
+      seen.add(action);
+      counts.set(action, (counts.get(action) || 0) + 1);
+    });
+  });
+  Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([action]) => actions.push(action));
+  return actions.slice(0, MAX_ACTIONS);
+}
+
+/**
+ * Aggregate the stored assessments of one organization. Only the latest
+ * assessment of each respondent is counted.
+ *
+ * @param {string} organization
+ * @param {Array<Object>} records stored records for the organization,
+ *   all scored against `rubric`
+ * @param {Object} rubric in the language the aggregate is written in
+ * @param {{anonymous?: boolean}} [options] anonymous: list no
+ *   respondents, no spreads and only averages of at least
+ *   MIN_GROUP_SIZE people
+ * @returns {Object} the aggregate report; averageScore and band are
+ *   null when no dimension has an average
+ */
+function aggregateOrganization(organization, records, rubric, options = {}) {
+  const locale = rubric.locale || 'en';
+  const latest = latestPerRespondent(records);
+  const respondents = latest.map((record) => ({
+    group: groupName(roleGroup(record.profile && record.profile.role), locale),
+    record,
+    report: record.report || {},
+  }));
+  const minGroupSize = options.anonymous ? MIN_GROUP_SIZE : 1;
+  const dimensions = rubric.dimensions.map((cat) => aggregateDimension(cat, respondents, rubric.levels, { minGroupSize, anonymous: Boolean(options.anonymous) }));
+  const scored = dimensions.filter((dim) => dim.averageScore !== null);
+  const average = scored.length ? scored.reduce((sum, dim) => sum + dim.averageScore, 0) / scored.length : null;
+  const disagreements = findDisagreements(scored, locale);
+  return {
+    organization,
+    rubric: rubric.id,
+    locale,
+    respondentCount: respondents.length,
+    averageScore: average === null ? null : average.toFixed(1),
+    band: average === null ? null : bandForScore(average, rubric),
+    anonymous: Boolean(options.anonymous),
+    minGroupSize,
+    respondents: options.anonymous ? [] : respondents.map(({ group, record, report }) => ({
+      id: record.id,
+      createdAt: record.createdAt,
+      name: record.profile && record.profile.name,
+      role: record.profile && record.profile.role,
+      group,
+      averageScore: report.averageScore,
+      band: report.band,
+    })),
+    dimensions,
+    disagreements,
+    nextActions: consolidateActions(disagreements, respondents.map((r) => r.report), locale),
+  };
+}
+
+module.exports = {
+  ROLE_GROUPS,
+  MIN_GROUP_SIZE,
+  roleGroup,
+  aggregateOrganization,
+};
@@ -0,0 +1,311 @@
+// Evaluation pipeline shared by the HTTP endpoint and other callers.
+//
+// Extracts attachment text, then scores the answers with the configured
+// LLM provider when one is available, or with the heuristic scorer in
+// ./scoring otherwise. Model output is validated against the report
+// schema; an invalid report is sent back to the model once with the
+// errors and then repaired from the heuristic report. Provider failures
+// fall back to the heuristic report, and the report records which path
+// produced it in `source` ("llm" or "heuristic"). Both paths score
+// against the same rubric (./rubric), recorded in the report's `rubric`,
+// and write in the rubric's language, recorded in `locale`. A value
+// calculation (./calculator) is evidence for both paths, and its figures
+// always replace the value calculation outline the model wrote. In
+// privacy mode the model never sees the respondent's name, email or
+// organization, nor email addresses and phone numbers in the answers
+// (./guard); the report's `privacy` field says what was withheld.
+// Answers that read like instructions to the evaluator are flagged in
+// the report's `integrity` field on both paths. With more than one
+// sample configured (LLM_SAMPLES), the model evaluates the answers that
+// many times and each dimension takes the median score, with the
+// agreement between the samples in its `consistency` field. Dimensions
+// where the model and the heuristic scorer are two or more levels apart
+// carry a `divergence` field. Callers can follow the progress of an
+// evaluation, including the parts of the model report as it streams in.
+
+const { extractAttachments } = require('./extract');
+const { evaluate: heuristicEvaluate, summariseAttachments, applyValueCalculation, bandForScore } = require('./scoring');
+const { validateReport, repairReport } = require('./schema');
+const { buildMessages, correctionMessage } = require('./prompt');
+const { LLMMalformedOutputError, loadConfig, isConfigured, createProvider } = require('./llm');
+const { getRubric } = require('./rubric');
+const { redactForModel, detectInjection } = require('./guard');
+const { createReportScanner } = require('./progress');
+
+// Share of samples agreeing with the median at or above which a
+// dimension's confidence is high, and below which it is low.
+const HIGH_AGREEMENT = 0.8;
+const LOW_AGREEMENT = 0.6;
+// Levels between the model and heuristic scores that count as divergence.
+const DIVERGENCE_LEVELS = 2;
+
+/**
+ * Ask the model for a report and validate it. A reply that is not
+ * valid JSON is reported as a validation error rather than thrown, so
+ * the caller can retry with the error list.
+ *
+ * @param {Object} provider
+ * @param {Array} messages
+ * @param {Object} rubric
+ * @param {Function} [onText] streams the reply (see ./llm)
+ * @returns {Promise<{content: string, report: Object|null, errors: Array<{path: string, message: string}>}>}
+ */
+async function requestReport(provider, messages, rubric, onText) {
+  const content = await provider.complete(messages, onText ? { onText } : undefined);
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch (err) {
+    return { content, report: null, errors: [{ path: '$', message: 'is not valid JSON' }] };
+  }
+  return { content, report, errors: validateReport(report, rubric) };
+}
+
+/**
+ * Score the answers with the model, retrying once on validation errors
+ * and repairing whatever is still invalid.
+ *
+ * @param {Object} provider
+ * @param {Object} profile
+ * @param {Object} answers
+ * @param {Object} attachments extracted attachments
+ * @param {Object} heuristic heuristic report for the same input
+ * @param {Object} rubric
+ * @param {Object} [calculation] value calculation
+ * @param {Function} [onText] streams the replies (see ./llm)
+ */
+async function llmEvaluate(provider, profile, answers, attachments, heuristic, rubric, calculation, onText) {
+  const messages = buildMessages(profile, answers, attachments, rubric, { calculation });
+  let { content, report, errors } = await requestReport(provider, messages, rubric, onText);
+  let retried = false;
+  if (errors.length) {
+    // Give the model one chance to correct its output before repairing it ourselves
+    retried = true;
+    ({ report, errors } = await requestReport(provider, messages.concat([
+      { role: 'assistant', content },
+      correctionMessage(errors),
+    ]), rubric, onText));
+  }
+  if (report === null || typeof report !== 'object' || Array.isArray(report)) {
+    throw new LLMMalformedOutputError('LLM returned a report that is not a JSON object');
+  }
+  let repairs = [];
+  if (errors.length) {
+    ({ report, repairs } = repairReport(report, heuristic, rubric));
+  }
+  // The profile is the one submitted, never one the model wrote (see assess)
+  delete report.profile;
+  report.validation = { retried, repaired: repairs };
+  // The model answers with dimension names; reports also carry the keys
+  report.dimensions.forEach((dim) => {
+    const cat = rubric.dimensions.find((c) => c.name === dim.name);
+    if (cat) dim.key = cat.key;
+  });
+  return report;
+}
+
+/**
+ * Median of a list of scores. Of an even number of scores it is the
+ * lower of the middle two, so it is always a score that was given.
+ *
+ * @param {number[]} scores
+ */
+function median(scores) {
+  const sorted = scores.slice().sort((a, b) => a - b);
+  return sorted[Math.ceil(sorted.length / 2) - 1];
+}
+
+/**
+ * How far the sampled scores of a dimension agree with the score kept.
+ *
+ * @param {number[]} scores
+ * @param {number} score
+ * @returns {{scores: number[], agreement: number, confidence: 'high'|'medium'|'low'}}
+ */
+function confidenceOf(scores, score) {
+  const agreement = scores.filter((s) => s === score).length / scores.length;
+  const spread = Math.max(...scores) - Math.min(...scores);
+  let confidence = 'medium';
+  if (agreement < LOW_AGREEMENT || spread >= DIVERGENCE_LEVELS) {
+    confidence = 'low';
+  } else if (agreement >= HIGH_AGREEMENT) {
+    confidence = 'high';
+  }
+  return { scores, agreement: Math.round(agreement * 100) / 100, confidence };
+}
+
+/**
+ * Combine sampled model reports into one. Each dimension takes the
+ * median of its sampled scores, with the explanation of a sample that
+ * gave that score; the rest of the report comes from the sample closest
+ * to the medians.
+ *
+ * @param {Object[]} reports at least two reports
+ * @param {Object} rubric
+ * @returns {Object} the combined report
+ */
+function combineSamples(reports, rubric) {
+  // Copies, as the report kept is one of the samples and changes below
+  const dimensionsOf = (key) => reports.map((r) => Object.assign({}, r.dimensions.find((d) => d.key === key)));
+  const sampled = {};
+  const medians = {};
+  reports[0].dimensions.forEach(({ key }) => {
+    sampled[key] = dimensionsOf(key);
+    medians[key] = median(sampled[key].map((d) => d.score));
+  });
+  const distance = (r) => r.dimensions.reduce((sum, d) => sum + Math.abs(d.score - medians[d.key]), 0);
+  const report = reports.reduce((best, r) => (distance(r) < distance(best) ? r : best));
+  const agreements = [];
+  report.dimensions.forEach((dim) => {
+    const score = medians[dim.key];
+    if (dim.score !== score) {
+      const match = sampled[dim.key].find((d) => d.score === score);
+      Object.assign(dim, { score, level: rubric.levels[score - 1], why: match.why, how: match.how });
+    }
+    dim.consistency = confidenceOf(sampled[dim.key].map((d) => d.score), score);
+    agreements.push(dim.consistency.agreement);
+  });
+  const average = (report.dimensions.reduce((sum, d) => sum + d.score, 0) / report.dimensions.length).toFixed(1);
+  const band = bandForScore(parseFloat(average), rubric);
+  if (band !== report.band) {
+    const other = reports.find((r) => r.band === band);
+    report.executiveSummary = other ? other.executiveSummary : rubric.summaries[band];
+  }
+  report.averageScore = average;
+  report.band = band;
+  report.consistency = {
+    samples: reports.length,
+    agreement: Math.round((agreements.reduce((sum, a) => sum + a, 0) / agreements.length) * 100) / 100,
+  };
+  return report;
+}
+
+/**
+ * Mark the dimensions where the model and the heuristic scorer are
+ * DIVERGENCE_LEVELS or more apart.
+ *
+ * @param {Object} report model report
+ * @param {Object} heuristic heuristic report for the same input
+ */
+function flagDivergence(report, heuristic) {
+  report.dimensions.forEach((dim) => {
+    const other = heuristic.dimensions.find((d) => d.key === dim.key);
+    if (other && Math.abs(other.score - dim.score) >= DIVERGENCE_LEVELS) {
+      dim.divergence = { heuristicScore: other.score, heuristicLevel: other.level };
+    }
+  });
+}
+
+/**
+ * Score the answers with the model `samples` times and combine the
+ * reports. Failed samples are left out, so `consistency.samples` may be
+ * under `consistency.requested`; when all fail, the first error is
+ * thrown.
+ *
+ * @param {number} samples
+ * @param {Function} evaluateOnce resolves with one model report
+ * @param {Object} rubric
+ * @param {Function} onProgress called as each sample finishes
+ */
+async function sampleEvaluations(samples, evaluateOnce, rubric, onProgress) {
+  let done = 0;
+  const runs = await Promise.allSettled(Array.from({ length: samples }, () => evaluateOnce().finally(() => {
+    done += 1;
+    onProgress({ type: 'progress', stage: 'sample', done, total: samples });
+  })));
+  const reports = runs.filter((run) => run.status === 'fulfilled').map((run) => run.value);
+  const failed = runs.filter((run) => run.status === 'rejected');
+  if (!reports.length) throw failed[0].reason;
+  failed.forEach(({ reason }) => console.error(`LLM evaluation sample failed (${reason.name}): ${reason.message}`));
+  // With one usable sample there is nothing to compare
+  const report = reports.length > 1 ? combineSamples(reports, rubric) : Object.assign(reports[0], { consistency: { samples: 1 } });
+  report.consistency.requested = samples;
+  return report;
+}
+
+/**
+ * Forward the parts of a streamed model report (see ./progress) to
+ * `onProgress`, adding the rubric keys to the dimensions.
+ *
+ * @param {Object} rubric
+ * @param {Function} onProgress
+ * @returns {Function} the `onText` callback of the provider
+ */
+function streamProgress(rubric, onProgress) {
+  const scanner = createReportScanner((event) => {
+    if (event.type === 'dimension') {
+      const cat = rubric.dimensions.find((c) => c.name === event.dimension.name);
+      if (!cat) return;
+      event.dimension.key = cat.key;
+    }
+    onProgress(event);
+  });
+  return (text) => scanner.push(text);
+}
+
+/**
+ * Evaluate an assessment.
+ *
+ * @param {{profile: Object, answers: Object, attachments?: Object, rubric?: Object,
+ *   calculation?: Object, privacy?: boolean}} input
+ *   attachments are the raw uploads ({name, content} data URLs); the
+ *   default rubric is used when none is given; calculation is the output
+ *   of calculateValue (./calculator) for the value calculator inputs;
+ *   privacy asks for privacy mode, which the configuration may also
+ *   turn on for every request
+ * @param {{provider?: Object, config?: Object, onProgress?: Function}} [options]
+ *   pass a provider to override the one built from the environment;
+ *   onProgress is called with progress events: {type: 'progress', stage}
+ *   as work starts on the attachments and the scoring and as each
+ *   sample finishes, and the provisional `summary`, `dimension`,
+ *   `coaching` and `reset` events of a streamed model report (see
+ *   ./progress)
+ * @returns {Promise<Object>} the report
+ */
+async function assess(input, options = {}) {
+  const { profile, answers, calculation } = input;
+  const rubric = input.rubric || getRubric();
+  const onProgress = options.onProgress || (() => {});
+  const uploads = Object.keys(input.attachments || {}).length;
+  if (uploads) onProgress({ type: 'progress', stage: 'attachments', count: uploads });
+  // Turn the uploaded data URLs into plain text for both scoring paths
+  const attachments = extractAttachments(input.attachments);
+  const heuristic = heuristicEvaluate(profile, answers, attachments, rubric, { calculation });
+  const integrity = detectInjection(answers, attachments);
+  if (integrity) heuristic.integrity = integrity;
+  const config = options.config || loadConfig();
+  const provider = options.provider || (isConfigured(config) ? createProvider(config) : null);
+  onProgress({ type: 'progress', stage: 'scoring', source: provider ? 'llm' : 'heuristic' });
+  if (!provider) {
+    heuristic.source = 'heuristic';
+    return heuristic;
+  }
+  const privacy = Boolean(input.privacy || config.privacyMode);
+  const model = privacy ? redactForModel(profile, answers, attachments) : { profile, answers, attachments };
+  if (privacy) heuristic.privacy = model.privacy;
+  try {
+    const sampling = config.samples > 1;
+    // Sampled reports are only final once combined, so only a single evaluation is streamed
+    const onText = options.onProgress && !sampling ? streamProgress(rubric, onProgress) : undefined;
+    const evaluateOnce = () => llmEvaluate(provider, model.profile, model.answers, model.attachments, heuristic, rubric, calculation, onText);
+    const report = sampling ? await sampleEvaluations(config.samples, evaluateOnce, rubric, onProgress) : await evaluateOnce();
+    flagDivergence(report, heuristic);
+    report.rubric = rubric.id;
+    report.locale = heuristic.locale;
+    report.attachments = summariseAttachments(attachments, heuristic.locale);
+    if (calculation) applyValueCalculation(report, calculation);
+    report.profile = profile;
+    if (privacy) report.privacy = model.privacy;
+    if (integrity) report.integrity = integrity;
+    report.source = 'llm';
+    return report;
+  } catch (err) {
+    // Fall back to the heuristic report, but say why
+    console.error(`LLM evaluation failed (${err.name}): ${err.message}`);
+    heuristic.source = 'heuristic';
+    heuristic.llmError = { type: err.type || 'internal', message: err.message };
+    return heuristic;
+  }
+}
+
+module.exports = { assess, median, confidenceOf, combineSamples };
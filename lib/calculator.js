@@ -0,0 +1,231 @@
+// Value calculator for the outcomes question of the assessment.
+//
+// Instead of only describing outcomes in free text, a respondent can
+// enter a baseline, the expected lift, the cost of the solution, how
+// many months adoption takes to ramp up and the timeframe to evaluate.
+// From these this module computes the return on investment, the payback
+// period and the cost of delay; the figures become the report's value
+// calculation outline and count as evidence for the dimension the
+// rubric marks with `calculator: true` (see ./scoring). Shared by the
+// server and the browser, like ./scoring; keep it free of Node-only
+// APIs.
+//
+// The model is deliberately simple: the baseline is a monthly money
+// value (e.g. pipeline or the cost of the hours spent), the lift
+// applies to it in full once adoption has ramped up linearly, and the
+// cost is a one-off amount plus an optional monthly fee.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'));
+  } else {
+    root.ThreeWhysCalculator = factory(root.ThreeWhysI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (i18n) {
+  // Currency symbols offered by the form
+  const CURRENCIES = ['$', '€', '£', 'R$'];
+
+  // Longest timeframe, ramp and payback search, in months
+  const MAX_MONTHS = 120;
+
+  // Outline texts, in English; other languages take theirs from the
+  // language module (`calculator`)
+  const TEXTS = {
+    outline: 'ROI of {roi} over {months} months, payback in {payback} months, and {delay} lost for every month of delay.',
+    outlineNoPayback: 'ROI of {roi} over {months} months; at these figures the investment does not pay back.',
+    explain: 'Based on a baseline of {baseline} a month{metric}, a {lift} lift {ramp}, {cost} up front and {monthlyCost} a month.',
+    metric: ' in {metric}',
+    rampOver: 'reached over {months} months',
+    rampNow: 'from the first month',
+  };
+
+  /**
+   * Read a number from a form value; blank values give `fallback`.
+   *
+   * @param {*} value
+   * @param {number} [fallback]
+   */
+  function numberOf(value, fallback) {
+    if (value === undefined || value === null || String(value).trim() === '') return fallback;
+    return Number(value);
+  }
+
+  /**
+   * Check and normalise the calculator inputs.
+   *
+   * @param {Object} input {metric, baseline, lift, cost, monthlyCost,
+   *   rampMonths, timeframeMonths, currency}; baseline and costs are money
+   *   amounts, lift is a percentage
+   * @returns {{inputs: Object|null, errors: string[]}}
+   */
+  function checkInputs(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { inputs: null, errors: ['The value calculator needs an object of inputs.'] };
+    }
+    const inputs = {
+      metric: String(input.metric || '').trim().slice(0, 80),
+      baseline: numberOf(input.baseline),
+      lift: numberOf(input.lift),
+      cost: numberOf(input.cost, 0),
+      monthlyCost: numberOf(input.monthlyCost, 0),
+      rampMonths: numberOf(input.rampMonths, 0),
+      timeframeMonths: numberOf(input.timeframeMonths, 12),
+      currency: CURRENCIES.includes(input.currency) ? input.currency : CURRENCIES[0],
+    };
+    const errors = [];
+    if (!(inputs.baseline > 0)) errors.push('baseline: must be a positive amount per month');
+    if (!(inputs.lift > 0 && inputs.lift <= 1000)) errors.push('lift: must be a percentage above 0 and at most 1000');
+    ['cost', 'monthlyCost'].forEach((field) => {
+      if (!(inputs[field] >= 0)) errors.push(`${field}: must be zero or a positive amount`);
+    });
+    if (inputs.cost === 0 && inputs.monthlyCost === 0) errors.push('cost: enter a one-off or a monthly cost');
+    if (!Number.isInteger(inputs.rampMonths) || inputs.rampMonths < 0 || inputs.rampMonths > MAX_MONTHS) {
+      errors.push(`rampMonths: must be a whole number of months from 0 to ${MAX_MONTHS}`);
+    }
+    if (!Number.isInteger(inputs.timeframeMonths) || inputs.timeframeMonths < 1 || inputs.timeframeMonths > MAX_MONTHS) {
+      errors.push(`timeframeMonths: must be a whole number of months from 1 to ${MAX_MONTHS}`);
+    }
+    return errors.length ? { inputs: null, errors } : { inputs, errors };
+  }
+
+  /**
+   * Benefit in a given month: the full lift once adoption has ramped up,
+   * a proportional share before.
+   *
+   * @param {Object} inputs checked inputs
+   * @param {number} month 1-based
+   */
+  function benefitIn(inputs, month) {
+    const full = (inputs.baseline * inputs.lift) / 100;
+    return inputs.rampMonths > 0 ? full * Math.min(1, month / inputs.rampMonths) : full;
+  }
+
+  /**
+   * Round to one decimal place.
+   *
+   * @param {number} value
+   */
+  function round1(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * Compute ROI, payback and cost of delay.
+   *
+   * @param {Object} inputs output of checkInputs
+   * @returns {{inputs: Object, monthlyBenefit: number, totalBenefit: number,
+   *   totalCost: number, netBenefit: number, roi: number, paybackMonths: number|null,
+   *   costOfDelay: number}} money amounts are rounded to whole units; ROI
+   *   is a percentage of the total cost; payback is null when the
+   *   investment does not pay back within MAX_MONTHS
+   */
+  function calculateValue(inputs) {
+    let totalBenefit = 0;
+    for (let month = 1; month <= inputs.timeframeMonths; month++) totalBenefit += benefitIn(inputs, month);
+    const totalCost = inputs.cost + inputs.monthlyCost * inputs.timeframeMonths;
+    // First point at which the cumulative balance, starting at minus the
+    // one-off cost, is back to zero or above, interpolated within the
+    // month. A balance that starts at zero and goes negative (a monthly
+    // fee larger than the early benefit) has to recover like any other.
+    let paybackMonths = null;
+    let balance = -inputs.cost;
+    for (let month = 1; paybackMonths === null && month <= MAX_MONTHS; month++) {
+      const net = benefitIn(inputs, month) - inputs.monthlyCost;
+      if (net > 0 && balance + net >= 0) paybackMonths = round1(month - 1 + -balance / net);
+      balance += net;
+    }
+    const monthlyBenefit = (inputs.baseline * inputs.lift) / 100;
+    return {
+      inputs,
+      monthlyBenefit: Math.round(monthlyBenefit),
+      totalBenefit: Math.round(totalBenefit),
+      totalCost: Math.round(totalCost),
+      netBenefit: Math.round(totalBenefit - totalCost),
+      roi: round1(((totalBenefit - totalCost) / totalCost) * 100),
+      paybackMonths,
+      // Starting a month later gives up a month of benefit at full adoption
+      costOfDelay: Math.round(Math.max(0, monthlyBenefit - inputs.monthlyCost)),
+    };
+  }
+
+  /**
+   * Format a money amount.
+   *
+   * @param {number} value
+   * @param {string} currency
+   * @param {string} locale
+   */
+  function money(value, currency, locale) {
+    const amount = new Intl.NumberFormat(locale, { maximumFractionDigits: 0 }).format(Math.abs(value));
+    return `${value < 0 ? '-' : ''}${currency}${amount}`;
+  }
+
+  /**
+   * Format a plain number with up to one decimal place.
+   *
+   * @param {number} value
+   * @param {string} locale
+   */
+  function decimal(value, locale) {
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: 1 }).format(value);
+  }
+
+  /**
+   * The value calculation outline of a report, in its language.
+   *
+   * @param {ReturnType<typeof calculateValue>} calculation
+   * @param {string} [locale]
+   * @returns {{valueOutline: string, valueOutlineExplain: string}}
+   */
+  function describeValue(calculation, locale) {
+    const code = i18n.resolveLocale(locale);
+    const data = i18n.localeData(code);
+    const texts = data ? data.calculator : TEXTS;
+    const { inputs } = calculation;
+    const cur = (value) => money(value, inputs.currency, code);
+    const outline = calculation.paybackMonths === null ? texts.outlineNoPayback : texts.outline;
+    return {
+      valueOutline: i18n.format(outline, {
+        roi: `${decimal(calculation.roi, code)}%`,
+        months: inputs.timeframeMonths,
+        payback: decimal(calculation.paybackMonths || 0, code),
+        delay: cur(calculation.costOfDelay),
+      }),
+      valueOutlineExplain: i18n.format(texts.explain, {
+        baseline: cur(inputs.baseline),
+        metric: inputs.metric ? i18n.format(texts.metric, { metric: inputs.metric }) : '',
+        lift: `${decimal(inputs.lift, code)}%`,
+        ramp: inputs.rampMonths > 0 ? i18n.format(texts.rampOver, { months: inputs.rampMonths }) : texts.rampNow,
+        cost: cur(inputs.cost),
+        monthlyCost: cur(inputs.monthlyCost),
+      }),
+    };
+  }
+
+  /**
+   * The calculation as plain English sentences, scored as supporting
+   * evidence by the rules and given to the model. The rules of every
+   * language also match English.
+   *
+   * @param {ReturnType<typeof calculateValue>} calculation
+   * @returns {string}
+   */
+  function evidenceText(calculation) {
+    const { inputs } = calculation;
+    const cur = (value) => money(value, inputs.currency, 'en');
+    const ramp = inputs.rampMonths > 0 ? `reached over ${inputs.rampMonths} months` : 'from the first month';
+    const payback = calculation.paybackMonths === null ? 'no payback' : `payback in ${calculation.paybackMonths} months`;
+    return `Assuming a baseline of ${cur(inputs.baseline)} per month${inputs.metric ? ` in ${inputs.metric}` : ''}, `
+      + `a ${inputs.lift}% lift ${ramp} adds ${cur(calculation.monthlyBenefit)} per month at full adoption. `
+      + `Over ${inputs.timeframeMonths} months that is ${cur(calculation.totalBenefit)} against ${cur(calculation.totalCost)} of cost: `
+      + `an ROI of ${calculation.roi}%, ${payback} and ${cur(calculation.costOfDelay)} lost for each month of delay.`;
+  }
+
+  return {
+    CURRENCIES,
+    checkInputs,
+    calculateValue,
+    describeValue,
+    evidenceText,
+  };
+});
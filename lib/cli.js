@@ -0,0 +1,38 @@
+// Command-line helpers shared by the scripts in ../scripts.
+
+/**
+ * Error in the command-line options. Scripts print its message with
+ * their usage line and exit with code 2.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse `--key value` and `--flag` arguments. A flag not followed by a
+ * value is true. Throws UsageError on anything else, such as a file
+ * name given without its option, rather than ignoring it.
+ *
+ * @param {string[]} argv
+ * @returns {Object<string, string|true>}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--') || argv[i] === '--') {
+      throw new UsageError(`Unexpected argument "${argv[i]}"; every option starts with --`);
+    }
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+};
@@ -0,0 +1,207 @@
+// Comparison of two Three Whys assessments.
+//
+// Shared by the compare endpoint (compare.js) and the browser, which
+// falls back to it when the server is unreachable. Either side of a
+// comparison may be a stored/exported record ({profile, answers,
+// report}) or a bare report as returned by the evaluate endpoint; only
+// records carry the answers, so bare reports compare scores alone.
+// Both sides must have been scored against the same rubric in the same
+// language; the rubric supplies the dimensions and level order. Keep it
+// free of Node-only APIs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ThreeWhysCompare = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Reports from before rubrics were configurable used the default one
+  const DEFAULT_RUBRIC_ID = 'three-whys';
+  // ...and reports from before translations were in English
+  const DEFAULT_LOCALE = 'en';
+
+  /**
+   * Error raised when two assessments cannot be compared. `statusCode`
+   * lets the endpoint answer with a 400.
+   */
+  class CompareError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'CompareError';
+      this.statusCode = 400;
+    }
+  }
+
+  /**
+   * Bring a record or a bare report into the record shape.
+   *
+   * @param {Object} input
+   * @param {string} label "before" or "after", used in error messages
+   */
+  function normaliseInput(input, label) {
+    if (!input || typeof input !== 'object') {
+      throw new CompareError(`The ${label} assessment is missing.`);
+    }
+    const report = input.report && typeof input.report === 'object' ? input.report : input;
+    if (!Array.isArray(report.dimensions) || report.averageScore === undefined) {
+      throw new CompareError(`The ${label} assessment is not a Three Whys report.`);
+    }
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    return {
+      id: input.id || report.id || null,
+      createdAt: input.createdAt || report.createdAt || null,
+      profile: [input.profile, report.profile].find(isObject) || {},
+      answers: isObject(input.answers) ? input.answers : null,
+      report,
+    };
+  }
+
+  /**
+   * Normalise an organization name for comparison.
+   *
+   * @param {string} value
+   */
+  function organizationKey(value) {
+    return String(value || '').trim().toLowerCase();
+  }
+
+  /**
+   * An answer as text; a record written straight to the store may hold
+   * other values.
+   *
+   * @param {Object} answers
+   * @param {string} key
+   */
+  function answerText(answers, key) {
+    const answer = answers[key];
+    return answer === undefined || answer === null ? '' : String(answer);
+  }
+
+  /**
+   * Round a score difference to one decimal place.
+   *
+   * @param {number} value
+   */
+  function roundDelta(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  /**
+   * Direction of a movement between two values.
+   *
+   * @param {number} delta
+   */
+  function direction(delta) {
+    if (delta > 0) return 'up';
+    if (delta < 0) return 'down';
+    return 'same';
+  }
+
+  /**
+   * Id of the rubric an assessment was scored against.
+   *
+   * @param {Object} input record or report
+   */
+  function rubricOf(input) {
+    const report = input && input.report && typeof input.report === 'object' ? input.report : input;
+    return (report && report.rubric) || DEFAULT_RUBRIC_ID;
+  }
+
+  /**
+   * Language an assessment was scored in.
+   *
+   * @param {Object} input record or report
+   */
+  function localeOf(input) {
+    const report = input && input.report && typeof input.report === 'object' ? input.report : input;
+    return (report && report.locale) || DEFAULT_LOCALE;
+  }
+
+  /**
+   * The dimension of a report that answers a rubric dimension, or an
+   * empty object. Reports from before dimensions carried their key are
+   * matched by name; entries that are not objects are skipped.
+   *
+   * @param {Object} report
+   * @param {{key: string, name: string}} category
+   */
+  function findDimension(report, category) {
+    const match = (d) => Boolean(d) && typeof d === 'object' && (d.key ? d.key === category.key : d.name === category.name);
+    return report.dimensions.find(match) || {};
+  }
+
+  /**
+   * Compare two assessments of the same organization. The earlier one is
+   * treated as "before" when both carry a creation date.
+   *
+   * @param {Object} first record or report
+   * @param {Object} second record or report
+   * @param {Object} rubric the rubric both were scored against, in
+   *   their language
+   * @returns {Object} the comparison
+   */
+  function compareAssessments(first, second, rubric) {
+    let before = normaliseInput(first, 'before');
+    let after = normaliseInput(second, 'after');
+    if (before.createdAt && after.createdAt && before.createdAt > after.createdAt) {
+      [before, after] = [after, before];
+    }
+    const organization = before.profile.organization || after.profile.organization || '';
+    if (organizationKey(before.profile.organization) !== organizationKey(after.profile.organization)) {
+      throw new CompareError('Only assessments for the same organization can be compared.');
+    }
+    if (rubricOf(before.report) !== rubric.id || rubricOf(after.report) !== rubric.id) {
+      throw new CompareError('Only assessments scored against the same rubric can be compared.');
+    }
+    if (localeOf(before.report) !== (rubric.locale || DEFAULT_LOCALE) || localeOf(after.report) !== (rubric.locale || DEFAULT_LOCALE)) {
+      throw new CompareError('Only assessments in the same language can be compared.');
+    }
+    const beforeAverage = parseFloat(before.report.averageScore);
+    const afterAverage = parseFloat(after.report.averageScore);
+    const beforeBand = rubric.levels.indexOf(before.report.band);
+    const afterBand = rubric.levels.indexOf(after.report.band);
+    const dimensions = rubric.dimensions.map((cat) => {
+      const old = findDimension(before.report, cat);
+      const now = findDimension(after.report, cat);
+      const scored = typeof old.score === 'number' && typeof now.score === 'number';
+      const delta = scored ? now.score - old.score : null;
+      return {
+        name: cat.name,
+        key: cat.key,
+        question: cat.question,
+        before: { score: old.score, level: old.level, answer: before.answers ? answerText(before.answers, cat.key) : null },
+        after: { score: now.score, level: now.level, answer: after.answers ? answerText(after.answers, cat.key) : null },
+        delta,
+        direction: delta === null ? null : direction(delta),
+        levelChanged: old.level !== now.level,
+        answerChanged: before.answers && after.answers ? answerText(before.answers, cat.key).trim() !== answerText(after.answers, cat.key).trim() : null,
+      };
+    });
+    const averageDelta = roundDelta(afterAverage - beforeAverage);
+    return {
+      organization,
+      rubric: rubric.id,
+      locale: rubric.locale || DEFAULT_LOCALE,
+      before: { id: before.id, createdAt: before.createdAt, profile: before.profile, averageScore: before.report.averageScore, band: before.report.band },
+      after: { id: after.id, createdAt: after.createdAt, profile: after.profile, averageScore: after.report.averageScore, band: after.report.band },
+      averageDelta,
+      averageDirection: direction(averageDelta),
+      band: {
+        before: before.report.band,
+        after: after.report.band,
+        moved: before.report.band !== after.report.band,
+        direction: beforeBand === -1 || afterBand === -1 ? null : direction(afterBand - beforeBand),
+      },
+      dimensions,
+    };
+  }
+
+  return {
+    CompareError,
+    rubricOf,
+    localeOf,
+    findDimension,
+    compareAssessments,
+  };
+});
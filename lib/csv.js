@@ -0,0 +1,109 @@
+// Minimal CSV reading and writing (RFC 4180) for the batch assessor.
+//
+// Fields may be quoted with double quotes, which allows commas, line
+// breaks and doubled quotes ("") inside them. A leading byte order mark
+// is ignored, as spreadsheet exports often start with one. Written fields
+// that a spreadsheet would run as a formula get a leading apostrophe.
+
+// Leading characters that make a spreadsheet read a field as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Parse CSV text into rows of fields.
+ *
+ * @param {string} text
+ * @returns {string[][]} every row, blank lines excluded
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the trimmed
+ * header names. Missing trailing fields are empty strings.
+ *
+ * @param {string} text
+ * @returns {Object<string, string>[]}
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const names = header.map((name) => name.trim());
+  return rows.map((fields) => {
+    const record = {};
+    names.forEach((name, i) => {
+      record[name] = fields[i] === undefined ? '' : fields[i];
+    });
+    return record;
+  });
+}
+
+/**
+ * Keep a spreadsheet from running a field as a formula, by prefixing an
+ * apostrophe to text starting with =, +, -, @, a tab or a carriage
+ * return. Numbers are left as they are. Already escaped text does not
+ * change, so a field read back can be written again.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeFormula(text) {
+  return FORMULA_START.test(text) && !NUMBER.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Format one CSV line, quoting fields that need it and escaping
+ * formulas (see escapeFormula).
+ *
+ * @param {Array<*>} values null and undefined become empty fields
+ * @returns {string} the line, without a line break
+ */
+function csvLine(values) {
+  return values.map((value) => {
+    const text = escapeFormula(value === null || value === undefined ? '' : String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  csvLine,
+  escapeFormula,
+};
@@ -0,0 +1,507 @@
+// Downloadable PDF and DOCX versions of an assessment report.
+//
+// Both formats are rendered on the server from the report object the
+// evaluate endpoint returns (heuristic or LLM), so executives receive
+// the same document whatever browser produced it. The two files share
+// one layout: a branded cover page with the organization, respondent,
+// date and overall score, then the executive summary, a bar chart of
+// the dimension scores, the dimension table with why/how, the role
+// coaching table, the suggested value proposition and the next
+// actions. Pages are A4 with the same margins, and every page after the
+// cover carries a "Page n of m" footer. Labels are written in the
+// report's language. The PDF is drawn with ./pdf and the DOCX is
+// assembled from WordprocessingML parts with ./zip.
+
+const fs = require('fs');
+const path = require('path');
+const { createPdf, jpegInfo, textWidth, wrapText } = require('./pdf');
+const { writeArchive } = require('./zip');
+const { slug, resolveLocale, translate } = require('./i18n');
+
+// Brand colours, as in index.html
+const COLORS = {
+  primary: '#4ca09a',
+  secondary: '#147e76',
+  text: '#000000',
+  muted: '#555555',
+  light: '#e8f3f2',
+  empty: '#e6e6e6',
+  white: '#ffffff',
+};
+
+// Logo shown on the cover page; left out when it cannot be read
+const LOGO_FILE = path.join(__dirname, '..', 'wide.jpg');
+
+// Highest score on the chart
+const MAX_SCORE = 5;
+
+// MIME types of the export formats
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+let logo;
+
+/**
+ * The cover logo and its size, read once.
+ *
+ * @returns {{data: Buffer, width: number, height: number}|null}
+ */
+function logoImage() {
+  if (logo === undefined) {
+    try {
+      const data = fs.readFileSync(LOGO_FILE);
+      const info = jpegInfo(data);
+      logo = info ? { data, width: info.width, height: info.height } : null;
+    } catch (err) {
+      logo = null;
+    }
+  }
+  return logo;
+}
+
+/**
+ * Date a report was produced: its storage date, or today for reports
+ * that were never stored.
+ *
+ * @param {Object} report
+ * @returns {Date}
+ */
+function reportDate(report) {
+  const date = new Date(report.createdAt || Date.now());
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+/**
+ * File name of an exported report: `<organization>-three-whys-<date>.<format>`.
+ *
+ * @param {Object} report
+ * @param {'pdf'|'docx'} format
+ */
+function exportFileName(report, format) {
+  const organization = (report.profile && report.profile.organization) || '';
+  return `${slug(organization) || 'assessment'}-three-whys-${reportDate(report).toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * The text of a report as laid out in both formats.
+ *
+ * @param {Object} report
+ * @param {{rubricName?: string}} [options] name of the rubric the
+ *   report was scored against, shown on the cover
+ */
+function reportContent(report, options = {}) {
+  const locale = resolveLocale(report.locale);
+  const t = (text, vars) => translate(locale, text, vars);
+  const profile = report.profile || {};
+  const coaching = report.coaching || {};
+  const date = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric' }).format(reportDate(report));
+  return {
+    t,
+    locale,
+    title: t('Value Proposition Results'),
+    rubricName: options.rubricName || '',
+    organization: profile.organization || '',
+    preparedFor: profile.name ? t('Prepared for {name}, {role}', { name: profile.name, role: profile.role || '' }).replace(/,\s*$/, '') : '',
+    date,
+    averageScore: String(report.averageScore || ''),
+    band: report.band || '',
+    summary: report.executiveSummary || '',
+    dimensions: (report.dimensions || []).map((dim) => ({
+      name: dim.name,
+      score: Number(dim.score) || 0,
+      level: dim.level || '',
+      why: dim.why || '',
+      how: dim.how || '',
+    })),
+    coachingText: coaching.coachingText || '',
+    coaching: [
+      ['Headline', coaching.headline, coaching.headlineExplain],
+      ['Urgency', coaching.urgency, coaching.urgencyExplain],
+      ['Differentiators', coaching.differentiators, coaching.differentiatorsExplain],
+      ['Value Calculation Outline', coaching.valueOutline, coaching.valueOutlineExplain],
+    ].map(([label, value, explain]) => ({ label: t(label), value: value || '', explain: explain || '' })),
+    finalValue: coaching.finalValue || '',
+    salesSparxText: coaching.salesSparxText || '',
+    nextActions: coaching.nextActions || [],
+  };
+}
+
+/**
+ * Render a report as a PDF.
+ *
+ * @param {Object} report
+ * @param {{rubricName?: string}} [options]
+ * @returns {Buffer}
+ */
+function renderPdf(report, options = {}) {
+  const c = reportContent(report, options);
+  const pdf = createPdf({ title: `${c.title} – ${c.organization}` });
+  const margin = 50;
+  const bottom = 60;
+  const width = pdf.width - 2 * margin;
+  let y = 0;
+
+  const newPage = () => {
+    pdf.addPage();
+    y = pdf.height - margin;
+  };
+  // Start a new page unless `height` more points fit on this one
+  const ensure = (height) => {
+    if (y - height < bottom) newPage();
+  };
+  const paragraph = (text, style = {}) => {
+    const size = style.size || 10;
+    const lead = size * 1.4;
+    wrapText(text, style.font || 'regular', size, width - (style.indent || 0)).forEach((line) => {
+      ensure(lead);
+      y -= lead;
+      pdf.text(line, margin + (style.indent || 0), y, { font: style.font, size, color: style.color || COLORS.text });
+    });
+    y -= style.after === undefined ? 6 : style.after;
+  };
+  const heading = (text) => {
+    // Keep headings with at least a few lines of what follows
+    ensure(70);
+    y -= 24;
+    pdf.text(text, margin, y, { font: 'bold', size: 14, color: COLORS.secondary });
+    y -= 6;
+    pdf.rect(margin, y, width, 1, COLORS.primary);
+    y -= 8;
+  };
+  // Table with wrapped cells; a cell is a string or a list of
+  // {text, font} paragraphs. The header row repeats on each page.
+  const table = (columns, rows) => {
+    const size = 8.5;
+    const lead = size * 1.35;
+    const pad = 4;
+    const cellLines = (cell, w) => [].concat(typeof cell === 'string' ? [{ text: cell }] : cell)
+      .filter((part) => part.text)
+      .reduce((lines, part) => lines.concat(wrapText(part.text, part.font || 'regular', size, w - 2 * pad)
+        .map((line) => ({ line, font: part.font || 'regular' }))), []);
+    const drawRow = (cells, header, shade) => {
+      const wrapped = cells.map((cell, i) => cellLines(cell, columns[i].width));
+      const height = Math.max(1, ...wrapped.map((lines) => lines.length)) * lead + 2 * pad;
+      if (y - height < bottom) {
+        newPage();
+        if (!header) drawRow(columns.map((col) => col.label), true);
+      }
+      if (header || shade) pdf.rect(margin, y - height, width, height, header ? COLORS.secondary : COLORS.light);
+      let x = margin;
+      wrapped.forEach((lines, i) => {
+        lines.forEach(({ line, font }, n) => {
+          const textX = columns[i].align === 'center' ? x + (columns[i].width - textWidth(line, font, size)) / 2 : x + pad;
+          pdf.text(line, textX, y - pad - (n + 1) * lead + 2.5, {
+            font: header ? 'bold' : font, size, color: header ? COLORS.white : COLORS.text,
+          });
+        });
+        x += columns[i].width;
+      });
+      y -= height;
+    };
+    ensure(60);
+    drawRow(columns.map((col) => col.label), true);
+    rows.forEach((cells, i) => drawRow(cells, false, i % 2 === 1));
+    y -= 8;
+  };
+
+  // Cover page
+  newPage();
+  const image = logoImage();
+  if (image) y -= pdf.image(image.data, margin, y - (width * image.height) / image.width, width);
+  y -= 40;
+  pdf.rect(0, y - 70, pdf.width, 90, COLORS.secondary);
+  pdf.text(c.title, margin, y - 18, { font: 'bold', size: 24, color: COLORS.white });
+  if (c.rubricName) pdf.text(c.rubricName, margin, y - 45, { size: 12, color: COLORS.white });
+  y -= 120;
+  wrapText(c.organization, 'bold', 22, width).forEach((line) => {
+    y -= 28;
+    pdf.text(line, margin, y, { font: 'bold', size: 22 });
+  });
+  y -= 10;
+  [c.preparedFor, c.date].filter(Boolean).forEach((line) => {
+    y -= 18;
+    pdf.text(line, margin, y, { size: 12, color: COLORS.muted });
+  });
+  y -= 50;
+  pdf.rect(margin, y - 110, 200, 110, COLORS.light);
+  pdf.rect(margin, y - 110, 4, 110, COLORS.primary);
+  pdf.text(c.t('Average score'), margin + 20, y - 25, { size: 11, color: COLORS.muted });
+  pdf.text(c.averageScore, margin + 20, y - 70, { font: 'bold', size: 40, color: COLORS.secondary });
+  pdf.text(c.band, margin + 20, y - 95, { font: 'bold', size: 14 });
+
+  // Report pages
+  newPage();
+  heading(c.t('Executive Summary'));
+  paragraph(c.summary, { size: 10.5 });
+
+  heading(c.t('Scores by Dimension'));
+  const labelWidth = 150;
+  const segment = (width - labelWidth - 90) / MAX_SCORE;
+  c.dimensions.forEach((dim) => {
+    const lines = wrapText(dim.name, 'bold', 9.5, labelWidth - 10);
+    const height = Math.max(22, lines.length * 12 + 8);
+    ensure(height);
+    lines.forEach((line, n) => pdf.text(line, margin, y - 14 - n * 12, { font: 'bold', size: 9.5 }));
+    for (let i = 0; i < MAX_SCORE; i++) {
+      pdf.rect(margin + labelWidth + i * segment, y - 18, segment - 3, 12, i < dim.score ? COLORS.primary : COLORS.empty);
+    }
+    pdf.text(`${dim.score} · ${dim.level}`, margin + labelWidth + MAX_SCORE * segment + 6, y - 15.5, { size: 9.5 });
+    y -= height;
+  });
+  y -= 6;
+
+  table([
+    { label: c.t('Category'), width: 85 },
+    { label: c.t('Score'), width: 58, align: 'center' },
+    { label: c.t('Level'), width: 62 },
+    { label: c.t('Why this level'), width: 145 },
+    { label: c.t('Recommendations'), width: width - 350 },
+  ], c.dimensions.map((dim) => [[{ text: dim.name, font: 'bold' }], String(dim.score), dim.level, dim.why, dim.how]));
+
+  heading(c.t('Role‑Tailored Coaching'));
+  paragraph(c.coachingText);
+  table([
+    { label: c.t('Area'), width: 120 },
+    { label: c.t('Description'), width: width - 120 },
+  ], c.coaching.map((row) => [[{ text: row.label, font: 'bold' }], [{ text: row.value, font: 'bold' }, { text: row.explain }]]));
+
+  if (c.finalValue) {
+    heading(c.t('Suggested Value Proposition'));
+    paragraph(c.finalValue, { size: 11, font: 'bold', color: COLORS.secondary });
+  }
+  heading(c.t('Next Actions'));
+  c.nextActions.forEach((action) => {
+    ensure(14);
+    pdf.text('•', margin + 4, y - 14, { size: 10 });
+    paragraph(action, { indent: 16, after: 2 });
+  });
+  if (c.salesSparxText) {
+    heading(c.t('How SalesSparx Can Help'));
+    paragraph(c.salesSparxText);
+  }
+
+  // Footers, now that the page count is known; the cover has none
+  const pages = pdf.pageCount();
+  for (let page = 2; page <= pages; page++) {
+    const label = c.t('Page {page} of {pages}', { page, pages });
+    const style = { page, size: 8, color: COLORS.muted };
+    pdf.text(`${c.organization} · ${c.title}`, margin, 30, style);
+    pdf.text(label, pdf.width - margin - textWidth(label, 'regular', 8), 30, style);
+  }
+  return pdf.toBuffer();
+}
+
+/**
+ * Escape text for XML.
+ *
+ * @param {*} value
+ */
+function xml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * A WordprocessingML run.
+ *
+ * @param {string} text
+ * @param {{bold?: boolean, size?: number, color?: string}} [style] size
+ *   in points
+ */
+function run(text, style = {}) {
+  const props = [
+    style.bold ? '<w:b/>' : '',
+    style.color ? `<w:color w:val="${style.color.replace('#', '')}"/>` : '',
+    style.size ? `<w:sz w:val="${Math.round(style.size * 2)}"/>` : '',
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xml(text)}</w:t></w:r>`;
+}
+
+/**
+ * A WordprocessingML paragraph.
+ *
+ * @param {string|string[]} runs run XML
+ * @param {{style?: string, align?: string, indent?: number, after?: number, pageBreakBefore?: boolean, shade?: string, rightTab?: number}} [props]
+ *   indent, spacing and tab position in points
+ */
+function para(runs, props = {}) {
+  const pPr = [
+    props.style ? `<w:pStyle w:val="${props.style}"/>` : '',
+    props.pageBreakBefore ? '<w:pageBreakBefore/>' : '',
+    props.shade ? `<w:shd w:val="clear" w:color="auto" w:fill="${props.shade.replace('#', '')}"/>` : '',
+    props.rightTab ? `<w:tabs><w:tab w:val="right" w:pos="${Math.round(props.rightTab * 20)}"/></w:tabs>` : '',
+    props.after !== undefined ? `<w:spacing w:after="${props.after * 20}"/>` : '',
+    props.indent ? `<w:ind w:left="${props.indent * 20}" w:hanging="${props.indent * 10}"/>` : '',
+    props.align ? `<w:jc w:val="${props.align}"/>` : '',
+  ].join('');
+  return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${[].concat(runs).join('')}</w:p>`;
+}
+
+/**
+ * A WordprocessingML table.
+ *
+ * @param {Array<{label: string, width: number}>|null} columns widths in
+ *   points; a header row is repeated on each page unless labels are empty
+ * @param {Array<Array<{xml: string, shade?: string}>>} rows cell content
+ *   as paragraph XML
+ */
+function wordTable(columns, rows) {
+  const twips = columns.map((col) => Math.round(col.width * 20));
+  const border = '<w:top w:val="single" w:sz="4" w:color="DDDDDD"/><w:bottom w:val="single" w:sz="4" w:color="DDDDDD"/><w:insideH w:val="single" w:sz="4" w:color="DDDDDD"/>';
+  const cell = (content, i, shade) => `<w:tc><w:tcPr><w:tcW w:w="${twips[i]}" w:type="dxa"/>${shade ? `<w:shd w:val="clear" w:color="auto" w:fill="${shade.replace('#', '')}"/>` : ''}</w:tcPr>${content}</w:tc>`;
+  const header = columns.some((col) => col.label)
+    ? `<w:tr><w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>${columns.map((col, i) => cell(para(run(col.label, { bold: true, color: COLORS.white, size: 9 })), i, COLORS.secondary)).join('')}</w:tr>`
+    : '';
+  const body = rows.map((cells, r) => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.map((c, i) => cell(c.xml, i, c.shade || (header && r % 2 === 1 ? COLORS.light : ''))).join('')}</w:tr>`).join('');
+  return `<w:tbl><w:tblPr><w:tblW w:w="${twips.reduce((a, b) => a + b, 0)}" w:type="dxa"/><w:tblBorders>${header ? border : ''}</w:tblBorders><w:tblLayout w:type="fixed"/><w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="80" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr><w:tblGrid>${twips.map((w) => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>${header}${body}</w:tbl>${para('', { after: 6 })}`;
+}
+
+/**
+ * Inline picture referencing relationship `rId`.
+ *
+ * @param {string} rId
+ * @param {number} width points
+ * @param {number} height points
+ */
+function picture(rId, width, height) {
+  const cx = Math.round(width * 12700);
+  const cy = Math.round(height * 12700);
+  return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="1" name="Logo"/><a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:nvPicPr><pic:cNvPr id="1" name="logo.jpeg"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+}
+
+/**
+ * A page number field (PAGE or NUMPAGES).
+ *
+ * @param {string} field
+ */
+function fieldRun(field) {
+  const style = '<w:rPr><w:color w:val="555555"/><w:sz w:val="16"/></w:rPr>';
+  return `<w:r>${style}<w:fldChar w:fldCharType="begin"/></w:r><w:r>${style}<w:instrText xml:space="preserve"> ${field} </w:instrText></w:r><w:r>${style}<w:fldChar w:fldCharType="separate"/></w:r><w:r>${style}<w:t>1</w:t></w:r><w:r>${style}<w:fldChar w:fldCharType="end"/></w:r>`;
+}
+
+/**
+ * Render a report as a Word document.
+ *
+ * @param {Object} report
+ * @param {{rubricName?: string}} [options]
+ * @returns {Buffer}
+ */
+function renderDocx(report, options = {}) {
+  const c = reportContent(report, options);
+  const width = 495.28; // A4 less 50pt margins, as in the PDF
+  const image = logoImage();
+  const body = [];
+  const heading = (text) => body.push(para(run(text), { style: 'Heading1' }));
+  const small = { size: 9 };
+
+  // Cover page
+  if (image) body.push(para(picture('rIdLogo', width, (width * image.height) / image.width), { after: 30 }));
+  body.push(para(run(c.title, { bold: true, size: 24, color: COLORS.white }), { shade: COLORS.secondary, after: 0 }));
+  if (c.rubricName) body.push(para(run(c.rubricName, { size: 12, color: COLORS.white }), { shade: COLORS.secondary, after: 40 }));
+  body.push(para(run(c.organization, { bold: true, size: 22 }), { after: 4 }));
+  [c.preparedFor, c.date].filter(Boolean).forEach((line) => body.push(para(run(line, { size: 12, color: COLORS.muted }), { after: 2 })));
+  body.push(para('', { after: 30 }));
+  body.push(wordTable([{ label: '', width: 200 }], [[{
+    shade: COLORS.light,
+    xml: para(run(c.t('Average score'), { size: 11, color: COLORS.muted }))
+      + para(run(c.averageScore, { bold: true, size: 40, color: COLORS.secondary }), { after: 0 })
+      + para(run(c.band, { bold: true, size: 14 })),
+  }]]));
+
+  // Report pages
+  body.push(para(run(c.t('Executive Summary')), { style: 'Heading1', pageBreakBefore: true }));
+  body.push(para(run(c.summary)));
+
+  heading(c.t('Scores by Dimension'));
+  const segment = (width - 150 - 90) / MAX_SCORE;
+  body.push(wordTable(
+    [{ label: '', width: 150 }].concat(Array.from({ length: MAX_SCORE }, () => ({ label: '', width: segment })), [{ label: '', width: 90 }]),
+    c.dimensions.map((dim) => [{ xml: para(run(dim.name, { bold: true, size: 9.5 }), { after: 0 }) }]
+      .concat(Array.from({ length: MAX_SCORE }, (_, i) => ({ xml: para('', { after: 0 }), shade: i < dim.score ? COLORS.primary : COLORS.empty })))
+      .concat([{ xml: para(run(`${dim.score} · ${dim.level}`, { size: 9.5 }), { after: 0 }) }])),
+  ));
+
+  body.push(wordTable([
+    { label: c.t('Category'), width: 85 },
+    { label: c.t('Score'), width: 58 },
+    { label: c.t('Level'), width: 62 },
+    { label: c.t('Why this level'), width: 145 },
+    { label: c.t('Recommendations'), width: width - 350 },
+  ], c.dimensions.map((dim) => [
+    { xml: para(run(dim.name, Object.assign({ bold: true }, small))) },
+    { xml: para(run(String(dim.score), small), { align: 'center' }) },
+    { xml: para(run(dim.level, small)) },
+    { xml: para(run(dim.why, small)) },
+    { xml: para(run(dim.how, small)) },
+  ])));
+
+  heading(c.t('Role‑Tailored Coaching'));
+  body.push(para(run(c.coachingText)));
+  body.push(wordTable([
+    { label: c.t('Area'), width: 120 },
+    { label: c.t('Description'), width: width - 120 },
+  ], c.coaching.map((row) => [
+    { xml: para(run(row.label, Object.assign({ bold: true }, small))) },
+    { xml: para(run(row.value, Object.assign({ bold: true }, small))) + (row.explain ? para(run(row.explain, small)) : '') },
+  ])));
+
+  if (c.finalValue) {
+    heading(c.t('Suggested Value Proposition'));
+    body.push(para(run(c.finalValue, { bold: true, size: 11, color: COLORS.secondary })));
+  }
+  heading(c.t('Next Actions'));
+  c.nextActions.forEach((action) => body.push(para([run('•\t'), run(action)], { indent: 16, after: 3 })));
+  if (c.salesSparxText) {
+    heading(c.t('How SalesSparx Can Help'));
+    body.push(para(run(c.salesSparxText)));
+  }
+
+  // Footer text around the page number fields of "Page {page} of {pages}"
+  const footerStyle = { size: 8, color: COLORS.muted };
+  const pageLabel = c.t('Page {page} of {pages}', { page: '\u0000PAGE\u0000', pages: '\u0000NUMPAGES\u0000' })
+    .split('\u0000')
+    .map((part) => (part === 'PAGE' || part === 'NUMPAGES' ? fieldRun(part) : part ? run(part, footerStyle) : ''));
+
+  const ns = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${ns} xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"><w:body>${body.join('')}<w:sectPr><w:footerReference w:type="default" r:id="rIdFooter"/><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1000" w:right="1000" w:bottom="1200" w:left="1000" w:header="600" w:footer="600" w:gutter="0"/><w:titlePg/></w:sectPr></w:body></w:document>`;
+  const footer = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr ${ns}>${para([run(`${c.organization} · ${c.title}`, footerStyle), run('\t', footerStyle)].concat(pageLabel), { rightTab: width })}</w:ftr>`;
+  const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Helvetica" w:hAnsi="Helvetica" w:cs="Arial"/><w:sz w:val="20"/><w:lang w:val="${c.locale}"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="8" w:space="4" w:color="${COLORS.primary.replace('#', '')}"/></w:pBdr><w:spacing w:before="360" w:after="160"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="${COLORS.secondary.replace('#', '')}"/><w:sz w:val="28"/></w:rPr></w:style></w:styles>`;
+  const relationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/><Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>${image ? '<Relationship Id="rIdLogo" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/logo.jpeg"/>' : ''}</Relationships>`;
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>${xml(`${c.title} – ${c.organization}`)}</dc:title><dc:language>${c.locale}</dc:language></cp:coreProperties>`;
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Default Extension="jpeg" ContentType="image/jpeg"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`;
+  const packageRelationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`;
+
+  return writeArchive([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: packageRelationships },
+    { name: 'docProps/core.xml', data: core },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/styles.xml', data: styles },
+    { name: 'word/footer1.xml', data: footer },
+    { name: 'word/_rels/document.xml.rels', data: relationships },
+  ].concat(image ? [{ name: 'word/media/logo.jpeg', data: image.data }] : []));
+}
+
+// Renderers by format
+const RENDERERS = { pdf: renderPdf, docx: renderDocx };
+
+module.exports = {
+  CONTENT_TYPES,
+  exportFileName,
+  reportContent,
+  renderPdf,
+  renderDocx,
+  RENDERERS,
+};
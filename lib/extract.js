@@ -0,0 +1,433 @@
+// Plain-text extraction for attachments uploaded with the assessment.
+//
+// The front end reads each attached file with FileReader.readAsDataURL,
+// so attachments arrive as base64 data URLs. Sending a slice of that
+// string to the model (or counting it as words) is meaningless, so
+// before evaluation every attachment is decoded and converted to plain
+// text here. Supported formats mirror the `accept` list on the file
+// inputs: PDF, Word, PowerPoint and Excel, in both the Office Open XML
+// (.docx/.pptx/.xlsx) and legacy binary (.doc/.ppt/.xls) flavours.
+// Everything is done with Node built-ins so the serverless function has
+// no third-party dependencies.
+
+const zlib = require('zlib');
+const { readEntries } = require('./zip');
+
+// Largest decoded attachment accepted, in bytes.
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Largest uncompressed XML part or PDF stream we are willing to inflate.
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+// Extracted text is truncated to this many characters.
+const MAX_TEXT_CHARS = 20000;
+
+const SUPPORTED_EXTENSIONS = ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'xls', 'xlsx'];
+
+/**
+ * Decode the `content` of an attachment into a Buffer. Accepts data
+ * URLs (as produced by FileReader) or bare base64 strings.
+ *
+ * @param {string} content
+ * @returns {Buffer}
+ */
+function decodeContent(content) {
+  const match = /^data:[^,]*?(;base64)?,/.exec(content);
+  if (match) {
+    const payload = content.slice(match[0].length);
+    return match[1] ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload), 'utf8');
+  }
+  return Buffer.from(content, 'base64');
+}
+
+/**
+ * Return the lowercase extension of a file name without the dot.
+ *
+ * @param {string} name
+ */
+function extensionOf(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Decode the XML entities used in Office documents.
+ *
+ * @param {string} str
+ */
+function decodeXmlEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, ent) => {
+    const lower = ent.toLowerCase();
+    if (lower === 'amp') return '&';
+    if (lower === 'lt') return '<';
+    if (lower === 'gt') return '>';
+    if (lower === 'quot') return '"';
+    if (lower === 'apos') return "'";
+    const code = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+  });
+}
+
+/**
+ * Collect the text runs of an Office XML part. `tag` is the qualified
+ * name of the run element (w:t for Word, a:t for DrawingML) and `block`
+ * the element that ends a paragraph.
+ *
+ * @param {string} xml
+ * @param {string} tag
+ * @param {string} block
+ */
+function xmlText(xml, tag, block) {
+  const runs = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>|</${block}>|<w:tab/>|<w:br/>`, 'g');
+  let text = '';
+  let m;
+  while ((m = runs.exec(xml)) !== null) {
+    if (m[1] !== undefined) {
+      text += decodeXmlEntities(m[1]);
+    } else if (m[0] === '<w:tab/>') {
+      text += '\t';
+    } else {
+      text += '\n';
+    }
+  }
+  return text;
+}
+
+/**
+ * Read the named part of an archive as UTF-8 text.
+ *
+ * @param {Array} entries
+ * @param {string} name
+ */
+function readPart(entries, name) {
+  const entry = entries.find((e) => e.name === name);
+  if (!entry) return '';
+  if (entry.size > MAX_PART_BYTES) throw new Error(`Document part ${name} is too large`);
+  return entry.read(MAX_PART_BYTES).toString('utf8');
+}
+
+/**
+ * Sort archive part names by the number they contain so that slide10
+ * follows slide9.
+ *
+ * @param {string} a
+ * @param {string} b
+ */
+function byPartNumber(a, b) {
+  const na = parseInt((/(\d+)\.xml$/.exec(a) || [])[1] || '0', 10);
+  const nb = parseInt((/(\d+)\.xml$/.exec(b) || [])[1] || '0', 10);
+  return na - nb;
+}
+
+/**
+ * Open an Office Open XML archive, refusing encrypted documents.
+ *
+ * @param {Buffer} buf
+ */
+function openOfficeArchive(buf) {
+  let entries;
+  try {
+    entries = readEntries(buf);
+  } catch (err) {
+    // Password-protected Office files are OLE containers, not ZIPs.
+    if (isOleContainer(buf)) throw new Error('Document is password protected or in a legacy format');
+    throw new Error('File is corrupt or not a valid Office document');
+  }
+  if (entries.some((e) => e.encrypted)) throw new Error('Document is password protected');
+  return entries;
+}
+
+function extractDocx(buf) {
+  const entries = openOfficeArchive(buf);
+  const parts = ['word/document.xml'].concat(
+    entries.map((e) => e.name).filter((n) => /^word\/(footnotes|endnotes)\.xml$/.test(n))
+  );
+  return parts.map((name) => xmlText(readPart(entries, name), 'w:t', 'w:p')).join('\n');
+}
+
+function extractPptx(buf) {
+  const entries = openOfficeArchive(buf);
+  const slides = entries
+    .map((e) => e.name)
+    .filter((n) => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+    .sort(byPartNumber);
+  return slides
+    .map((name, i) => `Slide ${i + 1}:\n${xmlText(readPart(entries, name), 'a:t', 'a:p').trim()}`)
+    .join('\n\n');
+}
+
+function extractXlsx(buf) {
+  const entries = openOfficeArchive(buf);
+  const shared = [];
+  const sharedXml = readPart(entries, 'xl/sharedStrings.xml');
+  const siRegex = /<si>([\s\S]*?)<\/si>/g;
+  let si;
+  while ((si = siRegex.exec(sharedXml)) !== null) {
+    let value = '';
+    const tRegex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let t;
+    while ((t = tRegex.exec(si[1])) !== null) value += decodeXmlEntities(t[1]);
+    shared.push(value);
+  }
+  const sheets = entries
+    .map((e) => e.name)
+    .filter((n) => /^xl\/worksheets\/sheet\d+\.xml$/.test(n))
+    .sort(byPartNumber);
+  return sheets
+    .map((name, i) => {
+      const xml = readPart(entries, name);
+      const rows = [];
+      const rowRegex = /<row[^>]*>([\s\S]*?)<\/row>/g;
+      let row;
+      while ((row = rowRegex.exec(xml)) !== null) {
+        const cells = [];
+        const cellRegex = /<c([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+        let cell;
+        while ((cell = cellRegex.exec(row[1])) !== null) {
+          const attrs = cell[1];
+          const inner = cell[2] || '';
+          const type = (/\st="([^"]+)"/.exec(attrs) || [])[1];
+          const v = (/<v>([\s\S]*?)<\/v>/.exec(inner) || [])[1];
+          if (type === 's' && v !== undefined) {
+            cells.push(shared[parseInt(v, 10)] || '');
+          } else if (type === 'inlineStr') {
+            cells.push(decodeXmlEntities((/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/.exec(inner) || [])[1] || ''));
+          } else if (v !== undefined) {
+            cells.push(decodeXmlEntities(v));
+          }
+        }
+        if (cells.some((c) => c !== '')) rows.push(cells.join(' | '));
+      }
+      return `Sheet ${i + 1}:\n${rows.join('\n')}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Decode a PDF literal string body (the part between parentheses).
+ *
+ * @param {string} str
+ */
+function decodePdfLiteral(str) {
+  return str.replace(/\\([nrtbf()\\]|[0-7]{1,3}|\r?\n)/g, (m, esc) => {
+    if (esc === 'n') return '\n';
+    if (esc === 'r') return '\r';
+    if (esc === 't') return '\t';
+    if (esc === 'b' || esc === 'f') return '';
+    if (esc === '(' || esc === ')' || esc === '\\') return esc;
+    if (/^[0-7]+$/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+    return '';
+  });
+}
+
+/**
+ * Decode a PDF hex string. Two-byte (CID) encodings are decoded as
+ * UTF-16BE when they look like it, otherwise bytes map to Latin-1.
+ *
+ * @param {string} hex
+ */
+function decodePdfHex(hex) {
+  const clean = hex.replace(/\s+/g, '');
+  const bytes = Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex');
+  if (bytes.length >= 2 && bytes.length % 2 === 0 && bytes.filter((b, i) => i % 2 === 0 && b === 0).length >= bytes.length / 4) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 2) out += String.fromCharCode(bytes.readUInt16BE(i));
+    return out;
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * Pull the shown text out of a decoded PDF content stream by reading
+ * the string operands of the Tj, TJ, ' and " operators.
+ *
+ * @param {string} content
+ */
+function pdfContentText(content) {
+  let text = '';
+  const tokens = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]*>|\[|\]|T\*|Tj|TJ|Td|TD|Tm|ET|'|"/g;
+  let m;
+  let pending = '';
+  while ((m = tokens.exec(content)) !== null) {
+    const tok = m[0];
+    if (tok.startsWith('(')) {
+      pending += decodePdfLiteral(tok.slice(1, -1));
+    } else if (tok.startsWith('<')) {
+      pending += decodePdfHex(tok.slice(1, -1));
+    } else if (tok === 'Tj' || tok === 'TJ') {
+      text += pending;
+      pending = '';
+    } else if (tok === "'" || tok === '"') {
+      text += `\n${pending}`;
+      pending = '';
+    } else if (tok === 'T*' || tok === 'Td' || tok === 'TD' || tok === 'Tm' || tok === 'ET') {
+      pending = '';
+      if (!text.endsWith('\n')) text += tok === 'ET' ? '\n' : ' ';
+    }
+  }
+  return text;
+}
+
+function extractPdf(buf) {
+  const raw = buf.toString('latin1');
+  if (!raw.startsWith('%PDF-')) throw new Error('File is corrupt or not a valid PDF');
+  if (/\/Encrypt\s/.test(raw)) throw new Error('PDF is encrypted');
+  let text = '';
+  const streamRegex = /\bobj\b([\s\S]*?)\bstream\r?\n/g;
+  let m;
+  while ((m = streamRegex.exec(raw)) !== null) {
+    const dict = m[1];
+    const start = m.index + m[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    streamRegex.lastIndex = end;
+    // Skip images, fonts and other binary streams.
+    if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType|XML)|\/Length1|\/Type\s*\/(XObject|XRef|ObjStm|Metadata)/.test(dict)) continue;
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = zlib.inflateSync(data, { maxOutputLength: MAX_PART_BYTES });
+      } catch (err) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue;
+    }
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    text += pdfContentText(content);
+    if (text.length > MAX_TEXT_CHARS * 2) break;
+  }
+  return text;
+}
+
+/**
+ * Whether the buffer starts with the OLE2 compound file signature used
+ * by legacy .doc/.ppt/.xls files (and encrypted OOXML documents).
+ *
+ * @param {Buffer} buf
+ */
+function isOleContainer(buf) {
+  return buf.length > 8 && buf.readUInt32BE(0) === 0xd0cf11e0 && buf.readUInt32BE(4) === 0xa1b11ae1;
+}
+
+/**
+ * Best-effort extraction for legacy binary Office formats. Parsing the
+ * compound file and each application's record structure is beyond
+ * what we need for scoring, so instead we collect runs of readable
+ * UTF-16LE and 8-bit text, which is where these formats keep the body
+ * text.
+ *
+ * @param {Buffer} buf
+ */
+function extractLegacyOffice(buf) {
+  if (!isOleContainer(buf)) throw new Error('File is corrupt or not a valid Office document');
+  const runs = [];
+  const utf16 = buf.toString('utf16le', 0, buf.length - (buf.length % 2));
+  const utf16Runs = utf16.match(/[\p{L}\p{N}\p{P}\p{Zs}\r\n\t]{6,}/gu) || [];
+  const latin = buf.toString('latin1');
+  const latinRuns = latin.match(/[A-Za-z0-9À-ÿ.,;:!?'"%$€£()\-\/&\s]{12,}/g) || [];
+  utf16Runs.concat(latinRuns).forEach((run) => {
+    const trimmed = run.replace(/\s+/g, ' ').trim();
+    // Keep runs that look like prose: several words, mostly letters.
+    const letters = (trimmed.match(/\p{L}/gu) || []).length;
+    if (trimmed.split(' ').length >= 3 && letters / trimmed.length > 0.6) runs.push(trimmed);
+  });
+  const seen = new Set();
+  return runs.filter((r) => (seen.has(r) ? false : seen.add(r))).join('\n');
+}
+
+const EXTRACTORS = {
+  pdf: extractPdf,
+  docx: extractDocx,
+  pptx: extractPptx,
+  xlsx: extractXlsx,
+  doc: extractLegacyOffice,
+  ppt: extractLegacyOffice,
+  xls: extractLegacyOffice,
+};
+
+/**
+ * Normalise extracted text: collapse runs of spaces and blank lines.
+ *
+ * @param {string} text
+ */
+function tidy(text) {
+  return text
+    .replace(/\u0000/g, '')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract plain text from a single attachment. Never throws: failures
+ * are reported through the `error` field so that one bad file does not
+ * abort the whole evaluation.
+ *
+ * @param {{name: string, content: string}} attachment
+ * @returns {{name: string, type: string, text: string, chars: number, truncated: boolean, error?: string}}
+ */
+function extractAttachment(attachment) {
+  const name = (attachment && attachment.name) || 'attachment';
+  const type = extensionOf(name);
+  const result = { name, type, text: '', chars: 0, truncated: false };
+  if (!attachment || typeof attachment.content !== 'string' || !attachment.content) {
+    result.error = 'File could not be read by the browser.';
+    return result;
+  }
+  if (!SUPPORTED_EXTENSIONS.includes(type)) {
+    result.error = `Unsupported file type${type ? ` ".${type}"` : ''}. Attach a PDF, Word, PowerPoint or Excel file.`;
+    return result;
+  }
+  let buf;
+  try {
+    buf = decodeContent(attachment.content);
+  } catch (err) {
+    result.error = 'File content is not valid base64.';
+    return result;
+  }
+  if (buf.length > MAX_FILE_BYTES) {
+    result.error = `File is larger than the ${MAX_FILE_BYTES / (1024 * 1024)} MB limit.`;
+    return result;
+  }
+  let text;
+  try {
+    text = tidy(EXTRACTORS[type](buf));
+  } catch (err) {
+    result.error = err && err.message ? `${err.message}.` : 'File could not be parsed.';
+    return result;
+  }
+  if (!text) {
+    result.error = 'No readable text was found in the file (it may be scanned or image-only).';
+    return result;
+  }
+  if (text.length > MAX_TEXT_CHARS) {
+    text = text.slice(0, MAX_TEXT_CHARS);
+    result.truncated = true;
+  }
+  result.text = text;
+  result.chars = text.length;
+  return result;
+}
+
+/**
+ * Extract every attachment in the map keyed by question (q1…q6).
+ *
+ * @param {Object} attachments
+ * @returns {Object} map of question key to extraction result
+ */
+function extractAttachments(attachments) {
+  const extracted = {};
+  if (!attachments || typeof attachments !== 'object') return extracted;
+  Object.keys(attachments).forEach((key) => {
+    extracted[key] = extractAttachment(attachments[key]);
+  });
+  return extracted;
+}
+
+module.exports = {
+  extractAttachment,
+  extractAttachments,
+  MAX_FILE_BYTES,
+  MAX_TEXT_CHARS,
+};
@@ -0,0 +1,96 @@
+// Feedback on a single answer while the assessment form is filled in.
+//
+// Scores one answer against its rubric dimension and returns a
+// provisional level and what the answer is missing. With an LLM
+// provider configured the model writes the feedback, starting from the
+// heuristic result, and adds a suggested rewrite that keeps the user's
+// facts; without one there is no rewrite, only the answer with
+// placeholders for what is missing (`draft`, see ./scoring). Fields the
+// model gets wrong are taken from the heuristic feedback, and provider
+// failures fall back to it entirely, as in ./assess. The `source` field
+// says which path produced the feedback. Privacy mode and the detection
+// of instructions aimed at the evaluator work as in ./assess.
+
+const { answerFeedback } = require('./scoring');
+const { validateFeedback } = require('./schema');
+const { feedbackMessages } = require('./prompt');
+const { LLMMalformedOutputError, loadConfig, isConfigured, createProvider } = require('./llm');
+const { redact, detectInjection } = require('./guard');
+
+/**
+ * Ask the model for feedback and merge it with the heuristic feedback:
+ * invalid fields are replaced by the heuristic ones.
+ *
+ * @param {Object} provider
+ * @param {Object} rubric
+ * @param {Object} dimension
+ * @param {string} answer
+ * @param {Object} heuristic
+ * @param {Object} [calculation]
+ */
+async function llmFeedback(provider, rubric, dimension, answer, heuristic, calculation) {
+  const content = await provider.complete(feedbackMessages(rubric, dimension, answer, heuristic, calculation));
+  let feedback;
+  try {
+    feedback = JSON.parse(content);
+  } catch (err) {
+    throw new LLMMalformedOutputError('LLM returned feedback that is not valid JSON');
+  }
+  if (feedback === null || typeof feedback !== 'object' || Array.isArray(feedback)) {
+    throw new LLMMalformedOutputError('LLM returned feedback that is not a JSON object');
+  }
+  const invalid = new Set(validateFeedback(feedback, rubric).map((e) => e.path.split(/[.[]/)[1]));
+  // A wrong score also invalidates the level it implies, and the other way round
+  if (invalid.has('score') || invalid.has('level')) ['score', 'level', 'why'].forEach((field) => invalid.add(field));
+  const merged = { key: heuristic.key, name: heuristic.name };
+  ['score', 'level', 'why', 'missing', 'rewrite'].forEach((field) => {
+    merged[field] = invalid.has(field) ? heuristic[field] : feedback[field];
+  });
+  merged.how = heuristic.how;
+  merged.draft = heuristic.draft;
+  if (merged.rewrite !== null && !merged.rewrite.trim()) merged.rewrite = null;
+  merged.validation = { repaired: Array.from(invalid).map((field) => `$.${field}`) };
+  return merged;
+}
+
+/**
+ * Give feedback on one answer.
+ *
+ * @param {{rubric: Object, key: string, answer: string, calculation?: Object, privacy?: boolean}} input
+ *   calculation is the value calculation (see ./calculator); privacy asks
+ *   for privacy mode
+ * @param {{provider?: Object, config?: Object}} [options] pass a provider
+ *   to override the one built from the environment
+ * @returns {Promise<Object|null>} null when the rubric has no dimension `key`
+ */
+async function questionFeedback(input, options = {}) {
+  const { rubric, key, answer, calculation } = input;
+  const heuristic = answerFeedback(rubric, key, answer, { calculation });
+  if (!heuristic) return null;
+  const integrity = detectInjection({ [key]: answer });
+  if (integrity) heuristic.integrity = integrity;
+  const config = options.config || loadConfig();
+  const provider = options.provider || (isConfigured(config) ? createProvider(config) : null);
+  if (!provider) {
+    heuristic.source = 'heuristic';
+    return heuristic;
+  }
+  const privacy = Boolean(input.privacy || config.privacyMode);
+  const redacted = privacy ? redact(answer) : null;
+  if (privacy) heuristic.privacy = { emails: redacted.emails, phones: redacted.phones };
+  try {
+    const dimension = rubric.dimensions.find((d) => d.key === key);
+    const feedback = await llmFeedback(provider, rubric, dimension, privacy ? redacted.text : answer, heuristic, calculation);
+    if (privacy) feedback.privacy = heuristic.privacy;
+    if (integrity) feedback.integrity = integrity;
+    feedback.source = 'llm';
+    return feedback;
+  } catch (err) {
+    console.error(`LLM feedback failed (${err.name}): ${err.message}`);
+    heuristic.source = 'heuristic';
+    heuristic.llmError = { type: err.type || 'internal', message: err.message };
+    return heuristic;
+  }
+}
+
+module.exports = { questionFeedback };
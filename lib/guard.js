@@ -0,0 +1,236 @@
+// Input hardening for the endpoints that send user text to the model.
+//
+// Checks the size and shape of the evaluate payload before any work is
+// done (413 for anything over a limit, 400 for anything malformed),
+// redacts email addresses and phone numbers from text that leaves the
+// server in privacy mode, keeps user text from closing the tags the
+// prompt wraps it in (see ./prompt) and spots text that reads like
+// instructions to the evaluator, so the report can flag suspected
+// prompt injection. Detection only flags: the answers are still scored
+// on their merits.
+
+const { MAX_FILE_BYTES } = require('./extract');
+const { httpError, formatBytes } = require('./http');
+const { fold } = require('./i18n');
+
+// Largest evaluate request body, attachments included, in bytes.
+const MAX_EVALUATE_BODY_BYTES = 32 * 1024 * 1024;
+// Longest answer accepted, in characters.
+const MAX_ANSWER_CHARS = 10000;
+// Longest profile field accepted, in characters.
+const MAX_PROFILE_CHARS = 200;
+// Longest attachment content accepted: a data URL of MAX_FILE_BYTES.
+const MAX_ATTACHMENT_CHARS = Math.ceil(MAX_FILE_BYTES / 3) * 4 + 200;
+
+const PROFILE_FIELDS = ['name', 'role', 'email', 'organization'];
+
+// Profile fields that identify the respondent, withheld in privacy mode
+const IDENTIFYING_FIELDS = ['name', 'email', 'organization'];
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+// Candidate phone numbers; see isPhoneNumber for what is kept
+const PHONE = /\+?\(?\d[\d ().-]{6,}\d/g;
+
+// Phrases that address the evaluator rather than the buyer, matched
+// against folded, lowercase text. English, Portuguese and Spanish. A
+// request for a score only counts with score or level vocabulary
+// ("as Leading", "5/5", "the highest score"), so selling points such
+// as "we give customers industry-leading insight" are not flagged.
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding|system|these|those|my)\s+(?:instructions?|prompts?|rules|guidelines|directions)\b/,
+  /\b(?:system prompt|developer message|new instructions|you are now (?:a|an|the)\b|jailbreak)/,
+  /\b(?:score|rate|grade|mark|assign|give|award)\b[^.\n]{0,40}(?:\b(?:as|level|score|band|rating)\s+["'“]?leading\b(?!\s*[-\w])|\bleading["'”]?\s+(?:level|score|band|rating)\b|\b5\s*\/\s*5\b|\b5 out of 5\b|\bfull marks\b|\b(?:maximum|highest|top) (?:score|level|band|rating|points)\b(?!\s+of\b))/,
+  /\b(?:score|rate|grade|mark)\s+(?:this|my|these|each|every|all)\s+(?:of\s+(?:my|these)\s+)?(?:answers?|responses?|submissions?|dimensions?)\b/,
+  /\b(?:evaluator|grader|assessor)\b[^.\n]{0,30}\b(?:must|should|shall|will|needs? to|has to)\b[^.\n]{0,30}\b(?:score|rate|grade|mark|give|assign|award)\b/,
+  /\b(?:respond|reply|return|output)\b[^.\n]{0,30}\bonly\b[^.\n]{0,30}\bjson\b/,
+  /<\/?\s*(?:system|assistant|user|answer|attachment|instructions?)\b[^>]*>/,
+  /\b(?:ignore|ignora|desconsidere|esqueca|olvida|olvide)\s+(?:todas\s+)?(?:as\s+|las\s+)?(?:instrucoes|instrucciones|indicaciones|orientacoes)\b/,
+  /\b(?:atribua|avalie|pontue|classifique|asigna|asigne|califica|califique|puntua|puntue)\b[^.\n]{0,40}(?:\b(?:como|nivel|nota)\s+["'“]?(?:referencia|referente)\b(?!\s*[-\w])|\b(?:nota maxima|nota 5|pontuacao maxima|puntuacion maxima)\b)/,
+];
+
+// Tags the prompt wraps user text in
+const PROMPT_TAGS = /<(\/?)\s*(answer|attachment|calculator)\b/gi;
+
+/**
+ * Whether a value is a plain object.
+ *
+ * @param {*} value
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check the evaluate payload against the size limits and the rubric.
+ * Throws an error tagged with statusCode 413 for oversized content and
+ * 400 for malformed content.
+ *
+ * @param {{profile: Object, answers: Object, attachments?: Object}} payload
+ * @param {Object} rubric
+ */
+function checkEvaluatePayload(payload, rubric) {
+  const { profile, answers, attachments } = payload;
+  if (!isObject(profile) || !isObject(answers)) throw httpError(400, 'Invalid request payload.');
+  PROFILE_FIELDS.forEach((field) => {
+    const value = profile[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') throw httpError(400, `Profile field "${field}" must be text.`);
+    if (value.length > MAX_PROFILE_CHARS) throw httpError(413, `Profile field "${field}" is longer than the ${MAX_PROFILE_CHARS}-character limit.`);
+  });
+  Object.keys(answers).forEach((key) => checkAnswer(key, answers[key]));
+  if (attachments === undefined || attachments === null) return;
+  if (!isObject(attachments)) throw httpError(400, 'Attachments must be an object keyed by question.');
+  const keys = rubric.dimensions.map((d) => d.key);
+  Object.keys(attachments).forEach((key) => {
+    const attachment = attachments[key];
+    if (!keys.includes(key)) throw httpError(400, `Attachment for unknown question "${key}".`);
+    if (!isObject(attachment) || typeof attachment.name !== 'string' || typeof attachment.content !== 'string') {
+      throw httpError(400, `Attachment for "${key}" needs a name and content.`);
+    }
+    if (attachment.content.length > MAX_ATTACHMENT_CHARS) {
+      throw httpError(413, `Attachment "${attachment.name.slice(0, 80)}" is larger than the ${formatBytes(MAX_FILE_BYTES)} limit.`);
+    }
+  });
+}
+
+/**
+ * Check one answer: it must be text within MAX_ANSWER_CHARS.
+ *
+ * @param {string} key
+ * @param {*} answer
+ */
+function checkAnswer(key, answer) {
+  if (typeof answer !== 'string') throw httpError(400, `Answer to "${key}" must be text.`);
+  if (answer.length > MAX_ANSWER_CHARS) throw httpError(413, `Answer to "${key}" is longer than the ${MAX_ANSWER_CHARS}-character limit.`);
+}
+
+/**
+ * Whether a PHONE candidate is a phone number rather than a date, a
+ * range of years or an amount with thousands separators.
+ *
+ * @param {string} candidate
+ */
+function isPhoneNumber(candidate) {
+  const digits = candidate.replace(/\D/g, '').length;
+  if (digits < 8 || digits > 15) return false;
+  if (/^\d{4}\s?[-–]\s?\d{4}$/.test(candidate)) return false;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(candidate)) return false;
+  return !/^\d{1,3}(?:[., ]\d{3})+$/.test(candidate);
+}
+
+/**
+ * Replace email addresses and phone numbers with [email] and [phone].
+ *
+ * @param {string} text
+ * @returns {{text: string, emails: number, phones: number}}
+ */
+function redact(text) {
+  let emails = 0;
+  let phones = 0;
+  const out = String(text || '')
+    .replace(EMAIL, () => {
+      emails += 1;
+      return '[email]';
+    })
+    .replace(PHONE, (candidate) => {
+      if (!isPhoneNumber(candidate.trim())) return candidate;
+      phones += 1;
+      return '[phone]';
+    });
+  return { text: out, emails, phones };
+}
+
+/**
+ * Prepare the input of the model in privacy mode: identifying profile
+ * fields are dropped, and emails and phone numbers are redacted from the
+ * answers and the extracted attachment text.
+ *
+ * @param {Object} profile
+ * @param {Object} answers
+ * @param {Object} attachments extracted attachments keyed by question
+ * @returns {{profile: Object, answers: Object, attachments: Object,
+ *   privacy: {profileWithheld: string[], emails: number, phones: number}}}
+ */
+function redactForModel(profile, answers, attachments) {
+  const privacy = { profileWithheld: IDENTIFYING_FIELDS.filter((field) => profile && profile[field]), emails: 0, phones: 0 };
+  const clean = (text) => {
+    const result = redact(text);
+    privacy.emails += result.emails;
+    privacy.phones += result.phones;
+    return result.text;
+  };
+  const safeProfile = {};
+  Object.keys(profile || {}).forEach((field) => {
+    if (!IDENTIFYING_FIELDS.includes(field)) safeProfile[field] = profile[field];
+  });
+  const safeAnswers = {};
+  Object.keys(answers || {}).forEach((key) => {
+    safeAnswers[key] = clean(answers[key]);
+  });
+  const safeAttachments = {};
+  Object.keys(attachments || {}).forEach((key) => {
+    const attachment = attachments[key];
+    safeAttachments[key] = Object.assign({}, attachment, attachment.text ? { text: clean(attachment.text) } : {});
+  });
+  return { profile: safeProfile, answers: safeAnswers, attachments: safeAttachments, privacy };
+}
+
+/**
+ * Keep user text from closing or opening the tags the prompt wraps it in.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function fence(text) {
+  return String(text || '').replace(PROMPT_TAGS, '‹$1$2');
+}
+
+/**
+ * Find the first phrase in a text that reads like an instruction to the
+ * evaluator.
+ *
+ * @param {string} text
+ * @returns {string|null} the phrase, or null when none is found
+ */
+function findInjection(text) {
+  const folded = fold(String(text || '')).toLowerCase();
+  for (const pattern of INJECTION_PATTERNS) {
+    const match = folded.match(pattern);
+    if (match) return match[0].slice(0, 80);
+  }
+  return null;
+}
+
+/**
+ * Look for suspected prompt injection in the answers and the extracted
+ * attachment text.
+ *
+ * @param {Object} answers
+ * @param {Object} [attachments] extracted attachments keyed by question
+ * @returns {{suspected: boolean, findings: Array<{key: string, source: string, excerpt: string}>}|null}
+ *   null when nothing was found
+ */
+function detectInjection(answers, attachments) {
+  const findings = [];
+  Object.keys(answers || {}).forEach((key) => {
+    const excerpt = findInjection(answers[key]);
+    if (excerpt) findings.push({ key, source: 'answer', excerpt });
+  });
+  Object.keys(attachments || {}).forEach((key) => {
+    const excerpt = findInjection(attachments[key] && attachments[key].text);
+    if (excerpt) findings.push({ key, source: 'attachment', excerpt });
+  });
+  return findings.length ? { suspected: true, findings } : null;
+}
+
+module.exports = {
+  MAX_EVALUATE_BODY_BYTES,
+  MAX_ANSWER_CHARS,
+  IDENTIFYING_FIELDS,
+  checkEvaluatePayload,
+  checkAnswer,
+  redact,
+  redactForModel,
+  fence,
+  detectInjection,
+};
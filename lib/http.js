@@ -0,0 +1,205 @@
+// Small request/response helpers shared by the serverless endpoints.
+
+// Largest request body accepted unless an endpoint allows more, in bytes.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error tagged with the HTTP status to answer with.
+ *
+ * @param {number} statusCode
+ * @param {string} message
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Format a byte count as whole megabytes, or kilobytes below 1 MB.
+ *
+ * @param {number} bytes
+ */
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Buffer the request body and parse it as JSON. Resolves with an empty
+ * object for an empty body and rejects with a 400-tagged error when the
+ * body is not a valid JSON object (`null`, arrays and other values are
+ * refused too), and with a 413-tagged error as soon as the body grows
+ * past `maxBytes`.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {number} [maxBytes]
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than the ${formatBytes(maxBytes)} limit.`);
+    const declared = parseInt((req.headers && req.headers['content-length']) || '', 10);
+    if (declared > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+    let body = '';
+    let size = 0;
+    let rejected = false;
+    req.on('data', (chunk) => {
+      if (rejected) return;
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Stop buffering; the rest of the body is read and dropped
+        rejected = true;
+        body = '';
+        reject(tooLarge());
+        return;
+      }
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (rejected) return;
+      let parsed;
+      try {
+        parsed = JSON.parse(body || '{}');
+      } catch (err) {
+        reject(httpError(400, 'Request body is not valid JSON.'));
+        return;
+      }
+      if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        reject(httpError(400, 'Request body must be a JSON object.'));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse the query string of a request. Uses `req.query` when the
+ * platform (e.g. Vercel) has already parsed it.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {Object<string, string>}
+ */
+function queryOf(req) {
+  if (req.query && typeof req.query === 'object') return req.query;
+  const url = new URL(req.url || '/', 'http://localhost');
+  return Object.fromEntries(url.searchParams.entries());
+}
+
+/**
+ * Owner key sent with a request in the `X-Owner-Key` header (see
+ * ./store), or '' when there is none.
+ *
+ * @param {http.IncomingMessage} req
+ */
+function ownerKeyOf(req) {
+  return String((req.headers && req.headers['x-owner-key']) || '').trim();
+}
+
+/**
+ * Send a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} payload
+ */
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Whether the client asked for a streamed response, with `?stream=1` or
+ * by accepting newline-delimited JSON.
+ *
+ * @param {http.IncomingMessage} req
+ */
+function wantsStream(req) {
+  const { stream } = queryOf(req);
+  return stream === '1' || stream === 'true' || /application\/x-ndjson/i.test((req.headers && req.headers.accept) || '');
+}
+
+/**
+ * Start a streamed response of newline-delimited JSON events. Returns
+ * the function that sends one event; end the response when done.
+ *
+ * @param {http.ServerResponse} res
+ * @returns {(event: Object) => void}
+ */
+function startStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  // Keep proxies from holding events back
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (res.flushHeaders) res.flushHeaders();
+  return (event) => {
+    res.write(`${JSON.stringify(event)}\n`);
+  };
+}
+
+/**
+ * Send a file as a download.
+ *
+ * @param {http.ServerResponse} res
+ * @param {Buffer} data
+ * @param {string} contentType
+ * @param {string} fileName
+ */
+function sendFile(res, data, contentType, fileName) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Length', data.length);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/"/g, '')}"`);
+  res.end(data);
+}
+
+/**
+ * Let work go on after the response has been sent. On Vercel the
+ * function is kept alive until the promise settles, through the request
+ * context `waitUntil` of @vercel/functions also uses; elsewhere the work
+ * just runs on, and a platform may stop it with the function, so it
+ * should be work that can be picked up again later.
+ *
+ * @param {Promise} promise must not reject
+ */
+function afterResponse(promise) {
+  const context = globalThis[Symbol.for('@vercel/request-context')];
+  const request = context && typeof context.get === 'function' ? context.get() : null;
+  if (request && typeof request.waitUntil === 'function') request.waitUntil(promise);
+}
+
+/**
+ * Reject a request whose method is not in the allowed list. Returns true
+ * when the response has been sent.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string[]} methods
+ */
+function rejectMethod(req, res, methods) {
+  if (methods.includes(req.method)) return false;
+  res.setHeader('Allow', methods.join(', '));
+  sendJson(res, 405, { error: 'Method not allowed' });
+  return true;
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  httpError,
+  formatBytes,
+  readJsonBody,
+  queryOf,
+  ownerKeyOf,
+  sendJson,
+  wantsStream,
+  startStream,
+  sendFile,
+  afterResponse,
+  rejectMethod,
+};
@@ -0,0 +1,175 @@
+// Locale support shared by the server and the browser.
+//
+// English is the source language: the scoring modules, the rubric files
+// and index.html are written in English, and every other language is a
+// set of translations layered on top. A language module in ./locales
+// (pt, es) provides the UI strings keyed by their English text, the
+// report texts of ./scoring and ./rules, the phrases and patterns the
+// heuristic scorer looks for, and role titles. Rubric texts are
+// translated by overlay files next to the rubric (rubrics/i18n/<id>.<locale>.json)
+// and applied with localizeRubric.
+//
+// In the browser the language modules must be loaded before this file;
+// they register themselves on `ThreeWhysLocales`. Keep it free of
+// Node-only APIs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory({ pt: require('./locales/pt'), es: require('./locales/es') });
+  } else {
+    root.ThreeWhysI18n = factory(root.ThreeWhysLocales || {});
+  }
+})(typeof self !== 'undefined' ? self : this, function (locales) {
+  const DEFAULT_LOCALE = 'en';
+  const SUPPORTED_LOCALES = [DEFAULT_LOCALE].concat(Object.keys(locales));
+
+  // Names of the languages in English, used in the LLM prompt
+  const LANGUAGE_NAMES = { en: 'English' };
+  // Names of the languages in the language itself, used by the picker
+  const NATIVE_NAMES = { en: 'English' };
+  Object.keys(locales).forEach((code) => {
+    LANGUAGE_NAMES[code] = locales[code].englishName;
+    NATIVE_NAMES[code] = locales[code].nativeName;
+  });
+
+  /**
+   * Map a locale tag ("pt-BR", "ES") to a supported locale, falling back
+   * to English.
+   *
+   * @param {string} [value]
+   * @returns {string}
+   */
+  function resolveLocale(value) {
+    const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(code) ? code : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Whether a locale tag names a supported locale.
+   *
+   * @param {string} value
+   */
+  function isSupportedLocale(value) {
+    return SUPPORTED_LOCALES.includes(String(value || '').trim().toLowerCase().split(/[-_]/)[0]);
+  }
+
+  /**
+   * Language data of a locale, or null for English.
+   *
+   * @param {string} locale
+   */
+  function localeData(locale) {
+    return locales[resolveLocale(locale)] || null;
+  }
+
+  /**
+   * Strip diacritics so "não" matches "nao" and "información" matches
+   * "informacion".
+   *
+   * @param {string} text
+   */
+  function fold(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Turn text into a file name part: compatibility forms and accented
+   * letters become plain ones ("Ação" gives "acao", "ﬁ" gives "fi"),
+   * and every run of other characters a single hyphen. Text with no
+   * letters or digits gives an empty string.
+   *
+   * @param {string} text
+   */
+  function slug(text) {
+    return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Fill `{name}` placeholders in a message.
+   *
+   * @param {string} template
+   * @param {Object} [vars]
+   */
+  function format(template, vars = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? vars[name] : match));
+  }
+
+  /**
+   * Translate a UI string given in English and fill its placeholders.
+   * Untranslated strings are returned in English.
+   *
+   * @param {string} locale
+   * @param {string} text English text
+   * @param {Object} [vars]
+   */
+  function translate(locale, text, vars) {
+    const data = localeData(locale);
+    const translated = data && data.ui[text];
+    return format(translated || text, vars);
+  }
+
+  /**
+   * Apply rubric translation overlays. An overlay may set `name`,
+   * `framework`, `guidance`, `levels` (the translated level names, lowest
+   * first) and, keyed like the rubric, `dimensions` (by key), `summaries`
+   * and `actions`. Level-keyed texts in an overlay use the English level
+   * names; every level-keyed map is renamed to the translated names.
+   *
+   * @param {Object} rubric resolved English rubric
+   * @param {Array<Object>} overlays applied in order (base rubric first)
+   * @param {string} locale
+   * @returns {Object} the localized rubric
+   */
+  function localizeRubric(rubric, overlays, locale) {
+    const out = Object.assign({}, rubric, { locale: resolveLocale(locale) });
+    out.dimensions = rubric.dimensions.map((dim) => Object.assign({}, dim, { templates: Object.assign({}, dim.templates) }));
+    out.summaries = Object.assign({}, rubric.summaries);
+    out.actions = Object.assign({}, rubric.actions);
+    let levels = rubric.levels;
+    overlays.filter(Boolean).forEach((overlay) => {
+      ['name', 'framework', 'guidance'].forEach((field) => {
+        if (overlay[field] !== undefined) out[field] = overlay[field];
+      });
+      if (overlay.levels) levels = overlay.levels;
+      Object.assign(out.summaries, overlay.summaries || {});
+      Object.assign(out.actions, overlay.actions || {});
+      const dims = overlay.dimensions || {};
+      out.dimensions = out.dimensions.map((dim) => {
+        const translated = dims[dim.key];
+        if (!translated) return dim;
+        return Object.assign({}, dim, translated, { templates: Object.assign({}, dim.templates, translated.templates || {}) });
+      });
+    });
+    // Rename level-keyed maps from the English to the translated level names
+    const rename = (map) => {
+      const renamed = {};
+      rubric.levels.forEach((level, i) => {
+        if (map[level] !== undefined) renamed[levels[i]] = map[level];
+      });
+      return renamed;
+    };
+    out.levels = levels.slice();
+    out.bands = rename(rubric.bands);
+    out.summaries = rename(out.summaries);
+    out.actions = rename(out.actions);
+    out.dimensions.forEach((dim) => {
+      dim.templates = rename(dim.templates);
+    });
+    return out;
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    LANGUAGE_NAMES,
+    NATIVE_NAMES,
+    resolveLocale,
+    isSupportedLocale,
+    localeData,
+    fold,
+    slug,
+    format,
+    translate,
+    localizeRubric,
+  };
+});
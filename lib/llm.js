@@ -0,0 +1,326 @@
+// LLM provider layer.
+//
+// Wraps any OpenAI-compatible Chat Completions endpoint – OpenAI itself,
+// Azure OpenAI deployments or a local server – behind a single
+// `complete(messages)` call. Base URL, model, temperature, timeout and
+// retry policy come from configuration (environment variables by
+// default). Failures are reported with typed errors so the endpoint can
+// tell an invalid key from a rate limit or unusable output. Completions
+// can be streamed, to report progress while the model writes.
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULTS = {
+  provider: 'openai',
+  baseUrl: 'https://api.openai.com/v1',
+  model: 'gpt-4o',
+  temperature: 0.3,
+  timeoutMs: 60000,
+  maxRetries: 2,
+  retryBaseMs: 500,
+  apiVersion: '2024-06-01',
+  samples: 1,
+};
+
+/**
+ * Base class for provider failures. `retryable` marks errors worth
+ * another attempt (timeouts, rate limits, 5xx responses).
+ */
+class LLMError extends Error {
+  constructor(message, { status = null, retryable = false, type = 'provider' } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.retryable = retryable;
+    this.type = type;
+  }
+}
+
+/** The provider rejected the credentials (HTTP 401/403). */
+class LLMAuthError extends LLMError {
+  constructor(message, status) {
+    super(message, { status, retryable: false, type: 'auth' });
+  }
+}
+
+/** The provider is throttling requests (HTTP 429). */
+class LLMRateLimitError extends LLMError {
+  constructor(message, retryAfterMs = null) {
+    super(message, { status: 429, retryable: true, type: 'rate_limit' });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** No response arrived within the configured timeout. */
+class LLMTimeoutError extends LLMError {
+  constructor(timeoutMs) {
+    super(`LLM request timed out after ${timeoutMs} ms`, { retryable: true, type: 'timeout' });
+  }
+}
+
+/** The provider answered, but not with a usable completion. */
+class LLMMalformedOutputError extends LLMError {
+  constructor(message) {
+    super(message, { retryable: false, type: 'malformed_output' });
+  }
+}
+
+/**
+ * Read provider configuration from environment variables:
+ *   LLM_PROVIDER       openai (default), azure or compatible
+ *   LLM_BASE_URL       API base URL, e.g. http://localhost:8787/v1
+ *   LLM_MODEL          model name (the deployment name on Azure)
+ *   LLM_TEMPERATURE    sampling temperature
+ *   LLM_API_KEY        API key (falls back to OPENAI_API_KEY)
+ *   LLM_TIMEOUT_MS     time allowed for each request, response included
+ *   LLM_MAX_RETRIES    retries after the first attempt
+ *   LLM_API_VERSION    api-version query parameter for Azure
+ *   LLM_PRIVACY_MODE   1/true to keep identifying profile fields, email
+ *                      addresses and phone numbers out of every request
+ *   LLM_SAMPLES        evaluations sampled per assessment; above 1 the
+ *                      report takes the median score of each dimension
+ *                      (see ./assess)
+ *
+ * @param {Object} [env]
+ */
+function loadConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  return {
+    provider: (env.LLM_PROVIDER || DEFAULTS.provider).toLowerCase(),
+    baseUrl: (env.LLM_BASE_URL || DEFAULTS.baseUrl).replace(/\/+$/, ''),
+    model: env.LLM_MODEL || DEFAULTS.model,
+    temperature: number(env.LLM_TEMPERATURE, DEFAULTS.temperature),
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY || '',
+    timeoutMs: number(env.LLM_TIMEOUT_MS, DEFAULTS.timeoutMs),
+    maxRetries: Math.max(0, Math.floor(number(env.LLM_MAX_RETRIES, DEFAULTS.maxRetries))),
+    retryBaseMs: number(env.LLM_RETRY_BASE_MS, DEFAULTS.retryBaseMs),
+    apiVersion: env.LLM_API_VERSION || DEFAULTS.apiVersion,
+    privacyMode: /^(1|true|yes|on)$/i.test(env.LLM_PRIVACY_MODE || ''),
+    samples: Math.max(1, Math.floor(number(env.LLM_SAMPLES, DEFAULTS.samples))),
+  };
+}
+
+/**
+ * Whether the configuration is complete enough to call a model. Local
+ * OpenAI-compatible servers usually need no key, so an explicit base
+ * URL with the `compatible` provider is enough.
+ *
+ * @param {Object} config
+ */
+function isConfigured(config) {
+  if (config.apiKey) return true;
+  return config.provider === 'compatible' && Boolean(config.baseUrl);
+}
+
+/**
+ * Send a JSON POST request and resolve with the status code, headers and
+ * raw body. Rejects with LLMTimeoutError when the response has not
+ * completed within `timeoutMs` of sending, and with LLMError on network
+ * failures.
+ *
+ * @param {string} url
+ * @param {Object} headers
+ * @param {Object} payload
+ * @param {number} timeoutMs
+ * @param {(chunk: string, headers: Object) => void} [onChunk] called with
+ *   each chunk of a successful response as it arrives
+ */
+function postJson(url, headers, payload, timeoutMs, onChunk) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const data = JSON.stringify(payload);
+    const fail = (err) => {
+      clearTimeout(deadline);
+      reject(err instanceof LLMError ? err : new LLMError(`LLM request failed: ${err.message}`, { retryable: true, type: 'network' }));
+    };
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+      }, headers),
+    }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (onChunk && res.statusCode >= 200 && res.statusCode < 300) onChunk(chunk, res.headers);
+      });
+      res.on('end', () => {
+        clearTimeout(deadline);
+        resolve({ status: res.statusCode, headers: res.headers, body });
+      });
+      // Aborting mid-response errors the response, not the request
+      res.on('error', (err) => fail(timedOut ? new LLMTimeoutError(timeoutMs) : err));
+    });
+    // A deadline for the whole exchange: a socket timeout only measures
+    // idle time, so a stream that keeps trickling would never end
+    let timedOut = false;
+    const deadline = setTimeout(() => {
+      timedOut = true;
+      req.destroy(new LLMTimeoutError(timeoutMs));
+    }, timeoutMs);
+    req.on('error', fail);
+    req.write(data);
+    req.end();
+  });
+}
+
+/**
+ * Turn a non-2xx response into the matching error class.
+ *
+ * @param {{status: number, headers: Object, body: string}} response
+ */
+function errorForResponse(response) {
+  let detail = '';
+  try {
+    const parsed = JSON.parse(response.body);
+    detail = (parsed.error && (parsed.error.message || parsed.error)) || '';
+  } catch (err) {
+    detail = response.body.slice(0, 200);
+  }
+  const message = `LLM provider returned ${response.status}${detail ? `: ${detail}` : ''}`;
+  if (response.status === 401 || response.status === 403) return new LLMAuthError(message, response.status);
+  if (response.status === 429) {
+    const retryAfter = parseFloat(response.headers['retry-after']);
+    return new LLMRateLimitError(message, Number.isFinite(retryAfter) ? retryAfter * 1000 : null);
+  }
+  return new LLMError(message, { status: response.status, retryable: response.status >= 500 });
+}
+
+/**
+ * Read a streamed completion (server-sent events) as it arrives. Each
+ * `data:` line carries a piece of the message content; `onText` is
+ * called with the content received so far. Responses that are not an
+ * event stream are ignored, as some compatible servers answer a
+ * streaming request with a single JSON body.
+ *
+ * @param {(content: string) => void} onText
+ */
+function eventStreamReader(onText) {
+  let buffer = '';
+  let content = '';
+  const reader = {
+    streamed: false,
+    content: () => content,
+    push(chunk, headers) {
+      if (!/text\/event-stream/i.test(headers['content-type'] || '')) return;
+      reader.streamed = true;
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      lines.forEach((line) => {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') return;
+        let delta;
+        try {
+          const event = JSON.parse(data);
+          delta = event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+        } catch (err) {
+          return;
+        }
+        if (typeof delta !== 'string' || !delta) return;
+        content += delta;
+        onText(content);
+      });
+    },
+  };
+  return reader;
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ *
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a provider for the given configuration.
+ *
+ * @param {Object} [config] defaults to loadConfig()
+ * @returns {{name: string, model: string, complete: Function}}
+ */
+function createProvider(config = loadConfig()) {
+  const azure = config.provider === 'azure';
+  const url = azure
+    ? `${config.baseUrl}/openai/deployments/${encodeURIComponent(config.model)}/chat/completions?api-version=${encodeURIComponent(config.apiVersion)}`
+    : `${config.baseUrl}/chat/completions`;
+  const headers = {};
+  if (config.apiKey) {
+    if (azure) {
+      headers['api-key'] = config.apiKey;
+    } else {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+  }
+
+  /**
+   * Request a chat completion and resolve with the message content.
+   * Retryable failures are retried with exponential backoff. With
+   * `onText` the completion is streamed and `onText` is called with the
+   * content received so far; a retry starts the content over.
+   *
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {{temperature?: number, json?: boolean, onText?: Function}} [options]
+   * @returns {Promise<string>}
+   */
+  async function complete(messages, options = {}) {
+    const payload = {
+      temperature: options.temperature !== undefined ? options.temperature : config.temperature,
+      messages,
+    };
+    if (!azure) payload.model = config.model;
+    if (options.json !== false) payload.response_format = { type: 'json_object' };
+    if (options.onText) payload.stream = true;
+    let attempt = 0;
+    for (;;) {
+      try {
+        const reader = options.onText ? eventStreamReader(options.onText) : null;
+        const response = await postJson(url, headers, payload, config.timeoutMs, reader && reader.push);
+        if (response.status < 200 || response.status >= 300) throw errorForResponse(response);
+        let content;
+        if (reader && reader.streamed) {
+          content = reader.content();
+        } else {
+          let json;
+          try {
+            json = JSON.parse(response.body);
+          } catch (err) {
+            throw new LLMMalformedOutputError('LLM provider returned a body that is not JSON');
+          }
+          content = json.choices && json.choices[0] && json.choices[0].message && json.choices[0].message.content;
+          if (reader && typeof content === 'string') options.onText(content);
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+          throw new LLMMalformedOutputError('LLM provider returned no message content');
+        }
+        return content;
+      } catch (err) {
+        if (!(err instanceof LLMError) || !err.retryable || attempt >= config.maxRetries) throw err;
+        const backoff = config.retryBaseMs * 2 ** attempt * (1 + Math.random() * 0.25);
+        await sleep(err.retryAfterMs ? Math.max(err.retryAfterMs, backoff) : backoff);
+        attempt += 1;
+      }
+    }
+  }
+
+  return { name: config.provider, model: config.model, complete };
+}
+
+module.exports = {
+  LLMError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMMalformedOutputError,
+  loadConfig,
+  isConfigured,
+  createProvider,
+};
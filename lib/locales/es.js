@@ -0,0 +1,425 @@
+// Spanish language module (see ../i18n).
+//
+// Patterns are matched against answers folded to plain letters ("años"
+// becomes "anos"), so they are written without diacritics. Group labels,
+// rule texts and report wording are shown to the reader and keep them.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ThreeWhysLocales = root.ThreeWhysLocales || {};
+    root.ThreeWhysLocales.es = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  return {
+    englishName: 'Spanish',
+    nativeName: 'Español',
+
+    // Interface strings of index.html, keyed by their English text
+    ui: {
+      'Language': 'Idioma',
+      'Name': 'Nombre',
+      'Role': 'Cargo',
+      'Email': 'Correo electrónico',
+      'Organization': 'Organización',
+      'e.g. Ingrid': 'p. ej.: Ingrid',
+      'e.g. Head of Product': 'p. ej.: Directora de Producto',
+      'e.g. me@example.com': 'p. ej.: yo@ejemplo.com',
+      'e.g. SalesSparx': 'p. ej.: SalesSparx',
+      'This short assessment helps you craft and evaluate a powerful value proposition using the Three Whys framework: <strong>Why change?</strong> <strong>Why now?</strong> and <strong>Why your company?</strong> You’ll provide some basic information about yourself and then answer {count} questions. We’ll analyse your responses and generate a detailed report with tailored coaching and next steps.':
+        'Esta breve evaluación le ayuda a crear y evaluar una propuesta de valor sólida con el modelo de los Tres Porqués: <strong>¿Por qué cambiar?</strong> <strong>¿Por qué ahora?</strong> y <strong>¿Por qué su empresa?</strong> Primero indicará algunos datos básicos sobre usted y luego responderá {count} preguntas. Analizaremos sus respuestas y generaremos un informe detallado con recomendaciones personalizadas y próximos pasos.',
+      'View Past Assessments': 'Ver evaluaciones anteriores',
+      'Continue': 'Continuar',
+      'Please fill in all fields.': 'Complete todos los campos.',
+      'Privacy mode: keep my name, email and organization, and any email addresses or phone numbers in my answers, out of the AI evaluation': 'Modo de privacidad: no enviar mi nombre, correo electrónico y organización, ni los correos o teléfonos de mis respuestas, a la evaluación por IA',
+      'Possible tampering: these answers contain text that reads like instructions to the evaluator, so the scores may not be reliable.': 'Posible manipulación: estas respuestas contienen texto que parece dar instrucciones al evaluador, por lo que las puntuaciones pueden no ser fiables.',
+      'Privacy mode: your name, email and organization were not sent to the AI evaluator, and {count} email addresses or phone numbers were removed from your answers.': 'Modo de privacidad: su nombre, correo electrónico y organización no se enviaron al evaluador por IA, y se eliminaron {count} correos o teléfonos de sus respuestas.',
+      'Assessment Questions': 'Preguntas de la evaluación',
+      'Provide thoughtful responses to each of the questions below. Your answers should articulate the situation, urgency and differentiation in your value proposition. We’ve included examples to guide you. Detailed answers will yield more accurate and personalised feedback. You may optionally attach supporting documents (PDF, Word, PowerPoint or Excel) for each question.':
+        'Responda con detenimiento a cada una de las preguntas siguientes. Sus respuestas deben explicar la situación, la urgencia y la diferenciación de su propuesta de valor. Hemos incluido ejemplos para orientarle. Las respuestas detalladas permiten una valoración más precisa y personalizada. Si lo desea, adjunte documentos de apoyo (PDF, Word, PowerPoint o Excel) a cada pregunta.',
+      'Attach file (optional)': 'Adjuntar archivo (opcional)',
+      'Use the value calculator': 'Usar la calculadora de valor',
+      'Enter your figures to calculate the ROI, payback period and cost of delay. Your written answer is still scored.': 'Introduzca sus cifras para calcular el ROI, el plazo de recuperación y el coste del retraso. Su respuesta escrita se sigue evaluando.',
+      'Baseline metric': 'Métrica de base',
+      'e.g. qualified pipeline': 'p. ej.: pipeline cualificado',
+      'Currency': 'Moneda',
+      'Baseline value per month': 'Valor de base al mes',
+      'Expected lift (%)': 'Mejora esperada (%)',
+      'One-off cost': 'Coste inicial',
+      'Monthly cost': 'Coste mensual',
+      'Months to full adoption': 'Meses hasta la adopción completa',
+      'Timeframe (months)': 'Plazo (meses)',
+      'Check the value calculator: it needs a baseline value, an expected lift and a cost, in whole months.': 'Revise la calculadora de valor: necesita un valor de base, una mejora esperada y un coste, con plazos en meses enteros.',
+      'Back': 'Atrás',
+      'Submit': 'Enviar',
+      'Please complete all questions before submitting.': 'Responda a todas las preguntas antes de enviar.',
+      'Provisional level:': 'Nivel provisional:',
+      'Checking…': 'Comprobando…',
+      'Missing:': 'Falta:',
+      'Suggested rewrite': 'Reescritura sugerida',
+      'Use this rewrite': 'Usar esta versión',
+      'Your answer with placeholders for what is missing': 'Su respuesta con espacios para lo que falta',
+      'Use as a draft': 'Usar como borrador',
+      'Evaluating Your Responses…': 'Evaluando sus respuestas…',
+      'Please wait while we analyse your answers and generate your report.': 'Espere mientras analizamos sus respuestas y generamos su informe.',
+      'Reading your attachments ({count})…': 'Leyendo sus adjuntos ({count})…',
+      'The AI evaluator is scoring your answers…': 'El evaluador de IA está puntuando sus respuestas…',
+      'Scoring your answers…': 'Puntuando sus respuestas…',
+      '{count} of {total} AI evaluations finished…': '{count} de {total} evaluaciones por IA completadas…',
+      '{count} of {total} dimensions scored…': '{count} de {total} dimensiones puntuadas…',
+      'Writing your coaching and next actions…': 'Redactando sus recomendaciones y próximos pasos…',
+      'Value Proposition Results': 'Resultados de la propuesta de valor',
+      'Some attachments could not be analysed:': 'Algunos adjuntos no se pudieron analizar:',
+      'The AI evaluator was unavailable ({reason}), so this report was produced by the built‑in heuristic scorer.':
+        'El evaluador de IA no estaba disponible ({reason}), por lo que este informe lo generó el evaluador heurístico integrado.',
+      'Parts of this report ({count}) were completed or corrected automatically because the AI response did not match the expected format.':
+        'Algunas partes de este informe ({count}) se completaron o corrigieron automáticamente porque la respuesta de la IA no tenía el formato esperado.',
+      'Low confidence': 'Baja confianza',
+      'Low confidence: the AI evaluations of this answer gave scores of {scores}.': 'Baja confianza: las evaluaciones por IA de esta respuesta dieron las puntuaciones {scores}.',
+      'The built‑in scorer rated this answer {level} ({score}), {count} levels away from the AI evaluation.': 'El evaluador integrado calificó esta respuesta como {level} ({score}), a {count} niveles de la evaluación por IA.',
+      'Scores are the median of {count} AI evaluations of your answers.': 'Las puntuaciones son la mediana de {count} evaluaciones por IA de sus respuestas.',
+      'Only one of {count} AI evaluations succeeded, so their agreement could not be measured.': 'Solo una de {count} evaluaciones por IA se completó, por lo que no se pudo medir su concordancia.',
+      'Scores marked ⚠ are low confidence: the AI evaluations disagreed, or the AI and the built‑in scorer are two or more levels apart. Question that feedback before acting on it.': 'Las puntuaciones marcadas con ⚠ tienen baja confianza: las evaluaciones por IA no coincidieron, o la IA y el evaluador integrado están a dos o más niveles de distancia. Cuestione esa retroalimentación antes de actuar según ella.',
+      'Scores by Dimension': 'Puntuación por dimensión',
+      'Category': 'Categoría',
+      'Score': 'Puntuación',
+      'Level': 'Nivel',
+      'Why this level': 'Por qué este nivel',
+      'Recommendations': 'Recomendaciones',
+      'Role‑Tailored Coaching': 'Recomendaciones para su cargo',
+      'Area': 'Área',
+      'Description': 'Descripción',
+      'Headline': 'Titular',
+      'Urgency': 'Urgencia',
+      'Differentiators': 'Diferenciadores',
+      'Value Calculation Outline': 'Esquema del cálculo de valor',
+      'Next Actions': 'Próximos pasos',
+      'History': 'Historial',
+      'Compare': 'Comparar',
+      'Team Report': 'Informe del equipo',
+      'Export JSON': 'Exportar JSON',
+      'Save as PDF': 'Guardar como PDF',
+      'Download Word': 'Descargar Word',
+      'The Word document is only available when the server is reachable.': 'El documento Word solo está disponible cuando se puede acceder al servidor.',
+      'Prepared for {name}, {role}': 'Preparado para {name}, {role}',
+      'Average score': 'Puntuación media',
+      'Executive Summary': 'Resumen ejecutivo',
+      'Suggested Value Proposition': 'Propuesta de valor sugerida',
+      'How SalesSparx Can Help': 'Cómo puede ayudar SalesSparx',
+      'Page {page} of {pages}': 'Página {page} de {pages}',
+      'Print': 'Imprimir',
+      'New Assessment': 'Nueva evaluación',
+      'Past Assessments': 'Evaluaciones anteriores',
+      'Loading your assessment history…': 'Cargando su historial de evaluaciones…',
+      'Your assessment history is only available when the server is reachable.': 'Su historial de evaluaciones solo está disponible cuando el servidor está accesible.',
+      'Assessments submitted from this browser, newest first.': 'Evaluaciones enviadas desde este navegador, de la más reciente a la más antigua.',
+      'Assessments submitted from this browser for <strong>{organization}</strong>, newest first.': 'Evaluaciones enviadas desde este navegador para <strong>{organization}</strong>, de la más reciente a la más antigua.',
+      'No assessments found yet.': 'Todavía no hay evaluaciones.',
+      'Date': 'Fecha',
+      'Band': 'Banda',
+      'Select for comparison': 'Seleccionar para comparar',
+      'Open': 'Abrir',
+      'Delete': 'Eliminar',
+      'Compare Selected': 'Comparar seleccionadas',
+      'Select exactly two assessments to compare.': 'Seleccione exactamente dos evaluaciones para comparar.',
+      'This assessment could not be opened.': 'No se pudo abrir esta evaluación.',
+      'Delete this assessment permanently?': '¿Eliminar esta evaluación de forma permanente?',
+      'This assessment could not be deleted.': 'No se pudo eliminar esta evaluación.',
+      'Server returned an error': 'El servidor devolvió un error',
+      'Share': 'Compartir',
+      'Share Report': 'Compartir informe',
+      'Loading the links to this report…': 'Cargando los enlaces de este informe…',
+      'Reports can only be shared when the server is reachable.': 'Los informes solo se pueden compartir cuando el servidor está disponible.',
+      'Anyone with a link can view this report, but not your answers or your email address, and cannot change it. Revoke a link to close it.': 'Cualquier persona con un enlace puede ver este informe, pero no sus respuestas ni su correo electrónico, y no puede modificarlo. Revoque un enlace para cerrarlo.',
+      'New link:': 'Nuevo enlace:',
+      'Created': 'Creado',
+      'Expires': 'Caduca',
+      'Password': 'Contraseña',
+      'Status': 'Estado',
+      'Active': 'Activo',
+      'Expired': 'Caducado',
+      'Revoked': 'Revocado',
+      'Never': 'Nunca',
+      'Yes': 'Sí',
+      'No': 'No',
+      'Copy Link': 'Copiar enlace',
+      'Copied': 'Copiado',
+      'Copy this link:': 'Copie este enlace:',
+      'Revoke': 'Revocar',
+      'Create a Link': 'Crear un enlace',
+      'After 1 day': 'Después de 1 día',
+      'After 7 days': 'Después de 7 días',
+      'After 30 days': 'Después de 30 días',
+      'Password (optional)': 'Contraseña (opcional)',
+      'The password must be at least 4 characters long.': 'La contraseña debe tener al menos 4 caracteres.',
+      'Create Link': 'Crear enlace',
+      'Revoke this link? Anyone using it will no longer be able to open the report.': '¿Revocar este enlace? Quien lo use ya no podrá abrir el informe.',
+      'This link could not be revoked.': 'No se pudo revocar este enlace.',
+      'A read-only report shared with you.': 'Un informe de solo lectura compartido con usted.',
+      'A read-only report shared with you. The link works until {date}.': 'Un informe de solo lectura compartido con usted. El enlace funciona hasta el {date}.',
+      'Loading the shared report…': 'Cargando el informe compartido…',
+      'This shared report is protected by a password.': 'Este informe compartido está protegido con contraseña.',
+      'The password is not correct.': 'La contraseña no es correcta.',
+      'Open Report': 'Abrir informe',
+      'This shared report is only available when the server is reachable.': 'Este informe compartido solo está disponible cuando el servidor está disponible.',
+      'This link has expired or been revoked.': 'Este enlace ha caducado o ha sido revocado.',
+      'This shared report could not be found.': 'No se encontró este informe compartido.',
+      'Compare Assessments': 'Comparar evaluaciones',
+      'Choose two assessments of the same organization exported with <strong>Export JSON</strong> to see how the scores moved between them.':
+        'Elija dos evaluaciones de la misma organización exportadas con <strong>Exportar JSON</strong> para ver cómo cambiaron las puntuaciones entre ellas.',
+      'Earlier assessment (JSON export)': 'Evaluación anterior (exportación JSON)',
+      'Later assessment (JSON export)': 'Evaluación posterior (exportación JSON)',
+      'Leave empty to compare against the report you have open.': 'Déjelo vacío para comparar con el informe abierto.',
+      'Choose the later assessment.': 'Elija la evaluación posterior.',
+      'One of the files is not a valid JSON export.': 'Uno de los archivos no es una exportación JSON válida.',
+      'Not included in this export': 'No incluida en esta exportación',
+      'Assessment Comparison': 'Comparación de evaluaciones',
+      '<strong>{organization}</strong>: {before} compared with {after}.': '<strong>{organization}</strong>: {before} comparada con {after}.',
+      'earlier assessment': 'evaluación anterior',
+      'later assessment': 'evaluación posterior',
+      'The overall band moved up from <strong>{before}</strong> to <strong>{after}</strong>.': 'La banda general subió de <strong>{before}</strong> a <strong>{after}</strong>.',
+      'The overall band moved down from <strong>{before}</strong> to <strong>{after}</strong>.': 'La banda general bajó de <strong>{before}</strong> a <strong>{after}</strong>.',
+      'The overall band stayed at <strong>{band}</strong>.': 'La banda general se mantuvo en <strong>{band}</strong>.',
+      'Movement by Dimension': 'Evolución por dimensión',
+      'Change': 'Cambio',
+      'Earlier answer': 'Respuesta anterior',
+      'Later answer': 'Respuesta posterior',
+      'Building Team Report…': 'Preparando el informe del equipo…',
+      'Please wait while we combine the assessments from {organization}.': 'Espere mientras combinamos las evaluaciones de {organization}.',
+      'The team report is only available when the server is reachable.': 'El informe del equipo solo está disponible cuando el servidor está accesible.',
+      '{count} respondent': '{count} participante',
+      '{count} respondents': '{count} participantes',
+      'Average': 'Media',
+      'Spread': 'Dispersión',
+      'By role group': 'Por grupo de funciones',
+      'Where Roles Disagree': 'Dónde discrepan las funciones',
+      'No role groups are two or more levels apart on any dimension.': 'Ningún grupo de funciones está a dos o más niveles de distancia en ninguna dimensión.',
+      'Consolidated Next Actions': 'Próximos pasos consolidados',
+      'Respondents': 'Participantes',
+      'Role group': 'Grupo de funciones',
+      'Names, roles and the spread of scores are not shown, and averages of fewer than {count} people are left out.':
+        'No se muestran los nombres, los cargos ni la dispersión de las puntuaciones, y se omiten los promedios de menos de {count} personas.',
+      'Team Report: {organization}': 'Informe del equipo: {organization}',
+      'The team report of {organization} needs the invite key your administrator shared with the team.':
+        'El informe del equipo de {organization} necesita la clave de invitación que su administrador compartió con el equipo.',
+      'Invite key': 'Clave de invitación',
+      'The invite key is not correct.': 'La clave de invitación no es correcta.',
+      'Combines the latest assessment of everyone from {organization}, so you can see where your go‑to‑market team is aligned and where it is not.':
+        'Reúne la evaluación más reciente de todas las personas de {organization}, para que vea dónde está alineado su equipo comercial y dónde no.',
+    },
+
+    // Phrases that mark an answer as unknown, including the English ones.
+    // "no se" is left out: folded, "no sé" reads like "no se coordinan".
+    unknown: [
+      "i don't know", 'dont know', 'do not know', 'unknown', 'none', 'n/a', 'na', 'no idea', 'not sure', 'not applicable', 'no data',
+      'no lo se', 'yo no se', 'ni idea', 'no tengo idea', 'no estoy seguro', 'no estoy segura', 'no tengo', 'no tenemos', 'desconocido',
+      'ninguno', 'ninguna', 'nada', 'inexistente', 'no existe', 'no aplica', 'no disponible', 'sin datos', 'sin informacion',
+    ],
+    hedges: [
+      "i don't know", 'dont know', 'no idea', 'not sure', 'maybe', 'probably',
+      'no lo se', 'yo no se', 'quizas', 'quiza', 'tal vez', 'a lo mejor', 'creo que', 'supongo', 'probablemente', 'no estoy seguro', 'no estoy segura',
+    ],
+    jargon: [
+      'sinergia', 'sinergias', 'apalancar', 'de vanguardia', 'innovador', 'innovadora', 'disruptivo', 'disruptiva', 'revolucionario',
+      'revolucionaria', 'robusto', 'robusta', 'holistico', 'holistica', 'paradigma', 'ecosistema', 'de ultima generacion',
+      'escalable', 'empoderamiento', 'de clase mundial', 'llave en mano', 'valor anadido',
+    ],
+
+    // Added to the English patterns of the same name (see ../rules)
+    patterns: {
+      quantity: '\\b\\d[\\d,.]*\\s?(?:por ciento|mil\\b|millones|millon|horas?|dias?|semanas?|meses|mes\\b|anos?|minutos?|segundos?|puntos?|negocios|operaciones|vendedores?|usuarios?|clientes?|contratos?)',
+      buyer: '\\b(?:director(?:es|a|as)?|gerentes?|responsables?|lideres?|duenos?|fundador(?:es|a|as)?|ejecutiv[oa]s?|equipos?|compradores?|clientes?|empresas?|companias?|organizacion(?:es)?|negocios|minoristas?|hospitales|hospital|bancos?|fabricantes?|agencias?|vendedor(?:es|a|as)?|comerciales|profesionales)\\b',
+      pain: 'dificultad|\\bdolor|desafio|\\breto|problema|frustra|\\bpierd|\\bperd[eiy]|desperdic|\\blent[oa]s?\\b|ineficien|costos? alt|costes? alt|\\briesgo|cuello de botella|manual|inconsisten|dificil|no pued|incapaces|\\bfall',
+      consequence: 'lo que lleva a|provoc|llevando a|lleva a|resultando en|da como resultado|lo que significa|caus|costando|porque|como resultado|impacto|consecuencia|por eso|obligando|forzando|haciendo que',
+      emotionalStakes: '\\bmiedo|estres|presion|ansiedad|ansios|preocupa|agobi|desgast|burnout|verguenza|frustra|cansad|agotad|\\bdolor|pesadilla|\\bculpa',
+      timeBound: '\\b(?:en los proximos|en las proximas|dentro de|en menos de)\\s+(?:\\d+|un|una|dos|tres|cuatro|cinco|seis|doce)\\b|\\b\\d+\\s*(?:[-–]\\s*\\d+\\s*)?(?:mes(?:es)?|semanas?|trimestres?|dias?)\\b|\\b(?:este|esta|el proximo|la proxima|proximo|proxima) (?:ano|trimestre|mes|semestre|ejercicio)\\b|\\bplazo|fecha limite|\\bantes de(?:l)? (?:final|fin) d|(?:fin|final) de ano|ciclo presupuestario|presupuesto|renovacion|fiscal',
+      catalyst: 'regula|cumplimiento|normativa|\\bley\\b|\\bleyes\\b|obligatori|competencia|competidor|cambio de mercado|disrup|\\bia\\b|inteligencia artificial|financiacion|ronda de inversion|adquisicion|fusion|lanzamiento|nueva direccion|nuevo (?:ceo|cro|director)|reorganiza|reestructura|economi|inflacion|recesion|tipos de interes|tasas de interes|subida de precios|aumento de precios|contrato|fin de vida|vence|expira|consejo|inversor|despidos|congelacion de contrataciones|arancel',
+      costOfDelay: 'retras|\\besperar|\\bespera\\b|quedarse atras|quedando atras|\\bpierd|\\bperd[eiy]|demasiado tarde|ventana|coste de no actuar|costo de no actuar|cada (?:mes|trimestre|semana|dia)|\\bantes\\b|de lo contrario|si no\\b',
+      buyerLink: '\\b(?:ellos|ellas|sus|su|compradores?|clientes?|equipos?)\\b',
+      proof: '\\b\\d[\\d,.]*\\+?\\s*(?:clientes|empresas|organizaciones|marcas|equipos|implantaciones|proyectos)|caso de estudio|casos de exito|caso de exito|testimonio|premi|certifica|reconocid|\\bayudamos\\b|\\bayudo\\b|confian en|trayectoria|referencias?\\b|resenas\\b|\\b\\d+(?:[.,]\\d+)?\\s*por ciento',
+      emotional: '\\bdeje de|\\bbasta de|\\bnunca\\b|por fin|imagine|imagina|\\bmiedo|\\bpierd|\\bperd[eiy]|\\bgan[aeo]|cansad|frustra|confian|libertad|orgullo|audaz|prosper|tranquilidad|dormir|pesadilla|\\bdolor|\\bamar?\\b|\\bodi[ao]|sueno|sin miedo|imparable|transform|\\bheroe|ambicion|ambicios|segur',
+      logical: 'ingresos|facturacion|\\bcoste|\\bcosto|beneficio|mas rapido|ahorr|crecimiento|resultados|probad|demostrad|\\bdatos\\b|pipeline|tasa de (?:conversion|cierre|exito)|margen|eficien|productividad',
+      assumptions: 'supo|suponiendo|premisa|basad[oa] en|con base en|linea base|\\bdado que|siempre que|\\bsi\\b|con equipos? de|\\bpor (?:vendedor|comercial|usuario|mes|ano|operacion|cliente)|promedio|\\bmedia\\b|tipic|referencia|actualmente|\\bhoy\\b',
+      buyerFraming: '\\b(?:usted|ustedes|tu|tus|su|sus|clientes?|equipos?|compradores?|vendedor(?:es)?|comerciales)\\b',
+      impact: 'aument|reduc|\\brecort|crec|mejor|ahorr|impuls|aceler|acort|previsib|mas rapido|\\bmas\\b|\\bmenos\\b|\\bsin\\b|elimin|duplic|\\bgan[aeo]',
+      helpVerb: '\\bayud|\\bpermit|\\bcapacit|\\bpara que|\\bque\\b|\\bpara\\b',
+      relevance: 'para que|lo que significa|\\bayud',
+      directAddress: '\\b(?:usted|ustedes|tu|tus|su|sus)\\b',
+    },
+    differentiatorGroups: {
+      'proprietary IP': { label: 'propiedad intelectual', pattern: 'propietari|patente|\\bpropi[oa]s?\\b|desarrollad[oa] internamente' },
+      'methodology': { label: 'metodología', pattern: 'metodo|enfoque|proceso|\\bmodelo\\b' },
+      'expertise': { label: 'experiencia', pattern: 'especialista|experiencia|\\banos\\b|especializ|veteran|conocimiento profundo|expert' },
+      'technology': { label: 'tecnología', pattern: 'tecnologi|plataforma|\\bia\\b|automati|integra|\\bdatos\\b|herramienta' },
+      'uniqueness': { label: 'exclusividad', pattern: '\\bunic[oa]s?\\b|\\bsolo\\b|\\bsolamente\\b|a diferencia de|exclusiv|\\bprimer[oa]?s?\\b|nadie mas' },
+      'people': { label: 'personas', pattern: 'equipo de|consultores|personas|asesores|certificad' },
+      'speed': { label: 'rapidez', pattern: 'mas rapid|\\brapid|velocidad|en dias|en semanas|\\bagil' },
+      'price': { label: 'precio', pattern: 'asequible|rentable|\\bprecio|mas barat|menor coste|menor costo|tarifa fija' },
+      'partnership': { label: 'acompañamiento', pattern: 'soporte|\\bsocio|dedicad|acompanamiento|atencion|servicio' },
+      'combination': { label: 'combinación', pattern: 'combin|de principio a fin|integral|todo en uno|\\bambos\\b' },
+    },
+    outcomeGroups: {
+      'time saved': { label: 'tiempo ahorrado', pattern: 'tiempo|horas?|dias?|semanas?|mas rapido|ciclo|incorporacion|velocidad|antes' },
+      'revenue lift': { label: 'aumento de ingresos', pattern: 'ingresos|facturacion|pipeline|ventas|tasa de (?:cierre|conversion|exito)|negocio|crecimiento|conversion|ticket' },
+      'risk avoided': { label: 'riesgo evitado', pattern: 'riesgo|abandono|cumplimiento|\\berror|multa|sancion|caida|seguridad|\\bevit|retencion' },
+    },
+
+    // Labels and hints of the built-in rule sets, by set and rule id
+    rules: {
+      'why-change': {
+        buyer: { label: 'nombra al comprador', hint: 'un comprador o perfil concreto' },
+        pain: { label: 'describe un problema concreto', hint: 'un problema o dolor concreto' },
+        consequence: { label: 'explica las consecuencias del problema', hint: 'las consecuencias de no resolver el problema' },
+        quantified: { label: 'cuantifica el coste del problema', hint: 'una cifra que dimensione el problema' },
+        emotion: { label: 'transmite lo que está en juego emocionalmente', hint: 'lo que está en juego emocionalmente para el comprador' },
+        depth: { label: 'da suficiente detalle para convencer', hint: 'más detalle (al menos 25 palabras)' },
+      },
+      'why-now': {
+        timebound: { label: 'fija un detonante con plazo', hint: 'un plazo o una fecha límite concretos' },
+        catalyst: { label: 'nombra el catalizador de la urgencia', hint: 'el catalizador de mercado, regulatorio o competitivo' },
+        delay: { label: 'explica el coste de esperar', hint: 'lo que el comprador pierde si espera' },
+        quantified: { label: 'respalda la urgencia con cifras', hint: 'datos que muestren la magnitud del detonante' },
+        buyer: { label: 'vincula el detonante con el comprador', hint: 'un vínculo entre el detonante y el comprador' },
+        depth: { label: 'da suficiente detalle para convencer', hint: 'más detalle (al menos 25 palabras)' },
+      },
+      'why-your-company': {
+        differentiator: { label: 'nombra un diferenciador', hint: 'al menos un diferenciador' },
+        differentiators2: { label: 'nombra dos o más diferenciadores', hint: 'un segundo diferenciador' },
+        differentiators3: { label: 'nombra tres diferenciadores', hint: 'un tercer diferenciador' },
+        proof: { label: 'incluye una prueba', hint: 'una prueba, como un caso de éxito, un número de clientes o una métrica' },
+        relevance: { label: 'vincula los diferenciadores con el comprador', hint: 'por qué los diferenciadores importan al comprador' },
+        depth: { label: 'da suficiente detalle para convencer', hint: 'más detalle (al menos 25 palabras)' },
+      },
+      'emotion-logic': {
+        emotional: { label: 'usa lenguaje emocional', hint: 'un gancho emocional (miedo, ambición, alivio)' },
+        logical: { label: 'incluye un beneficio lógico o un dato', hint: 'un beneficio lógico o una cifra' },
+        balanced: { label: 'equilibra emoción y lógica', hint: 'un equilibrio entre emoción y lógica' },
+        concise: { label: 'es lo bastante corto para funcionar como titular', hint: 'un titular más corto (dos líneas como máximo)' },
+        buyer: { label: 'se dirige directamente al comprador', hint: 'dirigirse directamente al comprador ("usted", "su")' },
+        rambling: { label: 'parece un párrafo más que un titular' },
+      },
+      'buyer-as-hero': {
+        numbers: { label: 'incluye cifras', hint: 'cifras para los resultados esperados' },
+        units: { label: 'asigna unidades a las cifras', hint: 'unidades como %, €, horas o semanas' },
+        outcomes2: { label: 'cuantifica dos o más resultados', hint: 'al menos dos resultados cuantificados' },
+        outcomes3: { label: 'cuantifica tres o más resultados', hint: 'un tercer resultado cuantificado' },
+        categories: { label: 'cubre más de un tipo de resultado', hint: 'una combinación de tiempo ahorrado, aumento de ingresos y riesgo evitado' },
+        assumptions: { label: 'explica las premisas de las cifras', hint: 'las premisas de las cifras (línea base, tamaño del equipo)' },
+        buyer: { label: 'sitúa al comprador en el centro de los resultados', hint: 'el comprador como quien logra los resultados' },
+      },
+      'clarity': {
+        single: { label: 'es una sola frase', hint: 'una sola frase completa' },
+        buyer: { label: 'dice a quién sirve', hint: 'a quién sirve' },
+        problem: { label: 'dice qué problema resuelve', hint: 'el problema que resuelve' },
+        impact: { label: 'dice qué impacto genera', hint: 'el impacto que genera' },
+        plain: { label: 'evita la jerga' },
+        length: { label: 'es concisa (10–35 palabras)', hint: 'una extensión de 10–35 palabras' },
+        jargon: { label: 'se apoya en la jerga' },
+        sentences: { label: 'se extiende a varias frases' },
+      },
+      hedging: { label: 'duda con lenguaje poco seguro' },
+    },
+    explain: {
+      found: 'Su respuesta {items}.',
+      attachment: 'El archivo adjunto aportó pruebas de que {items}.',
+      calculator: 'La calculadora de valor aportó pruebas de que {items}.',
+      nothing: 'Su respuesta todavía no contiene las pruebas que busca esta dimensión.',
+      however: 'Sin embargo, {items}.',
+      missing: 'Falta: {items}.',
+      and: 'y',
+    },
+
+    // Report texts of ../scoring
+    coaching: {
+      headline: 'Eleve su propuesta de valor',
+      headlineExplain: 'Cree un gancho breve y emocional que capte la atención del comprador y resuma el cambio que usted hace posible. Que sea memorable e inspirador.',
+      urgency: 'Aclare lo que está en juego y vincule su hoja de ruta con resultados a corto plazo.',
+      urgencyExplain: 'Explique por qué importa actuar ahora. Vincule el problema del comprador con riesgos u oportunidades cercanos y demuestre el coste de esperar.',
+      differentiators: 'Destaque las capacidades únicas y las pruebas que le diferencian.',
+      differentiatorsExplain: 'Enumere dos o tres capacidades únicas e incluya al menos una prueba, como un caso de éxito o una métrica, para mostrar en qué se distingue.',
+      valueOutline: 'Defina las métricas de partida, las premisas de mejora y el plazo de retorno.',
+      valueOutlineExplain: 'Desglose el valor cuantitativo: métricas de partida, mejora esperada y plazo de retorno. Use datos reales o premisas razonables para ganar credibilidad.',
+      defaultCoaching: 'Como líder de negocio, alinéese con los equipos de otras áreas para construir una historia de valor común. Asegúrese de que sus objetivos apoyan la estrategia comercial y aporte su visión para mejorar la propuesta de valor. Fomente la colaboración y el aprendizaje continuo para ayudar a la organización a mejorar su mensaje.',
+      finalValuePlaceholder: 'Escriba aquí su propuesta de valor indicando con claridad a quién sirve, qué problema resuelve y qué impacto genera.',
+    },
+    // Checked in order against the folded, lowercase role title
+    roleCoaching: [
+      {
+        keywords: ['ceo', 'chief executive', 'director ejecutivo', 'directora ejecutiva', 'consejero delegado', 'consejera delegada'],
+        text: 'Como CEO, su principal responsabilidad es defender una propuesta de valor común en toda la organización. Impulse la alineación entre producto, marketing y ventas en torno a un relato compartido y asegúrese de que los recursos permiten ejecutar a tiempo. Vincule la historia de valor con los objetivos estratégicos, transmita urgencia a la organización y dé ejemplo en cada interacción.',
+      },
+      {
+        keywords: ['cfo', 'chief financial', 'director financiero', 'directora financiera'],
+        text: 'Como CFO, céntrese en alinear la inversión con su propuesta de valor. Use métricas financieras para cuantificar el coste de no actuar y el retorno de actuar ahora. Colabore con los responsables de ingresos y producto para que los presupuestos respalden las iniciativas clave e incorpore calculadoras de valor a la planificación. Demuestre disciplina financiera sin frenar el crecimiento.',
+      },
+      {
+        keywords: ['cro', 'chief revenue', 'director de ingresos', 'directora de ingresos'],
+        text: 'Como Chief Revenue Officer, debe unir ventas, marketing y éxito del cliente en torno a un relato de valor claro. Vincule los objetivos de ingresos con los Tres Porqués, exija coherencia en el mensaje y enseñe a los equipos a equilibrar emoción y lógica. Use los datos del pipeline para demostrar urgencia y orientar la asignación de recursos.',
+      },
+      {
+        keywords: ['cso', 'chief strategy', 'director de estrategia', 'directora de estrategia'],
+        text: 'Como Chief Strategy Officer, asegúrese de que la propuesta de valor forma parte de la planificación estratégica. Analice las tendencias del mercado y los movimientos de la competencia para anticipar por qué cambiar y por qué ahora. Convierta esas conclusiones en iniciativas concretas y comuníquelas con claridad para que toda la organización entienda su papel en la estrategia.',
+      },
+      {
+        keywords: ['cpo', 'chief product', 'director de producto', 'directora de producto'],
+        text: 'Como Chief Product Officer, debe traducir las capacidades del producto en resultados de negocio. Asegúrese de que su hoja de ruta cuente una historia coherente que refleje los problemas y ambiciones reales de los compradores. Colabore con marketing y ventas para validar que las nuevas funcionalidades responden a problemas de los clientes, con entrevistas y datos que revelen sus motivaciones emocionales.',
+      },
+      {
+        keywords: ['cio', 'chief information', 'director de sistemas', 'directora de sistemas', 'director de ti', 'directora de ti'],
+        text: 'Como CIO, su papel es habilitar la infraestructura tecnológica y de datos que sostiene su propuesta de valor. Aporte análisis para cuantificar la urgencia y los resultados, y asegúrese de que los sistemas recogen la opinión de los clientes para afinar el mensaje. Colabore con producto e ingresos para priorizar las inversiones digitales que refuerzan el relato.',
+      },
+      {
+        keywords: ['cto', 'chief technology', 'director de tecnologia', 'directora de tecnologia'],
+        text: 'Como CTO, céntrese en la innovación técnica que diferencia a su empresa. Explique cómo su arquitectura y su hoja de ruta resuelven de forma única los problemas de los compradores y permiten cambiar con rapidez. Trabaje con producto y marketing para traducir funcionalidades complejas en valor de negocio e inspirar confianza en su visión técnica.',
+      },
+      {
+        keywords: ['chro', 'chief human', 'director de rrhh', 'directora de rrhh', 'director de personas', 'directora de personas', 'recursos humanos'],
+        text: 'Como CHRO, alinee su estrategia de personas con la propuesta de valor. Asegúrese de que la selección, la formación y la gestión del desempeño refuercen los Tres Porqués para que todos sepan transmitir el mensaje. Fomente una cultura de colaboración entre áreas para cumplir la promesa y reconozca los comportamientos que refuerzan el relato.',
+      },
+      {
+        keywords: ['product', 'producto'],
+        text: 'Como responsable de producto, traduzca las capacidades del producto en resultados de negocio y asegúrese de que su hoja de ruta cuente una historia coherente. Trabaje de cerca con marketing y ventas para validar que las nuevas funcionalidades responden a problemas reales de los clientes. Use entrevistas y datos para descubrir motivaciones emocionales, alinee el mensaje con el mercado y ajuste los planes.',
+      },
+      {
+        keywords: ['marketing', 'mercadotecnia'],
+        text: 'Como responsable de marketing, céntrese en construir un relato claro que conecte con los miedos y ambiciones del comprador en todos los canales. Cree campañas basadas en pruebas cuantificadas y eduque a los leads sobre los Tres Porqués. Trabaje de cerca con ventas y producto para que mensajes y materiales se refuercen y afínelos con lo que aprenda del mercado.',
+      },
+      {
+        keywords: ['sales', 'seller', 'ventas', 'vendedor', 'vendedora', 'comercial'],
+        text: 'Como responsable de ventas, asegúrese de que su equipo entiende los Tres Porqués y sabe transmitirlos en conversaciones de cualquier duración. Enseñe a los comerciales a empezar por la emoción, respaldarla con lógica y adaptar la diferenciación al perfil del comprador. Recoja con regularidad la opinión de prospectos y clientes para afinar el mensaje y mejorar la tasa de cierre.',
+      },
+      {
+        keywords: ['director', 'directora'],
+        text: 'Como director o directora, tiene un papel clave para convertir la estrategia en ejecución diaria. Asegúrese de que su equipo entiende el relato de valor y cómo lo sostiene su trabajo. Traslade lo que aprende en primera línea para afinar el mensaje y coordine iniciativas entre áreas que refuercen los Tres Porqués.',
+      },
+    ],
+    attachmentOffline: 'La extracción de texto solo está disponible cuando el servidor está accesible.',
+
+    // Value calculation outline (see ../calculator)
+    calculator: {
+      outline: 'ROI del {roi} en {months} meses, recuperación de la inversión en {payback} meses y {delay} perdidos por cada mes de retraso.',
+      outlineNoPayback: 'ROI del {roi} en {months} meses; con estas cifras la inversión no se recupera.',
+      explain: 'Con una base de {baseline} al mes{metric}, una mejora del {lift} {ramp}, {cost} de inversión inicial y {monthlyCost} al mes.',
+      metric: ' en {metric}',
+      rampOver: 'alcanzada en {months} meses',
+      rampNow: 'desde el primer mes',
+    },
+
+    // Organization report (see ../aggregate)
+    aggregate: {
+      groups: {
+        Executive: { name: 'Dirección', keywords: ['director ejecutivo', 'directora ejecutiva', 'consejero delegado', 'consejera delegada', 'presidente', 'presidenta', 'fundador', 'fundadora', 'socio', 'socia', 'director general', 'directora general', 'director de operaciones', 'directora de operaciones', 'gerente general'] },
+        Finance: { name: 'Finanzas', keywords: ['financiero', 'financiera', 'finanzas', 'contabilidad'] },
+        Sales: { name: 'Ventas', keywords: ['ventas', 'vendedor', 'vendedora', 'comercial', 'ejecutivo de cuentas', 'ejecutiva de cuentas', 'desarrollo de negocio', 'ingresos', 'exito del cliente'] },
+        Marketing: { name: 'Marketing', keywords: ['mercadotecnia', 'marca', 'generacion de demanda'] },
+        Product: { name: 'Producto', keywords: ['producto', 'productos'] },
+        Technology: { name: 'Tecnología', keywords: ['tecnologia', 'ingenieria', 'ti', 'sistemas'] },
+        People: { name: 'Personas', keywords: ['rrhh', 'recursos humanos', 'personas', 'talento'] },
+        Other: { name: 'Otros', keywords: [] },
+      },
+      summary: '{high} valora {dimension} como {highLevel}, mientras que {low} la valora como {lowLevel}.',
+      align: 'Alinee a {high} y {low} en {dimension}: acuerden una respuesta común y las pruebas que la respaldan antes de seguir afinando el mensaje.',
+    },
+  };
+});
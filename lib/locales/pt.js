@@ -0,0 +1,426 @@
+// Portuguese language module (see ../i18n).
+//
+// Patterns are matched against answers folded to plain letters ("não"
+// becomes "nao"), so they are written without diacritics. Group labels,
+// rule texts and report wording are shown to the reader and keep them.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ThreeWhysLocales = root.ThreeWhysLocales || {};
+    root.ThreeWhysLocales.pt = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  return {
+    englishName: 'Portuguese',
+    nativeName: 'Português',
+
+    // Interface strings of index.html, keyed by their English text
+    ui: {
+      'Language': 'Idioma',
+      'Name': 'Nome',
+      'Role': 'Cargo',
+      'Email': 'E-mail',
+      'Organization': 'Organização',
+      'e.g. Ingrid': 'ex.: Ingrid',
+      'e.g. Head of Product': 'ex.: Diretora de Produto',
+      'e.g. me@example.com': 'ex.: eu@exemplo.com',
+      'e.g. SalesSparx': 'ex.: SalesSparx',
+      'This short assessment helps you craft and evaluate a powerful value proposition using the Three Whys framework: <strong>Why change?</strong> <strong>Why now?</strong> and <strong>Why your company?</strong> You’ll provide some basic information about yourself and then answer {count} questions. We’ll analyse your responses and generate a detailed report with tailored coaching and next steps.':
+        'Esta breve avaliação ajuda você a criar e avaliar uma proposta de valor poderosa com o modelo dos Três Porquês: <strong>Por que mudar?</strong> <strong>Por que agora?</strong> e <strong>Por que a sua empresa?</strong> Você informará alguns dados básicos sobre você e depois responderá {count} perguntas. Analisaremos suas respostas e geraremos um relatório detalhado com orientações personalizadas e próximos passos.',
+      'View Past Assessments': 'Ver avaliações anteriores',
+      'Continue': 'Continuar',
+      'Please fill in all fields.': 'Preencha todos os campos.',
+      'Privacy mode: keep my name, email and organization, and any email addresses or phone numbers in my answers, out of the AI evaluation': 'Modo de privacidade: não enviar meu nome, e-mail e organização, nem e-mails ou telefones das minhas respostas, para a avaliação por IA',
+      'Possible tampering: these answers contain text that reads like instructions to the evaluator, so the scores may not be reliable.': 'Possível manipulação: estas respostas contêm texto que parece dar instruções ao avaliador, por isso as pontuações podem não ser confiáveis.',
+      'Privacy mode: your name, email and organization were not sent to the AI evaluator, and {count} email addresses or phone numbers were removed from your answers.': 'Modo de privacidade: seu nome, e-mail e organização não foram enviados ao avaliador por IA, e {count} e-mails ou telefones foram removidos das suas respostas.',
+      'Assessment Questions': 'Perguntas da avaliação',
+      'Provide thoughtful responses to each of the questions below. Your answers should articulate the situation, urgency and differentiation in your value proposition. We’ve included examples to guide you. Detailed answers will yield more accurate and personalised feedback. You may optionally attach supporting documents (PDF, Word, PowerPoint or Excel) for each question.':
+        'Responda com cuidado a cada uma das perguntas abaixo. Suas respostas devem explicar a situação, a urgência e a diferenciação da sua proposta de valor. Incluímos exemplos para orientar você. Respostas detalhadas geram um retorno mais preciso e personalizado. Se quiser, anexe documentos de apoio (PDF, Word, PowerPoint ou Excel) a cada pergunta.',
+      'Attach file (optional)': 'Anexar arquivo (opcional)',
+      'Use the value calculator': 'Usar a calculadora de valor',
+      'Enter your figures to calculate the ROI, payback period and cost of delay. Your written answer is still scored.': 'Informe seus números para calcular o ROI, o prazo de retorno e o custo do atraso. Sua resposta escrita continua sendo avaliada.',
+      'Baseline metric': 'Métrica de base',
+      'e.g. qualified pipeline': 'ex.: pipeline qualificado',
+      'Currency': 'Moeda',
+      'Baseline value per month': 'Valor de base por mês',
+      'Expected lift (%)': 'Ganho esperado (%)',
+      'One-off cost': 'Custo inicial',
+      'Monthly cost': 'Custo mensal',
+      'Months to full adoption': 'Meses até a adoção completa',
+      'Timeframe (months)': 'Prazo (meses)',
+      'Check the value calculator: it needs a baseline value, an expected lift and a cost, in whole months.': 'Confira a calculadora de valor: ela precisa de um valor de base, um ganho esperado e um custo, com prazos em meses inteiros.',
+      'Back': 'Voltar',
+      'Submit': 'Enviar',
+      'Please complete all questions before submitting.': 'Responda a todas as perguntas antes de enviar.',
+      'Provisional level:': 'Nível provisório:',
+      'Checking…': 'Verificando…',
+      'Missing:': 'Falta:',
+      'Suggested rewrite': 'Sugestão de reescrita',
+      'Use this rewrite': 'Usar esta versão',
+      'Your answer with placeholders for what is missing': 'Sua resposta com espaços para o que falta',
+      'Use as a draft': 'Usar como rascunho',
+      'Evaluating Your Responses…': 'Avaliando suas respostas…',
+      'Please wait while we analyse your answers and generate your report.': 'Aguarde enquanto analisamos suas respostas e geramos seu relatório.',
+      'Reading your attachments ({count})…': 'Lendo seus anexos ({count})…',
+      'The AI evaluator is scoring your answers…': 'O avaliador de IA está pontuando suas respostas…',
+      'Scoring your answers…': 'Pontuando suas respostas…',
+      '{count} of {total} AI evaluations finished…': '{count} de {total} avaliações por IA concluídas…',
+      '{count} of {total} dimensions scored…': '{count} de {total} dimensões pontuadas…',
+      'Writing your coaching and next actions…': 'Escrevendo suas orientações e próximos passos…',
+      'Value Proposition Results': 'Resultado da proposta de valor',
+      'Some attachments could not be analysed:': 'Alguns anexos não puderam ser analisados:',
+      'The AI evaluator was unavailable ({reason}), so this report was produced by the built‑in heuristic scorer.':
+        'O avaliador de IA estava indisponível ({reason}), por isso este relatório foi gerado pelo avaliador heurístico integrado.',
+      'Parts of this report ({count}) were completed or corrected automatically because the AI response did not match the expected format.':
+        'Partes deste relatório ({count}) foram completadas ou corrigidas automaticamente porque a resposta da IA não seguiu o formato esperado.',
+      'Low confidence': 'Baixa confiança',
+      'Low confidence: the AI evaluations of this answer gave scores of {scores}.': 'Baixa confiança: as avaliações por IA desta resposta deram as pontuações {scores}.',
+      'The built‑in scorer rated this answer {level} ({score}), {count} levels away from the AI evaluation.': 'O avaliador integrado classificou esta resposta como {level} ({score}), a {count} níveis da avaliação por IA.',
+      'Scores are the median of {count} AI evaluations of your answers.': 'As pontuações são a mediana de {count} avaliações por IA das suas respostas.',
+      'Only one of {count} AI evaluations succeeded, so their agreement could not be measured.': 'Apenas uma de {count} avaliações por IA foi concluída, por isso não foi possível medir a concordância entre elas.',
+      'Scores marked ⚠ are low confidence: the AI evaluations disagreed, or the AI and the built‑in scorer are two or more levels apart. Question that feedback before acting on it.': 'Pontuações marcadas com ⚠ têm baixa confiança: as avaliações por IA divergiram, ou a IA e o avaliador integrado estão a dois ou mais níveis de distância. Questione esse retorno antes de agir com base nele.',
+      'Scores by Dimension': 'Pontuação por dimensão',
+      'Category': 'Categoria',
+      'Score': 'Pontuação',
+      'Level': 'Nível',
+      'Why this level': 'Por que este nível',
+      'Recommendations': 'Recomendações',
+      'Role‑Tailored Coaching': 'Orientação para o seu cargo',
+      'Area': 'Área',
+      'Description': 'Descrição',
+      'Headline': 'Título',
+      'Urgency': 'Urgência',
+      'Differentiators': 'Diferenciais',
+      'Value Calculation Outline': 'Roteiro do cálculo de valor',
+      'Next Actions': 'Próximos passos',
+      'History': 'Histórico',
+      'Compare': 'Comparar',
+      'Team Report': 'Relatório da equipe',
+      'Export JSON': 'Exportar JSON',
+      'Save as PDF': 'Salvar como PDF',
+      'Download Word': 'Baixar Word',
+      'The Word document is only available when the server is reachable.': 'O documento Word só está disponível quando o servidor está acessível.',
+      'Prepared for {name}, {role}': 'Preparado para {name}, {role}',
+      'Average score': 'Pontuação média',
+      'Executive Summary': 'Resumo executivo',
+      'Suggested Value Proposition': 'Proposta de valor sugerida',
+      'How SalesSparx Can Help': 'Como a SalesSparx pode ajudar',
+      'Page {page} of {pages}': 'Página {page} de {pages}',
+      'Print': 'Imprimir',
+      'New Assessment': 'Nova avaliação',
+      'Past Assessments': 'Avaliações anteriores',
+      'Loading your assessment history…': 'Carregando seu histórico de avaliações…',
+      'Your assessment history is only available when the server is reachable.': 'Seu histórico de avaliações só está disponível quando o servidor está acessível.',
+      'Assessments submitted from this browser, newest first.': 'Avaliações enviadas deste navegador, das mais recentes para as mais antigas.',
+      'Assessments submitted from this browser for <strong>{organization}</strong>, newest first.': 'Avaliações enviadas deste navegador para <strong>{organization}</strong>, das mais recentes para as mais antigas.',
+      'No assessments found yet.': 'Nenhuma avaliação encontrada ainda.',
+      'Date': 'Data',
+      'Band': 'Faixa',
+      'Select for comparison': 'Selecionar para comparação',
+      'Open': 'Abrir',
+      'Delete': 'Excluir',
+      'Compare Selected': 'Comparar selecionadas',
+      'Select exactly two assessments to compare.': 'Selecione exatamente duas avaliações para comparar.',
+      'This assessment could not be opened.': 'Não foi possível abrir esta avaliação.',
+      'Delete this assessment permanently?': 'Excluir esta avaliação permanentemente?',
+      'This assessment could not be deleted.': 'Não foi possível excluir esta avaliação.',
+      'Server returned an error': 'O servidor retornou um erro',
+      'Share': 'Compartilhar',
+      'Share Report': 'Compartilhar relatório',
+      'Loading the links to this report…': 'Carregando os links deste relatório…',
+      'Reports can only be shared when the server is reachable.': 'Os relatórios só podem ser compartilhados quando o servidor está acessível.',
+      'Anyone with a link can view this report, but not your answers or your email address, and cannot change it. Revoke a link to close it.': 'Qualquer pessoa com um link pode ver este relatório, mas não suas respostas nem seu e-mail, e não pode alterá-lo. Revogue um link para fechá-lo.',
+      'New link:': 'Novo link:',
+      'Created': 'Criado',
+      'Expires': 'Expira',
+      'Password': 'Senha',
+      'Status': 'Situação',
+      'Active': 'Ativo',
+      'Expired': 'Expirado',
+      'Revoked': 'Revogado',
+      'Never': 'Nunca',
+      'Yes': 'Sim',
+      'No': 'Não',
+      'Copy Link': 'Copiar link',
+      'Copied': 'Copiado',
+      'Copy this link:': 'Copie este link:',
+      'Revoke': 'Revogar',
+      'Create a Link': 'Criar um link',
+      'After 1 day': 'Após 1 dia',
+      'After 7 days': 'Após 7 dias',
+      'After 30 days': 'Após 30 dias',
+      'Password (optional)': 'Senha (opcional)',
+      'The password must be at least 4 characters long.': 'A senha deve ter pelo menos 4 caracteres.',
+      'Create Link': 'Criar link',
+      'Revoke this link? Anyone using it will no longer be able to open the report.': 'Revogar este link? Quem o usar não poderá mais abrir o relatório.',
+      'This link could not be revoked.': 'Não foi possível revogar este link.',
+      'A read-only report shared with you.': 'Um relatório somente leitura compartilhado com você.',
+      'A read-only report shared with you. The link works until {date}.': 'Um relatório somente leitura compartilhado com você. O link funciona até {date}.',
+      'Loading the shared report…': 'Carregando o relatório compartilhado…',
+      'This shared report is protected by a password.': 'Este relatório compartilhado é protegido por senha.',
+      'The password is not correct.': 'A senha não está correta.',
+      'Open Report': 'Abrir relatório',
+      'This shared report is only available when the server is reachable.': 'Este relatório compartilhado só está disponível quando o servidor está acessível.',
+      'This link has expired or been revoked.': 'Este link expirou ou foi revogado.',
+      'This shared report could not be found.': 'Não foi possível encontrar este relatório compartilhado.',
+      'Compare Assessments': 'Comparar avaliações',
+      'Choose two assessments of the same organization exported with <strong>Export JSON</strong> to see how the scores moved between them.':
+        'Escolha duas avaliações da mesma organização exportadas com <strong>Exportar JSON</strong> para ver como as pontuações mudaram entre elas.',
+      'Earlier assessment (JSON export)': 'Avaliação anterior (exportação JSON)',
+      'Later assessment (JSON export)': 'Avaliação posterior (exportação JSON)',
+      'Leave empty to compare against the report you have open.': 'Deixe em branco para comparar com o relatório aberto.',
+      'Choose the later assessment.': 'Escolha a avaliação posterior.',
+      'One of the files is not a valid JSON export.': 'Um dos arquivos não é uma exportação JSON válida.',
+      'Not included in this export': 'Não incluída nesta exportação',
+      'Assessment Comparison': 'Comparação de avaliações',
+      '<strong>{organization}</strong>: {before} compared with {after}.': '<strong>{organization}</strong>: {before} comparada com {after}.',
+      'earlier assessment': 'avaliação anterior',
+      'later assessment': 'avaliação posterior',
+      'The overall band moved up from <strong>{before}</strong> to <strong>{after}</strong>.': 'A faixa geral subiu de <strong>{before}</strong> para <strong>{after}</strong>.',
+      'The overall band moved down from <strong>{before}</strong> to <strong>{after}</strong>.': 'A faixa geral caiu de <strong>{before}</strong> para <strong>{after}</strong>.',
+      'The overall band stayed at <strong>{band}</strong>.': 'A faixa geral permaneceu em <strong>{band}</strong>.',
+      'Movement by Dimension': 'Evolução por dimensão',
+      'Change': 'Variação',
+      'Earlier answer': 'Resposta anterior',
+      'Later answer': 'Resposta posterior',
+      'Building Team Report…': 'Montando o relatório da equipe…',
+      'Please wait while we combine the assessments from {organization}.': 'Aguarde enquanto combinamos as avaliações de {organization}.',
+      'The team report is only available when the server is reachable.': 'O relatório da equipe só está disponível quando o servidor está acessível.',
+      '{count} respondent': '{count} respondente',
+      '{count} respondents': '{count} respondentes',
+      'Average': 'Média',
+      'Spread': 'Dispersão',
+      'By role group': 'Por grupo de funções',
+      'Where Roles Disagree': 'Onde as funções divergem',
+      'No role groups are two or more levels apart on any dimension.': 'Nenhum grupo de funções está a dois ou mais níveis de distância em qualquer dimensão.',
+      'Consolidated Next Actions': 'Próximos passos consolidados',
+      'Respondents': 'Respondentes',
+      'Role group': 'Grupo de funções',
+      'Names, roles and the spread of scores are not shown, and averages of fewer than {count} people are left out.':
+        'Nomes, funções e a dispersão das pontuações não são exibidos, e médias de menos de {count} pessoas ficam de fora.',
+      'Team Report: {organization}': 'Relatório da equipe: {organization}',
+      'The team report of {organization} needs the invite key your administrator shared with the team.':
+        'O relatório da equipe de {organization} precisa da chave de convite que o administrador compartilhou com a equipe.',
+      'Invite key': 'Chave de convite',
+      'The invite key is not correct.': 'A chave de convite não está correta.',
+      'Combines the latest assessment of everyone from {organization}, so you can see where your go‑to‑market team is aligned and where it is not.':
+        'Reúne a avaliação mais recente de todas as pessoas de {organization}, para você ver onde sua equipe de go-to-market está alinhada e onde não está.',
+    },
+
+    // Phrases that mark an answer as unknown. Includes the English phrases
+    // except "na", a common Portuguese word.
+    unknown: [
+      "i don't know", 'dont know', 'do not know', 'unknown', 'none', 'n/a', 'no idea', 'not sure', 'not applicable', 'no data',
+      'nao sei', 'nao faco ideia', 'nao tenho ideia', 'sem ideia', 'nao tenho certeza', 'nao tenho', 'nao temos', 'desconhecido',
+      'nenhum', 'nenhuma', 'nada', 'inexistente', 'nao existe', 'nao se aplica', 'nao disponivel', 'indisponivel',
+      'sem dados', 'sem informacao', 'nao informado', 'faltando',
+    ],
+    hedges: [
+      "i don't know", 'dont know', 'no idea', 'not sure', 'maybe', 'probably',
+      'nao sei', 'sei la', 'talvez', 'acho que', 'provavelmente', 'nao tenho certeza', 'quem sabe',
+    ],
+    jargon: [
+      'sinergia', 'sinergias', 'alavancar', 'de ponta', 'inovador', 'inovadora', 'disruptivo', 'disruptiva', 'revolucionario',
+      'revolucionaria', 'robusto', 'robusta', 'holistico', 'holistica', 'paradigma', 'ecossistema', 'estado da arte',
+      'escalavel', 'empoderamento', 'de classe mundial', 'fora da caixa', 'mudar o jogo',
+    ],
+
+    // Added to the English patterns of the same name (see ../rules)
+    patterns: {
+      quantity: '\\b\\d[\\d,.]*\\s?(?:por cento|mil\\b|milhoes|milhao|bilhoes|bilhao|horas?|dias?|semanas?|meses|mes\\b|anos?|minutos?|segundos?|pontos?|negocios|vendedor(?:es)?|usuarios?|clientes?|contratos?)',
+      buyer: '\\b(?:diretor(?:es|a|as)?|gerentes?|gestor(?:es|a|as)?|lideres?|liderancas?|donos?|fundador(?:es|a|as)?|executiv[oa]s?|equipes?|times?|compradores?|clientes?|empresas?|companhias?|organizacao|organizacoes|negocios|varejistas?|hospitais|hospital|bancos?|fabricantes?|industrias?|agencias?|vendedor(?:es|a|as)?|representantes?|profissionais)\\b',
+      pain: 'dificuldade|\\bdor\\b|\\bdores\\b|desafio|problema|frustra|\\bperd[aeio]|desperdic|\\blent[oa]s?\\b|ineficien|custos? alt|\\brisco|gargalo|manual|inconsisten|dificil|nao consegu|incapaz|\\bfalh',
+      consequence: 'levando a|leva a|provoc|resultando em|resulta em|o que significa|caus|custando|porque|como resultado|impacto|consequencia|por isso|obrigando|forcando|fazendo com que',
+      emotionalStakes: '\\bmedo|estresse|pressao|ansiedade|ansios|preocupa|sobrecarreg|esgotamento|burnout|vergonha|frustra|cansad|exaust|\\bdor\\b|pesadelo|\\bculpa',
+      timeBound: '\\b(?:nos proximos|nas proximas|dentro de|em ate)\\s+(?:\\d+|um|uma|dois|duas|tres|quatro|cinco|seis|doze)\\b|\\b\\d+\\s*(?:[-–]\\s*\\d+\\s*)?(?:mes(?:es)?|semanas?|trimestres?|dias?)\\b|\\b(?:este|esta|neste|nesta|proximo|proxima|no proximo|na proxima) (?:ano|trimestre|mes|semestre|ano fiscal)\\b|\\bprazo|\\bate o (?:final|fim) d|(?:fim|final) do ano|ciclo (?:de|do) orcamento|planejamento orcamentario|renovacao|fiscal',
+      catalyst: 'regula|conformidade|\\blei\\b|\\bleis\\b|obrigatori|concorren|competi|mudanca de mercado|disrup|\\bia\\b|inteligencia artificial|rodada de investimento|captacao|aquisicao|fusao|lancamento|nova lideranca|novo (?:ceo|cro|diretor)|reestrutura|economi|inflacao|recessao|juros|aumento de preco|contrato|fim de vida|descontinua|expira|conselho|investidor|demissoes|congelamento de contratacoes|tarifa',
+      costOfDelay: 'atras|\\besperar|\\bespera\\b|ficar para tras|ficando para tras|\\bperd[aeio]|tarde demais|janela|custo da inacao|cada (?:mes|trimestre|semana|dia)|\\bantes\\b|caso contrario|\\bsenao\\b',
+      buyerLink: '\\b(?:eles|elas|deles|delas|seus|suas|seu|sua|compradores?|clientes?|equipes?|times?)\\b',
+      proof: '\\b\\d[\\d,.]*\\+?\\s*(?:clientes|empresas|organizacoes|marcas|equipes|implantacoes|projetos)|estudo de caso|caso de sucesso|casos de sucesso|depoimento|premi|certifica|reconhecid|\\bajudamos\\b|\\bajudou\\b|\\bconfiam\\b|historico comprovado|referencias?\\b|avaliacoes\\b|\\b\\d+(?:[.,]\\d+)?\\s*por cento',
+      emotional: '\\bpare\\b|\\bchega de|\\bnunca\\b|finalmente|imagine|\\bmedo|\\bperd[aeio]|\\bvenc|\\bganh|cansad|frustra|confian|liberdade|orgulho|ousad|prosper|tranquilidade|dormir|pesadelo|\\bdor\\b|\\bamar?\\b|\\bodei|sonho|sem medo|imbativel|transform|\\bheroi|ambicao|ambicios|seguranca',
+      logical: 'receita|faturamento|\\bcusto|lucro|mais rapido|economi|crescimento|resultados|comprovad|\\bdados\\b|pipeline|taxa de (?:conversao|ganho|fechamento)|margem|eficien|produtividade',
+      assumptions: 'supo|premissa|com base em|baseado em|linha de base|\\bdado que|desde que|\\bse\\b|com equipes? de|\\bpor (?:vendedor|representante|usuario|mes|ano|negocio|cliente)|\\bmedia|tipic|referencia|atualmente|\\bhoje\\b',
+      buyerFraming: '\\b(?:voce|voces|seu|sua|seus|suas|clientes?|equipes?|times?|compradores?|vendedor(?:es)?|representantes?)\\b',
+      impact: 'aument|reduz|\\bcort|cresc|melhor|economiz|impulsion|aceler|encurt|previsib|mais rapido|\\bmais\\b|\\bmenos\\b|\\bsem\\b|elimin|dobr|\\bvenc|\\bganh',
+      helpVerb: '\\bajud|\\bpermit|\\bcapacit|\\bpara que|\\bque\\b|\\bpara\\b',
+      relevance: 'para que|o que significa|\\bajud',
+      directAddress: '\\b(?:voce|voces|seu|sua|seus|suas)\\b',
+    },
+    differentiatorGroups: {
+      'proprietary IP': { label: 'propriedade intelectual', pattern: 'proprietari|patente|\\bpropri[oa]s?\\b|desenvolvid[oa] internamente' },
+      'methodology': { label: 'metodologia', pattern: 'metodo|abordagem|processo|\\bmodelo\\b' },
+      'expertise': { label: 'experiência', pattern: 'especialista|experiencia|\\banos\\b|especializ|veteran|conhecimento profundo' },
+      'technology': { label: 'tecnologia', pattern: 'tecnologi|plataforma|\\bia\\b|automa|integra|\\bdados\\b|ferramenta' },
+      'uniqueness': { label: 'exclusividade', pattern: '\\bunic[oa]s?\\b|\\bsomos os unicos|\\bsomente\\b|\\bapenas\\b|diferente d|exclusiv|\\bprimeir[oa]s?\\b|ninguem mais' },
+      'people': { label: 'pessoas', pattern: 'equipe de|consultores|pessoas|assessores|certificad' },
+      'speed': { label: 'rapidez', pattern: 'mais rapid|\\brapid|velocidade|em dias|em semanas|\\bagil' },
+      'price': { label: 'preço', pattern: 'acessivel|custo-beneficio|custo beneficio|\\bpreco|mais barat|menor custo|taxa fixa' },
+      'partnership': { label: 'parceria', pattern: 'suporte|parceir|dedicad|atendimento|servico' },
+      'combination': { label: 'combinação', pattern: 'combin|ponta a ponta|tudo em um|\\bambos\\b' },
+    },
+    outcomeGroups: {
+      'time saved': { label: 'tempo economizado', pattern: 'tempo|horas?|dias?|semanas?|mais rapido|ciclo|integracao|velocidade|mais cedo' },
+      'revenue lift': { label: 'aumento de receita', pattern: 'receita|faturamento|pipeline|vendas|taxa de (?:ganho|fechamento|conversao)|negocio|crescimento|conversao|ticket' },
+      'risk avoided': { label: 'risco evitado', pattern: 'risco|cancelamento|conformidade|\\berro|multa|penalidade|indisponibilidade|seguranca|\\bevit|retencao' },
+    },
+
+    // Labels and hints of the built-in rule sets, by set and rule id
+    rules: {
+      'why-change': {
+        buyer: { label: 'nomeia o comprador', hint: 'um comprador ou persona definido' },
+        pain: { label: 'descreve uma dor concreta', hint: 'uma dor ou problema concreto' },
+        consequence: { label: 'explica as consequências da dor', hint: 'as consequências de deixar a dor sem solução' },
+        quantified: { label: 'quantifica o custo do problema', hint: 'um número que dimensione o problema' },
+        emotion: { label: 'transmite o que está em jogo emocionalmente', hint: 'o que está em jogo emocionalmente para o comprador' },
+        depth: { label: 'dá detalhes suficientes para convencer', hint: 'mais detalhes (pelo menos 25 palavras)' },
+      },
+      'why-now': {
+        timebound: { label: 'define um gatilho com prazo', hint: 'um prazo ou data limite específico' },
+        catalyst: { label: 'nomeia o catalisador da urgência', hint: 'o catalisador de mercado, regulatório ou competitivo' },
+        delay: { label: 'explica o custo de esperar', hint: 'o que o comprador perde ao esperar' },
+        quantified: { label: 'sustenta a urgência com números', hint: 'dados que mostrem a dimensão do gatilho' },
+        buyer: { label: 'liga o gatilho ao comprador', hint: 'uma ligação entre o gatilho e o comprador' },
+        depth: { label: 'dá detalhes suficientes para convencer', hint: 'mais detalhes (pelo menos 25 palavras)' },
+      },
+      'why-your-company': {
+        differentiator: { label: 'nomeia um diferencial', hint: 'pelo menos um diferencial' },
+        differentiators2: { label: 'nomeia dois ou mais diferenciais', hint: 'um segundo diferencial' },
+        differentiators3: { label: 'nomeia três diferenciais', hint: 'um terceiro diferencial' },
+        proof: { label: 'inclui uma prova', hint: 'uma prova, como um caso de sucesso, número de clientes ou métrica' },
+        relevance: { label: 'liga os diferenciais ao comprador', hint: 'por que os diferenciais importam para o comprador' },
+        depth: { label: 'dá detalhes suficientes para convencer', hint: 'mais detalhes (pelo menos 25 palavras)' },
+      },
+      'emotion-logic': {
+        emotional: { label: 'usa linguagem emocional', hint: 'um gancho emocional (medo, ambição, alívio)' },
+        logical: { label: 'inclui um benefício lógico ou um fato', hint: 'um benefício lógico ou um número' },
+        balanced: { label: 'equilibra emoção e lógica', hint: 'um equilíbrio entre emoção e lógica' },
+        concise: { label: 'é curto o bastante para funcionar como título', hint: 'um título mais curto (no máximo duas linhas)' },
+        buyer: { label: 'fala diretamente com o comprador', hint: 'falar diretamente com o comprador ("você", "seu")' },
+        rambling: { label: 'parece um parágrafo e não um título' },
+      },
+      'buyer-as-hero': {
+        numbers: { label: 'inclui números', hint: 'números para os resultados esperados' },
+        units: { label: 'atribui unidades aos números', hint: 'unidades como %, R$, horas ou semanas' },
+        outcomes2: { label: 'quantifica dois ou mais resultados', hint: 'pelo menos dois resultados quantificados' },
+        outcomes3: { label: 'quantifica três ou mais resultados', hint: 'um terceiro resultado quantificado' },
+        categories: { label: 'cobre mais de um tipo de resultado', hint: 'uma combinação de tempo economizado, aumento de receita e risco evitado' },
+        assumptions: { label: 'declara as premissas por trás dos números', hint: 'as premissas por trás dos números (linha de base, tamanho da equipe)' },
+        buyer: { label: 'coloca o comprador no centro dos resultados', hint: 'o comprador como quem alcança os resultados' },
+      },
+      'clarity': {
+        single: { label: 'é uma única frase', hint: 'uma frase única e completa' },
+        buyer: { label: 'diz a quem você atende', hint: 'a quem você atende' },
+        problem: { label: 'diz qual problema você resolve', hint: 'o problema que você resolve' },
+        impact: { label: 'diz qual impacto você gera', hint: 'o impacto que você gera' },
+        plain: { label: 'evita jargões' },
+        length: { label: 'é concisa (10–35 palavras)', hint: 'um tamanho de 10–35 palavras' },
+        jargon: { label: 'depende de jargões' },
+        sentences: { label: 'se estende por várias frases' },
+      },
+      hedging: { label: 'hesita com linguagem incerta' },
+    },
+    explain: {
+      found: 'Sua resposta {items}.',
+      attachment: 'O arquivo anexado trouxe evidências de que ela {items}.',
+      calculator: 'A calculadora de valor trouxe evidências de que ela {items}.',
+      nothing: 'Sua resposta ainda não contém as evidências que esta dimensão procura.',
+      however: 'No entanto, ela {items}.',
+      missing: 'Falta: {items}.',
+      and: 'e',
+    },
+
+    // Report texts of ../scoring
+    coaching: {
+      headline: 'Fortaleça sua proposta de valor',
+      headlineExplain: 'Crie um gancho curto e emocional que prenda a atenção do comprador e resuma a mudança que você possibilita. Torne-o memorável e inspirador.',
+      urgency: 'Deixe claro o que está em jogo e ligue seu roadmap a resultados de curto prazo.',
+      urgencyExplain: 'Explique por que agir agora importa. Ligue a dor do comprador a riscos ou oportunidades próximos e mostre o custo de adiar.',
+      differentiators: 'Destaque capacidades únicas e provas que diferenciam você.',
+      differentiatorsExplain: 'Liste dois ou três diferenciais e inclua pelo menos uma prova, como um caso de sucesso ou uma métrica, para mostrar como você se destaca.',
+      valueOutline: 'Defina as métricas de base, as premissas de ganho e o prazo de retorno.',
+      valueOutlineExplain: 'Detalhe o valor quantitativo: métricas de base, ganho esperado e prazo de retorno. Use dados reais ou premissas razoáveis para ganhar credibilidade.',
+      defaultCoaching: 'Como líder de negócios, alinhe-se com as equipes de outras áreas para construir uma história de valor única. Garanta que seus objetivos apoiem a estratégia de go-to-market e contribua com retorno para aprimorar a proposta de valor. Estimule a colaboração e o aprendizado contínuo para ajudar a organização a evoluir sua mensagem.',
+      finalValuePlaceholder: 'Escreva aqui sua proposta de valor, dizendo claramente a quem você atende, qual problema resolve e qual impacto gera.',
+    },
+    // Checked in order against the folded, lowercase role title
+    roleCoaching: [
+      {
+        keywords: ['ceo', 'chief executive', 'diretor executivo', 'diretora executiva', 'diretor-presidente', 'diretora-presidente'],
+        text: 'Como CEO, sua principal responsabilidade é defender uma proposta de valor única em toda a organização. Promova o alinhamento entre produto, marketing e vendas em torno de uma narrativa comum e garanta que os recursos sustentem uma execução no tempo certo. Ligue a história de valor aos objetivos estratégicos, reforce a urgência na organização e dê o exemplo do comportamento que espera das suas equipes em cada interação.',
+      },
+      {
+        keywords: ['cfo', 'chief financial', 'diretor financeiro', 'diretora financeira'],
+        text: 'Como CFO, concentre-se em alinhar os investimentos à sua proposta de valor. Use métricas financeiras para quantificar o custo da inação e o retorno de agir agora. Trabalhe com as lideranças de receita e produto para garantir que os orçamentos apoiem as iniciativas principais e inclua calculadoras de valor no planejamento. Demonstre disciplina fiscal sem travar o crescimento.',
+      },
+      {
+        keywords: ['cro', 'chief revenue', 'diretor de receita', 'diretora de receita'],
+        text: 'Como Chief Revenue Officer, você precisa unir vendas, marketing e sucesso do cliente em torno de uma narrativa de valor clara. Ligue as metas de receita aos Três Porquês, cobre consistência na mensagem e oriente as equipes a equilibrar emoção e lógica. Use os dados do pipeline para mostrar urgência e orientar a alocação de recursos.',
+      },
+      {
+        keywords: ['cso', 'chief strategy', 'diretor de estrategia', 'diretora de estrategia'],
+        text: 'Como Chief Strategy Officer, garanta que sua proposta de valor esteja incorporada ao planejamento estratégico. Analise tendências de mercado e movimentos da concorrência para antecipar por que mudar e por que agora. Transforme essas percepções em iniciativas práticas e comunique-as com clareza para que toda a organização entenda seu papel na execução da estratégia.',
+      },
+      {
+        keywords: ['cpo', 'chief product', 'diretor de produto', 'diretora de produto'],
+        text: 'Como Chief Product Officer, você precisa traduzir as capacidades do produto em resultados de negócio. Garanta que seu roadmap conte uma história coerente que reflita as dores e ambições reais dos compradores. Trabalhe com marketing e vendas para validar que as novas funcionalidades respondem a problemas dos clientes, usando entrevistas e dados para descobrir motivações emocionais e ajustar prioridades.',
+      },
+      {
+        keywords: ['cio', 'chief information', 'diretor de ti', 'diretora de ti', 'diretor de sistemas', 'diretora de sistemas'],
+        text: 'Como CIO, seu papel é viabilizar a infraestrutura de tecnologia e dados que sustenta sua proposta de valor. Forneça análises para quantificar urgência e resultados e garanta que os sistemas capturem o retorno dos clientes para aprimorar a mensagem. Trabalhe com as lideranças de produto e receita para priorizar investimentos digitais que reforcem a narrativa.',
+      },
+      {
+        keywords: ['cto', 'chief technology', 'diretor de tecnologia', 'diretora de tecnologia'],
+        text: 'Como CTO, concentre-se na inovação técnica que diferencia sua empresa. Mostre como sua arquitetura e seu roadmap de produto resolvem de forma única as dores dos compradores e permitem mudanças rápidas. Trabalhe com as equipes de produto e marketing para traduzir funcionalidades complexas em valor de negócio e inspirar confiança na sua visão técnica.',
+      },
+      {
+        keywords: ['chro', 'chief human', 'diretor de rh', 'diretora de rh', 'diretor de pessoas', 'diretora de pessoas', 'recursos humanos'],
+        text: 'Como CHRO, alinhe sua estratégia de pessoas à proposta de valor. Garanta que recrutamento, treinamento e gestão de desempenho reforcem os Três Porquês para que as pessoas saibam comunicar a mensagem. Promova uma cultura em que as equipes colaborem entre áreas para cumprir a promessa e reconheça os comportamentos que reforçam a narrativa.',
+      },
+      {
+        keywords: ['product', 'produto'],
+        text: 'Como liderança de produto, traduza as capacidades do produto em resultados de negócio e garanta que seu roadmap conte uma história coerente. Trabalhe de perto com marketing e vendas para validar que as novas funcionalidades respondem a problemas reais dos clientes. Use entrevistas e dados para descobrir motivações emocionais, alinhe a mensagem às necessidades do mercado e ajuste os planos.',
+      },
+      {
+        keywords: ['marketing'],
+        text: 'Como liderança de marketing, concentre-se em construir uma narrativa clara que fale com os medos e as ambições do comprador em todos os canais. Crie campanhas baseadas em provas quantificadas e eduque os leads sobre os Três Porquês. Alinhe-se de perto com vendas e produto para que mensagens e materiais se reforcem e aprimore-os com o retorno do mercado.',
+      },
+      {
+        keywords: ['sales', 'seller', 'vendas', 'vendedor', 'vendedora', 'comercial'],
+        text: 'Como liderança de vendas, garanta que sua equipe entenda os Três Porquês e saiba comunicá-los em conversas de qualquer duração. Oriente os vendedores a começar pela emoção, sustentá-la com lógica e adaptar a diferenciação à persona do comprador. Colete regularmente o retorno de prospects e clientes para aprimorar sua mensagem e aumentar a taxa de ganho.',
+      },
+      {
+        keywords: ['director', 'diretor', 'diretora'],
+        text: 'Como diretor ou diretora, você tem um papel decisivo em transformar a estratégia em execução no dia a dia. Garanta que sua equipe entenda a narrativa de valor e como o trabalho dela a sustenta. Traga o retorno da linha de frente para aprimorar a mensagem e coordene iniciativas entre áreas que reforcem os Três Porquês.',
+      },
+    ],
+    attachmentOffline: 'A extração de texto só está disponível quando o servidor está acessível.',
+
+    // Value calculation outline (see ../calculator)
+    calculator: {
+      outline: 'ROI de {roi} em {months} meses, retorno do investimento em {payback} meses e {delay} perdidos a cada mês de atraso.',
+      outlineNoPayback: 'ROI de {roi} em {months} meses; com esses números o investimento não se paga.',
+      explain: 'Com base em {baseline} por mês{metric}, um ganho de {lift} {ramp}, {cost} de investimento inicial e {monthlyCost} por mês.',
+      metric: ' em {metric}',
+      rampOver: 'alcançado em {months} meses',
+      rampNow: 'desde o primeiro mês',
+    },
+
+    // Organization report (see ../aggregate)
+    aggregate: {
+      groups: {
+        Executive: { name: 'Executivo', keywords: ['diretor executivo', 'diretora executiva', 'presidente', 'fundador', 'fundadora', 'socio', 'socia', 'diretor geral', 'diretora geral', 'diretor de operacoes', 'diretora de operacoes', 'gerente geral'] },
+        Finance: { name: 'Finanças', keywords: ['financeiro', 'financeira', 'financas', 'controladoria'] },
+        Sales: { name: 'Vendas', keywords: ['vendas', 'vendedor', 'vendedora', 'comercial', 'executivo de contas', 'executiva de contas', 'desenvolvimento de negocios', 'receita', 'sucesso do cliente'] },
+        Marketing: { name: 'Marketing', keywords: ['marca', 'geracao de demanda'] },
+        Product: { name: 'Produto', keywords: ['produto', 'produtos'] },
+        Technology: { name: 'Tecnologia', keywords: ['tecnologia', 'engenharia', 'ti', 'sistemas'] },
+        People: { name: 'Pessoas', keywords: ['rh', 'recursos humanos', 'pessoas', 'talentos', 'gente e gestao'] },
+        Other: { name: 'Outros', keywords: [] },
+      },
+      summary: '{high} avalia {dimension} como {highLevel}, enquanto {low} avalia como {lowLevel}.',
+      align: 'Alinhe {high} e {low} em {dimension}: combinem uma resposta comum e as evidências por trás dela antes de refinar a mensagem.',
+    },
+  };
+});
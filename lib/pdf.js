@@ -0,0 +1,313 @@
+// Minimal PDF writer.
+//
+// Just enough of PDF 1.4 to lay out the exported reports (see ./export)
+// without a third-party dependency: pages of filled rectangles, text in
+// the standard Helvetica fonts and baseline JPEG images. Text is encoded
+// with WinAnsiEncoding, which covers English, Portuguese and Spanish;
+// characters outside it are replaced. Coordinates are in points from
+// the bottom-left corner of the page, as in PDF itself.
+
+const zlib = require('zlib');
+
+// A4 in points
+const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths (per 1000 units of font size) of ASCII 32–126 in the
+// standard 14 Helvetica fonts, from the Adobe font metrics.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Resource names of the fonts
+const FONTS = { regular: 'F1', bold: 'F2' };
+
+// WinAnsiEncoding code points 0x80–0x9F that differ from Latin-1
+const WIN_ANSI = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c, 0x017d: 0x8e, 0x2018: 0x91,
+  0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98,
+  0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b, 0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f,
+};
+
+// Common characters outside WinAnsiEncoding and their stand-ins
+const SUBSTITUTES = { '‐': '-', '‑': '-', '→': '->', '≤': '<=', '≥': '>=', 'σ': 's' };
+
+/**
+ * Replace characters WinAnsiEncoding cannot show.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function printable(text) {
+  return Array.from(String(text)).map((ch) => {
+    if (SUBSTITUTES[ch]) return SUBSTITUTES[ch];
+    const code = ch.codePointAt(0);
+    if (code === 10 || code === 13 || code === 9) return ' ';
+    if ((code >= 32 && code < 127) || (code >= 0xa0 && code <= 0xff) || WIN_ANSI[code]) return ch;
+    return '?';
+  }).join('');
+}
+
+/**
+ * Encode printable text as a PDF hex string.
+ *
+ * @param {string} text output of printable()
+ */
+function hexString(text) {
+  const bytes = Array.from(text).map((ch) => {
+    const code = ch.codePointAt(0);
+    return WIN_ANSI[code] || code;
+  });
+  return `<${Buffer.from(bytes).toString('hex')}>`;
+}
+
+/**
+ * Encode text as a PDF text string for document metadata, which uses
+ * UTF-16 rather than the font encoding.
+ *
+ * @param {string} text
+ */
+function metadataString(text) {
+  const utf16 = Buffer.from(String(text), 'utf16le').swap16();
+  return `<feff${utf16.toString('hex')}>`;
+}
+
+/**
+ * Width of printable text in points. Accented letters are measured as
+ * their base letter and other non-ASCII characters as an average glyph.
+ *
+ * @param {string} text
+ * @param {'regular'|'bold'} font
+ * @param {number} size
+ */
+function textWidth(text, font, size) {
+  const widths = WIDTHS[font] || WIDTHS.regular;
+  let total = 0;
+  Array.from(printable(text)).forEach((ch) => {
+    let code = ch.codePointAt(0);
+    if (code > 126) code = ch.normalize('NFD').codePointAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  });
+  return (total * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`. Words longer than a
+ * line are split.
+ *
+ * @param {string} text
+ * @param {'regular'|'bold'} font
+ * @param {number} size
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  String(text || '').split(/\n/).forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, font, size) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), font, size) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * PDF colour operands for a `#rrggbb` colour.
+ *
+ * @param {string} hex
+ */
+function rgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff].map((c) => (c / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Size and colour space of a JPEG image, read from its start-of-frame
+ * marker. Returns null when the data is not a usable JPEG.
+ *
+ * @param {Buffer} data
+ * @returns {{width: number, height: number, colorSpace: string}|null}
+ */
+function jpegInfo(data) {
+  if (!Buffer.isBuffer(data) || data.length < 4 || data.readUInt16BE(0) !== 0xffd8) return null;
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // SOF0–SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      const components = data[offset + 9];
+      const colorSpace = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' }[components];
+      if (!colorSpace) return null;
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7), colorSpace };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Start a new PDF document.
+ *
+ * @param {{width?: number, height?: number, title?: string}} [options]
+ *   page size in points (A4 by default) and document title
+ */
+function createPdf(options = {}) {
+  const width = options.width || A4.width;
+  const height = options.height || A4.height;
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  return {
+    width,
+    height,
+
+    /** Start a new page; later drawing goes onto it. */
+    addPage() {
+      current = [];
+      pages.push(current);
+      return pages.length;
+    },
+
+    /** Number of pages so far. */
+    pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Draw text onto a page with its baseline at `y`.
+     *
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @param {{font?: string, size?: number, color?: string, page?: number}} [style]
+     *   `page` is 1-based and defaults to the current page
+     */
+    text(text, x, y, style = {}) {
+      const ops = style.page ? pages[style.page - 1] : current;
+      const font = FONTS[style.font] ? style.font : 'regular';
+      ops.push(`BT /${FONTS[font]} ${style.size || 10} Tf ${rgb(style.color || '#000000')} rg ${x.toFixed(2)} ${y.toFixed(2)} Td ${hexString(printable(text))} Tj ET`);
+    },
+
+    /**
+     * Fill a rectangle whose bottom-left corner is at (x, y).
+     *
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     * @param {number} h
+     * @param {string} color `#rrggbb`
+     */
+    rect(x, y, w, h, color) {
+      current.push(`${rgb(color)} rg ${x.toFixed(2)} ${y.toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+    },
+
+    /**
+     * Place a JPEG image with its bottom-left corner at (x, y), `w`
+     * points wide and scaled to keep its aspect ratio. Returns the height
+     * used, or 0 when the data is not a usable JPEG.
+     *
+     * @param {Buffer} data
+     * @param {number} x
+     * @param {number} y
+     * @param {number} w
+     */
+    image(data, x, y, w) {
+      const info = jpegInfo(data);
+      if (!info) return 0;
+      let index = images.findIndex((img) => img.data === data);
+      if (index < 0) index = images.push(Object.assign({ data }, info)) - 1;
+      const h = (w * info.height) / info.width;
+      current.push(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im${index + 1} Do Q`);
+      return h;
+    },
+
+    /**
+     * Serialise the document.
+     *
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      const objects = [];
+      // Object numbers are 1-based positions in this list
+      const add = (body) => objects.push(body);
+      const catalog = add(null);
+      const pageTree = add(null);
+      const regular = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+      const bold = add(Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'));
+      const imageIds = images.map((img) => add(Buffer.concat([
+        Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /${img.colorSpace} /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>\nstream\n`),
+        img.data,
+        Buffer.from('\nendstream'),
+      ])));
+      const xObjects = imageIds.map((id, i) => `/Im${i + 1} ${id} 0 R`).join(' ');
+      const resources = `<< /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >>`;
+      const pageIds = pages.map((ops) => {
+        const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        const stream = add(Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          Buffer.from('\nendstream'),
+        ]));
+        return add(Buffer.from(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] /Resources ${resources} /Contents ${stream} 0 R >>`));
+      });
+      objects[catalog - 1] = Buffer.from(`<< /Type /Catalog /Pages ${pageTree} 0 R >>`);
+      objects[pageTree - 1] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+      const info = add(Buffer.from(`<< /Title ${metadataString(options.title || '')} /Producer (Three Whys) >>`));
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = objects.map((body, i) => {
+        const offset = length;
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+        chunks.push(chunk);
+        length += chunk.length;
+        return offset;
+      });
+      const xref = [`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`]
+        .concat(offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`))
+        .join('');
+      chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+      return Buffer.concat(chunks);
+    },
+  };
+}
+
+module.exports = {
+  A4,
+  createPdf,
+  jpegInfo,
+  textWidth,
+  wrapText,
+};
@@ -0,0 +1,124 @@
+// Progress of a report while the model is still writing it.
+//
+// The model streams its report as one JSON object (see ./llm). The
+// scanner reads the text received so far and reports the parts that are
+// complete: the summary fields, each dimension of the `dimensions` array
+// and the `coaching` object, so the results page can fill in as they
+// arrive. These parts are provisional; the validated report replaces
+// them once the model is done (see ./assess). When the model starts its
+// reply over, because the request was retried or the model was asked to
+// correct its report, the scanner sends a `reset` event first: the parts
+// received before it are void, and the new reply sends its own.
+
+// Top-level report fields sent as they complete
+const SUMMARY_FIELDS = ['averageScore', 'band', 'executiveSummary'];
+
+/**
+ * Create a scanner for a streamed report.
+ *
+ * @param {(event: Object) => void} onEvent called with
+ *   {type: 'summary', field, value}, {type: 'dimension', dimension},
+ *   {type: 'coaching', coaching} or {type: 'reset'}
+ * @returns {{push: (text: string) => void}} push the text received so
+ *   far; text that does not continue the previous text starts a new scan
+ *   after a `reset` event
+ */
+function createReportScanner(onEvent) {
+  let text = '';
+  let pos;
+  let stack;
+  let inString;
+  let escaped;
+  let stringStart;
+  let expectKey;
+  let key;
+  let valueStart;
+  let elementStart;
+
+  const reset = () => {
+    pos = 0;
+    stack = [];
+    inString = false;
+    escaped = false;
+    stringStart = -1;
+    expectKey = false;
+    key = null;
+    valueStart = -1;
+    elementStart = -1;
+  };
+
+  const parse = (start, end) => {
+    try {
+      return JSON.parse(text.slice(start, end));
+    } catch (err) {
+      return undefined;
+    }
+  };
+
+  // A top-level value is complete
+  const topValue = (value) => {
+    if (SUMMARY_FIELDS.includes(key) && typeof value === 'string') {
+      onEvent({ type: 'summary', field: key, value });
+    } else if (key === 'coaching' && value && typeof value === 'object') {
+      onEvent({ type: 'coaching', coaching: value });
+    }
+  };
+
+  const scan = () => {
+    for (; pos < text.length; pos++) {
+      const c = text[pos];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (c === '\\') {
+          escaped = true;
+        } else if (c === '"') {
+          inString = false;
+          if (stack.length === 1) {
+            const value = parse(stringStart, pos + 1);
+            if (expectKey) {
+              key = value;
+            } else {
+              topValue(value);
+            }
+          }
+        }
+      } else if (c === '"') {
+        inString = true;
+        stringStart = pos;
+      } else if (c === '{' || c === '[') {
+        if (stack.length === 1) valueStart = pos;
+        if (stack.length === 2 && key === 'dimensions' && stack[1] === '[' && c === '{') elementStart = pos;
+        stack.push(c);
+        expectKey = c === '{' && stack.length === 1;
+      } else if (c === '}' || c === ']') {
+        stack.pop();
+        if (stack.length === 2 && key === 'dimensions' && elementStart >= 0) {
+          const dimension = parse(elementStart, pos + 1);
+          if (dimension && typeof dimension === 'object') onEvent({ type: 'dimension', dimension });
+          elementStart = -1;
+        } else if (stack.length === 1) {
+          topValue(parse(valueStart, pos + 1));
+        }
+      } else if (stack.length === 1 && c === ':') {
+        expectKey = false;
+      } else if (stack.length === 1 && c === ',') {
+        expectKey = true;
+      }
+    }
+  };
+
+  reset();
+  return {
+    push(received) {
+      if (!received.startsWith(text)) {
+        onEvent({ type: 'reset' });
+        reset();
+      }
+      text = received;
+      scan();
+    },
+  };
+}
+
+module.exports = { createReportScanner };
@@ -0,0 +1,331 @@
+// Rubric loading and validation.
+//
+// A rubric defines one variant of the assessment: its dimensions with
+// the question, form text, heuristic rules and per-level message
+// templates of each, the five level names, the band thresholds, and the
+// executive summary and next actions for every band. Rubrics are JSON
+// files in RUBRIC_DIR (default: ../rubrics), named by their `id`.
+//
+// A rubric may set `extends` to the id of another rubric. It then
+// inherits every field it does not set itself; its `dimensions` replace
+// the base dimensions with the same key and are appended otherwise.
+//
+// Rubrics are written in English. Translations live in
+// RUBRIC_DIR/i18n/<id>.<locale>.json overlays (see localizeRubric in
+// ./i18n); a rubric that extends another inherits the overlays of its
+// base, and its own overlay only covers what it adds.
+//
+// All rubrics and their translations are loaded and validated when this
+// module is first required, so a broken rubric file stops the endpoints
+// from starting rather than producing malformed reports later.
+
+const fs = require('fs');
+const path = require('path');
+const { RULES, PATTERNS } = require('./rules');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, resolveLocale, localizeRubric } = require('./i18n');
+
+const DEFAULT_RUBRIC_ID = 'three-whys';
+const LEVEL_COUNT = 5;
+
+/**
+ * Error raised when a rubric file is invalid. `problems` lists every
+ * problem found, one string each.
+ */
+class RubricError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n- ${problems.join('\n- ')}` : message);
+    this.name = 'RubricError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Directory holding the rubric files.
+ */
+function rubricDir() {
+  return process.env.RUBRIC_DIR || path.join(__dirname, '..', 'rubrics');
+}
+
+/**
+ * Whether a value is a non-empty string.
+ *
+ * @param {*} value
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validate the heuristic rule declaration of a dimension.
+ *
+ * @param {string|Object} spec
+ * @param {string} where location used in messages
+ * @param {string[]} problems collects the problems
+ */
+function validateRuleSet(spec, where, problems) {
+  if (typeof spec === 'string') {
+    if (!RULES[spec]) problems.push(`${where}.rules: unknown rule set "${spec}" (expected one of ${Object.keys(RULES).join(', ')})`);
+    return;
+  }
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.rules) || !spec.rules.length) {
+    problems.push(`${where}.rules: must name a built-in rule set or declare a non-empty "rules" array`);
+    return;
+  }
+  const ids = new Set();
+  spec.rules.forEach((rule, i) => {
+    const at = `${where}.rules.rules[${i}]`;
+    if (!isText(rule.id)) problems.push(`${at}.id: is required`);
+    if (ids.has(rule.id)) problems.push(`${at}.id: "${rule.id}" is used twice`);
+    ids.add(rule.id);
+    if (!isText(rule.label)) problems.push(`${at}.label: is required`);
+    if (typeof rule.points !== 'number') problems.push(`${at}.points: must be a number`);
+    if (rule.pattern !== undefined) {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (err) {
+        problems.push(`${at}.pattern: ${err.message}`);
+      }
+    }
+    if (rule.match !== undefined && !PATTERNS[rule.match]) {
+      problems.push(`${at}.match: unknown pattern "${rule.match}" (expected one of ${Object.keys(PATTERNS).join(', ')})`);
+    }
+    const conditions = ['pattern', 'match', 'minWords', 'maxWords', 'maxSentences'].filter((k) => rule[k] !== undefined);
+    if (!conditions.length) problems.push(`${at}: must declare a pattern, match or word-count condition`);
+  });
+  (spec.caps || []).forEach((cap, i) => {
+    if (!ids.has(cap.unless)) problems.push(`${where}.rules.caps[${i}].unless: unknown rule "${cap.unless}"`);
+    if (!Number.isInteger(cap.max) || cap.max < 1 || cap.max > LEVEL_COUNT) problems.push(`${where}.rules.caps[${i}].max: must be an integer from 1 to ${LEVEL_COUNT}`);
+  });
+}
+
+/**
+ * Validate a rubric with any `extends` already resolved.
+ *
+ * @param {Object} rubric
+ * @returns {string[]} the problems found; empty when valid
+ */
+function validateRubric(rubric) {
+  const problems = [];
+  if (!rubric || typeof rubric !== 'object') return ['rubric must be a JSON object'];
+  if (!isText(rubric.id) || !/^[a-z0-9-]+$/.test(rubric.id)) problems.push('id: must be lowercase letters, digits and hyphens');
+  ['name', 'framework'].forEach((field) => {
+    if (!isText(rubric[field])) problems.push(`${field}: is required`);
+  });
+  const levels = rubric.levels;
+  const levelsOk = Array.isArray(levels) && levels.length === LEVEL_COUNT && levels.every(isText) && new Set(levels).size === LEVEL_COUNT;
+  if (!levelsOk) {
+    problems.push(`levels: must list ${LEVEL_COUNT} distinct level names, lowest first`);
+    return problems;
+  }
+  const bands = rubric.bands || {};
+  let previous = 1;
+  levels.slice(1).forEach((level) => {
+    const min = bands[level];
+    if (typeof min !== 'number' || min <= previous || min > LEVEL_COUNT) {
+      problems.push(`bands.${level}: must be a number above ${previous} and at most ${LEVEL_COUNT}`);
+    } else {
+      previous = min;
+    }
+  });
+  if (!Array.isArray(rubric.dimensions) || !rubric.dimensions.length) {
+    problems.push('dimensions: must be a non-empty array');
+  } else {
+    const keys = new Set();
+    const names = new Set();
+    rubric.dimensions.forEach((dim, i) => {
+      const where = `dimensions[${i}]`;
+      if (!isText(dim.key) || !/^[a-z][a-z0-9]*$/i.test(dim.key)) problems.push(`${where}.key: must be letters and digits`);
+      if (keys.has(dim.key)) problems.push(`${where}.key: "${dim.key}" is used twice`);
+      keys.add(dim.key);
+      if (names.has(dim.name)) problems.push(`${where}.name: "${dim.name}" is used twice`);
+      names.add(dim.name);
+      ['name', 'label', 'question'].forEach((field) => {
+        if (!isText(dim[field])) problems.push(`${where}.${field}: is required`);
+      });
+      if (dim.rows !== undefined && (!Number.isInteger(dim.rows) || dim.rows < 1)) problems.push(`${where}.rows: must be a positive integer`);
+      if (dim.calculator !== undefined && typeof dim.calculator !== 'boolean') problems.push(`${where}.calculator: must be true or false`);
+      validateRuleSet(dim.rules, where, problems);
+      levels.forEach((level) => {
+        const template = dim.templates && dim.templates[level];
+        if (!template || !isText(template.why) || !isText(template.how)) {
+          problems.push(`${where}.templates.${level}: needs "why" and "how" text`);
+        }
+      });
+    });
+    // The report holds a single value calculation
+    if (rubric.dimensions.filter((dim) => dim.calculator).length > 1) problems.push('dimensions: only one dimension can offer the value calculator');
+  }
+  levels.forEach((level) => {
+    if (!rubric.summaries || !isText(rubric.summaries[level])) problems.push(`summaries.${level}: is required`);
+    const actions = rubric.actions && rubric.actions[level];
+    if (!Array.isArray(actions) || actions.length < 3 || !actions.every(isText)) {
+      problems.push(`actions.${level}: must list at least three next actions`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Merge a rubric over the rubric it extends.
+ *
+ * @param {Object} base resolved base rubric
+ * @param {Object} rubric
+ */
+function mergeRubric(base, rubric) {
+  const merged = Object.assign({}, base, rubric);
+  delete merged.extends;
+  const dimensions = base.dimensions.slice();
+  (rubric.dimensions || []).forEach((dim) => {
+    const index = dimensions.findIndex((d) => d.key === dim.key);
+    if (index === -1) {
+      dimensions.push(dim);
+    } else {
+      dimensions[index] = Object.assign({}, dimensions[index], dim);
+    }
+  });
+  merged.dimensions = dimensions;
+  return merged;
+}
+
+/**
+ * Read the translation overlay of a rubric, or null when there is none.
+ *
+ * @param {string} dir rubric directory
+ * @param {string} id
+ * @param {string} locale
+ * @param {string[]} problems collects the problems
+ */
+function readOverlay(dir, id, locale, problems) {
+  const name = path.join('i18n', `${id}.${locale}.json`);
+  const file = path.join(dir, name);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return { name, overlay: JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    problems.push(`${name}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Translate a resolved rubric into every supported language that has an
+ * overlay for it or for a rubric it extends.
+ *
+ * @param {string} dir rubric directory
+ * @param {Object} rubric resolved rubric
+ * @param {string[]} chain ids of the rubric and its bases, base first
+ * @param {string[]} problems collects the problems
+ * @returns {Map<string, Object>} localized rubrics by locale
+ */
+function localizeAll(dir, rubric, chain, problems) {
+  const localized = new Map();
+  SUPPORTED_LOCALES.filter((locale) => locale !== DEFAULT_LOCALE).forEach((locale) => {
+    const overlays = chain.map((id) => readOverlay(dir, id, locale, problems)).filter(Boolean);
+    if (!overlays.length) return;
+    const keys = new Set(rubric.dimensions.map((dim) => dim.key));
+    overlays.forEach(({ name, overlay }) => {
+      Object.keys(overlay.dimensions || {}).filter((key) => !keys.has(key)).forEach((key) => {
+        problems.push(`${name}: unknown dimension "${key}"`);
+      });
+    });
+    const translated = localizeRubric(rubric, overlays.map((entry) => entry.overlay), locale);
+    validateRubric(translated).forEach((problem) => problems.push(`${overlays[overlays.length - 1].name}: ${problem}`));
+    localized.set(locale, translated);
+  });
+  return localized;
+}
+
+/**
+ * Load, resolve and validate every rubric in a directory.
+ *
+ * @param {string} [dir]
+ * @returns {Map<string, Map<string, Object>>} rubrics by id, each by
+ *   locale (the English rubric under DEFAULT_LOCALE)
+ * @throws {RubricError} when any rubric or translation is invalid
+ */
+function loadRubrics(dir = rubricDir()) {
+  const raw = new Map();
+  const problems = [];
+  fs.readdirSync(dir).filter((name) => name.endsWith('.json')).sort().forEach((name) => {
+    let rubric;
+    try {
+      rubric = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (err) {
+      problems.push(`${name}: ${err.message}`);
+      return;
+    }
+    const id = rubric && rubric.id;
+    if (`${id}.json` !== name) problems.push(`${name}: id "${id}" does not match the file name`);
+    raw.set(id, { name, rubric });
+  });
+  const resolved = new Map();
+  const resolve = (id, chain) => {
+    if (resolved.has(id)) return resolved.get(id);
+    const entry = raw.get(id);
+    if (!entry.rubric.extends) return entry.rubric;
+    const baseId = entry.rubric.extends;
+    if (!raw.has(baseId) || chain.includes(baseId)) {
+      problems.push(`${entry.name}: cannot extend "${baseId}"`);
+      return null;
+    }
+    const base = resolve(baseId, chain.concat(baseId));
+    return base ? mergeRubric(base, entry.rubric) : null;
+  };
+  const rubrics = new Map();
+  raw.forEach((entry, id) => {
+    const rubric = resolve(id, [id]);
+    if (!rubric) return;
+    validateRubric(rubric).forEach((problem) => problems.push(`${entry.name}: ${problem}`));
+    resolved.set(id, rubric);
+    // Ids of the rubric and the rubrics it extends, base first
+    const chain = [id];
+    while (raw.get(chain[0]).rubric.extends) chain.unshift(raw.get(chain[0]).rubric.extends);
+    const byLocale = localizeAll(dir, rubric, chain, problems);
+    byLocale.set(DEFAULT_LOCALE, rubric);
+    rubrics.set(id, byLocale);
+  });
+  if (!resolved.has(DEFAULT_RUBRIC_ID)) problems.push(`the default rubric "${DEFAULT_RUBRIC_ID}" is missing`);
+  if (problems.length) throw new RubricError(`Invalid rubrics in ${dir}`, problems);
+  return rubrics;
+}
+
+const RUBRICS = loadRubrics();
+
+/**
+ * Look up a rubric by id, translated into a locale when a translation
+ * exists. Without an id the default rubric is returned; an unknown id
+ * returns null, and an untranslated locale the English rubric.
+ *
+ * @param {string} [id]
+ * @param {string} [locale]
+ * @returns {Object|null}
+ */
+function getRubric(id, locale) {
+  const byLocale = RUBRICS.get(id || DEFAULT_RUBRIC_ID);
+  if (!byLocale) return null;
+  return byLocale.get(resolveLocale(locale)) || byLocale.get(DEFAULT_LOCALE);
+}
+
+/**
+ * Ids, names and languages of the available rubrics, default first.
+ *
+ * @param {string} [locale] language of the names
+ * @returns {Array<{id: string, name: string, default: boolean, locales: string[]}>}
+ */
+function listRubrics(locale) {
+  return Array.from(RUBRICS.keys())
+    .map((id) => {
+      const rubric = getRubric(id, locale);
+      return { id, name: rubric.name, default: id === DEFAULT_RUBRIC_ID, locales: Array.from(RUBRICS.get(id).keys()).sort() };
+    })
+    .sort((a, b) => Number(b.default) - Number(a.default) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  DEFAULT_RUBRIC_ID,
+  RubricError,
+  validateRubric,
+  loadRubrics,
+  getRubric,
+  listRubrics,
+};
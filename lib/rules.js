@@ -0,0 +1,623 @@
+// Content-aware rules for the heuristic (no API key) scoring path.
+//
+// Each dimension of the Three Whys assessment has its own set of rules
+// that look for the evidence the question asks for: a named buyer and
+// pain for Why change, a time-bound trigger for Why now, counted
+// differentiators and a proof point for Why your company, and so on.
+// Every rule that fires contributes points; the total maps to a
+// maturity level. The fired and missing rules are returned alongside
+// the score so the report can explain the evidence behind each level.
+//
+// A rubric (see ../rubrics) picks a built-in rule set for each dimension
+// by name, or declares its own rules in JSON using the named patterns
+// below. Like ./scoring.js this file runs in Node and in the browser.
+//
+// The patterns are written for English. Answers in another language are
+// folded to plain letters and matched against the English patterns
+// combined with the patterns of the language module (see ./i18n), so a
+// Portuguese or Spanish answer is scored on the same evidence.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./i18n'));
+  } else {
+    root.ThreeWhysRules = factory(root.ThreeWhysI18n);
+  }
+})(typeof self !== 'undefined' ? self : this, function (i18n) {
+  const LEVELS = ['None', 'Emerging', 'Basic', 'Advanced', 'Leading'];
+
+  // Phrases indicating the user does not know the answer. Matched on the
+  // normalised answer using word boundaries.
+  const UNKNOWN_PATTERNS = [
+    "i don't know", 'i don’t know', 'dont know', 'do not know', 'unknown', 'none', 'n/a', 'na',
+    'inexistent', 'no idea', 'not sure', 'don’t have', "don't have", 'dont have', 'do not have', 'missing',
+    'not available', 'unavailable', 'not provided', 'not existing', 'not exist', 'no data', 'no information',
+    'not applicable', 'not present', 'not disposable'
+  ];
+  // Answers at least this long are scored on their content even when they
+  // contain an unknown phrase ("none of our competitors…").
+  const UNKNOWN_MAX_WORDS = 8;
+  // Answers shorter than this are capped at Basic unless the dimension
+  // asks for something short (the headline).
+  const SHORT_ANSWER_WORDS = 8;
+
+  // A number followed by a unit, or a currency amount.
+  const QUANTITY = /(?:[$€£]\s?\d[\d,.]*\s?(?:k|m|bn|million|billion)?)|(?:\b\d[\d,.]*\s?(?:%|percent|x\b|k\b|m\b|bn\b|million|billion|hours?|hrs?|days?|weeks?|months?|years?|minutes?|mins?|seconds?|points?|pts|deals?|reps?|sellers?|users?|clients?|customers?|leads?|fte))/gi;
+  const NUMBER = /\d/;
+  const BUYER = /\b(ceos?|cfos?|cros?|ctos?|cios?|cmos?|coos?|vps?|vice presidents?|heads? of|directors?|managers?|leaders?|owners?|founders?|executives?|teams?|buyers?|customers?|clients?|compan(?:y|ies)|firms?|organi[sz]ations?|business(?:es)?|enterprises?|startups?|smbs?|retailers?|hospitals?|banks?|manufacturers?|agencies|sellers?|reps?|marketers?|engineers?)\b/i;
+  const PAIN = /struggl|\bpain|challeng|problem|\bissue|frustrat|\blos[et]|losing|wast|\bslow|inefficien|costly|churn|\brisk|bottleneck|manual|inconsisten|difficult|can['’]?t\b|cannot|unable|\bfail|\bmiss/i;
+  const CONSEQUENCE = /leading to|lead to|resulting in|results? in|which means|caus|costing|costs? them|because|as a result|impact|consequen|so they|forcing/i;
+  const EMOTION_STAKES = /\bfear|stress|pressure|anxi|worr|overwhelm|burn ?out|embarrass|frustrat|tired|exhaust|\bpain|nightmare|blame/i;
+  const TIME_BOUND = /\b(?:next|within|in the (?:next|coming))\s+(?:\d+|one|two|three|four|five|six|twelve)\b|\b\d+\s*(?:[-–]\s*\d+\s*)?(?:months?|weeks?|quarters?|days?)\b|\bq[1-4]\b|\b(?:this|next|coming) (?:year|quarter|month|fiscal year|fy|season)\b|\b20\d\d\b|deadline|\bby (?:the )?end of|budget (?:cycle|season|planning)|renewal|fiscal|year[- ]end/i;
+  const CATALYST = /regulat|complian|\blaw\b|mandate|competitor|competition|market shift|disrupt|\bai\b|artificial intelligence|funding|\bipo\b|acquisition|merger|launch|new (?:leadership|ceo|cro)|reorg|restructur|econom|inflation|recession|interest rate|price increase|contract|end of life|sunset|expir|board|investor|layoff|hiring freeze|tariff/i;
+  const COST_OF_DELAY = /delay|\bwait|fall(?:ing)? behind|left behind|\blos[et]|losing|\bmiss|too late|window|cost of inaction|every (?:month|quarter|week|day)|before|otherwise|or else/i;
+  const BUYER_LINK = /\b(?:they|their|them|buyers?|customers?|clients?|teams?)\b/i;
+  const PROOF = /\b\d[\d,]*\+?\s*(?:clients|customers|companies|firms|organi[sz]ations|brands|teams|deployments|projects)|case stud|testimonial|award|certif|recogni[sz]ed|gartner|forrester|\b\d+(?:[.,]\d+)?\s*(?:%|percent)|\bhelped\b|trusted by|track record|\broi\b|references?\b|reviews?\b/i;
+  const DIFFERENTIATOR_GROUPS = [
+    { label: 'proprietary IP', pattern: /proprietary|patent|\bown(?:ed)?\b|in-house|\bip\b/i },
+    { label: 'methodology', pattern: /methodolog|framework|playbook|approach|process|model\b/i },
+    { label: 'expertise', pattern: /expertise|experience|years|specialis|specializ|veteran|deep knowledge|expert/i },
+    { label: 'technology', pattern: /technolog|platform|software|\bai\b|automat|integrat|data|analytics|tool/i },
+    { label: 'uniqueness', pattern: /\bunique|\bonly\b|unlike|exclusive|\bfirst\b|no one else|nobody else/i },
+    { label: 'people', pattern: /\bteam of|consultants|coaches|people|advisors|certified/i },
+    { label: 'speed', pattern: /faster|\bquick|rapid|speed|in days|in weeks/i },
+    { label: 'price', pattern: /afford|cost-effective|pricing|price|cheaper|lower cost|fixed fee/i },
+    { label: 'partnership', pattern: /support|partner|dedicated|hands-on|white-glove|service/i },
+    { label: 'combination', pattern: /combin|end-to-end|all-in-one|both\b/i },
+  ];
+  const EMOTIONAL_WORDS = /\bstop\b|\bnever\b|finally|imagine|\bfear|\blos[et]|losing|\bwin|struggl|tired|frustrat|confiden|freedom|pride|proud|\bbold|dread|anxi|thriv|breakthrough|peace of mind|sleep|nightmare|\bpain|\blove|\bhate|dream|fearless|unstoppable|transform|!|\bsick of|\bbeat\b|crush|dominat|\bhero|ambitio|\bfree\b|\bsafe/i;
+  const LOGICAL_WORDS = /\broi\b|revenue|\bcost|profit|faster|\bsav(?:e|ing)|growth|results|proven|data|pipeline|win rate|margin|efficien|productiv/i;
+  const ASSUMPTIONS = /assum|based on|baseline|\bgiven\b|provided that|\bif\b|with teams? of|\bper (?:seller|rep|user|month|year|deal|customer)|average|typical|benchmark|current(?:ly)?|today/i;
+  const OUTCOME_GROUPS = [
+    { label: 'time saved', pattern: /time|hours?|days?|weeks?|faster|cycle|onboard|speed|sooner/i },
+    { label: 'revenue lift', pattern: /revenue|pipeline|sales|win rate|close rate|deal|acv|arr|growth|upsell|conversion|\$|€|£/i },
+    { label: 'risk avoided', pattern: /risk|churn|compliance|error|fine|penalt|downtime|security|avoid|retention/i },
+  ];
+  const BUYER_FRAMING = /\b(?:you|your|clients?|customers?|teams?|buyers?|sellers?|reps?)\b/i;
+  const IMPACT = /increas|reduc|\bcut|grow|improv|\bsave|\bdrive|accelerat|shorten|boost|predictab|faster|\bmore\b|\bless\b|without|unlock|eliminat|double|win/i;
+  const HELP_VERB = /\bhelp|\benabl|\bempower|\bso (?:that|they)|\bwho\b|\bfor\b/i;
+  const RELEVANCE = /so that|which means|\bhelp/i;
+  const DIRECT_ADDRESS = /\b(?:you|your)\b/i;
+  const JARGON = [
+    'synergy', 'synergies', 'leverage', 'best-in-class', 'best in class', 'cutting-edge', 'cutting edge', 'world-class',
+    'world class', 'innovative', 'seamless', 'seamlessly', 'robust', 'holistic', 'paradigm', 'disruptive', 'next-gen',
+    'next generation', 'game-changer', 'game changer', 'revolutionary', 'state-of-the-art', 'turnkey', 'value-add',
+    'bleeding edge', 'mission-critical', 'scalable', 'empowerment', 'ecosystem', 'move the needle', 'low-hanging fruit',
+  ];
+  const HEDGES = ["i don't know", 'i don’t know', 'dont know', 'do not know', 'no idea', 'not sure', 'maybe', 'i guess', 'probably'];
+
+  /**
+   * Count the sentences in a piece of text.
+   *
+   * @param {string} text
+   */
+  function countSentences(text) {
+    const parts = text.split(/(?<=[.!?])\s+(?=\S)|\n+/).filter((p) => /[a-z0-9]/i.test(p));
+    return parts.length;
+  }
+
+  /**
+   * Collect the distinct quantities (number + unit) mentioned in text.
+   *
+   * @param {string} text
+   * @param {Object} ctx
+   * @returns {string[]}
+   */
+  function quantities(text, ctx) {
+    const found = text.match(ctx.p.quantity) || [];
+    return Array.from(new Set(found.map((q) => q.trim().toLowerCase())));
+  }
+
+  /**
+   * The whole words a pattern matches, as written in the answer: the
+   * patterns match stems ("regulat"), the evidence shows "regulations".
+   * Texts folded for matching are mapped back word for word to
+   * `ctx.raw`, the text before folding.
+   *
+   * @param {string} text
+   * @param {RegExp} pattern
+   * @param {Object} ctx
+   * @param {number} [max] most distinct matches to return
+   * @returns {string} the matches joined with commas; '' when none
+   */
+  function matchedWords(text, pattern, ctx, max = 3) {
+    const tokens = [];
+    text.replace(/\S+/g, (token, index) => {
+      tokens.push({ start: index, end: index + token.length, token });
+      return token;
+    });
+    const raw = ctx.raw ? ctx.raw.match(/\S+/g) || [] : [];
+    const written = raw.length === tokens.length ? raw : tokens.map((t) => t.token);
+    const found = [];
+    const seen = new Set();
+    const regex = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g');
+    let match;
+    while (found.length < max && (match = regex.exec(text))) {
+      if (!match[0]) {
+        regex.lastIndex += 1;
+        continue;
+      }
+      const end = match.index + match[0].length;
+      const first = tokens.findIndex((t) => t.end > match.index);
+      const last = tokens.findIndex((t) => t.end >= end);
+      const words = written.slice(first, last + 1).join(' ').replace(/^[^\p{L}\p{N}$€£]+|[^\p{L}\p{N}%]+$/gu, '');
+      if (words && !seen.has(words.toLowerCase())) {
+        seen.add(words.toLowerCase());
+        found.push(words);
+      }
+    }
+    return found.join(', ');
+  }
+
+  /**
+   * Labels of the groups whose pattern matches the text.
+   *
+   * @param {Array<{label: string, pattern: RegExp}>} groups
+   * @param {string} text
+   */
+  function matchedGroups(groups, text) {
+    return groups.filter((g) => g.pattern.test(text)).map((g) => g.label);
+  }
+
+  /**
+   * The groups whose pattern matches the text, each with the first word
+   * that matched: "speed (faster), technology (platform)".
+   *
+   * @param {Array<{label: string, pattern: RegExp}>} groups
+   * @param {string} text
+   * @param {Object} ctx
+   */
+  function describeGroups(groups, text, ctx) {
+    return groups.filter((g) => g.pattern.test(text)).map((g) => `${g.label} (${matchedWords(text, g.pattern, ctx, 1)})`).join(', ');
+  }
+
+  /**
+   * Jargon terms used in the text.
+   *
+   * @param {string} text
+   * @param {Object} ctx
+   */
+  function jargonTerms(text, ctx) {
+    const lower = text.toLowerCase();
+    return ctx.pack.jargon.filter((term) => new RegExp(`(^|[^a-z-])${term.replace(/[-\s]/g, '[-\\s]')}($|[^a-z-])`).test(lower));
+  }
+
+  /*
+   * Built-in rule sets, referenced by name from rubric dimensions. Each
+   * rule has:
+   *   id       stable identifier reported in the evidence list
+   *   label    what the answer does when the rule fires ("names the buyer")
+   *   hint     what is missing when it does not ("a named buyer")
+   *   points   contribution to the dimension total (negative for penalties)
+   *   test     function(text, ctx) returning a truthy value when the rule
+   *            fires; a string return value is reported as detail, and
+   *            names the words of the answer (see matchedWords)
+   *   answerOnly  evaluate against the typed answer only, never attachments
+   * A dimension may also declare `caps`: the maximum score allowed when a
+   * given rule does not fire, and `allowShort` to exempt it from the cap
+   * on very short answers.
+   */
+  const RULES = {
+    'why-change': {
+      rules: [
+        { id: 'buyer', label: 'names the buyer', hint: 'a named buyer or persona', points: 1, test: (t, ctx) => ctx.p.buyer.test(t) },
+        { id: 'pain', label: 'describes a concrete pain', hint: 'a concrete pain or problem', points: 2, test: (t, ctx) => ctx.p.pain.test(t) },
+        { id: 'consequence', label: 'explains the consequences of the pain', hint: 'the consequences of leaving the pain unsolved', points: 1, test: (t, ctx) => ctx.p.consequence.test(t) },
+        { id: 'quantified', label: 'quantifies the cost of the problem', hint: 'a number that sizes the problem', points: 1, test: (t, ctx) => quantities(t, ctx).join(', ') },
+        { id: 'emotion', label: 'conveys the emotional stakes', hint: 'the emotional stakes for the buyer', points: 1, test: (t, ctx) => ctx.p.emotionalStakes.test(t) },
+        { id: 'depth', label: 'gives enough detail to be persuasive', hint: 'more detail (at least 25 words)', points: 1, answerOnly: true, test: (t, ctx) => ctx.words >= 25 },
+      ],
+      caps: [{ unless: 'pain', max: 3 }],
+    },
+    'why-now': {
+      rules: [
+        { id: 'timebound', label: 'sets a time-bound trigger', hint: 'a specific timeframe or deadline', points: 2, test: (t, ctx) => matchedWords(t, ctx.p.timeBound, ctx) },
+        { id: 'catalyst', label: 'names the catalyst behind the urgency', hint: 'the market, regulatory or competitive catalyst', points: 2, test: (t, ctx) => matchedWords(t, ctx.p.catalyst, ctx) },
+        { id: 'delay', label: 'spells out the cost of waiting', hint: 'what the buyer loses by waiting', points: 1, test: (t, ctx) => ctx.p.costOfDelay.test(t) },
+        { id: 'quantified', label: 'backs the urgency with numbers', hint: 'data that shows the scale of the trigger', points: 1, test: (t, ctx) => ctx.p.number.test(t) },
+        { id: 'buyer', label: 'ties the trigger to the buyer', hint: 'a link between the trigger and the buyer', points: 1, test: (t, ctx) => ctx.p.buyerLink.test(t) },
+        { id: 'depth', label: 'gives enough detail to be persuasive', hint: 'more detail (at least 25 words)', points: 1, answerOnly: true, test: (t, ctx) => ctx.words >= 25 },
+      ],
+      caps: [{ unless: 'timebound', max: 3 }],
+    },
+    'why-your-company': {
+      rules: [
+        { id: 'differentiator', label: 'names a differentiator', hint: 'at least one differentiator', points: 1, test: (t, ctx) => describeGroups(ctx.pack.differentiatorGroups, t, ctx) },
+        { id: 'differentiators2', label: 'names two or more differentiators', hint: 'a second differentiator', points: 1, test: (t, ctx) => matchedGroups(ctx.pack.differentiatorGroups, t).length >= 2 },
+        { id: 'differentiators3', label: 'names three differentiators', hint: 'a third differentiator', points: 1, test: (t, ctx) => matchedGroups(ctx.pack.differentiatorGroups, t).length >= 3 },
+        { id: 'proof', label: 'includes a proof point', hint: 'a proof point such as a case study, customer count or metric', points: 2, test: (t, ctx) => matchedWords(t, ctx.p.proof, ctx) },
+        { id: 'relevance', label: 'connects the differentiators to the buyer', hint: 'why the differentiators matter to the buyer', points: 1, test: (t, ctx) => ctx.p.buyerFraming.test(t) || ctx.p.relevance.test(t) },
+        { id: 'depth', label: 'gives enough detail to be persuasive', hint: 'more detail (at least 25 words)', points: 1, answerOnly: true, test: (t, ctx) => ctx.words >= 25 },
+      ],
+      caps: [{ unless: 'differentiator', max: 2 }, { unless: 'proof', max: 3 }],
+    },
+    'emotion-logic': {
+      rules: [
+        { id: 'emotional', label: 'uses emotional language', hint: 'an emotional hook (fear, ambition, relief)', points: 2, answerOnly: true, test: (t, ctx) => matchedWords(t, ctx.p.emotional, ctx) },
+        { id: 'logical', label: 'includes a logical benefit or fact', hint: 'a logical benefit or number', points: 2, answerOnly: true, test: (t, ctx) => ctx.p.number.test(t) || ctx.p.logical.test(t) },
+        { id: 'balanced', label: 'balances emotion with logic', hint: 'a balance of emotion and logic', points: 1, answerOnly: true, test: (t, ctx) => ctx.p.emotional.test(t) && (ctx.p.number.test(t) || ctx.p.logical.test(t)) },
+        { id: 'concise', label: 'is short enough to work as a headline', hint: 'a shorter headline (two lines at most)', points: 1, answerOnly: true, test: (t, ctx) => ctx.words <= 25 && ctx.sentences <= 2 },
+        { id: 'buyer', label: 'speaks directly to the buyer', hint: 'direct address to the buyer ("you", "your")', points: 1, answerOnly: true, test: (t, ctx) => ctx.p.directAddress.test(t) },
+        { id: 'rambling', label: 'reads like a paragraph rather than a headline', hint: '', points: -1, answerOnly: true, test: (t, ctx) => ctx.words > 40 },
+      ],
+      allowShort: true,
+    },
+    'buyer-as-hero': {
+      rules: [
+        { id: 'numbers', label: 'includes numbers', hint: 'numbers for the expected outcomes', points: 1, test: (t, ctx) => ctx.p.number.test(t) },
+        { id: 'units', label: 'attaches units to the numbers', hint: 'units such as %, $, hours or weeks', points: 1, test: (t, ctx) => quantities(t, ctx).join(', ') },
+        { id: 'outcomes2', label: 'quantifies two or more outcomes', hint: 'at least two quantified outcomes', points: 1, test: (t, ctx) => quantities(t, ctx).length >= 2 },
+        { id: 'outcomes3', label: 'quantifies three or more outcomes', hint: 'a third quantified outcome', points: 1, test: (t, ctx) => quantities(t, ctx).length >= 3 },
+        { id: 'categories', label: 'covers more than one type of outcome', hint: 'a mix of time saved, revenue lift and risk avoided', points: 1, test: (t, ctx) => matchedGroups(ctx.pack.outcomeGroups, t).length >= 2 && describeGroups(ctx.pack.outcomeGroups, t, ctx) },
+        { id: 'assumptions', label: 'states the assumptions behind the numbers', hint: 'the assumptions behind the numbers (baseline, team size)', points: 2, test: (t, ctx) => ctx.p.assumptions.test(t) },
+        { id: 'buyer', label: 'frames the results around the buyer', hint: 'the buyer as the one achieving the results', points: 1, test: (t, ctx) => ctx.p.buyerFraming.test(t) },
+      ],
+      caps: [{ unless: 'numbers', max: 2 }],
+    },
+    'clarity': {
+      rules: [
+        { id: 'single', label: 'is a single sentence', hint: 'a single, complete sentence', points: 2, answerOnly: true, test: (t, ctx) => ctx.sentences === 1 && ctx.words >= SHORT_ANSWER_WORDS },
+        { id: 'buyer', label: 'names who you serve', hint: 'who you serve', points: 1, answerOnly: true, test: (t, ctx) => ctx.p.buyer.test(t) },
+        { id: 'problem', label: 'states the problem you solve', hint: 'the problem you solve', points: 1, answerOnly: true, test: (t, ctx) => ctx.p.pain.test(t) || ctx.p.helpVerb.test(t) },
+        { id: 'impact', label: 'states the impact you deliver', hint: 'the impact you deliver', points: 1, answerOnly: true, test: (t, ctx) => ctx.p.impact.test(t) },
+        { id: 'plain', label: 'avoids jargon', hint: '', points: 1, answerOnly: true, test: (t, ctx) => ctx.words >= SHORT_ANSWER_WORDS && jargonTerms(t, ctx).length === 0 },
+        { id: 'length', label: 'is concise (10–35 words)', hint: 'a length of 10–35 words', points: 1, answerOnly: true, test: (t, ctx) => ctx.words >= 10 && ctx.words <= 35 },
+        { id: 'jargon', label: 'relies on jargon', hint: '', points: -1, answerOnly: true, test: (t, ctx) => jargonTerms(t, ctx).length >= 2 && jargonTerms(t, ctx).join(', ') },
+        { id: 'sentences', label: 'runs to several sentences', hint: '', points: -1, answerOnly: true, test: (t, ctx) => ctx.sentences > 2 },
+      ],
+      caps: [{ unless: 'single', max: 3 }],
+    },
+  };
+
+  // Patterns a declarative rule can refer to by name with `match`.
+  const PATTERNS = {
+    quantity: QUANTITY,
+    number: NUMBER,
+    buyer: BUYER,
+    pain: PAIN,
+    consequence: CONSEQUENCE,
+    emotionalStakes: EMOTION_STAKES,
+    timeBound: TIME_BOUND,
+    catalyst: CATALYST,
+    costOfDelay: COST_OF_DELAY,
+    proof: PROOF,
+    emotional: EMOTIONAL_WORDS,
+    logical: LOGICAL_WORDS,
+    assumptions: ASSUMPTIONS,
+    buyerFraming: BUYER_FRAMING,
+    buyerLink: BUYER_LINK,
+    impact: IMPACT,
+    helpVerb: HELP_VERB,
+    relevance: RELEVANCE,
+    directAddress: DIRECT_ADDRESS,
+  };
+
+  // Wording of the evidence explanation (see explainEvidence)
+  const EXPLAIN = {
+    found: 'Your answer {items}.',
+    attachment: 'The attached file supplied evidence that it {items}.',
+    calculator: 'The value calculator supplied evidence that it {items}.',
+    nothing: 'Your answer does not yet contain the evidence this dimension looks for.',
+    however: 'However, it {items}.',
+    missing: 'Missing: {items}.',
+    and: 'and',
+  };
+
+  const HEDGING = { label: 'hedges with uncertain language' };
+
+  const ENGLISH = {
+    locale: 'en',
+    fold: false,
+    p: PATTERNS,
+    differentiatorGroups: DIFFERENTIATOR_GROUPS,
+    outcomeGroups: OUTCOME_GROUPS,
+    jargon: JARGON,
+    unknown: UNKNOWN_PATTERNS,
+    hedges: HEDGES,
+    rules: {},
+    hedging: HEDGING,
+    explain: EXPLAIN,
+  };
+  const packs = { en: ENGLISH };
+
+  /**
+   * Combine an English pattern with its translation, keeping the flags of
+   * the English one.
+   *
+   * @param {RegExp} english
+   * @param {string} [translated] regular expression source
+   */
+  function combine(english, translated) {
+    return translated ? new RegExp(`(?:${english.source})|(?:${translated})`, english.flags) : english;
+  }
+
+  /**
+   * Groups with the patterns and labels of a language module merged in.
+   *
+   * @param {Array<{label: string, pattern: RegExp}>} groups
+   * @param {Object} [translated] {label, pattern} keyed by English label
+   */
+  function combineGroups(groups, translated = {}) {
+    return groups.map((g) => {
+      const t = translated[g.label];
+      return t ? { label: t.label || g.label, pattern: combine(g.pattern, t.pattern) } : g;
+    });
+  }
+
+  /**
+   * Patterns, phrase lists and wording the rules use for a locale. For
+   * English this is the tables above; other languages add the patterns
+   * and phrases of their language module.
+   *
+   * @param {string} [locale]
+   */
+  function languagePack(locale) {
+    const code = i18n.resolveLocale(locale);
+    if (packs[code]) return packs[code];
+    const data = i18n.localeData(code);
+    const patterns = data.patterns || {};
+    const p = {};
+    Object.keys(PATTERNS).forEach((name) => {
+      p[name] = combine(PATTERNS[name], patterns[name]);
+    });
+    packs[code] = {
+      locale: code,
+      fold: true,
+      p,
+      differentiatorGroups: combineGroups(DIFFERENTIATOR_GROUPS, data.differentiatorGroups),
+      outcomeGroups: combineGroups(OUTCOME_GROUPS, data.outcomeGroups),
+      jargon: JARGON.concat(data.jargon || []),
+      unknown: data.unknown || UNKNOWN_PATTERNS,
+      hedges: data.hedges || HEDGES,
+      rules: data.rules || {},
+      hedging: (data.rules && data.rules.hedging) || HEDGING,
+      explain: Object.assign({}, EXPLAIN, data.explain),
+    };
+    return packs[code];
+  }
+
+  /**
+   * Build a rule from its JSON declaration. The rule fires when every
+   * condition it declares holds:
+   *   pattern     regular expression source, matched case-insensitively
+   *   match       name of one of the PATTERNS above
+   *   minWords    minimum number of words
+   *   maxWords    maximum number of words
+   *   maxSentences  maximum number of sentences
+   * The words matched by `pattern` or `match` are reported as detail.
+   *
+   * @param {Object} spec
+   */
+  function compileRule(spec) {
+    const pattern = spec.pattern ? new RegExp(spec.pattern, 'i') : null;
+    return {
+      id: spec.id,
+      label: spec.label,
+      hint: spec.hint || '',
+      points: spec.points,
+      answerOnly: Boolean(spec.answerOnly),
+      test: (t, ctx) => {
+        if (spec.minWords !== undefined && ctx.words < spec.minWords) return false;
+        if (spec.maxWords !== undefined && ctx.words > spec.maxWords) return false;
+        if (spec.maxSentences !== undefined && ctx.sentences > spec.maxSentences) return false;
+        let detail = true;
+        // Named patterns are looked up at test time so they follow the language of the answer
+        for (const regex of [pattern, spec.match && ctx.p[spec.match]]) {
+          if (!regex) continue;
+          if (!regex.test(t)) return false;
+          detail = matchedWords(t, regex, ctx);
+        }
+        return detail;
+      },
+    };
+  }
+
+  // Compiled declarative rule sets, cached per rubric object
+  const compiled = typeof WeakMap === 'function' ? new WeakMap() : null;
+
+  /**
+   * Resolve the rule set of a dimension: the name of a built-in set, or a
+   * declaration {rules, caps, allowShort} whose rules are compiled with
+   * compileRule.
+   *
+   * @param {string|Object} spec
+   */
+  function resolveRuleSet(spec) {
+    if (typeof spec === 'string') return RULES[spec] || { rules: [] };
+    if (!spec || typeof spec !== 'object') return { rules: [] };
+    if (compiled && compiled.has(spec)) return compiled.get(spec);
+    const definition = {
+      rules: (spec.rules || []).map(compileRule),
+      caps: spec.caps || [],
+      allowShort: Boolean(spec.allowShort),
+    };
+    if (compiled) compiled.set(spec, definition);
+    return definition;
+  }
+
+  // Built-in rule sets with translated labels, keyed by locale and name
+  const translated = {};
+
+  /**
+   * Translate the labels and hints of a built-in rule set.
+   *
+   * @param {string} name rule set name
+   * @param {Object} definition
+   * @param {Object} pack language pack
+   */
+  function translateRuleSet(name, definition, pack) {
+    const texts = pack.rules[name];
+    if (!texts) return definition;
+    const key = `${pack.locale}:${name}`;
+    if (!translated[key]) {
+      translated[key] = Object.assign({}, definition, {
+        rules: definition.rules.map((rule) => Object.assign({}, rule, texts[rule.id] || {})),
+      });
+    }
+    return translated[key];
+  }
+
+  /**
+   * Normalise an answer for unknown-phrase matching: lowercase, strip
+   * diacritics and strip punctuation.
+   *
+   * @param {string} text
+   */
+  function normalise(text) {
+    return i18n.fold(text).toLowerCase().replace(/[^a-z0-9\s]/g, '').trim();
+  }
+
+  /**
+   * Whether the normalised text contains any of the phrases as whole words.
+   *
+   * @param {string} normalised
+   * @param {string[]} phrases
+   */
+  function containsPhrase(normalised, phrases) {
+    return phrases.some((p) => {
+      const escaped = normalise(p).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return escaped && new RegExp(`\\b${escaped}\\b`, 'i').test(normalised);
+    });
+  }
+
+  /**
+   * Map a point total to a 1–5 score. Zero or one point is Emerging; each
+   * further two points climbs a level.
+   *
+   * @param {number} points
+   */
+  function pointsToScore(points) {
+    if (points <= 1) return 2;
+    if (points <= 3) return 3;
+    if (points <= 5) return 4;
+    return 5;
+  }
+
+  /**
+   * Score one dimension of the assessment from its answer and any text
+   * extracted from the attachment for the same question. The figures of
+   * the value calculator (see ./calculator) support the answer the same
+   * way an attachment does.
+   *
+   * @param {string|Object} ruleSet name of a built-in rule set or a rule
+   *   declaration from a rubric (see resolveRuleSet)
+   * @param {string} answer
+   * @param {string} [attachmentText]
+   * @param {{levels?: string[], locale?: string, calculatorText?: string}} [options]
+   *   names of the five levels, the language of the answer and the value
+   *   calculation as text
+   * @returns {{score: number, level: string, unknown: boolean, points: number,
+   *   evidence: Array<{id: string, label: string, points: number, source: string, detail?: string}>,
+   *   missing: string[]}}
+   */
+  function scoreDimension(ruleSet, answer, attachmentText = '', options = {}) {
+    const levels = options.levels || LEVELS;
+    const pack = languagePack(options.locale);
+    let text = (answer || '').trim();
+    let calculatorText = options.calculatorText || '';
+    // As written, for the evidence details
+    const raw = { answer: text, attachment: attachmentText, calculator: calculatorText };
+    if (pack.fold) {
+      text = i18n.fold(text);
+      attachmentText = i18n.fold(attachmentText);
+      calculatorText = i18n.fold(calculatorText);
+    }
+    const words = text ? text.split(/\s+/).length : 0;
+    const normalised = normalise(text);
+    const definition = typeof ruleSet === 'string' ? translateRuleSet(ruleSet, resolveRuleSet(ruleSet), pack) : resolveRuleSet(ruleSet);
+    // Empty, extremely short or "I don't know" style answers score None
+    const unknown = normalised.length === 0 || words <= 2 || (words < UNKNOWN_MAX_WORDS && containsPhrase(normalised, pack.unknown));
+    if (unknown) {
+      return { score: 1, level: levels[0], unknown: true, points: 0, evidence: [], missing: definition.rules.filter((r) => r.hint && r.points > 0).map((r) => r.hint), locale: pack.locale };
+    }
+    const ctx = { words, sentences: countSentences(text), p: pack.p, pack, raw: raw.answer };
+    // Supporting texts, tried in order when the answer lacks the evidence
+    const support = [['attachment', attachmentText], ['calculator', calculatorText]]
+      .filter(([, supportText]) => supportText)
+      .map(([source, supportText]) => ({ source, text: supportText, ctx: { words: supportText.split(/\s+/).length, sentences: 0, p: pack.p, pack, raw: raw[source] } }));
+    const evidence = [];
+    const missing = [];
+    let points = 0;
+    definition.rules.forEach((rule) => {
+      let result = rule.test(text, ctx);
+      let source = 'answer';
+      for (const item of support) {
+        if (result || rule.answerOnly || rule.points <= 0) break;
+        result = rule.test(item.text, item.ctx);
+        source = item.source;
+      }
+      if (result) {
+        points += rule.points;
+        const item = { id: rule.id, label: rule.label, points: rule.points, source };
+        if (typeof result === 'string') item.detail = result;
+        evidence.push(item);
+      } else if (rule.points > 0 && rule.hint) {
+        missing.push(rule.hint);
+      }
+    });
+    if (containsPhrase(normalised, pack.hedges)) {
+      points -= 1;
+      evidence.push({ id: 'hedging', label: pack.hedging.label, points: -1, source: 'answer' });
+    }
+    let score = pointsToScore(points);
+    if (words < SHORT_ANSWER_WORDS && !definition.allowShort) score = Math.min(score, 3);
+    (definition.caps || []).forEach((cap) => {
+      if (!evidence.some((e) => e.id === cap.unless)) score = Math.min(score, cap.max);
+    });
+    return { score, level: levels[score - 1], unknown: false, points, evidence, missing, locale: pack.locale };
+  }
+
+  /**
+   * Join phrases into a readable list: "a, b and c".
+   *
+   * @param {string[]} items
+   * @param {string} [and] the word for "and"
+   */
+  function joinList(items, and = 'and') {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} ${and} ${items[items.length - 1]}`;
+  }
+
+  /**
+   * Explain a dimension result in prose from the evidence that was found
+   * and the evidence that is missing.
+   *
+   * @param {ReturnType<typeof scoreDimension>} result
+   * @returns {string}
+   */
+  function explainEvidence(result) {
+    const { explain } = languagePack(result.locale);
+    const list = (items) => ({ items: joinList(items, explain.and) });
+    const positive = result.evidence.filter((e) => e.points > 0);
+    const negative = result.evidence.filter((e) => e.points < 0);
+    const sentences = [];
+    if (positive.length) {
+      const labels = positive.map((e) => (e.detail && e.detail.length <= 60 ? `${e.label} (${e.detail})` : e.label));
+      sentences.push(i18n.format(explain.found, list(labels)));
+      ['attachment', 'calculator'].forEach((source) => {
+        const supported = positive.filter((e) => e.source === source);
+        if (supported.length) sentences.push(i18n.format(explain[source], list(supported.map((e) => e.label))));
+      });
+    } else {
+      sentences.push(explain.nothing);
+    }
+    if (negative.length) {
+      sentences.push(i18n.format(explain.however, list(negative.map((e) => (e.detail ? `${e.label} (${e.detail})` : e.label)))));
+    }
+    if (result.missing.length) {
+      sentences.push(i18n.format(explain.missing, list(result.missing)));
+    }
+    return sentences.join(' ');
+  }
+
+  return {
+    LEVELS,
+    UNKNOWN_PATTERNS,
+    RULES,
+    PATTERNS,
+    resolveRuleSet,
+    languagePack,
+    scoreDimension,
+    explainEvidence,
+  };
+});
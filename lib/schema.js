@@ -0,0 +1,323 @@
+// Report schema and validation for the evaluate endpoint.
+//
+// The heuristic scorer in ./scoring always produces a well-formed
+// report, but the LLM path returns whatever the model wrote. This module
+// defines the report format as a JSON Schema, validates model output
+// against it (plus the arithmetic the schema cannot express, such as
+// the average matching the dimension scores) and repairs invalid
+// reports using the heuristic report as the source of missing values.
+// The dimensions and level names come from the rubric being scored. The
+// per-question feedback of ./feedback is validated the same way. The
+// model does not write the profile: reports carry the one submitted.
+
+const { bandForScore } = require('./scoring');
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+const COACHING_SCHEMA = {
+  type: 'object',
+  required: [
+    'headline', 'headlineExplain', 'urgency', 'urgencyExplain', 'differentiators',
+    'differentiatorsExplain', 'valueOutline', 'valueOutlineExplain', 'coachingText',
+    'salesSparxText', 'finalValue', 'nextActions',
+  ],
+  properties: {
+    headline: nonEmptyString,
+    headlineExplain: nonEmptyString,
+    urgency: nonEmptyString,
+    urgencyExplain: nonEmptyString,
+    differentiators: nonEmptyString,
+    differentiatorsExplain: nonEmptyString,
+    valueOutline: nonEmptyString,
+    valueOutlineExplain: nonEmptyString,
+    coachingText: nonEmptyString,
+    salesSparxText: { type: 'string' },
+    finalValue: nonEmptyString,
+    nextActions: { type: 'array', minItems: 3, items: nonEmptyString },
+  },
+};
+
+/**
+ * Build the report JSON Schema for a rubric.
+ *
+ * @param {Object} rubric
+ * @returns {Object}
+ */
+function reportSchema(rubric) {
+  const { levels, dimensions } = rubric;
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `${rubric.name} report`,
+    type: 'object',
+    required: ['averageScore', 'band', 'executiveSummary', 'dimensions', 'coaching'],
+    properties: {
+      averageScore: { type: 'string', pattern: '^[1-5]\\.\\d$' },
+      band: { type: 'string', enum: levels },
+      executiveSummary: nonEmptyString,
+      dimensions: {
+        type: 'array',
+        minItems: dimensions.length,
+        maxItems: dimensions.length,
+        items: {
+          type: 'object',
+          required: ['name', 'score', 'level', 'why', 'how'],
+          properties: {
+            name: { type: 'string', enum: dimensions.map((c) => c.name) },
+            score: { type: 'integer', minimum: 1, maximum: 5 },
+            level: { type: 'string', enum: levels },
+            why: nonEmptyString,
+            how: nonEmptyString,
+          },
+        },
+      },
+      coaching: COACHING_SCHEMA,
+    },
+  };
+}
+
+/**
+ * Build the JSON Schema of the feedback on a single answer.
+ *
+ * @param {Object} rubric
+ * @returns {Object}
+ */
+function feedbackSchema(rubric) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: `${rubric.name} answer feedback`,
+    type: 'object',
+    required: ['score', 'level', 'why', 'missing', 'rewrite'],
+    properties: {
+      score: { type: 'integer', minimum: 1, maximum: 5 },
+      level: { type: 'string', enum: rubric.levels },
+      why: nonEmptyString,
+      missing: { type: 'array', items: nonEmptyString },
+      rewrite: { type: 'string' },
+    },
+  };
+}
+
+/**
+ * Return the JSON Schema type name of a value.
+ *
+ * @param {*} value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by
+ * reportSchema(): type, required, properties, items, enum, pattern,
+ * minLength, minItems, maxItems, minimum and maximum.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path JSON path of the value, used in error messages
+ * @param {Array<{path: string, message: string}>} errors collects the errors
+ */
+function validateAgainst(schema, value, path, errors) {
+  const actual = typeOf(value);
+  if (schema.type) {
+    const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!ok) {
+      errors.push({ path, message: `expected ${schema.type} but got ${actual}` });
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `does not match ${schema.pattern}` });
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be at most ${schema.maximum}` });
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateAgainst(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+  if (actual === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    Object.keys(schema.properties || {}).forEach((key) => {
+      if (value[key] !== undefined) validateAgainst(schema.properties[key], value[key], `${path}.${key}`, errors);
+    });
+  }
+}
+
+/**
+ * Compute the average of the dimension scores as the one-decimal string
+ * used by reports.
+ *
+ * @param {Array<{score: number}>} dimensions
+ */
+function averageOf(dimensions) {
+  const total = dimensions.reduce((sum, d) => sum + d.score, 0);
+  return (total / dimensions.length).toFixed(1);
+}
+
+/**
+ * Validate a report. Besides the schema this checks that every
+ * category appears once, that each level matches its score and that the
+ * average and band agree with the dimension scores.
+ *
+ * @param {Object} report
+ * @param {Object} rubric
+ * @returns {Array<{path: string, message: string}>} empty when valid
+ */
+function validateReport(report, rubric) {
+  const errors = [];
+  const { levels } = rubric;
+  validateAgainst(reportSchema(rubric), report, '$', errors);
+  if (errors.length || typeOf(report) !== 'object') return errors;
+  rubric.dimensions.forEach((cat) => {
+    const count = report.dimensions.filter((d) => d.name === cat.name).length;
+    if (count !== 1) errors.push({ path: '$.dimensions', message: `must contain "${cat.name}" exactly once` });
+  });
+  report.dimensions.forEach((dim, i) => {
+    if (levels[dim.score - 1] !== dim.level) {
+      errors.push({ path: `$.dimensions[${i}].level`, message: `score ${dim.score} corresponds to ${levels[dim.score - 1]}, not ${dim.level}` });
+    }
+  });
+  const average = averageOf(report.dimensions);
+  if (report.averageScore !== average) {
+    errors.push({ path: '$.averageScore', message: `must equal the mean of the dimension scores (${average})` });
+  }
+  const band = bandForScore(parseFloat(average), rubric);
+  if (report.band !== band) {
+    errors.push({ path: '$.band', message: `an average of ${average} corresponds to ${band}` });
+  }
+  return errors;
+}
+
+/**
+ * Validate the feedback on a single answer, including that the level
+ * matches the score.
+ *
+ * @param {Object} feedback
+ * @param {Object} rubric
+ * @returns {Array<{path: string, message: string}>} empty when valid
+ */
+function validateFeedback(feedback, rubric) {
+  const errors = [];
+  validateAgainst(feedbackSchema(rubric), feedback, '$', errors);
+  if (errors.length || typeOf(feedback) !== 'object') return errors;
+  if (rubric.levels[feedback.score - 1] !== feedback.level) {
+    errors.push({ path: '$.level', message: `score ${feedback.score} corresponds to ${rubric.levels[feedback.score - 1]}, not ${feedback.level}` });
+  }
+  return errors;
+}
+
+/**
+ * Whether a value is a non-empty string.
+ *
+ * @param {*} value
+ */
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Repair a report so that it validates. Missing or invalid text fields
+ * are copied from the heuristic report, scores are rounded and clamped
+ * to 1–5, levels follow the scores and the average and band are
+ * recomputed. Returns the repaired report and the paths that changed.
+ *
+ * @param {Object} report report produced by the model (may be malformed)
+ * @param {Object} heuristic report produced by the heuristic scorer
+ * @param {Object} rubric
+ * @returns {{report: Object, repairs: string[]}}
+ */
+function repairReport(report, heuristic, rubric) {
+  const { levels } = rubric;
+  const source = typeOf(report) === 'object' ? report : {};
+  const repairs = [];
+  const out = {};
+  out.executiveSummary = isText(source.executiveSummary) ? source.executiveSummary : heuristic.executiveSummary;
+  if (out.executiveSummary !== source.executiveSummary) repairs.push('$.executiveSummary');
+
+  const given = Array.isArray(source.dimensions) ? source.dimensions.filter((d) => typeOf(d) === 'object') : [];
+  out.dimensions = rubric.dimensions.map((cat, i) => {
+    const fallback = heuristic.dimensions.find((d) => d.name === cat.name);
+    const dim = given.find((d) => d.name === cat.name);
+    const path = `$.dimensions[${i}]`;
+    if (!dim) {
+      repairs.push(path);
+      return fallback;
+    }
+    const fixed = Object.assign({}, dim);
+    let score = Number(dim.score);
+    if (!Number.isFinite(score)) {
+      score = fallback.score;
+    } else {
+      score = Math.min(5, Math.max(1, Math.round(score)));
+    }
+    if (score !== dim.score) repairs.push(`${path}.score`);
+    fixed.score = score;
+    if (dim.level !== levels[score - 1]) repairs.push(`${path}.level`);
+    fixed.level = levels[score - 1];
+    ['why', 'how'].forEach((field) => {
+      if (!isText(dim[field])) {
+        // The heuristic text explains the evidence found in the same answer
+        fixed[field] = fallback[field];
+        repairs.push(`${path}.${field}`);
+      }
+    });
+    return fixed;
+  });
+
+  const average = averageOf(out.dimensions);
+  if (source.averageScore !== average) repairs.push('$.averageScore');
+  out.averageScore = average;
+  const band = bandForScore(parseFloat(average), rubric);
+  if (source.band !== band) repairs.push('$.band');
+  out.band = band;
+
+  const coaching = typeOf(source.coaching) === 'object' ? source.coaching : {};
+  if (coaching !== source.coaching) repairs.push('$.coaching');
+  out.coaching = Object.assign({}, coaching);
+  Object.keys(COACHING_SCHEMA.properties).forEach((field) => {
+    const value = coaching[field];
+    const ok = field === 'nextActions'
+      ? Array.isArray(value) && value.filter(isText).length >= 3
+      : field === 'salesSparxText' ? typeof value === 'string' : isText(value);
+    if (!ok) {
+      out.coaching[field] = heuristic.coaching[field];
+      if (coaching === source.coaching) repairs.push(`$.coaching.${field}`);
+    } else if (field === 'nextActions') {
+      out.coaching[field] = value.filter(isText);
+    }
+  });
+  // Keep any extra top-level fields the model or the endpoint added
+  Object.keys(source).forEach((key) => {
+    if (out[key] === undefined) out[key] = source[key];
+  });
+  return { report: out, repairs };
+}
+
+module.exports = {
+  reportSchema,
+  feedbackSchema,
+  validateReport,
+  validateFeedback,
+  repairReport,
+};
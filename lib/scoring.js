@@ -0,0 +1,313 @@
+// Shared scoring module for the Three Whys assessment.
+//
+// This file is loaded both by the serverless endpoint (evaluate.js, via
+// require) and by the browser (index.html, via a script tag) so that an
+// offline client and the server produce the same report for the same
+// input. It holds the role coaching and the deterministic evaluation
+// built on the rules in ./rules.js. Dimensions, questions, level names,
+// band thresholds, message templates, summaries and next actions come
+// from the rubric passed in (see ../rubrics and ./rubric.js). The texts
+// held here are in English; a rubric localized for another language
+// (`rubric.locale`) takes them from the language module (see ./i18n).
+// Keep it free of Node-only APIs.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./rules'), require('./i18n'), require('./calculator'));
+  } else {
+    root.ThreeWhysScoring = factory(root.ThreeWhysRules, root.ThreeWhysI18n, root.ThreeWhysCalculator);
+  }
+})(typeof self !== 'undefined' ? self : this, function (rules, i18n, calculator) {
+  const { scoreDimension, explainEvidence } = rules;
+
+  // Role‑tailored coaching paragraphs, checked in order against the role title
+  const ROLE_COACHING = [
+    {
+      keywords: ['ceo', 'chief executive'],
+      text: 'As a CEO your primary responsibility is to champion a unified value proposition across the organisation. Drive alignment between product, marketing and sales around a shared narrative and ensure resources support timely execution. Link the value story to strategic goals, emphasise organisational urgency and model the behaviour you expect from your teams in every interaction.'
+    },
+    {
+      keywords: ['cfo', 'chief financial'],
+      text: 'As a CFO focus on aligning investment with your value proposition. Use financial metrics to quantify the cost of inaction and the ROI of acting now. Collaborate with revenue and product leaders to ensure budgets support key initiatives and incorporate value calculators into planning. Demonstrate fiscal discipline while enabling growth.'
+    },
+    {
+      keywords: ['cro', 'chief revenue'],
+      text: 'As a Chief Revenue Officer, you must unify sales, marketing and customer success around a clear value narrative. Tie revenue goals to the Three Whys, drive accountability for consistent messaging and coach teams to balance emotion with logic. Leverage pipeline data to show urgency and guide resource allocation.'
+    },
+    {
+      keywords: ['cso', 'chief strategy'],
+      text: 'As a Chief Strategy Officer, ensure your value proposition is embedded into strategic planning. Analyse market trends and competitive moves to anticipate why change and why now. Translate insights into actionable initiatives and communicate them clearly so the entire organisation understands its role in delivering on the strategy.'
+    },
+    {
+      keywords: ['cpo', 'chief product'],
+      text: 'As a Chief Product Officer you must translate product capabilities into business outcomes. Ensure your roadmap tells a cohesive story that reflects real buyer pains and ambitions. Partner with marketing and sales to validate that new features map to customer problems, using interviews and data to uncover emotional drivers and adjust priorities accordingly.'
+    },
+    {
+      keywords: ['cio', 'chief information'],
+      text: 'As a CIO your role is to enable the technology and data infrastructure that supports your value proposition. Provide analytics to quantify urgency and outcomes, and ensure systems capture customer feedback to refine messaging. Collaborate with product and revenue leaders to prioritise digital investments that reinforce the narrative.'
+    },
+    {
+      keywords: ['cto', 'chief technology'],
+      text: 'As a CTO focus on the technical innovation that differentiates your company. Communicate how your architecture and product roadmap uniquely address buyer pain points and enable rapid change. Work with product and marketing teams to translate complex features into business value and inspire confidence in your technical vision.'
+    },
+    {
+      keywords: ['chro', 'chief human'],
+      text: 'As a CHRO align your people strategy with the value proposition. Ensure recruitment, training and performance management emphasise the Three Whys so employees can articulate the message. Foster a culture where teams collaborate across functions to deliver on the promise and recognise behaviours that reinforce the narrative.'
+    },
+    {
+      keywords: ['product'],
+      text: 'As a product leader you should translate product capabilities into business outcomes and ensure your roadmap tells a cohesive story. Partner closely with marketing and sales to validate that new features map to real customer problems. Use interviews and data to uncover emotional drivers and align messaging with market needs, then adapt plans accordingly.'
+    },
+    {
+      keywords: ['marketing'],
+      text: 'As a marketing leader focus on articulating a clear narrative that resonates with your buyer’s fears and ambitions across all channels. Build campaigns around quantified proof and nurture leads through education on the Three Whys. Align closely with sales and product so messaging and assets reinforce one another and refine them based on market feedback.'
+    },
+    {
+      keywords: ['sales', 'seller'],
+      text: 'As a sales leader ensure your team understands the Three Whys and can articulate them in conversations of varying lengths. Coach reps to lead with emotion, back it with logic and tailor differentiation based on buyer persona. Regularly gather feedback from prospects and customers to refine your message and improve win rates.'
+    },
+    {
+      keywords: ['director'],
+      text: 'As a director you play a critical role in translating high‑level strategy into day‑to‑day execution. Ensure your team understands the value narrative and how their work supports it. Provide feedback from the front lines to refine messaging and coordinate cross‑functional initiatives that reinforce the Three Whys.'
+    },
+  ];
+  const DEFAULT_COACHING = 'As a business leader align with cross‑functional teams to build a unified value story. Ensure your objectives support the broader go‑to‑market strategy and contribute feedback to improve the value proposition. Encourage collaboration and continuous learning to help the organisation advance its message.';
+
+  // Short explanations for each coaching subsection
+  const COACHING_EXPLAIN = {
+    headlineExplain: 'Craft a short, emotional hook that captures your buyer’s attention and summarises the change you enable. Make it memorable and aspirational.',
+    urgencyExplain: 'Explain why acting now matters. Link the buyer’s pain to near‑term risks or opportunities and demonstrate the cost of delay.',
+    differentiatorsExplain: 'List two to three unique capabilities and include at least one proof point, such as a case study or metric, to show how you stand out.',
+    valueOutlineExplain: 'Break down the quantitative value: baseline metrics, expected lift and payback period. Use real data or reasonable assumptions for credibility.',
+  };
+
+  const FINAL_VALUE_PLACEHOLDER = 'Craft your value proposition here by clearly stating who you serve, the problem you solve, and the impact you deliver.';
+
+  const ATTACHMENT_OFFLINE = 'Text extraction is only available when the server is reachable.';
+
+  // Report texts in English, in the shape of a language module's `coaching`
+  const COACHING_TEXTS = Object.assign({
+    headline: 'Elevate your value proposition',
+    urgency: 'Clarify the stakes and link your roadmap to near‑term outcomes.',
+    differentiators: 'Highlight unique capabilities and proof points that set you apart.',
+    valueOutline: 'Define baseline metrics, lift assumptions and payback timeframe.',
+    defaultCoaching: DEFAULT_COACHING,
+    finalValuePlaceholder: FINAL_VALUE_PLACEHOLDER,
+  }, COACHING_EXPLAIN);
+
+  /**
+   * Report texts for a locale, falling back to English.
+   *
+   * @param {string} [locale]
+   */
+  function textsFor(locale) {
+    const data = i18n.localeData(locale);
+    return {
+      coaching: Object.assign({}, COACHING_TEXTS, data && data.coaching),
+      roleCoaching: (data && data.roleCoaching) || ROLE_COACHING,
+      attachmentOffline: (data && data.attachmentOffline) || ATTACHMENT_OFFLINE,
+    };
+  }
+
+  /**
+   * Determine the band for an average score. `rubric.bands` holds the
+   * minimum average of every level above the first; the default Three
+   * Whys thresholds are 2.0 Emerging, 3.0 Basic, 4.0 Advanced and 5.0
+   * Leading, with anything lower None.
+   *
+   * @param {number} average
+   * @param {{levels: string[], bands: Object<string, number>}} rubric
+   * @returns {string}
+   */
+  function bandForScore(average, rubric) {
+    const { levels, bands } = rubric;
+    for (let i = levels.length - 1; i > 0; i--) {
+      if (average >= bands[levels[i]]) return levels[i];
+    }
+    return levels[0];
+  }
+
+  /**
+   * Pick the coaching paragraph matching a role title.
+   *
+   * @param {string} role
+   * @param {string} [locale] language of the paragraph; role titles are
+   *   recognised in that language and in English
+   */
+  function coachingForRole(role, locale) {
+    const texts = textsFor(locale);
+    const roleLower = i18n.fold(role || '').toLowerCase();
+    const match = texts.roleCoaching.find((entry) => entry.keywords.some((k) => roleKeywordPattern(k).test(roleLower)));
+    return match ? match.text : texts.coaching.defaultCoaching;
+  }
+
+  /**
+   * Pattern finding a role keyword at the start of a word, so that
+   * "Salesperson" reads as sales and "director" does not read as "cto".
+   * Acronyms of up to four letters must be whole words, or "cro" would
+   * match "cross-functional".
+   *
+   * @param {string} keyword lowercase, without diacritics
+   * @returns {RegExp}
+   */
+  function roleKeywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}${/^[a-z]{1,4}$/.test(keyword) ? '(?![a-z0-9])' : ''}`);
+  }
+
+  /**
+   * Describe each attachment for the report without echoing its text.
+   * Attachments that were never converted to text (for example when the
+   * browser scores offline and cannot run the server-side extraction)
+   * are reported as not analysed.
+   *
+   * @param {Object} attachments attachments keyed by question
+   * @param {string} [locale]
+   * @returns {Array<{key: string, name: string, chars: number, truncated: boolean, error: string|null}>}
+   */
+  function summariseAttachments(attachments, locale) {
+    return Object.keys(attachments || {}).map((key) => {
+      const att = attachments[key] || {};
+      let error = att.error || null;
+      if (!error && typeof att.text !== 'string') error = textsFor(locale).attachmentOffline;
+      return {
+        key,
+        name: att.name || 'attachment',
+        chars: att.chars || 0,
+        truncated: Boolean(att.truncated),
+        error,
+      };
+    });
+  }
+
+  /**
+   * Score the answer to one dimension of a rubric.
+   *
+   * @param {Object} cat the rubric dimension
+   * @param {string} ans
+   * @param {string} attachmentText extracted text of the attachment, if any
+   * @param {Object} rubric
+   * @param {Object} [calculation] value calculation, used when the
+   *   dimension offers the calculator
+   * @returns {Object} the report dimension, plus whether the answer was unknown
+   */
+  function scoreAnswer(cat, ans, attachmentText, rubric, calculation) {
+    const locale = i18n.resolveLocale(rubric.locale);
+    const calculatorText = calculation && cat.calculator ? calculator.evidenceText(calculation) : '';
+    const result = scoreDimension(cat.rules, ans, attachmentText, { levels: rubric.levels, locale, calculatorText });
+    const { score, level } = result;
+    const msg = cat.templates[level] || { why: '', how: '' };
+    // Unknown answers keep the generic explanation; otherwise explain the evidence actually found
+    const why = result.unknown ? msg.why : explainEvidence(result);
+    const how = msg.how;
+    const evidence = result.evidence.map(({ id, label, source, detail }) => (detail ? { id, label, source, detail } : { id, label, source }));
+    return { name: cat.name, key: cat.key, score, level, why, how, evidence, missing: result.missing, unknown: result.unknown };
+  }
+
+  /**
+   * Provisional feedback on a single answer, given while the form is
+   * being filled in: its level and what is missing. The rules cannot
+   * rewrite an answer, so `rewrite` is null (only the model writes one,
+   * see ./feedback); `draft` is the answer as written followed by a
+   * [bracketed] placeholder for each missing element, or null when
+   * nothing is missing.
+   *
+   * @param {Object} rubric
+   * @param {string} key the dimension answered
+   * @param {string} answer
+   * @param {{calculation?: Object}} [options] the value calculation (see
+   *   ./calculator)
+   * @returns {Object|null} null when the rubric has no such dimension
+   */
+  function answerFeedback(rubric, key, answer, options = {}) {
+    const cat = rubric.dimensions.find((d) => d.key === key);
+    if (!cat) return null;
+    const { name, score, level, why, how, missing, unknown } = scoreAnswer(cat, answer || '', '', rubric, options.calculation);
+    const text = unknown ? '' : (answer || '').trim();
+    const draft = missing.length ? [text].concat(missing.map((hint) => `[${hint}]`)).filter(Boolean).join(' ') : null;
+    return { key, name, score, level, why, how, missing, rewrite: null, draft };
+  }
+
+  /**
+   * Deterministic evaluation used by the server when no external API is
+   * available and by the browser when the server cannot be reached.
+   * Each dimension is scored by the content-aware rules, and the `why`
+   * text lists the evidence those rules found.
+   *
+   * @param {Object} profile
+   * @param {Object} answers
+   * @param {Object} attachments attachments keyed by question; only the
+   *   extracted `text` is used as evidence
+   * @param {Object} rubric the rubric to score against, possibly localized
+   * @param {{calculation?: Object}} [options] the value calculation (see
+   *   ./calculator), evidence for the dimension marked `calculator` and
+   *   the source of the value calculation outline
+   */
+  function evaluate(profile, answers, attachments, rubric, options = {}) {
+    const { calculation } = options;
+    const locale = i18n.resolveLocale(rubric.locale);
+    const { coaching } = textsFor(locale);
+    let totalScore = 0;
+    const dims = [];
+    rubric.dimensions.forEach((cat) => {
+      const ans = answers[cat.key] || '';
+      // Extracted attachment text counts as supporting evidence for the same question
+      const attachmentText = (attachments && attachments[cat.key] && attachments[cat.key].text) || '';
+      const { unknown, ...dim } = scoreAnswer(cat, ans, attachmentText, rubric, calculation);
+      totalScore += dim.score;
+      dims.push(dim);
+    });
+    const avgScore = (totalScore / rubric.dimensions.length).toFixed(1);
+    const band = bandForScore(parseFloat(avgScore), rubric);
+    const report = {
+      rubric: rubric.id,
+      locale,
+      profile,
+      averageScore: avgScore,
+      band,
+      executiveSummary: rubric.summaries[band],
+      dimensions: dims,
+      coaching: {
+        headline: coaching.headline,
+        headlineExplain: coaching.headlineExplain,
+        urgency: coaching.urgency,
+        urgencyExplain: coaching.urgencyExplain,
+        differentiators: coaching.differentiators,
+        differentiatorsExplain: coaching.differentiatorsExplain,
+        valueOutline: coaching.valueOutline,
+        valueOutlineExplain: coaching.valueOutlineExplain,
+        coachingText: coachingForRole(profile.role, locale),
+        // Omit the SalesSparx promotional text for a cleaner report
+        salesSparxText: '',
+        finalValue: answers.q6 ? answers.q6.trim() : coaching.finalValuePlaceholder,
+        nextActions: rubric.actions[band]
+      },
+      attachments: summariseAttachments(attachments, locale),
+    };
+    if (calculation) applyValueCalculation(report, calculation);
+    return report;
+  }
+
+  /**
+   * Replace the generic value calculation outline of a report with the
+   * figures of the value calculator and keep the calculation with it.
+   *
+   * @param {Object} report
+   * @param {Object} calculation see ./calculator
+   * @returns {Object} the report
+   */
+  function applyValueCalculation(report, calculation) {
+    Object.assign(report.coaching, calculator.describeValue(calculation, report.locale));
+    report.valueCalculation = calculation;
+    return report;
+  }
+
+  return {
+    bandForScore,
+    coachingForRole,
+    summariseAttachments,
+    evaluate,
+    answerFeedback,
+    applyValueCalculation,
+  };
+});
@@ -0,0 +1,241 @@
+// File-based store of read-only links to stored assessments.
+//
+// Each share is written as one JSON file named by its token under
+// SHARE_STORE_DIR (default: data/shares next to the app; see ./store for
+// serverless deployments). The token is random and is the only thing
+// needed to open the report, so it is long enough not to be guessed. A
+// share may expire and may ask for a password, which is kept as a salted
+// scrypt hash. Revoking a share keeps its file, marked revoked, so an old
+// link can say it was withdrawn rather than that it never existed.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ownedBy } = require('./store');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Bytes of randomness in a token; 24 bytes are 32 base64url characters
+const TOKEN_BYTES = 24;
+// Bytes of the password salt and of the scrypt hash
+const SALT_BYTES = 16;
+const HASH_BYTES = 32;
+
+/**
+ * Directory holding the share files.
+ */
+function shareDir() {
+  return process.env.SHARE_STORE_DIR || path.join(__dirname, '..', 'data', 'shares');
+}
+
+/**
+ * Path of the file for a token. Rejects anything that is not a token so
+ * tokens can never escape the store directory.
+ *
+ * @param {string} token
+ */
+function fileFor(token) {
+  if (!TOKEN_PATTERN.test(String(token))) return null;
+  return path.join(shareDir(), `${token}.json`);
+}
+
+/**
+ * Hash a password with scrypt.
+ *
+ * @param {string} password
+ * @param {Buffer} salt
+ * @returns {Promise<Buffer>}
+ */
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, HASH_BYTES, (err, hash) => (err ? reject(err) : resolve(hash)));
+  });
+}
+
+/**
+ * Write a share record.
+ *
+ * @param {Object} share
+ */
+async function writeShare(share) {
+  await fs.promises.mkdir(shareDir(), { recursive: true });
+  await fs.promises.writeFile(fileFor(share.token), JSON.stringify(share));
+}
+
+/**
+ * Create a share of a stored assessment.
+ *
+ * @param {{assessmentId: string, owner: string, expiresAt?: string, password?: string}} options
+ *   owner is the owner hash of the assessment (see ./store);
+ *   expiresAt is an ISO date after which the link stops working; without a
+ *   password anyone holding the link can open it
+ * @returns {Promise<Object>} the stored share
+ */
+async function createShare({ assessmentId, owner, expiresAt, password }) {
+  let passwordHash = null;
+  if (password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    passwordHash = { salt: salt.toString('base64'), hash: (await hashPassword(password, salt)).toString('base64') };
+  }
+  const share = {
+    token: crypto.randomBytes(TOKEN_BYTES).toString('base64url'),
+    assessmentId,
+    owner,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt || null,
+    password: passwordHash,
+    revokedAt: null,
+  };
+  await writeShare(share);
+  return share;
+}
+
+/**
+ * Load one share by token, or null when it does not exist.
+ *
+ * @param {string} token
+ */
+async function getShare(token) {
+  const file = fileFor(token);
+  if (!file) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * List the shares of an assessment, newest first.
+ *
+ * @param {string} assessmentId
+ */
+async function findShares(assessmentId) {
+  let names;
+  try {
+    names = await fs.promises.readdir(shareDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const shares = await Promise.all(names
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => getShare(name.slice(0, -5)).catch(() => null)));
+  return shares
+    .filter((share) => share && share.assessmentId === assessmentId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Revoke a share. Resolves with the updated share, or null when it does
+ * not exist.
+ *
+ * @param {string} token
+ */
+async function revokeShare(token) {
+  const share = await getShare(token);
+  if (!share) return null;
+  if (!share.revokedAt) {
+    share.revokedAt = new Date().toISOString();
+    await writeShare(share);
+  }
+  return share;
+}
+
+/**
+ * Whether a share can still be opened: 'active', 'expired' or 'revoked'.
+ *
+ * @param {Object} share
+ * @param {Date} [now]
+ */
+function shareStatus(share, now = new Date()) {
+  if (share.revokedAt) return 'revoked';
+  if (share.expiresAt && Date.parse(share.expiresAt) <= now.getTime()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Check the password given for a share. Shares without a password accept
+ * any.
+ *
+ * @param {Object} share
+ * @param {string} [password]
+ * @returns {Promise<boolean>}
+ */
+async function checkSharePassword(share, password) {
+  if (!share.password) return true;
+  if (!password) return false;
+  const expected = Buffer.from(share.password.hash, 'base64');
+  const actual = await hashPassword(password, Buffer.from(share.password.salt, 'base64'));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether a share was created for the given owner key.
+ *
+ * @param {Object} share
+ * @param {string} ownerKey
+ */
+function ownsShare(share, ownerKey) {
+  return ownedBy(share, ownerKey);
+}
+
+/**
+ * Copy of a value without `email` fields, and with an email address
+ * masked wherever it appears in text.
+ *
+ * @param {*} value
+ * @param {RegExp|null} address the address to mask
+ */
+function withoutEmail(value, address) {
+  if (typeof value === 'string') return address ? value.replace(address, '[email]') : value;
+  if (Array.isArray(value)) return value.map((item) => withoutEmail(item, address));
+  if (value === null || typeof value !== 'object') return value;
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    if (key !== 'email') copy[key] = withoutEmail(value[key], address);
+  });
+  return copy;
+}
+
+/**
+ * The report of a stored assessment as shown through a link: with the
+ * profile of the record, and no copy of the respondent's email address
+ * anywhere in it. The answers are not part of the report.
+ *
+ * @param {Object} record stored assessment (see ./store)
+ */
+function sharedReport(record) {
+  const email = String((record.profile && record.profile.email) || '').trim();
+  const address = email ? new RegExp(email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') : null;
+  return withoutEmail(Object.assign({}, record.report, { profile: record.profile || {}, createdAt: record.createdAt }), address);
+}
+
+/**
+ * Summary of a share for its owner: everything but the password hash.
+ *
+ * @param {Object} share
+ */
+function describeShare(share) {
+  return {
+    token: share.token,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    revokedAt: share.revokedAt,
+    hasPassword: Boolean(share.password),
+    status: shareStatus(share),
+  };
+}
+
+module.exports = {
+  createShare,
+  getShare,
+  findShares,
+  revokeShare,
+  shareStatus,
+  checkSharePassword,
+  ownsShare,
+  sharedReport,
+  describeShare,
+};
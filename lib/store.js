@@ -0,0 +1,243 @@
+// File-based persistence for completed assessments.
+//
+// Each assessment is written as one JSON file named by its id under
+// ASSESSMENT_STORE_DIR (default: data/assessments next to the app).
+// Serverless platforms usually only allow writes under /tmp, so set
+// the variable accordingly there, or point it at a mounted volume.
+// Records hold the profile, the answers (so a report can be reopened
+// for editing) and the report itself; attachment contents are never
+// stored.
+//
+// There are no user accounts. Instead every assessment is saved for an
+// owner key: a random secret issued with the first assessment and sent
+// back with the later ones, so a person's assessments share one key.
+// Records keep only a hash of it, and reading, listing or deleting an
+// assessment needs the key itself. Append-only index files under
+// `index/` list the ids of each owner and of each organization, so
+// listings read only the records they return. Records stored before
+// owner keys have no owner and cannot be reopened.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+const OWNER_KEY_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Bytes of randomness in an owner key; 24 bytes are 32 base64url characters
+const OWNER_KEY_BYTES = 24;
+
+/**
+ * Directory holding the assessment files.
+ */
+function storeDir() {
+  return process.env.ASSESSMENT_STORE_DIR || path.join(__dirname, '..', 'data', 'assessments');
+}
+
+/**
+ * Normalise an email or organization name for comparison.
+ *
+ * @param {string} value
+ */
+function normalise(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Path of the file for an assessment id. Rejects anything that is not a
+ * UUID so ids can never escape the store directory.
+ *
+ * @param {string} id
+ */
+function fileFor(id) {
+  if (!ID_PATTERN.test(String(id))) return null;
+  return path.join(storeDir(), `${id}.json`);
+}
+
+/**
+ * Hash of a secret, as kept in records and index file names.
+ *
+ * @param {string} value
+ */
+function hashOf(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Path of an index file.
+ *
+ * @param {'owner'|'organization'} kind
+ * @param {string} hash hash of the owner key or of the organization name
+ */
+function indexFor(kind, hash) {
+  return path.join(storeDir(), 'index', `${kind}-${hash}.ids`);
+}
+
+/**
+ * Whether a value looks like an owner key.
+ *
+ * @param {*} key
+ */
+function isOwnerKey(key) {
+  return typeof key === 'string' && OWNER_KEY_PATTERN.test(key);
+}
+
+/**
+ * Issue a new owner key.
+ */
+function createOwnerKey() {
+  return crypto.randomBytes(OWNER_KEY_BYTES).toString('base64url');
+}
+
+/**
+ * Add an id to an index file.
+ *
+ * @param {'owner'|'organization'} kind
+ * @param {string} hash
+ * @param {string} id
+ */
+async function addToIndex(kind, hash, id) {
+  const file = indexFor(kind, hash);
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(file, `${id}\n`);
+}
+
+/**
+ * Ids listed in an index file, newest last.
+ *
+ * @param {'owner'|'organization'} kind
+ * @param {string} hash
+ */
+async function readIndex(kind, hash) {
+  try {
+    const text = await fs.promises.readFile(indexFor(kind, hash), 'utf8');
+    return Array.from(new Set(text.split('\n').filter((id) => ID_PATTERN.test(id))));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+/**
+ * Persist a completed assessment and return the stored record, with the
+ * owner key it was saved for. A new key is issued when none is given.
+ *
+ * @param {{profile: Object, answers: Object, report: Object, ownerKey?: string}} assessment
+ * @returns {Promise<{id: string, createdAt: string, profile: Object, answers: Object, report: Object, ownerKey: string}>}
+ */
+async function saveAssessment({ profile, answers, report, ownerKey }) {
+  const key = isOwnerKey(ownerKey) ? ownerKey : createOwnerKey();
+  const record = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    owner: hashOf(key),
+    profile,
+    answers,
+    report,
+  };
+  await fs.promises.mkdir(storeDir(), { recursive: true });
+  await fs.promises.writeFile(fileFor(record.id), JSON.stringify(record));
+  await addToIndex('owner', record.owner, record.id);
+  const organization = normalise(profile && profile.organization);
+  if (organization) await addToIndex('organization', hashOf(organization), record.id);
+  return Object.assign({ ownerKey: key }, record);
+}
+
+/**
+ * Load one assessment by id, or null when it does not exist.
+ *
+ * @param {string} id
+ */
+async function getAssessment(id) {
+  const file = fileFor(id);
+  if (!file) return null;
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * List the assessments of an owner and/or an organization, newest
+ * first. Only the index of the owner, or else of the organization, is
+ * read. Full records are returned; callers decide what to expose.
+ *
+ * @param {{ownerKey?: string, organization?: string}} filter at least one
+ */
+async function findAssessments({ ownerKey, organization }) {
+  const wantOrg = normalise(organization);
+  let ids = [];
+  if (ownerKey !== undefined) {
+    if (isOwnerKey(ownerKey)) ids = await readIndex('owner', hashOf(ownerKey));
+  } else if (wantOrg) {
+    ids = await readIndex('organization', hashOf(wantOrg));
+  }
+  const records = await Promise.all(ids.map((id) => getAssessment(id).catch(() => null)));
+  return records
+    .filter((r) => r && (ownerKey === undefined || ownedBy(r, ownerKey))
+      && (!wantOrg || normalise(r.profile && r.profile.organization) === wantOrg))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Summary of a record for history listings.
+ *
+ * @param {Object} record
+ */
+function summarise(record) {
+  const profile = record.profile || {};
+  const report = record.report || {};
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    name: profile.name,
+    role: profile.role,
+    email: profile.email,
+    organization: profile.organization,
+    rubric: report.rubric,
+    averageScore: report.averageScore,
+    band: report.band,
+  };
+}
+
+/**
+ * Whether a record was saved for the given owner key.
+ *
+ * @param {Object} record
+ * @param {string} ownerKey
+ */
+function ownedBy(record, ownerKey) {
+  if (!isOwnerKey(ownerKey) || typeof record.owner !== 'string' || record.owner.length !== 64) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashOf(ownerKey), 'hex'), Buffer.from(record.owner, 'hex'));
+}
+
+/**
+ * Delete an assessment. Resolves true when a file was removed.
+ *
+ * @param {string} id
+ */
+async function deleteAssessment(id) {
+  const file = fileFor(id);
+  if (!file) return false;
+  try {
+    await fs.promises.unlink(file);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+}
+
+module.exports = {
+  storeDir,
+  createOwnerKey,
+  isOwnerKey,
+  saveAssessment,
+  getAssessment,
+  findAssessments,
+  deleteAssessment,
+  summarise,
+  ownedBy,
+};
@@ -0,0 +1,532 @@
+// Outbound webhooks for completed assessments.
+//
+// Every endpoint listed in WEBHOOK_URLS is sent a JSON payload when an
+// evaluation completes: the respondent's profile, the band, the average
+// score and the score of each dimension. The answers and the written
+// feedback never leave the server this way. Payloads come in three
+// formats: `assessment` (the default) and two CRM mappings, `hubspot`
+// and `salesforce`, each a contact plus a note holding the scores, ready
+// to be upserted by a small integration (see buildPayload).
+//
+// Each payload is signed with WEBHOOK_SECRET: the `X-Webhook-Signature`
+// header reads `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`,
+// which verifySignature checks.
+//
+// Requests do not wait for deliveries: queueAssessment writes one
+// outbox file per endpoint, and drainOutbox makes one attempt at each
+// file that is due. Failed attempts (network errors, timeouts, 429 and
+// 5xx answers) go back into the outbox with an exponential backoff and
+// the same `X-Webhook-Id`, so receivers can drop duplicates. Whatever a
+// stopped serverless function left behind is picked up by the next
+// drain: after the next assessment, from the scheduled endpoint
+// (../webhooks.js) or from the local receiver
+// (scripts/webhook-receiver.js --drain). Every attempt is appended
+// to a JSON Lines log. The outbox and the log are kept in the
+// assessment store (see ./store), which serverless deployments already
+// point at a writable directory. Assessments made in privacy
+// mode, and every assessment when WEBHOOK_PRIVACY_MODE or
+// LLM_PRIVACY_MODE is set, are sent without the identifying profile
+// fields (see ./guard).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { IDENTIFYING_FIELDS } = require('./guard');
+const { rubricOf, localeOf } = require('./compare');
+const { loadConfig } = require('./llm');
+const { storeDir } = require('./store');
+
+const DEFAULTS = {
+  format: 'assessment',
+  timeoutMs: 10000,
+  maxRetries: 3,
+  retryBaseMs: 1000,
+};
+
+const EVENT = 'assessment.completed';
+
+const PROFILE_FIELDS = ['name', 'role', 'email', 'organization'];
+
+// Signatures older than this are refused by verifySignature
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Time beyond the request timeout after which an outbox entry claimed
+// by a drain is taken to be abandoned, and is tried again
+const CLAIM_GRACE_MS = 60 * 1000;
+
+/**
+ * Read webhook configuration from environment variables:
+ *   WEBHOOK_URLS           comma-separated endpoints to notify; none
+ *                          turns webhooks off
+ *   WEBHOOK_SECRET         key the payloads are signed with
+ *   WEBHOOK_FORMAT         assessment (default), hubspot or salesforce
+ *   WEBHOOK_TIMEOUT_MS     per-attempt timeout
+ *   WEBHOOK_MAX_RETRIES    retries after the first attempt
+ *   WEBHOOK_RETRY_BASE_MS  wait before the first retry, doubled after each
+ *   WEBHOOK_LOG            delivery log file (default:
+ *                          webhooks/deliveries.log in the assessment store)
+ *   WEBHOOK_OUTBOX_DIR     deliveries waiting to be made (default:
+ *                          webhooks/outbox in the assessment store)
+ *   WEBHOOK_PRIVACY_MODE   1/true to withhold the name, email and
+ *                          organization from every delivery
+ *
+ * @param {Object} [env]
+ */
+function loadWebhookConfig(env = process.env) {
+  const number = (value, fallback) => {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  return {
+    urls: (env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean),
+    secret: env.WEBHOOK_SECRET || '',
+    format: (env.WEBHOOK_FORMAT || DEFAULTS.format).toLowerCase(),
+    timeoutMs: number(env.WEBHOOK_TIMEOUT_MS, DEFAULTS.timeoutMs),
+    maxRetries: Math.max(0, Math.floor(number(env.WEBHOOK_MAX_RETRIES, DEFAULTS.maxRetries))),
+    retryBaseMs: number(env.WEBHOOK_RETRY_BASE_MS, DEFAULTS.retryBaseMs),
+    logFile: env.WEBHOOK_LOG || path.join(storeDir(), 'webhooks', 'deliveries.log'),
+    outboxDir: env.WEBHOOK_OUTBOX_DIR || path.join(storeDir(), 'webhooks', 'outbox'),
+    privacyMode: /^(1|true|yes|on)$/i.test(env.WEBHOOK_PRIVACY_MODE || ''),
+  };
+}
+
+/**
+ * The profile fields that may leave the system.
+ *
+ * @param {Object} profile
+ * @param {boolean} privacy withhold the identifying fields
+ */
+function releasedProfile(profile, privacy) {
+  const released = {};
+  PROFILE_FIELDS.forEach((field) => {
+    if (privacy && IDENTIFYING_FIELDS.includes(field)) return;
+    if (profile && typeof profile[field] === 'string' && profile[field]) released[field] = profile[field];
+  });
+  return released;
+}
+
+/**
+ * Split a full name into first and last names at the first space.
+ *
+ * @param {string} [name]
+ * @returns {{first: string, last: string}}
+ */
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
+/**
+ * Copy of an object without its undefined fields.
+ *
+ * @param {Object} fields
+ */
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Plain-text note listing the scores of an assessment.
+ *
+ * @param {Object} assessment as built by summariseAssessment
+ */
+function scoreNote(assessment) {
+  const lines = [`Three Whys assessment (${assessment.rubric}, ${assessment.createdAt.slice(0, 10)}): average score ${assessment.averageScore} – ${assessment.band}`];
+  assessment.dimensions.forEach((dim) => {
+    lines.push(`${dim.name}: ${dim.score} (${dim.level})`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * The part of a stored assessment that is sent out.
+ *
+ * @param {Object} record stored assessment (see ./store)
+ * @param {boolean} privacy withhold the identifying profile fields
+ */
+function summariseAssessment(record, privacy) {
+  const report = record.report || {};
+  return {
+    id: record.id || null,
+    createdAt: record.createdAt || new Date().toISOString(),
+    rubric: rubricOf(report),
+    locale: localeOf(report),
+    source: report.source,
+    profile: releasedProfile(record.profile || report.profile, privacy),
+    band: report.band,
+    averageScore: report.averageScore,
+    dimensions: (report.dimensions || []).map((dim) => ({ key: dim.key, name: dim.name, score: dim.score, level: dim.level })),
+  };
+}
+
+// Payload of each format, given the delivery envelope and the assessment
+const FORMATS = {
+  assessment: (envelope, assessment) => Object.assign(envelope, { assessment }),
+  // HubSpot CRM objects: the contact is matched on email. The
+  // three_whys_* contact properties must be created in HubSpot first.
+  hubspot: (envelope, assessment) => {
+    const { first, last } = splitName(assessment.profile.name);
+    const contact = compact({
+      email: assessment.profile.email,
+      firstname: first || undefined,
+      lastname: last || undefined,
+      jobtitle: assessment.profile.role,
+      company: assessment.profile.organization,
+      three_whys_band: assessment.band,
+      three_whys_score: Number(assessment.averageScore),
+    });
+    return Object.assign(envelope, {
+      contact: { properties: contact },
+      note: { properties: { hs_timestamp: assessment.createdAt, hs_note_body: scoreNote(assessment) } },
+    });
+  },
+  // Salesforce sObjects: a Contact, its Account and a Note to attach to
+  // the contact. The Three_Whys_* fields are custom fields.
+  salesforce: (envelope, assessment) => {
+    const { first, last } = splitName(assessment.profile.name);
+    const contact = compact({
+      FirstName: last ? first : undefined,
+      LastName: last || first || undefined,
+      Email: assessment.profile.email,
+      Title: assessment.profile.role,
+      Three_Whys_Band__c: assessment.band,
+      Three_Whys_Score__c: Number(assessment.averageScore),
+    });
+    return Object.assign(envelope, {
+      contact,
+      account: assessment.profile.organization ? { Name: assessment.profile.organization } : null,
+      note: { Title: `Three Whys assessment: ${assessment.band}`, Body: scoreNote(assessment) },
+    });
+  },
+};
+
+/**
+ * Build the payload announcing a completed assessment.
+ *
+ * @param {Object} record stored assessment (see ./store)
+ * @param {{format?: string, privacy?: boolean, deliveryId?: string}} [options]
+ *   privacy withholds the identifying profile fields
+ * @returns {Object}
+ */
+function buildPayload(record, options = {}) {
+  const format = FORMATS[options.format || DEFAULTS.format];
+  if (!format) throw new Error(`Unknown webhook format "${options.format}"`);
+  const privacy = Boolean(options.privacy);
+  const assessment = summariseAssessment(record, privacy);
+  const envelope = {
+    id: options.deliveryId || crypto.randomUUID(),
+    event: EVENT,
+    assessmentId: assessment.id,
+    createdAt: new Date().toISOString(),
+    format: options.format || DEFAULTS.format,
+    privacy: { withheld: privacy ? IDENTIFYING_FIELDS.filter((field) => record.profile && record.profile[field]) : [] },
+  };
+  return format(envelope, assessment);
+}
+
+/**
+ * Signature header for a payload body.
+ *
+ * @param {string} secret
+ * @param {string} body
+ * @param {number} [timestamp] unix seconds
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check the signature header of a delivery, as a receiver would.
+ *
+ * @param {string} secret
+ * @param {string} header value of X-Webhook-Signature
+ * @param {string} body raw request body
+ * @param {{toleranceMs?: number, now?: number}} [options]
+ * @returns {boolean}
+ */
+function verifySignature(secret, header, body, options = {}) {
+  const { toleranceMs = SIGNATURE_TOLERANCE_MS, now = Date.now() } = options;
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !/^[a-f0-9]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now - timestamp * 1000) > toleranceMs) return false;
+  const expected = Buffer.from(sign(secret, body, timestamp).split('v1=')[1], 'hex');
+  return crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'));
+}
+
+/**
+ * Send one POST request and resolve with the status code, or reject on
+ * network failures and timeouts.
+ *
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @param {number} timeoutMs
+ * @returns {Promise<number>}
+ */
+function post(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      }, headers),
+    }, (res) => {
+      // The answer itself is not used; drain it so the socket is freed
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(new Error(`timed out after ${timeoutMs} ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Append one line to the delivery log. Logging never fails a delivery.
+ *
+ * @param {string} file
+ * @param {Object} entry
+ */
+async function logAttempt(file, entry) {
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.error(`Failed to log webhook delivery: ${err.message}`);
+  }
+}
+
+/**
+ * Where a delivery went, without any credentials or query string.
+ *
+ * @param {string} url
+ */
+function logUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (err) {
+    return 'invalid URL';
+  }
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ *
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Make one delivery attempt and log it.
+ *
+ * @param {string} url
+ * @param {Object} payload as built by buildPayload
+ * @param {number} attempt 1 for the first attempt
+ * @param {Object} config see loadWebhookConfig
+ * @returns {Promise<{result: {url: string, ok: boolean, attempts: number, status: number|null, error?: string}, retryable: boolean}>}
+ */
+async function attemptDelivery(url, payload, attempt, config) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'User-Agent': 'three-whys-webhooks',
+    'X-Webhook-Id': payload.id,
+    'X-Webhook-Event': payload.event,
+  };
+  // Signed afresh on each attempt so retries stay within the receiver's tolerance
+  if (config.secret) headers['X-Webhook-Signature'] = sign(config.secret, body);
+  const started = Date.now();
+  let result;
+  let retryable;
+  try {
+    const status = await post(url, headers, body, config.timeoutMs);
+    const ok = status >= 200 && status < 300;
+    result = { url, ok, attempts: attempt, status };
+    if (!ok) result.error = `receiver answered ${status}`;
+    retryable = status === 429 || status >= 500;
+  } catch (err) {
+    result = { url, ok: false, attempts: attempt, status: null, error: err.message };
+    retryable = err.code !== 'ERR_INVALID_URL';
+  }
+  await logAttempt(config.logFile, {
+    at: new Date(started).toISOString(),
+    id: payload.id,
+    event: payload.event,
+    url: logUrl(url),
+    attempt,
+    status: result.status,
+    ok: result.ok,
+    error: result.error,
+    durationMs: Date.now() - started,
+  });
+  return { result, retryable };
+}
+
+/**
+ * Report a delivery that was given up.
+ *
+ * @param {Object} payload
+ * @param {Object} result as from attemptDelivery
+ */
+function reportFailure(payload, result) {
+  console.error(`Webhook delivery ${payload.id} to ${logUrl(result.url)} failed after ${result.attempts} attempt(s): ${result.error}`);
+}
+
+/**
+ * Deliver a payload to one endpoint now, retrying failures that may
+ * pass. The outbox (queueAssessment) is the way to deliver from a
+ * request.
+ *
+ * @param {string} url
+ * @param {Object} payload as built by buildPayload
+ * @param {Object} config see loadWebhookConfig
+ * @returns {Promise<{url: string, ok: boolean, attempts: number, status: number|null, error?: string}>}
+ */
+async function deliver(url, payload, config) {
+  let outcome;
+  for (let attempt = 1; attempt <= config.maxRetries + 1; attempt++) {
+    outcome = await attemptDelivery(url, payload, attempt, config);
+    if (outcome.result.ok || !outcome.retryable || attempt > config.maxRetries) break;
+    await sleep(config.retryBaseMs * 2 ** (attempt - 1));
+  }
+  if (!outcome.result.ok) reportFailure(payload, outcome.result);
+  return outcome.result;
+}
+
+/**
+ * Queue the announcement of a completed assessment: one outbox entry
+ * per configured endpoint, due at once. Never rejects: failures are
+ * logged.
+ *
+ * @param {Object} record stored assessment (see ./store)
+ * @param {{privacy?: boolean, config?: Object}} [options] privacy is
+ *   whether the assessment was made in privacy mode; config defaults to
+ *   loadWebhookConfig()
+ * @returns {Promise<string|null>} the delivery id, or null when nothing
+ *   was queued
+ */
+async function queueAssessment(record, options = {}) {
+  const config = options.config || loadWebhookConfig();
+  if (!config.urls.length) return null;
+  try {
+    const payload = buildPayload(record, {
+      format: config.format,
+      privacy: options.privacy || config.privacyMode || loadConfig().privacyMode || Boolean(record.report && record.report.privacy),
+    });
+    const entries = config.urls.map((url) => ({ url, payload, attempts: 0, nextAttemptAt: payload.createdAt }));
+    await fs.promises.mkdir(config.outboxDir, { recursive: true });
+    await Promise.all(entries.map((entry, index) => fs.promises.writeFile(path.join(config.outboxDir, `${payload.id}.${index}.json`), JSON.stringify(entry))));
+    return payload.id;
+  } catch (err) {
+    console.error(`Webhooks not queued: ${err.message}`);
+    return null;
+  }
+}
+
+// Outbox file names: `<delivery id>.<endpoint index>.json` while
+// waiting, `<delivery id>.<endpoint index>.<claim>.sending` while a
+// drain holds the entry, the claim being `<unix ms>-<random>`
+const OUTBOX_NAME = /^(.+\.\d+)(?:\.json|\.(\d+)-[\w-]+\.sending)$/;
+
+/**
+ * Outbox entries due for an attempt, oldest first: waiting entries whose
+ * time has come, and entries held by a drain that was stopped before it
+ * finished.
+ *
+ * @param {Object} config
+ * @param {number} now
+ * @returns {Promise<Array<{file: string, base: string, entry: Object}>>}
+ *   base is the file name without its state
+ */
+async function dueEntries(config, now) {
+  let names;
+  try {
+    names = await fs.promises.readdir(config.outboxDir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to read the webhook outbox: ${err.message}`);
+    return [];
+  }
+  const due = await Promise.all(names.map(async (name) => {
+    const match = OUTBOX_NAME.exec(name);
+    if (!match) return null;
+    const [, base, claimedAt] = match;
+    if (claimedAt && now - Number(claimedAt) <= config.timeoutMs + CLAIM_GRACE_MS) return null;
+    const file = path.join(config.outboxDir, name);
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      return claimedAt || Date.parse(entry.nextAttemptAt) <= now ? { file, base, entry } : null;
+    } catch (err) {
+      // Taken by another drain in the meantime
+      return null;
+    }
+  }));
+  return due.filter(Boolean).sort((a, b) => a.entry.nextAttemptAt.localeCompare(b.entry.nextAttemptAt));
+}
+
+/**
+ * Make one attempt at each due outbox entry, oldest first. Delivered
+ * entries are removed; failures that may pass are put back with a
+ * backoff of WEBHOOK_RETRY_BASE_MS doubled after each attempt, until
+ * WEBHOOK_MAX_RETRIES retries have been made. Never rejects.
+ *
+ * An entry is claimed by renaming it to a name of its own, abandoned
+ * claims included, so of two drains that find the same entry only the
+ * one whose rename comes first sends it.
+ *
+ * @param {{config?: Object, limit?: number}} [options] limit caps the
+ *   attempts made; config defaults to loadWebhookConfig()
+ * @returns {Promise<Array<Object>>} one result per attempt, as from deliver
+ */
+async function drainOutbox(options = {}) {
+  const config = options.config || loadWebhookConfig();
+  if (!config.urls.length) return [];
+  const due = await dueEntries(config, Date.now());
+  const results = [];
+  for (const { file, base, entry } of due.slice(0, options.limit || due.length)) {
+    const held = path.join(config.outboxDir, `${base}.${Date.now()}-${crypto.randomUUID()}.sending`);
+    try {
+      await fs.promises.rename(file, held);
+    } catch (err) {
+      // Taken by another drain in the meantime
+      continue;
+    }
+    const attempt = entry.attempts + 1;
+    const { result, retryable } = await attemptDelivery(entry.url, entry.payload, attempt, config);
+    results.push(result);
+    try {
+      if (!result.ok && retryable && attempt <= config.maxRetries) {
+        const nextAttemptAt = new Date(Date.now() + config.retryBaseMs * 2 ** (attempt - 1)).toISOString();
+        await fs.promises.writeFile(held, JSON.stringify(Object.assign({}, entry, { attempts: attempt, nextAttemptAt })));
+        await fs.promises.rename(held, path.join(config.outboxDir, `${base}.json`));
+      } else {
+        await fs.promises.unlink(held);
+        if (!result.ok) reportFailure(entry.payload, result);
+      }
+    } catch (err) {
+      console.error(`Failed to update the webhook outbox: ${err.message}`);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  FORMATS,
+  loadWebhookConfig,
+  buildPayload,
+  sign,
+  verifySignature,
+  deliver,
+  queueAssessment,
+  drainOutbox,
+};
@@ -0,0 +1,165 @@
+// Minimal ZIP archive reader and writer.
+//
+// Office Open XML documents (.docx, .pptx, .xlsx) are ZIP archives of
+// XML parts. Rather than pulling in a third-party dependency for the
+// serverless function, this module reads the central directory and
+// inflates individual entries using Node's built-in zlib, and writes
+// deflated archives for the exported Word reports (see ./export).
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Locate the End Of Central Directory record. It sits at the end of
+ * the archive, optionally followed by a comment of up to 64 KB.
+ *
+ * @param {Buffer} buf
+ * @returns {number} offset of the record or -1 if not found
+ */
+function findEndOfCentralDirectory(buf) {
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read the list of entries in a ZIP archive. Each entry exposes its
+ * name, sizes and a `read(maxBytes)` function returning the
+ * uncompressed data.
+ * Throws if the buffer is not a readable ZIP archive.
+ *
+ * @param {Buffer} buf
+ * @returns {Array<{name: string, size: number, compressedSize: number, read: Function}>}
+ */
+function readEntries(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buf.length || buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = buf.readUInt16LE(offset + 8);
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      encrypted: (flags & 0x1) === 1,
+      read: (maxBytes) => readEntryData(buf, localOffset, method, compressedSize, maxBytes),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Decompress the data of a single entry given its local header offset.
+ *
+ * @param {Buffer} buf
+ * @param {number} localOffset
+ * @param {number} method compression method (0 = stored, 8 = deflate)
+ * @param {number} compressedSize
+ * @param {number} [maxBytes] refuse to inflate beyond this many bytes
+ * @returns {Buffer}
+ */
+function readEntryData(buf, localOffset, method, compressedSize, maxBytes) {
+  if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+    throw new Error('Corrupt ZIP local header');
+  }
+  const nameLength = buf.readUInt16LE(localOffset + 26);
+  const extraLength = buf.readUInt16LE(localOffset + 28);
+  const start = localOffset + 30 + nameLength + extraLength;
+  const data = buf.subarray(start, start + compressedSize);
+  if (method === 0) return data;
+  if (method === 8) {
+    return maxBytes ? zlib.inflateRawSync(data, { maxOutputLength: maxBytes }) : zlib.inflateRawSync(data);
+  }
+  throw new Error(`Unsupported ZIP compression method ${method}`);
+}
+
+// CRC-32 lookup table (IEEE polynomial, as required by the ZIP format)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer.
+ *
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive. Entries are deflated and written in the given
+ * order, which matters for formats that expect a particular part first.
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} files string data
+ *   is written as UTF-8
+ * @returns {Buffer}
+ */
+function writeArchive(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const compressed = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x800, 6); // names are UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, compressed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + compressed.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+  eocd.writeUInt16LE(files.length, 8);
+  eocd.writeUInt16LE(files.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat([directory, eocd]));
+}
+
+module.exports = { readEntries, writeArchive };
@@ -0,0 +1,111 @@
+// Serverless endpoint for the organization (team) report.
+//
+//   GET /api/organization?organization=…[&locale=…]
+//   GET /api/organization?organization=…&invite=1
+//
+// Aggregates the latest assessment of every respondent from one
+// organization (see ./lib/aggregate). Organization names are typed in
+// by respondents, so naming one proves nothing: the full report,
+// respondents included, needs the ORGANIZATION_ADMIN_KEY of the
+// deployment in the `X-Admin-Key` header, and the anonymous report an
+// invite key for that organization in `X-Invite-Key`. The admin gets an
+// organization's invite key with `invite=1` and hands it to the team.
+// Invite keys are derived from the admin key, so there are none while
+// it is not set. When people used different rubrics, the report covers
+// the rubric of the most recent assessment, written in `locale`
+// (English by default).
+
+const crypto = require('crypto');
+const { queryOf, sendJson, rejectMethod } = require('./lib/http');
+const { findAssessments } = require('./lib/store');
+const { aggregateOrganization } = require('./lib/aggregate');
+const { rubricOf } = require('./lib/compare');
+const { getRubric } = require('./lib/rubric');
+
+/**
+ * Compare two secrets in constant time.
+ *
+ * @param {string} given
+ * @param {string} expected
+ */
+function sameSecret(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * Invite key of an organization, or null while ORGANIZATION_ADMIN_KEY
+ * is not set. Organization names are compared trimmed and lowercased,
+ * as the store indexes them.
+ *
+ * @param {string} organization
+ */
+function inviteKeyFor(organization) {
+  const adminKey = process.env.ORGANIZATION_ADMIN_KEY;
+  if (!adminKey) return null;
+  return crypto.createHmac('sha256', adminKey)
+    .update(`invite:${String(organization).trim().toLowerCase()}`)
+    .digest('base64url')
+    .slice(0, 32);
+}
+
+/**
+ * Whether a request carries the admin key.
+ *
+ * @param {http.IncomingMessage} req
+ */
+function isAdmin(req) {
+  const expected = process.env.ORGANIZATION_ADMIN_KEY;
+  const given = req.headers['x-admin-key'];
+  return Boolean(expected && given) && sameSecret(given, expected);
+}
+
+/**
+ * Whether a request carries the invite key of an organization.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string} organization
+ */
+function isInvited(req, organization) {
+  const expected = inviteKeyFor(organization);
+  const given = req.headers['x-invite-key'];
+  return Boolean(expected && given) && sameSecret(given, expected);
+}
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET'])) return;
+  const { organization, locale, invite } = queryOf(req);
+  if (!organization) {
+    sendJson(res, 400, { error: 'An organization is required.' });
+    return;
+  }
+  const admin = isAdmin(req);
+  if (invite) {
+    if (!admin) {
+      sendJson(res, 401, { error: 'The admin key is required.' });
+      return;
+    }
+    sendJson(res, 200, { organization, inviteKey: inviteKeyFor(organization) });
+    return;
+  }
+  if (!admin && !isInvited(req, organization)) {
+    sendJson(res, 401, { error: 'An invite key for this organization is required.', inviteRequired: true });
+    return;
+  }
+  try {
+    const records = await findAssessments({ organization });
+    if (!records.length) {
+      sendJson(res, 404, { error: 'No assessments found for this organization.' });
+      return;
+    }
+    const rubric = getRubric(rubricOf(records[0].report), locale);
+    if (!rubric) {
+      sendJson(res, 404, { error: `Unknown rubric "${rubricOf(records[0].report)}".` });
+      return;
+    }
+    const sameRubric = records.filter((record) => rubricOf(record.report) === rubric.id);
+    sendJson(res, 200, aggregateOrganization(records[0].profile.organization, sameRubric, rubric, { anonymous: !admin }));
+  } catch (err) {
+    sendJson(res, 500, { error: 'Failed to build organization report' });
+  }
+};
@@ -0,0 +1,27 @@
+// Serverless endpoint listing the assessment rubrics.
+//
+//   GET /api/rubrics          ids and names of the available rubrics
+//   GET /api/rubrics?id=…     one rubric, with `extends` resolved
+//
+// Either form takes an optional `locale` (en, pt or es) for the
+// translated names and questions; untranslated rubrics are returned in
+// English. The front end renders the question form and scores offline from the
+// rubric it fetches here (see ./lib/rubric and ./rubrics).
+
+const { queryOf, sendJson, rejectMethod } = require('./lib/http');
+const { getRubric, listRubrics } = require('./lib/rubric');
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET'])) return;
+  const { id, locale } = queryOf(req);
+  if (!id) {
+    sendJson(res, 200, { rubrics: listRubrics(locale) });
+    return;
+  }
+  const rubric = getRubric(id, locale);
+  if (!rubric) {
+    sendJson(res, 404, { error: `Unknown rubric "${id}".` });
+    return;
+  }
+  sendJson(res, 200, rubric);
+};
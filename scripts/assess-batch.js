@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+// Command-line batch assessor for files of answers.
+//
+// Reads a CSV file with a header row, or a JSONL file with one object
+// per line, holding the profile fields (name, role, email, organization)
+// and one column per question (q1…q6 for the default rubric). JSONL rows
+// may also nest them as {"profile": {…}, "answers": {…}}. An `id` column
+// identifies each row; the row number is used when there is none. Every
+// row goes through the same pipeline as the evaluate endpoint
+// (lib/assess): the heuristic scorer by default, the LLM when a provider
+// is configured (see lib/llm).
+//
+//   node scripts/assess-batch.js --input workshop.csv --output results/workshop
+//
+// writes results/workshop.jsonl, one line per row with the full report
+// or the error that stopped it, and results/workshop-summary.csv with
+// the score of every dimension, the average and the band. Without
+// --output the files are written next to the input as
+// <name>-reports.jsonl and <name>-summary.csv. Options:
+//
+//   --format jsonl|csv|both   outputs to write (default both)
+//   --input-format csv|jsonl  input format (default: from the extension)
+//   --concurrency N           rows evaluated at a time (default 2)
+//   --resume                  keep the rows already scored in the outputs
+//                             and only evaluate the others (failed rows
+//                             are tried again)
+//   --rubric ID               rubric to score against (default three-whys)
+//   --locale en|pt|es         language of the answers and the reports
+//   --privacy                 privacy mode for the model call (lib/guard)
+//   --no-llm                  use the heuristic scorer even when an LLM
+//                             provider is configured
+//   --samples N               LLM evaluations per row, combined by median
+//                             (default LLM_SAMPLES, see lib/assess)
+//   --store                   also save each assessment to the store, so
+//                             it appears in the history and the
+//                             organization report
+//   --owner-key KEY           owner key to store the assessments under
+//                             (default: a new one, printed at the end)
+//
+// Progress goes to stderr. The exit code is 1 when any row failed and 2
+// for invalid options.
+
+const fs = require('fs');
+const path = require('path');
+const { assess } = require('../lib/assess');
+const { getRubric } = require('../lib/rubric');
+const { isSupportedLocale, DEFAULT_LOCALE } = require('../lib/i18n');
+const { loadConfig } = require('../lib/llm');
+const { checkEvaluatePayload } = require('../lib/guard');
+const { saveAssessment, createOwnerKey, isOwnerKey } = require('../lib/store');
+const { parseCsv, parseCsvObjects, csvLine, escapeFormula } = require('../lib/csv');
+const { UsageError, parseArgs } = require('../lib/cli');
+
+const PROFILE_FIELDS = ['name', 'role', 'email', 'organization'];
+const FORMATS = ['jsonl', 'csv', 'both'];
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Read the rows of the input file. Each row is {row, id, record} or, for
+ * a JSONL line that cannot be parsed, {row, id, error}.
+ *
+ * @param {string} file
+ * @param {'csv'|'jsonl'} format
+ * @returns {Array<{row: number, id: string, record?: Object, error?: string}>}
+ */
+function readRows(file, format) {
+  const text = fs.readFileSync(file, 'utf8');
+  const rows = [];
+  if (format === 'csv') {
+    parseCsvObjects(text).forEach((record, i) => rows.push({ row: i + 1, record }));
+  } else {
+    text.split(/\r?\n/).filter((line) => line.trim()).forEach((line, i) => {
+      try {
+        const record = JSON.parse(line);
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) throw new Error('not an object');
+        rows.push({ row: i + 1, record });
+      } catch (err) {
+        rows.push({ row: i + 1, error: `Line is not a JSON object: ${err.message}` });
+      }
+    });
+  }
+  rows.forEach((item) => {
+    const id = item.record && item.record.id;
+    item.id = id !== undefined && id !== null && String(id).trim() ? String(id).trim() : String(item.row);
+  });
+  return rows;
+}
+
+/**
+ * Build the profile and answers of a row for a rubric. Missing fields
+ * are empty, so a missing answer scores the lowest level.
+ *
+ * @param {Object} record
+ * @param {Object} rubric
+ * @returns {{profile: Object, answers: Object}}
+ */
+function assessmentOf(record, rubric) {
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+  const profileSource = record.profile && typeof record.profile === 'object' ? record.profile : record;
+  const answerSource = record.answers && typeof record.answers === 'object' ? record.answers : record;
+  const profile = {};
+  PROFILE_FIELDS.forEach((field) => {
+    profile[field] = text(profileSource[field]);
+  });
+  const answers = {};
+  rubric.dimensions.forEach(({ key }) => {
+    answers[key] = text(answerSource[key]);
+  });
+  return { profile, answers };
+}
+
+/**
+ * A successful entry of a JSONL output line, or null for failed rows and
+ * lines cut short by an interrupted run.
+ *
+ * @param {string} line
+ * @returns {Object|null}
+ */
+function scoredEntry(line) {
+  try {
+    const entry = JSON.parse(line);
+    return entry && entry.report && !entry.error ? entry : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Ids of the rows an earlier run scored, read from its outputs. With
+ * both outputs, a row counts only when it is in both. The ids are as
+ * the summary CSV writes them (see escapeFormula in lib/csv).
+ *
+ * @param {{jsonl: string|null, csv: string|null}} outputs
+ * @returns {Set<string>}
+ */
+function completedIds(outputs) {
+  const sets = [];
+  if (outputs.jsonl) {
+    const ids = fs.existsSync(outputs.jsonl) ? fs.readFileSync(outputs.jsonl, 'utf8').split('\n').map(scoredEntry).filter(Boolean).map((entry) => escapeFormula(String(entry.id))) : [];
+    sets.push(new Set(ids));
+  }
+  if (outputs.csv) {
+    const rows = fs.existsSync(outputs.csv) ? parseCsvObjects(fs.readFileSync(outputs.csv, 'utf8')) : [];
+    sets.push(new Set(rows.filter((entry) => entry.band && !entry.error).map((entry) => entry.id)));
+  }
+  return sets.reduce((done, ids) => new Set(Array.from(done).filter((id) => ids.has(id))));
+}
+
+/**
+ * Start an output file. When resuming, the rows already scored are kept
+ * and the rest (failed rows, a line cut short) dropped, so every row
+ * appears once when the run is over.
+ *
+ * @param {string} file
+ * @param {'jsonl'|'csv'} kind
+ * @param {Set<string>|null} done ids to keep (see completedIds), null to
+ *   start afresh
+ * @param {string[]} [header] header fields of a CSV file
+ */
+function openOutput(file, kind, done, header) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const previous = done && fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  let lines = [];
+  if (kind === 'jsonl') {
+    lines = previous.split('\n').filter((line) => {
+      const entry = scoredEntry(line);
+      return entry && done.has(escapeFormula(String(entry.id)));
+    });
+  } else {
+    const [names = [], ...rows] = parseCsv(previous);
+    const [id, band, error] = ['id', 'band', 'error'].map((name) => names.indexOf(name));
+    lines = [csvLine(header)].concat(rows
+      .filter((fields) => done.has(fields[id]) && fields[band] && !fields[error])
+      .map(csvLine));
+  }
+  fs.writeFileSync(file, lines.map((line) => `${line}\n`).join(''));
+}
+
+/**
+ * Header of the summary CSV for a rubric.
+ *
+ * @param {Object} rubric
+ */
+function summaryHeader(rubric) {
+  return ['row', 'id'].concat(PROFILE_FIELDS, rubric.dimensions.map((d) => d.name), ['average', 'band', 'source', 'error']);
+}
+
+/**
+ * Summary CSV fields of an evaluated row.
+ *
+ * @param {Object} result {row, id, profile, report} or {row, id, profile, error}
+ * @param {Object} rubric
+ */
+function summaryFields(result, rubric) {
+  const { report } = result;
+  const scores = rubric.dimensions.map((cat) => {
+    const dim = report && report.dimensions.find((d) => d.key === cat.key || d.name === cat.name);
+    return dim ? dim.score : '';
+  });
+  const profile = result.profile || {};
+  return [result.row, result.id].concat(
+    PROFILE_FIELDS.map((field) => profile[field] || ''),
+    scores,
+    report ? [report.averageScore, report.band, report.source || '', ''] : ['', '', '', result.error],
+  );
+}
+
+/**
+ * Evaluate one row. Errors are returned in the result rather than thrown
+ * so one bad row does not stop the run.
+ *
+ * @param {Object} item row from readRows
+ * @param {Object} rubric
+ * @param {{config: Object, privacy: boolean, store: boolean, ownerKey: string}} options
+ */
+async function evaluateRow(item, rubric, options) {
+  const result = { row: item.row, id: item.id };
+  if (item.error) return Object.assign(result, { error: item.error });
+  const { profile, answers } = assessmentOf(item.record, rubric);
+  result.profile = profile;
+  try {
+    checkEvaluatePayload({ profile, answers }, rubric);
+    const report = await assess({ profile, answers, rubric, privacy: options.privacy }, { config: options.config });
+    if (options.store) {
+      const record = await saveAssessment({ profile, answers, report, ownerKey: options.ownerKey });
+      report.id = record.id;
+      report.createdAt = record.createdAt;
+    }
+    return Object.assign(result, { answers, report });
+  } catch (err) {
+    return Object.assign(result, { error: err.message });
+  }
+}
+
+/**
+ * Run `worker` over the items with at most `concurrency` at a time.
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} worker async function of one item
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Check the options and work out the files involved.
+ *
+ * @param {Object} args parsed arguments
+ */
+function resolveOptions(args) {
+  if (!args.input || args.input === true) throw new UsageError('--input FILE is required');
+  if (!fs.existsSync(args.input)) throw new UsageError(`Input file ${args.input} does not exist`);
+  const extension = path.extname(args.input).toLowerCase();
+  const inputFormat = args['input-format'] || (extension === '.csv' ? 'csv' : ['.jsonl', '.ndjson'].includes(extension) ? 'jsonl' : null);
+  if (!['csv', 'jsonl'].includes(inputFormat)) throw new UsageError('Cannot tell the input format; pass --input-format csv or jsonl');
+  const format = args.format || 'both';
+  if (!FORMATS.includes(format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  const concurrency = args.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(args.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new UsageError('--concurrency must be a positive whole number');
+  const locale = args.locale || DEFAULT_LOCALE;
+  if (!isSupportedLocale(locale)) throw new UsageError(`Unsupported language "${locale}"`);
+  const rubricId = typeof args.rubric === 'string' ? args.rubric : undefined;
+  const rubric = getRubric(rubricId, locale);
+  if (!rubric) throw new UsageError(`Unknown rubric "${rubricId}"`);
+  // An empty environment leaves no provider configured
+  const config = args['no-llm'] ? loadConfig({}) : loadConfig();
+  if (args.samples !== undefined) {
+    config.samples = Number(args.samples);
+    if (!Number.isInteger(config.samples) || config.samples < 1) throw new UsageError('--samples must be a positive whole number');
+  }
+  if (args['owner-key'] !== undefined && !isOwnerKey(args['owner-key'])) throw new UsageError('--owner-key must be an owner key returned by the app');
+  const prefix = typeof args.output === 'string'
+    ? args.output.replace(/\.(jsonl|csv)$/i, '')
+    : path.join(path.dirname(args.input), path.basename(args.input, extension));
+  const [jsonlName, csvName] = typeof args.output === 'string' ? [`${prefix}.jsonl`, `${prefix}-summary.csv`] : [`${prefix}-reports.jsonl`, `${prefix}-summary.csv`];
+  return {
+    input: args.input,
+    inputFormat,
+    outputs: { jsonl: format === 'csv' ? null : jsonlName, csv: format === 'jsonl' ? null : csvName },
+    concurrency,
+    resume: Boolean(args.resume),
+    rubric,
+    privacy: Boolean(args.privacy),
+    store: Boolean(args.store),
+    ownerKey: args.store ? args['owner-key'] || createOwnerKey() : null,
+    config,
+  };
+}
+
+/**
+ * Run a batch.
+ *
+ * @param {Object} options output of resolveOptions
+ * @param {(message: string) => void} [log]
+ * @returns {Promise<{total: number, skipped: number, scored: number, failed: number}>}
+ */
+async function runBatch(options, log = () => {}) {
+  const { outputs, rubric } = options;
+  const rows = readRows(options.input, options.inputFormat);
+  const done = options.resume ? completedIds(outputs) : new Set();
+  const pending = rows.filter((item) => !done.has(escapeFormula(item.id)));
+  if (outputs.jsonl) openOutput(outputs.jsonl, 'jsonl', options.resume ? done : null);
+  if (outputs.csv) openOutput(outputs.csv, 'csv', options.resume ? done : null, summaryHeader(rubric));
+  const stats = { total: rows.length, skipped: rows.length - pending.length, scored: 0, failed: 0 };
+  if (stats.skipped) log(`Resuming: ${stats.skipped} of ${rows.length} rows already scored`);
+  let finished = 0;
+  await runPool(pending, options.concurrency, async (item) => {
+    const result = await evaluateRow(item, rubric, options);
+    // Each row is written as soon as it is done, so an interrupted run can resume
+    if (outputs.jsonl) {
+      const line = result.report
+        ? { row: result.row, id: result.id, profile: result.profile, answers: result.answers, report: result.report }
+        : { row: result.row, id: result.id, error: result.error };
+      fs.appendFileSync(outputs.jsonl, `${JSON.stringify(line)}\n`);
+    }
+    if (outputs.csv) fs.appendFileSync(outputs.csv, `${csvLine(summaryFields(result, rubric))}\n`);
+    finished += 1;
+    if (result.report) {
+      stats.scored += 1;
+      log(`[${finished}/${pending.length}] row ${result.row} (${result.id}): ${result.report.band} ${result.report.averageScore} (${result.report.source})`);
+    } else {
+      stats.failed += 1;
+      log(`[${finished}/${pending.length}] row ${result.row} (${result.id}) failed: ${result.error}`);
+    }
+  });
+  return stats;
+}
+
+if (require.main === module) {
+  const log = (message) => process.stderr.write(`${message}\n`);
+  let options;
+  try {
+    options = resolveOptions(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    log(`${err.message}\nUsage: node scripts/assess-batch.js --input FILE [--output PREFIX] [--format jsonl|csv|both] [--concurrency N] [--resume] [--rubric ID] [--locale en|pt|es] [--privacy] [--no-llm] [--samples N] [--store [--owner-key KEY]]`);
+    process.exit(2);
+  }
+  runBatch(options, log).then((stats) => {
+    const written = [options.outputs.jsonl, options.outputs.csv].filter(Boolean).join(' and ');
+    log(`Scored ${stats.scored}, failed ${stats.failed}, skipped ${stats.skipped} of ${stats.total} rows; wrote ${written}`);
+    if (options.store) log(`Stored under owner key ${options.ownerKey}`);
+    process.exitCode = stats.failed ? 1 : 0;
+  }).catch((err) => {
+    log(`Batch failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  readRows,
+  assessmentOf,
+  completedIds,
+  resolveOptions,
+  runBatch,
+};
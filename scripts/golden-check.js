@@ -0,0 +1,448 @@
+#!/usr/bin/env node
+// Regression check of the scoring against a labelled set of answers.
+//
+// Scores every sample of the golden dataset (fixtures/golden) through
+// the heuristic path and through the LLM path of lib/assess, then
+// reports for each path the accuracy against the expected levels, the
+// misclassified answers per dimension and the drift of the scores from
+// the last baseline. Run it after changing the rules (lib/rules), the
+// unknown-answer patterns or the prompt (lib/prompt):
+//
+//   node scripts/golden-check.js
+//
+// A dataset is a JSON object with the `rubric` id and a `samples` array.
+// Each sample has an `id`, a `note`, an optional `locale`, the `answers`
+// keyed by question and the `expected` score of each question, either a
+// score or an inclusive [min, max] range, as labelled by a person.
+//
+// The LLM path replays model replies through an in-process mock server
+// (./mock-llm-server), so it runs offline and is measured against the
+// labels and its own baseline like the heuristic path. The replies come
+// from fixtures/golden/recordings.json, one per sample, named after the
+// sample id; a file captured with `mock-llm-server.js --record` is
+// replayed by its request hashes instead. After re-recording, save the
+// new scores with --update-baseline. With --live the LLM path calls the
+// provider configured in the environment (lib/llm). With --mock the
+// mock answers each sample with the heuristic report as a model reply,
+// which covers the prompt, the request, the validation and the repair
+// of model output, so that run checks only that every score comes back
+// as the mock sent it; it has no accuracy and no baseline. Options:
+//
+//   --dataset FILE          golden dataset (default fixtures/golden/three-whys.json)
+//   --baseline FILE         baseline scores (default fixtures/golden/baseline.json)
+//   --path heuristic|llm|both
+//                           paths to check (default both)
+//   --recordings FILE       model replies to replay on the LLM path
+//                           (default fixtures/golden/recordings.json)
+//   --live                  call the configured provider on the LLM path
+//   --mock                  send the heuristic reports as model replies
+//   --max-drift N           largest mean absolute change of the scores from
+//                           the baseline (default 0.05)
+//   --min-accuracy N        smallest share of scores within the expected
+//                           range, 0 to 1 (default: not checked)
+//   --update-baseline       save the scores as the new baseline
+//   --json                  print the results as JSON
+//
+// The exit code is 1 when a path goes over a threshold and 2 for
+// invalid options.
+
+const fs = require('fs');
+const path = require('path');
+const { assess } = require('../lib/assess');
+const { evaluate: heuristicEvaluate } = require('../lib/scoring');
+const { getRubric } = require('../lib/rubric');
+const { loadConfig, isConfigured } = require('../lib/llm');
+const { UsageError, parseArgs } = require('../lib/cli');
+const { createMockServer, loadRecordings } = require('./mock-llm-server');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_DATASET = path.join(ROOT, 'fixtures', 'golden', 'three-whys.json');
+const DEFAULT_BASELINE = path.join(ROOT, 'fixtures', 'golden', 'baseline.json');
+const DEFAULT_RECORDINGS = path.join(ROOT, 'fixtures', 'golden', 'recordings.json');
+const DEFAULT_MAX_DRIFT = 0.05;
+const PATHS = ['heuristic', 'llm', 'both'];
+
+/**
+ * Read a dataset and check that every sample can be scored.
+ *
+ * @param {string} file
+ * @returns {{rubric: string, samples: Array}}
+ */
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const rubric = getRubric(dataset.rubric);
+  if (!rubric) throw new UsageError(`${file}: unknown rubric "${dataset.rubric}"`);
+  if (!Array.isArray(dataset.samples) || !dataset.samples.length) throw new UsageError(`${file}: no samples`);
+  const ids = new Set();
+  dataset.samples.forEach((sample, i) => {
+    const where = `${file}: sample ${sample.id || i + 1}`;
+    if (!sample.id || ids.has(sample.id)) throw new UsageError(`${where} needs a unique id`);
+    ids.add(sample.id);
+    if (!getRubric(dataset.rubric, sample.locale)) throw new UsageError(`${where} has an unsupported locale "${sample.locale}"`);
+    rubric.dimensions.forEach(({ key }) => {
+      if (typeof (sample.answers || {})[key] !== 'string') throw new UsageError(`${where} has no answer to ${key}`);
+      if (!expectedRange((sample.expected || {})[key])) throw new UsageError(`${where} has no expected score for ${key}`);
+    });
+  });
+  return dataset;
+}
+
+/**
+ * The expected score of an answer as a [min, max] range, or null when
+ * it is not a score from 1 to 5 or a range of them.
+ *
+ * @param {number|number[]} expected
+ * @returns {number[]|null}
+ */
+function expectedRange(expected) {
+  const range = Array.isArray(expected) ? expected : [expected, expected];
+  const valid = range.length === 2 && range.every((n) => Number.isInteger(n) && n >= 1 && n <= 5) && range[0] <= range[1];
+  return valid ? range : null;
+}
+
+/**
+ * The model reply the mock gives for a sample: the heuristic report,
+ * shaped as a valid model report.
+ *
+ * @param {Object} sample
+ * @param {Object} rubric the rubric in the sample's language
+ * @returns {Object}
+ */
+function mockReply(sample, rubric) {
+  const heuristic = heuristicEvaluate({}, sample.answers, {}, rubric);
+  const dimensions = heuristic.dimensions.map((dim) => ({
+    name: dim.name,
+    score: dim.score,
+    level: rubric.levels[dim.score - 1],
+    why: dim.why,
+    how: dim.how,
+  }));
+  return {
+    averageScore: heuristic.averageScore,
+    band: heuristic.band,
+    executiveSummary: heuristic.executiveSummary,
+    dimensions,
+    coaching: heuristic.coaching,
+  };
+}
+
+/**
+ * Score the samples through one path.
+ *
+ * @param {Object} dataset
+ * @param {{config: Object, before?: Function}} scorer config to pass
+ *   to assess and a hook run before each sample
+ * @returns {Promise<Array<{id: string, scores: Object, error?: string}>>}
+ */
+async function scoreSamples(dataset, scorer) {
+  const results = [];
+  // One sample at a time, so the mock answers each with its own reply
+  for (const sample of dataset.samples) {
+    const rubric = getRubric(dataset.rubric, sample.locale);
+    if (scorer.before) scorer.before(sample, rubric);
+    const report = await assess({ profile: {}, answers: sample.answers, rubric }, { config: scorer.config });
+    const scores = {};
+    report.dimensions.forEach((dim) => {
+      scores[dim.key] = dim.score;
+    });
+    const result = { id: sample.id, scores };
+    if (report.llmError) result.error = report.llmError.message;
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Compare scores with the expected ranges.
+ *
+ * @param {Object} dataset
+ * @param {Array} results output of scoreSamples
+ * @returns {{accuracy: number, correct: number, total: number,
+ *   dimensions: Array<{key: string, correct: number, total: number,
+ *   misclassified: Array<{id: string, score: number, expected: number[]}>}>}}
+ */
+function measureAccuracy(dataset, results) {
+  const rubric = getRubric(dataset.rubric);
+  const dimensions = rubric.dimensions.map(({ key }) => ({ key, correct: 0, total: 0, misclassified: [] }));
+  results.forEach((result) => {
+    const sample = dataset.samples.find((s) => s.id === result.id);
+    dimensions.forEach((dim) => {
+      const [min, max] = expectedRange(sample.expected[dim.key]);
+      const score = result.scores[dim.key];
+      dim.total += 1;
+      if (score >= min && score <= max) {
+        dim.correct += 1;
+      } else {
+        dim.misclassified.push({ id: result.id, score, expected: [min, max] });
+      }
+    });
+  });
+  const correct = dimensions.reduce((sum, dim) => sum + dim.correct, 0);
+  const total = dimensions.reduce((sum, dim) => sum + dim.total, 0);
+  return { accuracy: total ? correct / total : 0, correct, total, dimensions };
+}
+
+/**
+ * Compare scores with the baseline of the same path.
+ *
+ * @param {Array} results output of scoreSamples
+ * @param {Object|undefined} baseline baseline scores keyed by sample id
+ * @returns {{drift: number, changes: Array<{id: string, key: string, from: number, to: number}>,
+ *   added: string[]}|null} null without a baseline; drift is the mean
+ *   absolute change of the scores of the samples in both
+ */
+function measureDrift(results, baseline) {
+  if (!baseline) return null;
+  const changes = [];
+  const added = [];
+  let compared = 0;
+  let total = 0;
+  results.forEach((result) => {
+    const before = baseline[result.id];
+    if (!before) {
+      added.push(result.id);
+      return;
+    }
+    Object.keys(result.scores).forEach((key) => {
+      if (before[key] === undefined) return;
+      compared += 1;
+      total += Math.abs(result.scores[key] - before[key]);
+      if (result.scores[key] !== before[key]) changes.push({ id: result.id, key, from: before[key], to: result.scores[key] });
+    });
+  });
+  return { drift: compared ? total / compared : 0, changes, added };
+}
+
+/**
+ * Compare the scores of the mock run with the scores the mock sent.
+ *
+ * @param {Array} results output of scoreSamples
+ * @param {Object} sent scores of each mock reply keyed by sample id
+ * @returns {Array<{id: string, key: string, sent: number, got: number}>}
+ *   the scores that did not come back as sent
+ */
+function measureRoundTrip(results, sent) {
+  const mismatches = [];
+  results.forEach((result) => {
+    Object.keys(sent[result.id] || {}).forEach((key) => {
+      const expected = sent[result.id][key];
+      if (result.scores[key] !== expected) mismatches.push({ id: result.id, key, sent: expected, got: result.scores[key] });
+    });
+  });
+  return mismatches;
+}
+
+/**
+ * Set up the LLM path: the configured provider with --live, otherwise
+ * an in-process mock server replaying the recordings or, with --mock,
+ * sending mock replies. A mock scorer has `sent`, the scores of each
+ * reply it gave.
+ *
+ * @param {Object} options output of resolveOptions
+ * @returns {Promise<{config: Object, before?: Function, sent?: Object, label: string, close: Function}>}
+ */
+async function llmScorer(options) {
+  if (options.live) {
+    const config = loadConfig();
+    if (!isConfigured(config)) throw new UsageError('--live needs an LLM provider configured (see lib/llm)');
+    return { config, label: `live, ${config.provider} ${config.model}`, close: () => {} };
+  }
+  const recorded = options.mock ? [] : loadRecordings(options.recordings);
+  const recordings = [];
+  const server = createMockServer({ recordings });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const config = loadConfig({ LLM_PROVIDER: 'compatible', LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`, LLM_MAX_RETRIES: '0' });
+  const close = () => server.close();
+  if (!options.mock) {
+    // The reply named after a sample answers it, whatever the prompt;
+    // other recordings are matched by their request hashes
+    const replay = (sample) => {
+      const own = recorded.filter((r) => r.name === sample.id);
+      recordings.splice(0, recordings.length, ...(own.length ? own : recorded));
+    };
+    return { config, before: replay, label: `replaying ${path.relative(process.cwd(), options.recordings)}`, close };
+  }
+  const sent = {};
+  const before = (sample, rubric) => {
+    const content = mockReply(sample, rubric);
+    sent[sample.id] = {};
+    rubric.dimensions.forEach(({ key }, i) => {
+      sent[sample.id][key] = content.dimensions[i].score;
+    });
+    recordings.splice(0, recordings.length, { name: sample.id, content });
+  };
+  return { config, before, sent, label: 'mock replies, no accuracy measured', close };
+}
+
+/**
+ * Check the options.
+ *
+ * @param {Object} args parsed arguments
+ */
+function resolveOptions(args) {
+  const checkPath = args.path || 'both';
+  if (!PATHS.includes(checkPath)) throw new UsageError(`--path must be one of ${PATHS.join(', ')}`);
+  const maxDrift = args['max-drift'] === undefined ? DEFAULT_MAX_DRIFT : Number(args['max-drift']);
+  if (!Number.isFinite(maxDrift) || maxDrift < 0) throw new UsageError('--max-drift must be a number of 0 or more');
+  const minAccuracy = args['min-accuracy'] === undefined ? null : Number(args['min-accuracy']);
+  if (minAccuracy !== null && !(minAccuracy >= 0 && minAccuracy <= 1)) throw new UsageError('--min-accuracy must be between 0 and 1');
+  if ([args.recordings, args.live, args.mock].filter(Boolean).length > 1) throw new UsageError('Pass only one of --recordings, --live and --mock');
+  const recordings = typeof args.recordings === 'string' ? args.recordings : DEFAULT_RECORDINGS;
+  if (!args.live && !args.mock && !fs.existsSync(recordings)) throw new UsageError(`Recordings file ${recordings} does not exist`);
+  const datasetFile = typeof args.dataset === 'string' ? args.dataset : DEFAULT_DATASET;
+  if (!fs.existsSync(datasetFile)) throw new UsageError(`Dataset ${datasetFile} does not exist`);
+  return {
+    dataset: loadDataset(datasetFile),
+    baselineFile: typeof args.baseline === 'string' ? args.baseline : DEFAULT_BASELINE,
+    paths: checkPath === 'both' ? ['heuristic', 'llm'] : [checkPath],
+    recordings,
+    live: Boolean(args.live),
+    mock: Boolean(args.mock),
+    maxDrift,
+    minAccuracy,
+    updateBaseline: Boolean(args['update-baseline']),
+  };
+}
+
+/**
+ * Run the check.
+ *
+ * @param {Object} options output of resolveOptions
+ * @returns {Promise<{paths: Object, failures: string[]}>} per path: the
+ *   label, scores, accuracy and drift
+ */
+async function runCheck(options) {
+  const baseline = fs.existsSync(options.baselineFile) ? JSON.parse(fs.readFileSync(options.baselineFile, 'utf8')) : { paths: {} };
+  const paths = {};
+  const failures = [];
+  for (const name of options.paths) {
+    const scorer = name === 'llm' ? await llmScorer(options) : { config: loadConfig({}), label: 'rules', close: () => {} };
+    let results;
+    try {
+      results = await scoreSamples(options.dataset, scorer);
+    } finally {
+      scorer.close();
+    }
+    const errors = results.filter((r) => r.error);
+    if (errors.length) failures.push(`${name}: ${errors.length} samples fell back to the heuristic scorer (${errors[0].error})`);
+    if (scorer.sent) {
+      const mismatches = measureRoundTrip(results, scorer.sent);
+      paths[name] = { label: scorer.label, results, mismatches };
+      if (mismatches.length) failures.push(`${name}: ${mismatches.length} scores did not come back as the mock sent them`);
+      continue;
+    }
+    const accuracy = measureAccuracy(options.dataset, results);
+    const drift = measureDrift(results, baseline.paths[name]);
+    paths[name] = { label: scorer.label, results, accuracy, drift };
+    if (drift && drift.drift > options.maxDrift) failures.push(`${name}: drift ${drift.drift.toFixed(3)} is over ${options.maxDrift}`);
+    if (options.minAccuracy !== null && accuracy.accuracy < options.minAccuracy) {
+      failures.push(`${name}: accuracy ${percent(accuracy.accuracy)} is under ${percent(options.minAccuracy)}`);
+    }
+  }
+  if (options.updateBaseline) {
+    // The mock run says nothing about the model, so it has no baseline
+    Object.keys(paths).filter((name) => paths[name].accuracy).forEach((name) => {
+      const scores = {};
+      paths[name].results.forEach((result) => {
+        scores[result.id] = result.scores;
+      });
+      baseline.paths[name] = scores;
+    });
+    baseline.updatedAt = new Date().toISOString();
+    fs.writeFileSync(options.baselineFile, formatBaseline(baseline));
+  }
+  return { paths, failures };
+}
+
+/**
+ * Baseline file content, one line per sample so changes read well in a
+ * diff.
+ *
+ * @param {{updatedAt: string, paths: Object}} baseline
+ * @returns {string}
+ */
+function formatBaseline(baseline) {
+  const paths = Object.keys(baseline.paths).map((name) => {
+    const scores = baseline.paths[name];
+    const samples = Object.keys(scores).map((id) => `      ${JSON.stringify(id)}: ${JSON.stringify(scores[id])}`);
+    return `    ${JSON.stringify(name)}: {\n${samples.join(',\n')}\n    }`;
+  });
+  return `{\n  "updatedAt": ${JSON.stringify(baseline.updatedAt)},\n  "paths": {\n${paths.join(',\n')}\n  }\n}\n`;
+}
+
+/**
+ * Format a share as a percentage.
+ *
+ * @param {number} share
+ */
+function percent(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+/**
+ * Plain-text report of a check.
+ *
+ * @param {Object} outcome output of runCheck
+ * @param {Object} options output of resolveOptions
+ * @returns {string}
+ */
+function formatReport(outcome, options) {
+  const rubric = getRubric(options.dataset.rubric);
+  const range = ([min, max]) => (min === max ? `${min}` : `${min}–${max}`);
+  const lines = [];
+  Object.keys(outcome.paths).forEach((name) => {
+    const { label, accuracy, drift, mismatches } = outcome.paths[name];
+    if (mismatches) {
+      lines.push(`LLM path (${label}): ${mismatches.length ? `${mismatches.length} scores changed in the pipeline` : 'every score came back as sent'}`);
+      mismatches.forEach((m) => lines.push(`  ${m.id} ${m.key}: sent ${m.sent}, got ${m.got}`));
+      lines.push('  Run without --mock to measure model replies against the labels.');
+      return;
+    }
+    lines.push(`${name === 'llm' ? 'LLM' : 'Heuristic'} path (${label}): accuracy ${percent(accuracy.accuracy)} (${accuracy.correct}/${accuracy.total})`);
+    accuracy.dimensions.forEach((dim) => {
+      const dimName = rubric.dimensions.find((d) => d.key === dim.key).name;
+      const misses = dim.misclassified.map((m) => `${m.id} ${m.score} (expected ${range(m.expected)})`).join(', ');
+      lines.push(`  ${dim.key} ${dimName}: ${dim.correct}/${dim.total}${misses ? ` — misclassified: ${misses}` : ''}`);
+    });
+    if (!drift) {
+      lines.push('  No baseline yet; run with --update-baseline to record one.');
+    } else {
+      lines.push(`  Drift from baseline: ${drift.drift.toFixed(3)} (${drift.changes.length} scores changed)`);
+      drift.changes.forEach((c) => lines.push(`    ${c.id} ${c.key}: ${c.from} → ${c.to}`));
+      if (drift.added.length) lines.push(`  Not in the baseline: ${drift.added.join(', ')}`);
+    }
+  });
+  if (options.updateBaseline) lines.push(`Baseline saved to ${path.relative(process.cwd(), options.baselineFile)}.`);
+  lines.push(outcome.failures.length ? `FAILED\n${outcome.failures.map((f) => `  ${f}`).join('\n')}` : 'OK');
+  return lines.join('\n');
+}
+
+if (require.main === module) {
+  let args;
+  let options;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    options = resolveOptions(args);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\nUsage: node scripts/golden-check.js [--dataset FILE] [--baseline FILE] [--path heuristic|llm|both] [--recordings FILE | --live | --mock] [--max-drift N] [--min-accuracy N] [--update-baseline] [--json]`);
+    process.exit(2);
+  }
+  runCheck(options).then((outcome) => {
+    console.log(args.json ? JSON.stringify(outcome, null, 2) : formatReport(outcome, options));
+    process.exitCode = outcome.failures.length ? 1 : 0;
+  }).catch((err) => {
+    console.error(err instanceof UsageError ? err.message : err.stack);
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  });
+}
+
+module.exports = {
+  loadDataset,
+  mockReply,
+  scoreSamples,
+  measureAccuracy,
+  measureDrift,
+  measureRoundTrip,
+  runCheck,
+};
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+// Local stand-in for an OpenAI-compatible Chat Completions endpoint.
+//
+// Replays recorded responses so the whole evaluate endpoint can be
+// exercised offline. Point the app at it with
+//
+//   LLM_PROVIDER=compatible LLM_BASE_URL=http://localhost:8787/v1 node …
+//
+// and start it with
+//
+//   node scripts/mock-llm-server.js --port 8787 --recordings fixtures/llm/recordings.json
+//
+// A recordings file is a JSON array. Each entry may contain:
+//   name      label shown in the log
+//   hash      sha256 of the request messages (written by --record)
+//   match     regular expression tested against the request messages
+//   times     how many requests the entry may answer before it is skipped
+//   status    HTTP status to return (default 200)
+//   headers   extra response headers, e.g. {"retry-after": "1"}
+//   delayMs   wait before answering, to exercise timeouts
+//   content   assistant message content (objects are JSON-encoded)
+//   response  full response body, used instead of `content`
+// Entries are tried in order: exact hash, then `match`, then entries
+// with neither, which act as defaults. Requests with `stream: true` get
+// `content` as server-sent events.
+//
+// With --record FILE --upstream URL the server instead forwards each
+// request to the upstream API and appends the reply to FILE. Streamed
+// replies are recorded as the `content` they add up to, so they replay
+// streamed or not, as the request asks.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { UsageError, parseArgs } = require('../lib/cli');
+
+// Characters per event of a streamed reply, and the pause between events
+const STREAM_CHUNK_CHARS = 24;
+const STREAM_DELAY_MS = 5;
+
+/**
+ * Hash the messages of a chat request so a recording can be matched
+ * exactly on replay.
+ *
+ * @param {Array} messages
+ */
+function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages || [])).digest('hex');
+}
+
+/**
+ * Wrap assistant content in a Chat Completions response body.
+ *
+ * @param {string|Object} content
+ * @param {string} [model]
+ */
+function completion(content, model = 'mock') {
+  return {
+    id: `chatcmpl-mock-${crypto.randomBytes(6).toString('hex')}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: typeof content === 'string' ? content : JSON.stringify(content) },
+      finish_reason: 'stop',
+    }],
+  };
+}
+
+/**
+ * Send assistant content as a streamed completion (server-sent events),
+ * a few characters per event, as the API does for `stream: true`.
+ *
+ * @param {http.ServerResponse} res
+ * @param {string|Object} content
+ * @param {string} [model]
+ */
+function streamCompletion(res, content, model = 'mock') {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  const id = `chatcmpl-mock-${crypto.randomBytes(6).toString('hex')}`;
+  const event = (delta, finishReason = null) => `data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+  })}\n\n`;
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  let offset = 0;
+  const next = () => {
+    if (offset >= text.length) {
+      res.end(`${event({}, 'stop')}data: [DONE]\n\n`);
+      return;
+    }
+    res.write(event({ content: text.slice(offset, offset + STREAM_CHUNK_CHARS) }));
+    offset += STREAM_CHUNK_CHARS;
+    setTimeout(next, STREAM_DELAY_MS);
+  };
+  res.write(event({ role: 'assistant', content: '' }));
+  next();
+}
+
+/**
+ * Read a recordings file, returning an empty list when it is missing.
+ *
+ * @param {string} file
+ */
+function loadRecordings(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Pick the recording that answers a request, honouring `times`.
+ *
+ * @param {Array} recordings
+ * @param {Object} request parsed request body
+ */
+function findRecording(recordings, request) {
+  const hash = hashMessages(request.messages);
+  const text = (request.messages || []).map((m) => m.content).join('\n');
+  const available = recordings.filter((r) => r.times === undefined || (r.used || 0) < r.times);
+  return available.find((r) => r.hash === hash)
+    || available.find((r) => r.match && new RegExp(r.match, 'i').test(text))
+    || available.find((r) => !r.hash && !r.match);
+}
+
+/**
+ * Assistant content of a streamed completion: the text of its events
+ * put together.
+ *
+ * @param {string} body server-sent events
+ * @returns {string}
+ */
+function assembleStream(body) {
+  let text = '';
+  body.split(/\r?\n/).forEach((line) => {
+    const data = line.match(/^data:\s*(.*)$/);
+    if (!data || data[1] === '[DONE]') return;
+    try {
+      const { choices } = JSON.parse(data[1]);
+      const delta = choices && choices[0] && choices[0].delta;
+      if (delta && typeof delta.content === 'string') text += delta.content;
+    } catch (err) {
+      // Not an event of the completion
+    }
+  });
+  return text;
+}
+
+/**
+ * Forward a request to the upstream API, resolving with its status,
+ * content type and body.
+ *
+ * @param {string} upstream base URL, e.g. https://api.openai.com/v1
+ * @param {string} body
+ * @param {Object} headers incoming request headers
+ */
+function forward(upstream, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(`${upstream.replace(/\/+$/, '')}/chat/completions`);
+    const transport = target.protocol === 'http:' ? http : https;
+    const outgoing = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+    if (headers.authorization) outgoing.Authorization = headers.authorization;
+    if (headers['api-key']) outgoing['api-key'] = headers['api-key'];
+    const req = transport.request(target, { method: 'POST', headers: outgoing }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'] || '', body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create (but do not start) the mock server.
+ *
+ * @param {{recordings?: Array, record?: string, upstream?: string, log?: Function}} [options]
+ * @returns {http.Server} with a `requests` array of the parsed request bodies
+ */
+function createMockServer(options = {}) {
+  const recordings = options.recordings || [];
+  const log = options.log || (() => {});
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', async () => {
+      const send = (status, payload, headers = {}) => {
+        res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+        res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      };
+      if (req.method !== 'POST' || !/\/chat\/completions$/.test(req.url.split('?')[0])) {
+        send(404, { error: { message: `No mock route for ${req.method} ${req.url}` } });
+        return;
+      }
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch (err) {
+        send(400, { error: { message: 'Request body is not JSON' } });
+        return;
+      }
+      server.requests.push(request);
+      if (options.record && options.upstream) {
+        try {
+          const upstream = await forward(options.upstream, body, req.headers);
+          const entry = { name: `recorded ${new Date().toISOString()}`, hash: hashMessages(request.messages) };
+          if (upstream.status === 200 && /text\/event-stream/i.test(upstream.type)) {
+            entry.content = assembleStream(upstream.body);
+          } else {
+            entry.status = upstream.status;
+            try {
+              entry.response = JSON.parse(upstream.body);
+            } catch (err) {
+              entry.response = upstream.body;
+            }
+          }
+          recordings.push(entry);
+          fs.writeFileSync(options.record, `${JSON.stringify(recordings, null, 2)}\n`);
+          log(`recorded ${upstream.status} for ${entry.hash.slice(0, 12)}`);
+          send(upstream.status, upstream.body, upstream.type ? { 'Content-Type': upstream.type } : {});
+        } catch (err) {
+          send(502, { error: { message: `Upstream request failed: ${err.message}` } });
+        }
+        return;
+      }
+      const recording = findRecording(recordings, request);
+      if (!recording) {
+        send(500, { error: { message: 'No recording matches this request' } });
+        return;
+      }
+      recording.used = (recording.used || 0) + 1;
+      log(`replaying ${recording.name || recording.hash || 'default'} (${recording.status || 200})`);
+      const reply = () => {
+        if (request.stream && recording.response === undefined && !recording.status) {
+          streamCompletion(res, recording.content || '', request.model);
+          return;
+        }
+        const payload = recording.response !== undefined ? recording.response : completion(recording.content || '', request.model);
+        send(recording.status || 200, payload, recording.headers);
+      };
+      if (recording.delayMs) {
+        setTimeout(reply, recording.delayMs);
+      } else {
+        reply();
+      }
+    });
+  });
+  server.requests = [];
+  return server;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\nUsage: node scripts/mock-llm-server.js [--port N] [--recordings FILE | --record FILE --upstream URL]`);
+    process.exit(2);
+  }
+  const port = parseInt(args.port || process.env.PORT || '8787', 10);
+  const file = args.record || args.recordings || 'fixtures/llm/recordings.json';
+  const server = createMockServer({
+    recordings: loadRecordings(file),
+    record: args.record,
+    upstream: args.upstream,
+    log: (msg) => console.log(msg),
+  });
+  server.listen(port, () => {
+    const mode = args.record ? `recording to ${file} from ${args.upstream}` : `replaying ${file}`;
+    console.log(`Mock LLM server on http://localhost:${port}/v1 (${mode})`);
+  });
+}
+
+module.exports = {
+  createMockServer,
+  loadRecordings,
+  hashMessages,
+  completion,
+  assembleStream,
+};
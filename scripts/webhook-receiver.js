@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Local receiver for the outbound webhooks of completed assessments.
+//
+// Prints each delivery and checks its signature, so webhooks can be
+// tried without a CRM. Point the app at it with
+//
+//   WEBHOOK_URLS=http://localhost:8788/hooks WEBHOOK_SECRET=dev-secret node …
+//
+// and start it with
+//
+//   node scripts/webhook-receiver.js --port 8788 --secret dev-secret [--fail N] [--out FILE] [--drain SECONDS]
+//
+// With --secret, deliveries whose signature does not match are answered
+// with 401 (see ../lib/webhooks). --fail N answers the first N
+// deliveries with 503, to watch the sender retry. --out FILE appends
+// each accepted payload to FILE as JSON Lines. Deliveries repeated under
+// an `X-Webhook-Id` already accepted are acknowledged but not recorded
+// again. --drain SECONDS also drains the app's webhook outbox at that
+// interval, retrying what the app could not deliver; run it with the
+// app's ASSESSMENT_STORE_DIR and WEBHOOK_* variables.
+
+const fs = require('fs');
+const http = require('http');
+const { verifySignature, drainOutbox } = require('../lib/webhooks');
+const { UsageError, parseArgs } = require('../lib/cli');
+
+/**
+ * Create (but do not start) the receiver.
+ *
+ * @param {{secret?: string, fail?: number, out?: string, log?: Function}} [options]
+ * @returns {http.Server} with a `deliveries` array of the accepted payloads
+ */
+function createReceiver(options = {}) {
+  const log = options.log || (() => {});
+  let failures = options.fail || 0;
+  const seen = new Set();
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      if (req.method !== 'POST') {
+        send(405, { error: 'Method not allowed' });
+        return;
+      }
+      const id = req.headers['x-webhook-id'] || '';
+      if (options.secret && !verifySignature(options.secret, req.headers['x-webhook-signature'], body)) {
+        log(`rejected ${id}: bad signature`);
+        send(401, { error: 'Invalid signature' });
+        return;
+      }
+      if (failures > 0) {
+        failures -= 1;
+        log(`failing ${id} on purpose (${failures} more to fail)`);
+        send(503, { error: 'Failing on purpose' });
+        return;
+      }
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (err) {
+        send(400, { error: 'Request body is not JSON' });
+        return;
+      }
+      if (seen.has(id)) {
+        log(`duplicate ${id} acknowledged`);
+        send(200, { received: id, duplicate: true });
+        return;
+      }
+      seen.add(id);
+      server.deliveries.push(payload);
+      if (options.out) fs.appendFileSync(options.out, `${JSON.stringify(payload)}\n`);
+      const summary = payload.assessment || payload.contact || {};
+      log(`received ${payload.event} ${id} (${payload.format})${options.secret ? ', signature ok' : ''}`);
+      log(JSON.stringify(summary, null, 2));
+      send(200, { received: id });
+    });
+  });
+  server.deliveries = [];
+  return server;
+}
+
+if (require.main === module) {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\nUsage: node scripts/webhook-receiver.js [--port N] [--secret SECRET] [--fail N] [--out FILE] [--drain SECONDS]`);
+    process.exit(2);
+  }
+  const port = parseInt(args.port || process.env.PORT || '8788', 10);
+  const secret = typeof args.secret === 'string' ? args.secret : process.env.WEBHOOK_SECRET;
+  const server = createReceiver({
+    secret,
+    fail: parseInt(args.fail || '0', 10),
+    out: typeof args.out === 'string' ? args.out : undefined,
+    log: (msg) => console.log(msg),
+  });
+  server.listen(port, () => {
+    console.log(`Webhook receiver on http://localhost:${port}/ (${secret ? 'checking signatures' : 'signatures not checked'})`);
+  });
+  const drainSeconds = parseFloat(args.drain);
+  if (drainSeconds > 0) {
+    setInterval(async () => {
+      const results = await drainOutbox();
+      if (results.length) console.log(`drained ${results.length} outbox entr${results.length === 1 ? 'y' : 'ies'}, ${results.filter((r) => r.ok).length} delivered`);
+    }, drainSeconds * 1000);
+  }
+}
+
+module.exports = { createReceiver };
@@ -0,0 +1,160 @@
+// Serverless endpoint for read-only links to stored assessments.
+//
+//   POST   /api/shares                       body: {id, expiresInDays?, password?}
+//   GET    /api/shares?id=…                  list the links to an assessment
+//   DELETE /api/shares?token=…               revoke a link
+//   GET    /api/shares?token=…               open a link
+//
+// As in the assessments endpoint, only the owner key of an assessment,
+// sent in the `X-Owner-Key` header, can share it, list its links or
+// revoke them. Opening a link needs nothing but the token
+// and, when the link has one, the password, sent URI-encoded in the
+// `X-Share-Password` header. A missing or wrong password is answered
+// with 401 and `passwordRequired: true`, an expired or revoked link with
+// 410. The report is returned without the answers and without the email
+// address of the person who was assessed (see ./lib/shares).
+
+const { readJsonBody, queryOf, ownerKeyOf, sendJson, rejectMethod } = require('./lib/http');
+const { getAssessment, ownedBy } = require('./lib/store');
+const { createShare, getShare, findShares, revokeShare, shareStatus, checkSharePassword, ownsShare, sharedReport, describeShare } = require('./lib/shares');
+
+// Longest a link may stay open, in days
+const MAX_EXPIRY_DAYS = 365;
+// Length limits of a link password
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+
+/**
+ * Password sent with a request to open a link.
+ *
+ * @param {http.IncomingMessage} req
+ */
+function passwordOf(req) {
+  const header = req.headers && req.headers['x-share-password'];
+  if (!header) return '';
+  try {
+    return decodeURIComponent(header);
+  } catch (err) {
+    return header;
+  }
+}
+
+/**
+ * Open a link: answer with the shared report.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} token
+ */
+async function openShare(req, res, token) {
+  const share = await getShare(token);
+  if (!share) {
+    sendJson(res, 404, { error: 'Shared report not found.' });
+    return;
+  }
+  const status = shareStatus(share);
+  if (status !== 'active') {
+    sendJson(res, 410, { error: status === 'expired' ? 'This link has expired.' : 'This link has been revoked.' });
+    return;
+  }
+  const password = passwordOf(req);
+  if (!(await checkSharePassword(share, password))) {
+    sendJson(res, 401, { error: password ? 'The password is not correct.' : 'This link is protected by a password.', passwordRequired: true });
+    return;
+  }
+  const record = await getAssessment(share.assessmentId);
+  if (!record) {
+    sendJson(res, 404, { error: 'Shared report not found.' });
+    return;
+  }
+  sendJson(res, 200, { report: sharedReport(record), expiresAt: share.expiresAt });
+}
+
+/**
+ * Create a link to an assessment.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function addShare(req, res) {
+  const { id, expiresInDays, password } = await readJsonBody(req);
+  const ownerKey = ownerKeyOf(req);
+  if (!id) {
+    sendJson(res, 400, { error: 'An assessment id is required.' });
+    return;
+  }
+  if (!ownerKey) {
+    sendJson(res, 401, { error: 'An owner key is required.' });
+    return;
+  }
+  if (expiresInDays !== undefined && expiresInDays !== null
+    && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_EXPIRY_DAYS)) {
+    sendJson(res, 400, { error: `The expiry must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}.` });
+    return;
+  }
+  if (password !== undefined && password !== null && password !== ''
+    && !(typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH && password.length <= MAX_PASSWORD_LENGTH)) {
+    sendJson(res, 400, { error: `The password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters long.` });
+    return;
+  }
+  const record = await getAssessment(id);
+  if (!record || !ownedBy(record, ownerKey)) {
+    sendJson(res, 404, { error: 'Assessment not found.' });
+    return;
+  }
+  const share = await createShare({
+    assessmentId: record.id,
+    owner: record.owner,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    password: password || null,
+  });
+  sendJson(res, 201, describeShare(share));
+}
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET', 'POST', 'DELETE'])) return;
+  try {
+    if (req.method === 'POST') {
+      await addShare(req, res);
+      return;
+    }
+    const { id, token } = queryOf(req);
+    if (req.method === 'GET' && token) {
+      await openShare(req, res, token);
+      return;
+    }
+    const ownerKey = ownerKeyOf(req);
+    if (!ownerKey) {
+      sendJson(res, 401, { error: 'An owner key is required.' });
+      return;
+    }
+    if (req.method === 'DELETE') {
+      if (!token) {
+        sendJson(res, 400, { error: 'A link token is required.' });
+        return;
+      }
+      const share = await getShare(token);
+      if (!share || !ownsShare(share, ownerKey)) {
+        sendJson(res, 404, { error: 'Shared report not found.' });
+        return;
+      }
+      await revokeShare(token);
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    if (!id) {
+      sendJson(res, 400, { error: 'An assessment id is required.' });
+      return;
+    }
+    const record = await getAssessment(id);
+    if (!record || !ownedBy(record, ownerKey)) {
+      sendJson(res, 404, { error: 'Assessment not found.' });
+      return;
+    }
+    const shares = await findShares(record.id);
+    sendJson(res, 200, { shares: shares.map(describeShare) });
+  } catch (err) {
+    sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Failed to process request' });
+  }
+};
@@ -0,0 +1,114 @@
+// The assessment pipeline with a stubbed model (see ../lib/assess).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { assess, median, confidenceOf, combineSamples } = require('../lib/assess');
+const { getRubric } = require('../lib/rubric');
+const { loadRecordings } = require('../scripts/mock-llm-server');
+
+const recordings = loadRecordings(path.join(__dirname, '..', 'fixtures', 'llm', 'recordings.json'));
+const completeReport = recordings.find((r) => r.name === 'complete report').content;
+
+const profile = { name: 'Ana', role: 'CFO', email: 'ana@acme.com', organization: 'Acme' };
+const answers = { q1: 'Finance teams lose 10 hours a week', q2: 'x', q3: 'x', q4: 'x', q5: 'x', q6: 'x' };
+
+/**
+ * Provider answering every request with the given replies in turn.
+ *
+ * @param {Array<Object>} replies
+ */
+function stubProvider(replies) {
+  const requests = [];
+  return {
+    requests,
+    complete: async (messages) => {
+      requests.push(messages);
+      const reply = replies[Math.min(requests.length - 1, replies.length - 1)];
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    },
+  };
+}
+
+test('the report keeps the submitted profile, not one the model wrote', async () => {
+  assert.strictEqual(completeReport.profile.name, 'Ingrid');
+  const provider = stubProvider([completeReport]);
+  const report = await assess({ profile, answers, rubric: getRubric() }, { provider, config: { samples: 1 } });
+  assert.strictEqual(report.source, 'llm');
+  assert.deepStrictEqual(report.profile, profile);
+});
+
+test('a repaired report keeps the submitted profile too', async () => {
+  const broken = Object.assign({}, completeReport, { averageScore: '9.9' });
+  const provider = stubProvider([broken]);
+  const report = await assess({ profile, answers, rubric: getRubric() }, { provider, config: { samples: 1 } });
+  assert.ok(report.validation.repaired.length);
+  assert.deepStrictEqual(report.profile, profile);
+});
+
+/**
+ * A copy of the recorded report with the given score and a matching
+ * explanation on every dimension.
+ *
+ * @param {number} score
+ */
+function sampleWith(score) {
+  const rubric = getRubric();
+  const report = JSON.parse(JSON.stringify(completeReport));
+  report.dimensions.forEach((dim, i) => {
+    Object.assign(dim, { key: rubric.dimensions[i].key, score, level: rubric.levels[score - 1], why: `why ${score}`, how: `how ${score}` });
+  });
+  return report;
+}
+
+test('the median is always a score that was given', () => {
+  assert.strictEqual(median([4, 2, 3]), 3);
+  assert.strictEqual(median([2, 4]), 2);
+  assert.strictEqual(median([5, 1, 4, 2]), 2);
+  assert.strictEqual(median([3]), 3);
+});
+
+test('confidence follows the agreement and the spread of the samples', () => {
+  assert.deepStrictEqual(confidenceOf([4, 4, 4, 4, 4], 4), { scores: [4, 4, 4, 4, 4], agreement: 1, confidence: 'high' });
+  assert.strictEqual(confidenceOf([4, 4, 4, 3], 4).confidence, 'medium');
+  assert.strictEqual(confidenceOf([4, 4, 3, 3], 3).confidence, 'low');
+  assert.strictEqual(confidenceOf([4, 4, 4, 2], 4).confidence, 'low');
+});
+
+test('combined samples explain the score they keep', () => {
+  const rubric = getRubric();
+  const report = combineSamples([sampleWith(2), sampleWith(5)], rubric);
+  report.dimensions.forEach((dim) => {
+    assert.strictEqual(dim.score, 2);
+    assert.strictEqual(dim.level, rubric.levels[1]);
+    assert.strictEqual(dim.why, 'why 2');
+    assert.strictEqual(dim.how, 'how 2');
+    assert.deepStrictEqual(dim.consistency, { scores: [2, 5], agreement: 0.5, confidence: 'low' });
+  });
+  assert.strictEqual(report.averageScore, '2.0');
+  assert.deepStrictEqual(report.consistency, { samples: 2, agreement: 0.5 });
+
+  const odd = combineSamples([sampleWith(5), sampleWith(3), sampleWith(3)], rubric);
+  assert.ok(odd.dimensions.every((dim) => dim.score === 3 && dim.why === 'why 3'));
+});
+
+test('a corrected streamed reply voids the parts sent before it', async () => {
+  const invalid = Object.assign({}, completeReport, { executiveSummary: undefined });
+  const replies = [JSON.stringify(invalid), JSON.stringify(completeReport)];
+  let calls = 0;
+  const provider = {
+    complete: async (messages, options) => {
+      const reply = replies[calls++];
+      for (let end = 10; end < reply.length + 10; end += 10) options.onText(reply.slice(0, end));
+      return reply;
+    },
+  };
+  const events = [];
+  const report = await assess({ profile, answers, rubric: getRubric() }, { provider, config: { samples: 1 }, onProgress: (event) => events.push(event) });
+  assert.strictEqual(report.validation.retried, true);
+  const resets = events.filter((event) => event.type === 'reset');
+  assert.strictEqual(resets.length, 1);
+  const after = events.slice(events.indexOf(resets[0]) + 1);
+  assert.strictEqual(after.filter((event) => event.type === 'dimension').length, getRubric().dimensions.length);
+  assert.ok(events.slice(0, events.indexOf(resets[0])).some((event) => event.type === 'dimension'));
+});
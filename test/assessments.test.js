@@ -0,0 +1,62 @@
+// The assessment history: owner keys, the owner and organization
+// indexes, and what a request without the right key gets.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, call } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+
+const handler = require('../assessments');
+const { saveAssessment, findAssessments, createOwnerKey } = require('../lib/store');
+
+const report = { averageScore: '3.0', band: 'Basic', dimensions: [] };
+
+function save(profile, ownerKey) {
+  return saveAssessment({ profile, answers: { q1: 'Because.' }, report, ownerKey });
+}
+
+test('an owner key is issued with the first assessment and kept out of the record', async () => {
+  const record = await save({ name: 'Ana', email: 'ana@acme.com', organization: 'Acme' });
+  assert.match(record.ownerKey, /^[A-Za-z0-9_-]{32}$/);
+  const stored = fs.readFileSync(path.join(process.env.ASSESSMENT_STORE_DIR, `${record.id}.json`), 'utf8');
+  assert.ok(!stored.includes(record.ownerKey));
+  const again = await save({ name: 'Ana', email: 'ana@acme.com', organization: 'Acme' }, record.ownerKey);
+  assert.strictEqual(again.ownerKey, record.ownerKey);
+});
+
+test('listing, reading and deleting need the owner key, not the email address', async () => {
+  const mine = await save({ name: 'Bo', email: 'bo@beta.com', organization: 'Beta' });
+  await save({ name: 'Bo', email: 'bo@beta.com', organization: 'Gamma' }, mine.ownerKey);
+  await save({ name: 'Cy', email: 'cy@beta.com', organization: 'Beta' });
+  const key = { 'X-Owner-Key': mine.ownerKey };
+
+  assert.strictEqual((await call(handler, { path: '/api/assessments?email=bo@beta.com' })).status, 401);
+  assert.strictEqual((await call(handler, { path: `/api/assessments?id=${mine.id}&email=bo@beta.com` })).status, 401);
+
+  const all = await call(handler, { path: '/api/assessments', headers: key });
+  assert.strictEqual(all.json.assessments.length, 2);
+  const beta = await call(handler, { path: '/api/assessments?organization=beta', headers: key });
+  assert.deepStrictEqual(beta.json.assessments.map((item) => item.id), [mine.id]);
+
+  const opened = await call(handler, { path: `/api/assessments?id=${mine.id}`, headers: key });
+  assert.strictEqual(opened.status, 200);
+  assert.strictEqual(opened.json.owner, undefined);
+
+  const stranger = { 'X-Owner-Key': createOwnerKey() };
+  assert.strictEqual((await call(handler, { path: `/api/assessments?id=${mine.id}`, headers: stranger })).status, 404);
+  assert.strictEqual((await call(handler, { method: 'DELETE', path: `/api/assessments?id=${mine.id}`, headers: stranger })).status, 404);
+  assert.strictEqual((await call(handler, { path: '/api/assessments', headers: stranger })).json.assessments.length, 0);
+
+  assert.strictEqual((await call(handler, { method: 'DELETE', path: `/api/assessments?id=${mine.id}`, headers: key })).status, 204);
+  assert.strictEqual((await call(handler, { path: '/api/assessments', headers: key })).json.assessments.length, 1);
+});
+
+test('the organization index lists every member, whoever owns them', async () => {
+  await save({ name: 'Di', email: 'di@delta.com', organization: 'Delta ' });
+  await save({ name: 'Ed', email: 'ed@delta.com', organization: 'delta' });
+  const records = await findAssessments({ organization: 'DELTA' });
+  assert.deepStrictEqual(records.map((record) => record.profile.name).sort(), ['Di', 'Ed']);
+});
@@ -0,0 +1,36 @@
+// Value calculator: ROI and the payback month.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkInputs, calculateValue, describeValue, evidenceText } = require('../lib/calculator');
+
+function calculate(input) {
+  const { inputs, errors } = checkInputs(Object.assign({ baseline: 10000, lift: 10, timeframeMonths: 12 }, input));
+  assert.deepStrictEqual(errors, []);
+  return calculateValue(inputs);
+}
+
+test('with no one-off cost and a fee above the benefit there is no payback', () => {
+  const calculation = calculate({ baseline: 1000, cost: 0, monthlyCost: 500 });
+  assert.strictEqual(calculation.roi, -80);
+  assert.strictEqual(calculation.paybackMonths, null);
+  assert.match(describeValue(calculation, 'en').valueOutline, /does not pay back/);
+  assert.match(evidenceText(calculation), /no payback/);
+});
+
+test('a ramp that starts below the fee pays back once the balance recovers', () => {
+  // Benefits of 250, 500, 750 and 1000 against a fee of 600: the balance
+  // is -350, -450 and -300 after three months and +100 after four
+  const calculation = calculate({ cost: 0, monthlyCost: 600, rampMonths: 4 });
+  assert.strictEqual(calculation.paybackMonths, 3.8);
+});
+
+test('a negative ROI over the timeframe can still pay back later', () => {
+  const calculation = calculate({ cost: 10000, timeframeMonths: 6 });
+  assert.strictEqual(calculation.roi, -40);
+  assert.strictEqual(calculation.paybackMonths, 10);
+});
+
+test('a one-off cost pays back within the month it is covered', () => {
+  assert.strictEqual(calculate({ cost: 2500 }).paybackMonths, 2.5);
+});
@@ -0,0 +1,14 @@
+// Command-line argument parsing of the scripts (see ../lib/cli).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, UsageError } = require('../lib/cli');
+
+test('options take the following value, flags are true', () => {
+  assert.deepStrictEqual(parseArgs(['--input', 'in.csv', '--resume', '--samples', '3']), { input: 'in.csv', resume: true, samples: '3' });
+});
+
+test('arguments that are not options are refused', () => {
+  assert.throws(() => parseArgs(['in.csv']), UsageError);
+  assert.throws(() => parseArgs(['--resume', '--', 'x']), /Unexpected argument "--"/);
+});
@@ -0,0 +1,92 @@
+// Comparing two assessments: movement, rubric and language checks, and
+// who may compare stored ones (see ../lib/compare and ../compare).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDir, call } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+
+const handler = require('../compare');
+const { compareAssessments } = require('../lib/compare');
+const { saveAssessment, createOwnerKey } = require('../lib/store');
+const { getRubric } = require('../lib/rubric');
+
+const rubric = getRubric('three-whys', 'en');
+const profile = { name: 'Ana', role: 'CEO', organization: 'Acme' };
+
+/**
+ * A record scoring every dimension with the given scores, in order.
+ *
+ * @param {number[]} scores
+ * @param {string} createdAt
+ * @param {Object} [answers]
+ */
+function record(scores, createdAt, answers = {}) {
+  const dimensions = rubric.dimensions.map((dim, i) => ({ key: dim.key, name: dim.name, score: scores[i], level: rubric.levels[scores[i] - 1] }));
+  const average = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  return {
+    createdAt,
+    profile,
+    answers,
+    report: { rubric: rubric.id, locale: 'en', averageScore: average.toFixed(1), band: rubric.levels[Math.floor(average) - 1], dimensions },
+  };
+}
+
+test('the movement of each dimension and of the band, earlier assessment first', () => {
+  const before = record([1, 2, 3, 3, 3, 3], '2026-01-01T00:00:00.000Z', { q1: 'Old answer' });
+  const after = record([3, 2, 2, 3, 3, 3], '2026-02-01T00:00:00.000Z', { q1: 'New answer ' });
+  const comparison = compareAssessments(after, before, rubric);
+  assert.strictEqual(comparison.before.createdAt, before.createdAt);
+  const [q1, q2, q3] = comparison.dimensions;
+  assert.deepStrictEqual([q1.delta, q1.direction, q1.levelChanged, q1.answerChanged], [2, 'up', true, true]);
+  assert.deepStrictEqual([q2.delta, q2.direction, q2.levelChanged], [0, 'same', false]);
+  assert.deepStrictEqual([q3.delta, q3.direction], [-1, 'down']);
+  assert.strictEqual(comparison.averageDelta, 0.2);
+});
+
+test('assessments of different rubrics, languages or organizations are refused', () => {
+  const before = record([3, 3, 3, 3, 3, 3], '2026-01-01T00:00:00.000Z');
+  const other = record([3, 3, 3, 3, 3, 3], '2026-02-01T00:00:00.000Z');
+  other.report.rubric = 'three-whys-status-quo';
+  assert.throws(() => compareAssessments(before, other, rubric), /same rubric/);
+  other.report.rubric = rubric.id;
+  other.report.locale = 'pt';
+  assert.throws(() => compareAssessments(before, other, rubric), /same language/);
+  other.report.locale = 'en';
+  other.profile = { organization: 'Globex' };
+  assert.throws(() => compareAssessments(before, other, rubric), /same organization/);
+});
+
+test('missing dimensions, odd answers and broken entries do not break a comparison', async () => {
+  const before = record([2, 2, 2, 2, 2, 2], '2026-01-01T00:00:00.000Z', { q1: 42, q2: { text: 'x' }, q3: null });
+  const after = record([3, 3, 3, 3, 3, 3], '2026-02-01T00:00:00.000Z', { q1: '42' });
+  before.report.dimensions.splice(1, 1, null);
+  after.report.dimensions.pop();
+  const comparison = compareAssessments(before, after, rubric);
+  assert.strictEqual(comparison.dimensions[0].answerChanged, false);
+  assert.strictEqual(comparison.dimensions[0].before.answer, '42');
+  assert.deepStrictEqual([comparison.dimensions[1].before.score, comparison.dimensions[1].delta], [undefined, null]);
+  assert.deepStrictEqual([comparison.dimensions[5].after.score, comparison.dimensions[5].delta], [undefined, null]);
+
+  const posted = await call(handler, { method: 'POST', path: '/api/compare', body: { before, after } });
+  assert.strictEqual(posted.status, 200);
+  const refused = await call(handler, { method: 'POST', path: '/api/compare', body: { before, after: { report: { dimensions: 'x' } } } });
+  assert.strictEqual(refused.status, 400);
+});
+
+test('only the owner key of both stored assessments can compare them', async () => {
+  const before = record([2, 2, 2, 2, 2, 2], '2026-01-01T00:00:00.000Z');
+  const after = record([3, 3, 3, 3, 3, 3], '2026-02-01T00:00:00.000Z');
+  const first = await saveAssessment(Object.assign({ ownerKey: createOwnerKey() }, before));
+  const second = await saveAssessment(Object.assign({ ownerKey: first.ownerKey }, after));
+  const stranger = await saveAssessment(Object.assign({ ownerKey: createOwnerKey() }, after));
+  const path = (a, b) => `/api/compare?before=${a.id}&after=${b.id}`;
+
+  assert.strictEqual((await call(handler, { path: path(first, second) })).status, 401);
+  assert.strictEqual((await call(handler, { path: path(first, second), headers: { 'X-Owner-Key': createOwnerKey() } })).status, 404);
+  assert.strictEqual((await call(handler, { path: path(first, stranger), headers: { 'X-Owner-Key': first.ownerKey } })).status, 404);
+  const owner = await call(handler, { path: path(first, second), headers: { 'X-Owner-Key': first.ownerKey } });
+  assert.strictEqual(owner.status, 200);
+  assert.strictEqual(owner.json.averageDelta, 1);
+});
@@ -0,0 +1,12 @@
+// CSV reading and writing for the batch assessor (see ../lib/csv).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, csvLine } = require('../lib/csv');
+
+test('written fields cannot run as spreadsheet formulas', () => {
+  const line = csvLine(['=HYPERLINK("http://x")', '+1+2', '-cmd', '@SUM(A1)', '\tx', 'plain', -3, '2.5', null]);
+  assert.strictEqual(line, `"'=HYPERLINK(""http://x"")",'+1+2,'-cmd,'@SUM(A1),'\tx,plain,-3,2.5,`);
+  // A field read back is written the same way again
+  assert.strictEqual(csvLine(parseCsv(line)[0]), line);
+});
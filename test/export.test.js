@@ -0,0 +1,102 @@
+// PDF and Word exports of a report (see ../lib/export, ../lib/pdf and
+// ../export).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const zlib = require('zlib');
+const { tempDir, call, loadPage } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+
+const handler = require('../export');
+const { exportFileName, renderPdf, renderDocx } = require('../lib/export');
+const { createPdf } = require('../lib/pdf');
+const { readEntries } = require('../lib/zip');
+const { loadRecordings } = require('../scripts/mock-llm-server');
+
+const completeReport = loadRecordings(path.join(__dirname, '..', 'fixtures', 'llm', 'recordings.json')).find((r) => r.name === 'complete report').content;
+
+/**
+ * A complete report for an organization.
+ *
+ * @param {string} organization
+ */
+function reportFor(organization) {
+  return Object.assign({}, completeReport, {
+    profile: Object.assign({}, completeReport.profile, { organization }),
+    createdAt: '2026-03-04T10:00:00.000Z',
+  });
+}
+
+// The punctuation WinAnsiEncoding puts where Latin-1 has control codes
+const WIN_ANSI_C1 = { '\x80': '€', '\x85': '…', '\x91': '‘', '\x92': '’', '\x93': '“', '\x94': '”', '\x96': '–', '\x97': '—' };
+
+/**
+ * The text shown on the pages of a PDF, decoded from the font encoding,
+ * one string per text operation.
+ *
+ * @param {Buffer} pdf
+ * @returns {string[]}
+ */
+function pdfText(pdf) {
+  const texts = [];
+  const source = pdf.toString('latin1');
+  for (const m of source.matchAll(/\/FlateDecode >>\nstream\n/g)) {
+    const start = m.index + m[0].length;
+    const length = Number(source.slice(source.lastIndexOf('/Length', m.index), m.index).match(/\d+/)[0]);
+    const ops = zlib.inflateSync(pdf.subarray(start, start + length)).toString('latin1');
+    for (const hex of ops.matchAll(/<([0-9a-f]*)> Tj/g)) texts.push(Buffer.from(hex[1], 'hex').toString('latin1').replace(/[\x80-\x9f]/g, (ch) => WIN_ANSI_C1[ch] || ch));
+  }
+  return texts;
+}
+
+test('file names transliterate the organization', () => {
+  assert.strictEqual(exportFileName(reportFor('Ação Comercial'), 'pdf'), 'acao-comercial-three-whys-2026-03-04.pdf');
+  assert.strictEqual(exportFileName(reportFor('ﬁnance Ⅱ'), 'docx'), 'finance-ii-three-whys-2026-03-04.docx');
+  assert.strictEqual(exportFileName(reportFor('北京'), 'pdf'), 'assessment-three-whys-2026-03-04.pdf');
+  // The browser names its downloads the same way
+  const exportSlug = loadPage().run('exportSlug');
+  assert.strictEqual(exportSlug('Ação Comercial'), 'acao-comercial');
+  assert.strictEqual(exportSlug(''), 'assessment');
+});
+
+test('text outside WinAnsiEncoding falls back to stand-ins', () => {
+  const pdf = createPdf();
+  pdf.addPage();
+  pdf.text('€5 → ação “ok” 北', 10, 10);
+  assert.deepStrictEqual(pdfText(pdf.toBuffer()), ['€5 -> ação “ok” ?']);
+});
+
+test('a PDF report holds every page and its text', () => {
+  const pdf = renderPdf(reportFor('Ação'), { rubricName: 'Three Whys' });
+  const source = pdf.toString('latin1');
+  assert.ok(source.startsWith('%PDF-1.4\n'));
+  assert.ok(source.endsWith('%%EOF\n'));
+  const startxref = Number(source.match(/startxref\n(\d+)\n/)[1]);
+  assert.ok(source.startsWith('xref', startxref));
+  const text = pdfText(pdf).join('\n');
+  assert.ok(text.includes('Ação'));
+  // Non-breaking hyphens are printed as plain ones
+  completeReport.dimensions.forEach((dim) => assert.ok(text.includes(dim.name.replace(/[‐‑]/g, '-')), dim.name));
+});
+
+test('a Word report escapes what it quotes', () => {
+  const docx = renderDocx(reportFor('<b>Smith & "Sons"</b>'));
+  const entries = readEntries(docx);
+  ['[Content_Types].xml', '_rels/.rels', 'word/document.xml'].forEach((name) => assert.ok(entries.some((entry) => entry.name === name), name));
+  const document = entries.find((entry) => entry.name === 'word/document.xml').read().toString('utf8');
+  assert.ok(document.includes('&lt;b&gt;Smith &amp; &quot;Sons&quot;&lt;/b&gt;'));
+  assert.ok(!document.includes('<b>'));
+  assert.ok(document.includes(completeReport.dimensions[0].name));
+});
+
+test('the export endpoint names the file and refuses what it cannot render', async () => {
+  const pdf = await call(handler, { method: 'POST', path: '/api/export?format=pdf', body: { report: reportFor('Ação') } });
+  assert.strictEqual(pdf.status, 200);
+  assert.strictEqual(pdf.headers['content-type'], 'application/pdf');
+  assert.strictEqual(pdf.headers['content-disposition'], 'attachment; filename="acao-three-whys-2026-03-04.pdf"');
+  assert.strictEqual((await call(handler, { method: 'POST', path: '/api/export?format=odt', body: { report: reportFor('Acme') } })).status, 400);
+  assert.strictEqual((await call(handler, { method: 'POST', path: '/api/export?format=docx', body: { report: { dimensions: [] } } })).status, 400);
+  assert.strictEqual((await call(handler, { path: '/api/export?id=x&format=pdf' })).status, 401);
+});
@@ -0,0 +1,161 @@
+// Text extraction from attachments (see ../lib/extract) and the ZIP
+// reader it uses (see ../lib/zip). The fixtures are built here, small
+// and of each supported format.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { extractAttachment, extractAttachments, MAX_FILE_BYTES, MAX_TEXT_CHARS } = require('../lib/extract');
+const { readEntries, writeArchive } = require('../lib/zip');
+const { createPdf } = require('../lib/pdf');
+
+// Largest uncompressed document part lib/extract inflates
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+/**
+ * An attachment as the browser sends it: a base64 data URL.
+ *
+ * @param {string} name
+ * @param {Buffer} data
+ */
+function attachment(name, data) {
+  return { name, content: `data:application/octet-stream;base64,${data.toString('base64')}` };
+}
+
+/**
+ * A Word document whose body is the given paragraphs.
+ *
+ * @param {string[]} paragraphs
+ */
+function docx(paragraphs) {
+  const body = paragraphs.map((text) => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`).join('');
+  return writeArchive([
+    { name: '[Content_Types].xml', data: '<Types/>' },
+    { name: 'word/document.xml', data: `<w:document><w:body>${body}</w:body></w:document>` },
+  ]);
+}
+
+/**
+ * Offset of the first central directory header of an archive.
+ *
+ * @param {Buffer} zip
+ */
+function centralDirectory(zip) {
+  return zip.readUInt32LE(zip.length - 22 + 16);
+}
+
+/**
+ * A legacy Office (OLE2 compound file) container holding the text.
+ *
+ * @param {string} text
+ */
+function ole(text) {
+  const header = Buffer.alloc(512);
+  header.writeUInt32BE(0xd0cf11e0, 0);
+  header.writeUInt32BE(0xa1b11ae1, 4);
+  return Buffer.concat([header, Buffer.from(text, 'utf16le'), Buffer.alloc(64)]);
+}
+
+test('text comes out of every supported format', () => {
+  const pdf = createPdf();
+  pdf.addPage();
+  pdf.text('Finance teams lose 10 hours a week', 50, 700);
+  const pptx = writeArchive([
+    { name: 'ppt/slides/slide10.xml', data: '<p:sld><a:p><a:r><a:t>Tenth slide</a:t></a:r></a:p></p:sld>' },
+    { name: 'ppt/slides/slide2.xml', data: '<p:sld><a:p><a:r><a:t>Second slide</a:t></a:r></a:p></p:sld>' },
+  ]);
+  const xlsx = writeArchive([
+    { name: 'xl/sharedStrings.xml', data: '<sst><si><t>Revenue</t></si><si><t>Q1 &amp; Q2</t></si></sst>' },
+    { name: 'xl/worksheets/sheet1.xml', data: '<worksheet><sheetData><row><c t="s"><v>0</v></c><c t="s"><v>1</v></c><c><v>42</v></c></row></sheetData></worksheet>' },
+  ]);
+  const extracted = extractAttachments({
+    q1: attachment('pain.pdf', pdf.toBuffer()),
+    q2: attachment('pain.docx', docx(['Buyers &amp; sellers', 'lose deals'])),
+    q3: attachment('deck.pptx', pptx),
+    q4: attachment('model.xlsx', xlsx),
+    q5: attachment('old.doc', ole('Legacy documents keep their body text in UTF-16')),
+  });
+  assert.strictEqual(extracted.q1.text, 'Finance teams lose 10 hours a week');
+  assert.strictEqual(extracted.q2.text, 'Buyers & sellers\nlose deals');
+  assert.strictEqual(extracted.q3.text, 'Slide 1:\nSecond slide\n\nSlide 2:\nTenth slide');
+  assert.strictEqual(extracted.q4.text, 'Sheet 1:\nRevenue | Q1 & Q2 | 42');
+  assert.strictEqual(extracted.q5.text, 'Legacy documents keep their body text in UTF-16');
+  Object.values(extracted).forEach((result) => {
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.chars, result.text.length);
+  });
+});
+
+test('corrupt, encrypted and unsupported files give an error, never an exception', () => {
+  const encryptedZip = docx(['secret']);
+  encryptedZip.writeUInt16LE(encryptedZip.readUInt16LE(centralDirectory(encryptedZip) + 8) | 0x1, centralDirectory(encryptedZip) + 8);
+  const storedWrongly = writeArchive([{ name: 'word/document.xml', data: '<w:t>odd</w:t>' }]);
+  storedWrongly.writeUInt16LE(99, centralDirectory(storedWrongly) + 10);
+  const cases = [
+    [attachment('notes.docx', docx(['Fine']).subarray(0, 40)), 'File is corrupt or not a valid Office document.'],
+    [attachment('notes.docx', encryptedZip), 'Document is password protected.'],
+    [attachment('notes.docx', ole('Encrypted package')), 'Document is password protected or in a legacy format.'],
+    [attachment('notes.docx', storedWrongly), 'Unsupported ZIP compression method 99.'],
+    [attachment('notes.pdf', Buffer.from('not a pdf at all')), 'File is corrupt or not a valid PDF.'],
+    [attachment('notes.pdf', Buffer.from('%PDF-1.4\n1 0 obj << /Filter /Standard >> endobj\ntrailer << /Encrypt 1 0 R >>')), 'PDF is encrypted.'],
+    [attachment('notes.pdf', Buffer.from('%PDF-1.4\n1 0 obj << /Length 5 /Filter /FlateDecode >>\nstream\nbroken\nendstream')), 'No readable text was found in the file (it may be scanned or image-only).'],
+    [attachment('notes.xls', Buffer.from('plain text, not a workbook')), 'File is corrupt or not a valid Office document.'],
+    [attachment('notes.txt', Buffer.from('hello')), 'Unsupported file type ".txt". Attach a PDF, Word, PowerPoint or Excel file.'],
+    [{ name: 'notes.pdf', content: '' }, 'File could not be read by the browser.'],
+    [null, 'File could not be read by the browser.'],
+  ];
+  cases.forEach(([input, error]) => {
+    const result = extractAttachment(input);
+    assert.strictEqual(result.error, error, input ? input.name : 'null');
+    assert.strictEqual(result.text, '');
+  });
+});
+
+test('files over 10 MB are refused before they are read', () => {
+  assert.strictEqual(MAX_FILE_BYTES, 10 * 1024 * 1024);
+  const big = extractAttachment(attachment('big.pdf', Buffer.alloc(MAX_FILE_BYTES + 1)));
+  assert.strictEqual(big.error, 'File is larger than the 10 MB limit.');
+  const limit = extractAttachment(attachment('limit.pdf', Buffer.alloc(MAX_FILE_BYTES)));
+  assert.notStrictEqual(limit.error, big.error);
+});
+
+test('document parts over 20 MB are not inflated, whatever the archive claims', () => {
+  const huge = `<w:document><w:body><w:p><w:r><w:t>${'x'.repeat(MAX_PART_BYTES)}</w:t></w:r></w:p></w:body></w:document>`;
+  const honest = writeArchive([{ name: 'word/document.xml', data: huge }]);
+  assert.strictEqual(extractAttachment(attachment('big.docx', honest)).error, 'Document part word/document.xml is too large.');
+  // A central directory understating the size still stops at the limit
+  const lying = Buffer.from(honest);
+  lying.writeUInt32LE(1000, centralDirectory(lying) + 24);
+  const result = extractAttachment(attachment('big.docx', lying));
+  assert.ok(result.error, 'the part was inflated');
+  assert.strictEqual(result.text, '');
+  // PDF streams inflating beyond the limit are skipped
+  const stream = zlib.deflateSync(Buffer.from(`BT (${'x'.repeat(MAX_PART_BYTES)}) Tj ET`));
+  const pdf = Buffer.concat([Buffer.from(`%PDF-1.4\n1 0 obj << /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`), stream, Buffer.from('\nendstream\nendobj\n')]);
+  assert.strictEqual(extractAttachment(attachment('big.pdf', pdf)).error, 'No readable text was found in the file (it may be scanned or image-only).');
+});
+
+test('text beyond 20,000 characters is cut off and flagged', () => {
+  assert.strictEqual(MAX_TEXT_CHARS, 20000);
+  const words = 'Buyers lose hours every week. '.repeat(1000);
+  const result = extractAttachment(attachment('long.docx', docx([words])));
+  assert.strictEqual(result.truncated, true);
+  assert.strictEqual(result.chars, MAX_TEXT_CHARS);
+  assert.strictEqual(result.text, words.slice(0, MAX_TEXT_CHARS));
+  assert.strictEqual(extractAttachment(attachment('short.docx', docx(['Short']))).truncated, false);
+});
+
+test('archives written here read back, and broken ones are refused', () => {
+  const zip = writeArchive([{ name: 'a.txt', data: 'alpha' }, { name: 'ação/b.bin', data: Buffer.from([0, 1, 2]) }]);
+  const entries = readEntries(zip);
+  assert.deepStrictEqual(entries.map((entry) => [entry.name, entry.size, entry.encrypted]), [['a.txt', 5, false], ['ação/b.bin', 3, false]]);
+  assert.strictEqual(entries[0].read().toString(), 'alpha');
+  assert.deepStrictEqual([...entries[1].read()], [0, 1, 2]);
+  assert.throws(() => readEntries(zlib.deflateRawSync(Buffer.from('x'.repeat(100)))), /Not a ZIP archive/);
+  const corrupt = Buffer.from(zip);
+  corrupt.writeUInt32LE(0, centralDirectory(corrupt));
+  assert.throws(() => readEntries(corrupt), /Corrupt ZIP central directory/);
+  const big = readEntries(writeArchive([{ name: 'big.txt', data: 'y'.repeat(10000) }]))[0];
+  assert.throws(() => big.read(1000), RangeError);
+  assert.strictEqual(big.read(10000).length, 10000);
+});
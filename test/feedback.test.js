@@ -0,0 +1,28 @@
+// Feedback on one answer: what the rules offer and what the model adds
+// (see ../lib/feedback).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { questionFeedback } = require('../lib/feedback');
+const { getRubric } = require('../lib/rubric');
+
+const rubric = getRubric();
+const key = rubric.dimensions[0].key;
+const answer = 'Our buyers lose time.';
+
+test('without a model there is no rewrite, only a draft with placeholders', async () => {
+  const feedback = await questionFeedback({ rubric, key, answer }, { config: {} });
+  assert.strictEqual(feedback.source, 'heuristic');
+  assert.strictEqual(feedback.rewrite, null);
+  assert.ok(feedback.draft.startsWith(answer));
+  feedback.missing.forEach((hint) => assert.ok(feedback.draft.includes(`[${hint}]`), hint));
+});
+
+test('the model writes the rewrite', async () => {
+  const provider = {
+    complete: async () => JSON.stringify({ score: 3, level: rubric.levels[2], why: 'A pain, but no numbers.', missing: ['a number'], rewrite: 'Finance teams lose [hours] a week to manual reporting.' }),
+  };
+  const feedback = await questionFeedback({ rubric, key, answer }, { provider });
+  assert.strictEqual(feedback.source, 'llm');
+  assert.strictEqual(feedback.rewrite, 'Finance teams lose [hours] a week to manual reporting.');
+});
@@ -0,0 +1,41 @@
+// The golden check replaying the recorded model replies (see
+// ../scripts/golden-check).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { runCheck } = require('../scripts/golden-check');
+const { loadRecordings } = require('../scripts/mock-llm-server');
+
+const GOLDEN = path.join(__dirname, '..', 'fixtures', 'golden');
+const dataset = JSON.parse(fs.readFileSync(path.join(GOLDEN, 'three-whys.json'), 'utf8'));
+
+/**
+ * Options of an LLM-path check against the committed baseline.
+ *
+ * @param {string} recordings
+ */
+function options(recordings) {
+  return { dataset, baselineFile: path.join(GOLDEN, 'baseline.json'), paths: ['llm'], recordings, maxDrift: 0.05, minAccuracy: null };
+}
+
+test('the recorded replies score as in the baseline', async () => {
+  const { paths, failures } = await runCheck(options(path.join(GOLDEN, 'recordings.json')));
+  assert.deepStrictEqual(failures, []);
+  assert.strictEqual(paths.llm.accuracy.total, dataset.samples.length * 6);
+  assert.strictEqual(paths.llm.drift.drift, 0);
+});
+
+test('replies that score differently fail on drift', async () => {
+  const recordings = loadRecordings(path.join(GOLDEN, 'recordings.json'));
+  recordings.forEach((recording) => {
+    recording.content.dimensions[0].score = recording.content.dimensions[0].score === 5 ? 4 : recording.content.dimensions[0].score + 1;
+  });
+  const file = path.join(tempDir('golden'), 'recordings.json');
+  fs.writeFileSync(file, JSON.stringify(recordings));
+  const { paths, failures } = await runCheck(options(file));
+  assert.strictEqual(paths.llm.drift.changes.length, dataset.samples.length);
+  assert.match(failures.join('\n'), /llm: drift/);
+});
@@ -0,0 +1,94 @@
+// Helpers shared by the tests. Run the suite with `node --test test/*.test.js`.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Create an empty temporary directory, removed when the process exits.
+ *
+ * @param {string} prefix
+ */
+function tempDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Call an endpoint handler through a real HTTP server.
+ *
+ * @param {Function} handler module.exports of an endpoint
+ * @param {{method?: string, path?: string, body?: *, headers?: Object}} [request]
+ * @returns {Promise<{status: number, headers: Object, text: string, json: *}>}
+ */
+function call(handler, { method = 'GET', path: url = '/', body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => handler(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      const data = body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body);
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        method,
+        path: url,
+        headers: Object.assign(data === undefined ? {} : { 'Content-Type': 'application/json' }, headers),
+      }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          server.close();
+          let json;
+          try {
+            json = JSON.parse(text);
+          } catch (err) {
+            json = undefined;
+          }
+          resolve({ status: res.statusCode, headers: res.headers, text, json });
+        });
+      });
+      req.on('error', (err) => {
+        server.close();
+        reject(err);
+      });
+      req.end(data);
+    });
+  });
+}
+
+/**
+ * Load index.html into a fresh context: its shared scripts, then its
+ * own script, with a stand-in for the few DOM calls the pages make.
+ * Rendered pages land in `app.innerHTML`; top-level names of the page
+ * script (state, showResults, …) can be read with `run`.
+ *
+ * @param {Object} [globals] more globals of the page, such as `fetch`
+ * @returns {{app: {innerHTML: string}, run: (code: string) => *}}
+ */
+function loadPage(globals = {}) {
+  const root = path.join(__dirname, '..');
+  const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+  const element = () => ({ innerHTML: '', textContent: '', style: {}, value: '', addEventListener() {}, querySelector: () => null, querySelectorAll: () => [] });
+  const app = element();
+  const document = {
+    documentElement: {},
+    addEventListener() {},
+    getElementById: (id) => (id === 'app' ? app : element()),
+    querySelector: () => element(),
+    querySelectorAll: () => [],
+  };
+  const context = vm.createContext(Object.assign({ console, document, window: { location: { search: '', origin: '', pathname: '/' } }, URLSearchParams }, globals));
+  Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), (m) => m[1]).forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  });
+  const [, inline] = html.match(/<script>([\s\S]*?)<\/script>/);
+  vm.runInContext(inline, context, { filename: 'index.html' });
+  return { app, run: (code) => vm.runInContext(code, context) };
+}
+
+module.exports = { tempDir, call, loadPage };
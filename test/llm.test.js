@@ -0,0 +1,29 @@
+// The provider layer against a local server (see ../lib/llm).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProvider, loadConfig, LLMTimeoutError } = require('../lib/llm');
+
+test('a stream that keeps trickling in still times out', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const timer = setInterval(() => res.write('data: {"choices":[{"delta":{"content":"x"}}]}\n\n'), 50);
+    res.on('close', () => clearInterval(timer));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const config = loadConfig({
+    LLM_PROVIDER: 'compatible',
+    LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    LLM_MAX_RETRIES: '0',
+    LLM_TIMEOUT_MS: '300',
+  });
+  const started = Date.now();
+  try {
+    await assert.rejects(createProvider(config).complete([{ role: 'user', content: 'Hi' }], { onText: () => {} }), LLMTimeoutError);
+    assert.ok(Date.now() - started < 2000);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,108 @@
+// The Portuguese and Spanish language modules against the English
+// source (see ../lib/locales and ../lib/i18n).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { RULES, languagePack } = require('../lib/rules');
+const { ROLE_GROUPS } = require('../lib/aggregate');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES = { pt: require('../lib/locales/pt'), es: require('../lib/locales/es') };
+
+/**
+ * The placeholders of a text, such as {count}, sorted.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function placeholders(text) {
+  return Array.from(text.matchAll(/\{([a-z]\w*)\}/gi), (m) => m[1]).sort();
+}
+
+/**
+ * Every string of a language module by its path, leaving out the phrase
+ * and keyword lists, which differ between languages.
+ *
+ * @param {*} value
+ * @param {string} [at]
+ * @param {Object} [out]
+ * @returns {Object<string, string>}
+ */
+function strings(value, at = '', out = {}) {
+  if (typeof value === 'string') {
+    out[at] = value;
+  } else if (Array.isArray(value)) {
+    if (!value.every((item) => typeof item === 'string')) value.forEach((item, i) => strings(item, `${at}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach((key) => strings(value[key], at ? `${at}.${key}` : key, out));
+  }
+  return out;
+}
+
+/**
+ * Every single-quoted string in the files that translate interface text.
+ *
+ * @returns {Set<string>}
+ */
+function sourceStrings() {
+  const files = ['index.html', 'export.js'].concat(fs.readdirSync(path.join(ROOT, 'lib')).filter((name) => name.endsWith('.js')).map((name) => path.join('lib', name)));
+  const found = new Set();
+  files.forEach((file) => {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    for (const m of source.matchAll(/'((?:[^'\\\n]|\\.)*)'/g)) found.add(m[1].replace(/\\(.)/g, '$1'));
+  });
+  return found;
+}
+
+test('every interface string is translated, and every translation is of a string in use', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const used = Array.from(html.matchAll(/\bt\(\s*'((?:[^'\\]|\\.)*)'/g), (m) => m[1].replace(/\\(.)/g, '$1'));
+  const source = sourceStrings();
+  Object.keys(LOCALES).forEach((locale) => {
+    const { ui } = LOCALES[locale];
+    assert.deepStrictEqual(used.filter((text) => !ui[text]), [], `${locale}: untranslated`);
+    assert.deepStrictEqual(Object.keys(ui).filter((text) => !source.has(text)), [], `${locale}: not in the English source`);
+  });
+});
+
+test('translated interface strings keep their placeholders', () => {
+  Object.keys(LOCALES).forEach((locale) => {
+    const { ui } = LOCALES[locale];
+    Object.keys(ui).forEach((text) => {
+      assert.deepStrictEqual(placeholders(ui[text]), placeholders(text), `${locale}: ${text}`);
+    });
+  });
+});
+
+test('the language modules translate the same texts with the same placeholders', () => {
+  const pt = strings(LOCALES.pt);
+  const es = strings(LOCALES.es);
+  assert.deepStrictEqual(Object.keys(es).sort(), Object.keys(pt).sort());
+  Object.keys(pt).filter((at) => !at.startsWith('patterns.')).forEach((at) => {
+    assert.deepStrictEqual(placeholders(es[at]), placeholders(pt[at]), at);
+  });
+});
+
+test('report wording is keyed like the English source', () => {
+  const english = languagePack('en');
+  const labels = (groups) => groups.map((group) => group.label);
+  Object.keys(LOCALES).forEach((locale) => {
+    const data = LOCALES[locale];
+    Object.keys(data.explain).forEach((key) => {
+      assert.ok(english.explain[key] !== undefined, `${locale}: explain.${key}`);
+      assert.deepStrictEqual(placeholders(data.explain[key]), placeholders(english.explain[key]), `${locale}: explain.${key}`);
+    });
+    assert.deepStrictEqual(Object.keys(data.patterns).filter((name) => !english.p[name]), [], `${locale}: patterns`);
+    assert.deepStrictEqual(Object.keys(data.differentiatorGroups).filter((label) => !labels(english.differentiatorGroups).includes(label)), [], `${locale}: differentiatorGroups`);
+    assert.deepStrictEqual(Object.keys(data.outcomeGroups).filter((label) => !labels(english.outcomeGroups).includes(label)), [], `${locale}: outcomeGroups`);
+    Object.keys(data.rules).filter((set) => set !== 'hedging').forEach((set) => {
+      assert.ok(RULES[set], `${locale}: rules.${set}`);
+      const ids = RULES[set].rules.map((rule) => rule.id);
+      assert.deepStrictEqual(Object.keys(data.rules[set]).filter((id) => !ids.includes(id)), [], `${locale}: rules.${set}`);
+    });
+    // Roles of no group are counted under Other
+    assert.deepStrictEqual(Object.keys(data.aggregate.groups).sort(), ROLE_GROUPS.map((group) => group.name).concat('Other').sort(), `${locale}: aggregate.groups`);
+  });
+});
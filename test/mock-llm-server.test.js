@@ -0,0 +1,53 @@
+// Recording and replaying model replies (see ../scripts/mock-llm-server).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { tempDir } = require('./helpers');
+const { createMockServer, loadRecordings } = require('../scripts/mock-llm-server');
+const { createProvider, loadConfig } = require('../lib/llm');
+
+/**
+ * Start a server and resolve with its base URL.
+ *
+ * @param {http.Server} server
+ */
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/v1`));
+  });
+}
+
+/**
+ * A provider talking to a base URL.
+ *
+ * @param {string} url
+ */
+function providerFor(url) {
+  return createProvider(loadConfig({ LLM_PROVIDER: 'compatible', LLM_BASE_URL: url, LLM_MAX_RETRIES: '0' }));
+}
+
+test('a streamed reply is recorded as its content and replays with or without streaming', async () => {
+  const reply = { averageScore: '3.0', band: 'Basic' };
+  const upstream = createMockServer({ recordings: [{ content: reply }] });
+  const file = path.join(tempDir('recordings'), 'recordings.json');
+  const recorder = createMockServer({ record: file, upstream: await listen(upstream) });
+  let replay;
+  try {
+    const streamed = [];
+    const messages = [{ role: 'user', content: 'Score this.' }];
+    const recorded = await providerFor(await listen(recorder)).complete(messages, { onText: (text) => streamed.push(text) });
+    assert.strictEqual(recorded, JSON.stringify(reply));
+    assert.ok(streamed.length > 1);
+
+    const [entry] = loadRecordings(file);
+    assert.deepStrictEqual([entry.content, entry.response, entry.status], [JSON.stringify(reply), undefined, undefined]);
+
+    replay = createMockServer({ recordings: loadRecordings(file) });
+    const provider = providerFor(await listen(replay));
+    assert.strictEqual(await provider.complete(messages), JSON.stringify(reply));
+    assert.strictEqual(await provider.complete(messages, { onText: () => {} }), JSON.stringify(reply));
+  } finally {
+    [upstream, recorder, replay].filter(Boolean).forEach((server) => server.close());
+  }
+});
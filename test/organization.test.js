@@ -0,0 +1,83 @@
+// The organization report: who may see it, and what respondents see of
+// each other.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDir, call } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+process.env.ORGANIZATION_ADMIN_KEY = 'admin-secret';
+
+const handler = require('../organization');
+const { saveAssessment } = require('../lib/store');
+const { getRubric } = require('../lib/rubric');
+
+const rubric = getRubric('three-whys', 'en');
+
+function save(name, role, score, organization = 'Acme') {
+  const dimensions = rubric.dimensions.map((dim) => ({ key: dim.key, name: dim.name, score }));
+  return saveAssessment({
+    profile: { name, role, email: `${name.toLowerCase()}@acme.com`, organization },
+    answers: {},
+    report: { rubric: rubric.id, averageScore: score.toFixed(1), band: 'Basic', dimensions, coaching: { nextActions: [] } },
+  });
+}
+
+test('invited members see an anonymous team report, the admin sees who answered', async () => {
+  const ana = await save('Ana', 'Sales Manager', 2);
+  await save('Bea', 'Account Executive', 3);
+  await save('Cai', 'Sales Director', 4);
+  await save('Dan', 'CFO', 5);
+  const path = '/api/organization?organization=acme';
+
+  assert.strictEqual((await call(handler, { path })).status, 401);
+  // Having answered as "Acme" is not enough: the organization is typed in by anyone
+  assert.strictEqual((await call(handler, { path, headers: { 'X-Owner-Key': ana.ownerKey } })).status, 401);
+  assert.strictEqual((await call(handler, { path: `${path}&invite=1` })).status, 401);
+
+  const invite = await call(handler, { path: `${path}&invite=1`, headers: { 'X-Admin-Key': 'admin-secret' } });
+  assert.strictEqual(invite.status, 200);
+  const { inviteKey } = invite.json;
+  assert.strictEqual(typeof inviteKey, 'string');
+  const other = await call(handler, { path: '/api/organization?organization=Globex&invite=1', headers: { 'X-Admin-Key': 'admin-secret' } });
+  assert.notStrictEqual(other.json.inviteKey, inviteKey);
+  assert.strictEqual((await call(handler, { path, headers: { 'X-Invite-Key': other.json.inviteKey } })).status, 401);
+
+  const member = await call(handler, { path, headers: { 'X-Invite-Key': inviteKey } });
+  assert.strictEqual(member.status, 200);
+  assert.strictEqual(member.json.anonymous, true);
+  assert.strictEqual(member.json.respondentCount, 4);
+  assert.deepStrictEqual(member.json.respondents, []);
+  assert.doesNotMatch(member.text, /Ana|Bea|Cai|Dan|CFO|Finance/);
+  member.json.dimensions.forEach((dim) => {
+    // The minimum and maximum would be someone's scores
+    assert.strictEqual(dim.spread, null);
+    assert.strictEqual(dim.averageScore, 3.5);
+    // The only finance respondent is left out of the groups; the three in sales are shown
+    assert.deepStrictEqual(dim.byGroup.map((group) => group.group), ['Sales']);
+  });
+
+  const admin = await call(handler, { path, headers: { 'X-Admin-Key': 'admin-secret' } });
+  assert.strictEqual(admin.status, 200);
+  assert.strictEqual(admin.json.anonymous, false);
+  assert.deepStrictEqual(admin.json.respondents.map((r) => r.name).sort(), ['Ana', 'Bea', 'Cai', 'Dan']);
+  assert.deepStrictEqual(admin.json.dimensions[0].spread && [admin.json.dimensions[0].spread.min, admin.json.dimensions[0].spread.max], [2, 5]);
+  assert.strictEqual((await call(handler, { path, headers: { 'X-Admin-Key': 'wrong' } })).status, 401);
+});
+
+test('an anonymous report of fewer than three people shows no averages', async () => {
+  await save('Eve', 'CEO', 2, 'Initech');
+  await save('Fay', 'CTO', 4, 'Initech');
+  const path = '/api/organization?organization=initech';
+  const { inviteKey } = (await call(handler, { path: `${path}&invite=1`, headers: { 'X-Admin-Key': 'admin-secret' } })).json;
+  const member = await call(handler, { path, headers: { 'X-Invite-Key': inviteKey } });
+  assert.strictEqual(member.status, 200);
+  assert.strictEqual(member.json.averageScore, null);
+  assert.strictEqual(member.json.band, null);
+  member.json.dimensions.forEach((dim) => {
+    assert.strictEqual(dim.averageScore, null);
+    assert.strictEqual(dim.spread, null);
+  });
+  const admin = await call(handler, { path, headers: { 'X-Admin-Key': 'admin-secret' } });
+  assert.strictEqual(admin.json.averageScore, '3.0');
+});
@@ -0,0 +1,122 @@
+// Pages of index.html rendering stored, shared and team reports, whose
+// text comes from respondents and the model and must stay text.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers');
+const { getRubric } = require('../lib/rubric');
+
+const HOSTILE = '<img src=x onerror=alert(1)>';
+
+/**
+ * Assert that a rendered page holds no markup from the hostile text.
+ *
+ * @param {string} html
+ */
+function assertInert(html) {
+  assert.ok(!html.includes('<img src=x'), 'hostile markup was rendered');
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'), 'hostile text is missing');
+}
+
+test('a shared report shows hostile report text as text', () => {
+  const rubric = getRubric();
+  const report = {
+    averageScore: `3.0${HOSTILE}`,
+    band: `Basic${HOSTILE}`,
+    executiveSummary: HOSTILE,
+    dimensions: rubric.dimensions.map((dim) => ({
+      key: dim.key,
+      name: `${dim.name}${HOSTILE}`,
+      score: 3,
+      level: HOSTILE,
+      why: `x${HOSTILE}regulations`,
+      how: HOSTILE,
+      consistency: { scores: [1, 3, 5], agreement: 0.33, confidence: 'low' },
+      divergence: { heuristicScore: 1, heuristicLevel: HOSTILE },
+    })),
+    coaching: {
+      coachingText: HOSTILE,
+      headline: HOSTILE,
+      headlineExplain: HOSTILE,
+      urgency: HOSTILE,
+      differentiators: HOSTILE,
+      valueOutline: HOSTILE,
+      nextActions: [HOSTILE],
+    },
+    attachments: [{ key: 'q1', name: `${HOSTILE}.txt`, error: HOSTILE }],
+    integrity: { findings: [{ key: 'q1', excerpt: HOSTILE }] },
+  };
+  const page = loadPage();
+  page.run('(rubric, report) => { state.rubric = rubric; state.shared = { token: "t" }; state.results = report; showResults(); }')(rubric, report);
+  assertInert(page.app.innerHTML);
+});
+
+test('the team report shows what respondents typed as text', async () => {
+  const rubric = getRubric();
+  const aggregate = {
+    organization: HOSTILE,
+    respondentCount: 3,
+    averageScore: '3.0',
+    band: 'Basic',
+    anonymous: false,
+    minGroupSize: 1,
+    dimensions: rubric.dimensions.map((dim) => ({
+      name: `${dim.name}${HOSTILE}`,
+      averageScore: 3,
+      level: 'Basic',
+      spread: { min: 1, max: 5, standardDeviation: 1.6 },
+      byGroup: [{ group: HOSTILE, averageScore: 3, level: 'Basic' }],
+    })),
+    respondents: [{ name: HOSTILE, role: HOSTILE, group: 'Other', averageScore: '3.0', band: 'Basic' }],
+    disagreements: [{ summary: HOSTILE }],
+    nextActions: [HOSTILE],
+  };
+  const fetch = async () => ({ ok: true, json: async () => aggregate });
+  const page = loadPage({ fetch });
+  await page.run('(rubric) => { state.rubric = rubric; return showOrganizationReport(' + JSON.stringify(HOSTILE) + '); }')(rubric);
+  assertInert(page.app.innerHTML);
+});
+
+test('a comparison shows hostile answers and levels as text', () => {
+  const rubric = getRubric();
+  const side = (createdAt) => ({ createdAt, averageScore: `3.0${HOSTILE}`, band: HOSTILE });
+  const comparison = {
+    organization: HOSTILE,
+    before: side('2026-01-01T00:00:00.000Z'),
+    after: side('2026-02-01T00:00:00.000Z'),
+    averageDelta: 0,
+    band: { before: HOSTILE, after: HOSTILE, moved: true, direction: 'up' },
+    dimensions: rubric.dimensions.map((dim) => ({
+      key: dim.key,
+      name: `${dim.name}${HOSTILE}`,
+      before: { score: 2, level: HOSTILE, answer: HOSTILE },
+      after: { score: 3, level: HOSTILE, answer: HOSTILE },
+      delta: 1,
+      direction: 'up',
+      levelChanged: true,
+      answerChanged: false,
+    })),
+  };
+  const page = loadPage();
+  page.run('(rubric, comparison) => { state.rubric = rubric; showComparison(comparison); }')(rubric, comparison);
+  assertInert(page.app.innerHTML);
+});
+
+test('the history page shows stored profiles as text', async () => {
+  const item = { id: 'a1', createdAt: '2026-01-01T00:00:00.000Z', organization: HOSTILE, role: HOSTILE, averageScore: HOSTILE, band: HOSTILE };
+  const fetch = async () => ({ ok: true, json: async () => ({ assessments: [item] }) });
+  const localStorage = { getItem: () => 'key', setItem() {} };
+  const page = loadPage({ fetch, localStorage });
+  await page.run('(organization) => showHistory(organization)')(HOSTILE);
+  assertInert(page.app.innerHTML);
+});
+
+test('feedback on an answer shows what the model wrote as text', () => {
+  const page = loadPage();
+  const panel = page.run('(feedback) => { const el = document.getElementById("q1_feedback"); document.getElementById = () => el; renderFeedback("q1", feedback, false); return el; }')({
+    level: HOSTILE,
+    score: HOSTILE,
+    missing: [HOSTILE, 'a number'],
+  });
+  assertInert(panel.innerHTML);
+});
@@ -0,0 +1,162 @@
+// Rubric loading, validation, `extends` and translations (see
+// ../lib/rubric), and the rubrics endpoint (see ../rubrics).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, call } = require('./helpers');
+const { RubricError, loadRubrics, getRubric, listRubrics } = require('../lib/rubric');
+const handler = require('../rubrics');
+
+const RUBRICS = path.join(__dirname, '..', 'rubrics');
+
+/**
+ * A copy of the rubric directory, with the given files changed.
+ *
+ * @param {Object<string, Function>} [changes] each file name mapped to a
+ *   function changing its parsed content in place
+ * @returns {string} the directory
+ */
+function rubricsWith(changes = {}) {
+  const dir = tempDir('rubrics');
+  fs.cpSync(RUBRICS, dir, { recursive: true });
+  Object.keys(changes).forEach((name) => {
+    const file = path.join(dir, name);
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    changes[name](content);
+    fs.writeFileSync(file, JSON.stringify(content));
+  });
+  return dir;
+}
+
+/**
+ * The problems loadRubrics reports for a directory.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function problemsIn(dir) {
+  try {
+    loadRubrics(dir);
+  } catch (err) {
+    assert.ok(err instanceof RubricError);
+    return err.problems;
+  }
+  assert.fail('the rubrics were accepted');
+}
+
+test('the shipped rubrics and translations are valid', () => {
+  const rubrics = loadRubrics(RUBRICS);
+  assert.deepStrictEqual(Array.from(rubrics.keys()).sort(), ['three-whys', 'three-whys-status-quo']);
+  rubrics.forEach((byLocale) => assert.deepStrictEqual(Array.from(byLocale.keys()).sort(), ['en', 'es', 'pt']));
+});
+
+test('a malformed rubric is refused with every problem named', () => {
+  const dir = rubricsWith({
+    'three-whys.json': (rubric) => {
+      rubric.levels.pop();
+      rubric.dimensions[1].key = rubric.dimensions[0].key;
+      delete rubric.dimensions[2].question;
+      rubric.dimensions[3].rules = 'unknown';
+    },
+  });
+  // Nothing else is checked against levels that cannot be trusted
+  assert.deepStrictEqual(problemsIn(dir).filter((problem) => problem.startsWith('three-whys.json')), ['three-whys.json: levels: must list 5 distinct level names, lowest first']);
+
+  const fixed = rubricsWith({
+    'three-whys.json': (rubric) => {
+      rubric.dimensions[1].key = rubric.dimensions[0].key;
+      delete rubric.dimensions[2].question;
+      rubric.dimensions[3].rules = 'unknown';
+      rubric.dimensions[4].rules = { rules: [{ id: 'figure', label: 'gives a figure', points: 1, pattern: '(' }] };
+    },
+  });
+  const named = problemsIn(fixed).filter((problem) => problem.startsWith('three-whys.json'));
+  assert.ok(named.includes('three-whys.json: dimensions[1].key: "q1" is used twice'), named.join('\n'));
+  assert.ok(named.includes('three-whys.json: dimensions[2].question: is required'));
+  assert.ok(named.some((problem) => problem.startsWith('three-whys.json: dimensions[3].rules: unknown rule set "unknown"')));
+  assert.ok(named.some((problem) => problem.startsWith('three-whys.json: dimensions[4].rules.rules[0].pattern:')));
+});
+
+test('broken files, ids and bases are refused', () => {
+  const dir = rubricsWith({
+    'three-whys-status-quo.json': (rubric) => {
+      rubric.extends = 'missing';
+    },
+  });
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(dir, 'renamed.json'), JSON.stringify({ id: 'other' }));
+  const problems = problemsIn(dir);
+  assert.ok(problems.some((problem) => problem.startsWith('broken.json: ')));
+  assert.ok(problems.includes('renamed.json: id "other" does not match the file name'));
+  assert.ok(problems.includes('three-whys-status-quo.json: cannot extend "missing"'));
+});
+
+test('a broken rubric stops the module from loading, with the message', () => {
+  const dir = rubricsWith({
+    'three-whys.json': (rubric) => {
+      delete rubric.summaries.Basic;
+    },
+  });
+  assert.throws(
+    () => execFileSync(process.execPath, ['-e', `require(${JSON.stringify(require.resolve('../lib/rubric'))})`], { env: Object.assign({}, process.env, { RUBRIC_DIR: dir }), stdio: 'pipe' }),
+    (err) => /RubricError: Invalid rubrics in .*:\n[\s\S]*- three-whys\.json: summaries\.Basic: is required/.test(err.stderr.toString()),
+  );
+});
+
+test('a rubric that extends another inherits its fields and adds or replaces dimensions', () => {
+  const base = getRubric('three-whys');
+  const extended = getRubric('three-whys-status-quo');
+  assert.deepStrictEqual(extended.levels, base.levels);
+  assert.deepStrictEqual(extended.summaries, base.summaries);
+  assert.strictEqual(extended.extends, undefined);
+  assert.deepStrictEqual(extended.dimensions.map((dim) => dim.key), base.dimensions.map((dim) => dim.key).concat('q7'));
+
+  const dir = rubricsWith({
+    'three-whys-status-quo.json': (rubric) => {
+      rubric.dimensions.push({ key: 'q1', name: 'Why change, for the status quo' });
+    },
+  });
+  const replaced = loadRubrics(dir).get('three-whys-status-quo').get('en');
+  assert.strictEqual(replaced.dimensions[0].name, 'Why change, for the status quo');
+  assert.strictEqual(replaced.dimensions[0].question, base.dimensions[0].question);
+  assert.strictEqual(replaced.dimensions.length, 7);
+});
+
+test('translations overlay the English rubric, inherited from the base', () => {
+  const en = getRubric('three-whys-status-quo');
+  const pt = getRubric('three-whys-status-quo', 'pt');
+  assert.strictEqual(pt.locale, 'pt');
+  assert.notStrictEqual(pt.name, en.name);
+  assert.strictEqual(pt.dimensions[0].name, getRubric('three-whys', 'pt').dimensions[0].name);
+  assert.notStrictEqual(pt.dimensions[6].name, en.dimensions[6].name);
+  // Level-keyed maps follow the translated level names
+  assert.deepStrictEqual(Object.keys(pt.bands), pt.levels.slice(1));
+  assert.deepStrictEqual(Object.keys(pt.dimensions[6].templates), pt.levels);
+  // Untranslated languages get the English rubric
+  assert.strictEqual(getRubric('three-whys', 'fr'), getRubric('three-whys'));
+
+  const dir = rubricsWith({
+    'i18n/three-whys.pt.json': (overlay) => {
+      overlay.dimensions.q9 = { name: 'Nenhuma' };
+    },
+  });
+  assert.ok(problemsIn(dir).includes(`${path.join('i18n', 'three-whys.pt.json')}: unknown dimension "q9"`));
+});
+
+test('the rubrics endpoint lists the rubrics and returns one resolved', async () => {
+  const list = await call(handler, { path: '/api/rubrics?locale=es' });
+  assert.strictEqual(list.status, 200);
+  assert.deepStrictEqual(list.json.rubrics, listRubrics('es'));
+  assert.deepStrictEqual(list.json.rubrics.map((rubric) => [rubric.id, rubric.default]), [['three-whys', true], ['three-whys-status-quo', false]]);
+
+  const one = await call(handler, { path: '/api/rubrics?id=three-whys-status-quo&locale=pt' });
+  assert.strictEqual(one.status, 200);
+  assert.strictEqual(one.json.name, getRubric('three-whys-status-quo', 'pt').name);
+  assert.strictEqual(one.json.dimensions.length, 7);
+
+  assert.strictEqual((await call(handler, { path: '/api/rubrics?id=nope' })).status, 404);
+  assert.strictEqual((await call(handler, { method: 'POST', path: '/api/rubrics' })).status, 405);
+});
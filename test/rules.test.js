@@ -0,0 +1,24 @@
+// Evidence details of the heuristic rules.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreDimension } = require('../lib/rules');
+
+const details = (result) => Object.fromEntries(result.evidence.filter((e) => e.detail).map((e) => [e.id, e.detail]));
+
+test('details show the whole words of the answer, not pattern stems', () => {
+  const result = scoreDimension('why-now', 'New regulations take effect in Q3 and our competitors are already struggling to adapt.');
+  assert.strictEqual(details(result).catalyst, 'regulations, competitors');
+  assert.strictEqual(details(result).timebound, 'Q3');
+});
+
+test('details of groups name the group and the word that matched', () => {
+  const result = scoreDimension('why-your-company', 'Our proprietary platform gets clients live faster, with a dedicated team and 40 clients as references.');
+  assert.strictEqual(details(result).differentiator, 'proprietary IP (proprietary), technology (platform), speed (faster), partnership (dedicated)');
+});
+
+test('details of folded answers keep their accents', () => {
+  const result = scoreDimension('why-now', 'As novas regulamentações de proteção de dados entram em vigor no próximo trimestre.', '', { locale: 'pt' });
+  assert.strictEqual(details(result).catalyst, 'regulamentações');
+  assert.strictEqual(details(result).timebound, 'no próximo trimestre');
+});
@@ -0,0 +1,82 @@
+// The shared scoring module must give the same report whether it is
+// required by the endpoint or loaded by the browser from script tags.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const scoring = require('../lib/scoring');
+const { getRubric } = require('../lib/rubric');
+const { SUPPORTED_LOCALES } = require('../lib/i18n');
+const { checkInputs, calculateValue } = require('../lib/calculator');
+
+const root = path.join(__dirname, '..');
+const golden = JSON.parse(fs.readFileSync(path.join(root, 'fixtures', 'golden', 'three-whys.json'), 'utf8'));
+
+/**
+ * Load the shared scripts into a fresh context in the order index.html
+ * loads them, as globals, and return that context.
+ */
+function browser() {
+  const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+  const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), (m) => m[1]);
+  assert.ok(scripts.includes('lib/scoring.js'));
+  const context = vm.createContext({ console });
+  scripts.forEach((file) => vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file }));
+  return context;
+}
+
+// Objects made in the other context have other prototypes; compare data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const profiles = [
+  { name: 'Ana', role: 'CFO', email: 'ana@acme.com', organization: 'Acme' },
+  { name: 'Bo', role: 'Director of Sales', email: 'bo@acme.com', organization: 'Acme' },
+  { name: 'Cy', role: 'Diretora de Tecnologia', email: 'cy@acme.com', organization: 'Acme' },
+  { name: 'Di', role: '', email: '', organization: '' },
+];
+
+const calculation = calculateValue(checkInputs({ baseline: 50000, lift: 10, cost: 20000, monthlyCost: 1000, rampMonths: 3, timeframeMonths: 12 }).inputs);
+
+test('browser and server scoring agree on every golden sample, rubric and language', () => {
+  const { ThreeWhysScoring } = browser();
+  const rubricIds = ['three-whys', 'three-whys-status-quo'];
+  rubricIds.forEach((id) => {
+    SUPPORTED_LOCALES.forEach((locale) => {
+      const rubric = getRubric(id, locale);
+      golden.samples.forEach((sample, i) => {
+        const profile = profiles[i % profiles.length];
+        const options = i % 3 === 0 ? { calculation } : {};
+        const server = scoring.evaluate(profile, sample.answers, {}, rubric, options);
+        const client = ThreeWhysScoring.evaluate(profile, sample.answers, {}, plain(rubric), plain(options));
+        assert.deepStrictEqual(plain(client), plain(server), `${id}/${locale}/${sample.id}`);
+      });
+    });
+  });
+});
+
+test('browser and server feedback agree on every golden answer', () => {
+  const { ThreeWhysScoring } = browser();
+  const rubric = getRubric('three-whys');
+  golden.samples.forEach((sample) => {
+    Object.keys(sample.answers).forEach((key) => {
+      const server = scoring.answerFeedback(rubric, key, sample.answers[key]);
+      const client = ThreeWhysScoring.answerFeedback(plain(rubric), key, sample.answers[key]);
+      assert.deepStrictEqual(plain(client), plain(server), `${sample.id}/${key}`);
+    });
+  });
+});
+
+test('role coaching matches the start of words, and acronyms as whole words', () => {
+  const text = (role, locale) => scoring.coachingForRole(role, locale);
+  assert.strictEqual(text('Director of Sales'), text('Sales Manager'));
+  assert.notStrictEqual(text('Director of Sales'), text('CTO'));
+  assert.strictEqual(text('Chief Technology Officer'), text('CTO'));
+  assert.strictEqual(text('Doctorate student'), text(''));
+  assert.strictEqual(text('Diretor de Vendas', 'pt'), text('Vendedora', 'pt'));
+  assert.strictEqual(text('Salesperson'), text('Sales Manager'));
+  assert.strictEqual(text('Productmanager'), text('Product Manager'));
+  assert.notStrictEqual(text('Product Manager'), text(''));
+  assert.strictEqual(text('Cross-functional lead'), text(''));
+});
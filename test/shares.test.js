@@ -0,0 +1,70 @@
+// Read-only links: opening, passwords, expiry, revocation and what a
+// shared report leaves out.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempDir, call } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+process.env.SHARE_STORE_DIR = tempDir('shares');
+
+const handler = require('../shares');
+const { saveAssessment, createOwnerKey } = require('../lib/store');
+const { revokeShare } = require('../lib/shares');
+
+const profile = { name: 'Ana', role: 'CEO', email: 'ana@acme.com', organization: 'Acme' };
+
+async function stored() {
+  // The report carries its own copy of the profile, as heuristic reports do
+  return saveAssessment({
+    profile,
+    answers: { q1: 'Write to ana@acme.com for details' },
+    report: { profile, averageScore: '3.0', band: 'Basic', executiveSummary: 'Contact ANA@acme.com.', dimensions: [] },
+  });
+}
+
+async function share(record, body = {}) {
+  const created = await call(handler, { method: 'POST', path: '/api/shares', body: Object.assign({ id: record.id }, body), headers: { 'X-Owner-Key': record.ownerKey } });
+  assert.strictEqual(created.status, 201);
+  return created.json.token;
+}
+
+test('a shared report contains no email address and no answers', async () => {
+  const record = await stored();
+  const token = await share(record);
+  const opened = await call(handler, { path: `/api/shares?token=${token}` });
+  assert.strictEqual(opened.status, 200);
+  assert.doesNotMatch(opened.text, /ana@acme\.com/i);
+  assert.doesNotMatch(opened.text, /"email"/);
+  assert.deepStrictEqual(opened.json.report.profile, { name: 'Ana', role: 'CEO', organization: 'Acme' });
+  assert.strictEqual(opened.json.report.answers, undefined);
+});
+
+test('a password-protected link needs the password', async () => {
+  const token = await share(await stored(), { password: 'pässwort' });
+  const missing = await call(handler, { path: `/api/shares?token=${token}` });
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.json.passwordRequired, true);
+  const wrong = await call(handler, { path: `/api/shares?token=${token}`, headers: { 'X-Share-Password': 'nope' } });
+  assert.strictEqual(wrong.status, 401);
+  const right = await call(handler, { path: `/api/shares?token=${token}`, headers: { 'X-Share-Password': encodeURIComponent('pässwort') } });
+  assert.strictEqual(right.status, 200);
+});
+
+test('revoked links answer 410 and unknown tokens 404', async () => {
+  const token = await share(await stored());
+  await revokeShare(token);
+  assert.strictEqual((await call(handler, { path: `/api/shares?token=${token}` })).status, 410);
+  assert.strictEqual((await call(handler, { path: '/api/shares?token=../../etc/passwd' })).status, 404);
+});
+
+test('only the owner key of an assessment can share it or revoke its links', async () => {
+  const record = await stored();
+  const byEmail = await call(handler, { method: 'POST', path: '/api/shares', body: { id: record.id, email: profile.email } });
+  assert.strictEqual(byEmail.status, 401);
+  const other = { 'X-Owner-Key': createOwnerKey() };
+  assert.strictEqual((await call(handler, { method: 'POST', path: '/api/shares', body: { id: record.id }, headers: other })).status, 404);
+  const token = await share(record);
+  assert.strictEqual((await call(handler, { method: 'DELETE', path: `/api/shares?token=${token}`, headers: other })).status, 404);
+  assert.strictEqual((await call(handler, { method: 'DELETE', path: `/api/shares?token=${token}`, headers: { 'X-Owner-Key': record.ownerKey } })).status, 204);
+});
@@ -0,0 +1,188 @@
+// Outbound webhooks: signatures, retries and the outbox.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, call } = require('./helpers');
+
+process.env.ASSESSMENT_STORE_DIR = tempDir('assessments');
+
+const { loadWebhookConfig, sign, verifySignature, deliver, queueAssessment, drainOutbox } = require('../lib/webhooks');
+const { createReceiver } = require('../scripts/webhook-receiver');
+const evaluate = require('../evaluate');
+
+const record = {
+  id: 'a1',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  profile: { name: 'Ana', role: 'CEO', email: 'ana@acme.com', organization: 'Acme' },
+  report: { rubric: 'three-whys', averageScore: '3.0', band: 'Basic', dimensions: [] },
+};
+
+/**
+ * Start a receiver and resolve with it and its URL.
+ *
+ * @param {Object} options see createReceiver
+ */
+function receiver(options) {
+  const server = createReceiver(options);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `http://127.0.0.1:${server.address().port}/hooks` }));
+  });
+}
+
+function configFor(url, env = {}) {
+  return loadWebhookConfig(Object.assign({
+    WEBHOOK_URLS: url,
+    WEBHOOK_SECRET: 'secret',
+    WEBHOOK_RETRY_BASE_MS: '1',
+    WEBHOOK_MAX_RETRIES: '2',
+    WEBHOOK_OUTBOX_DIR: tempDir('outbox'),
+  }, env));
+}
+
+test('signatures verify only for the same secret, body and a recent time', () => {
+  const body = '{"a":1}';
+  const now = Date.now();
+  const header = sign('secret', body, Math.floor(now / 1000));
+  assert.ok(verifySignature('secret', header, body, { now }));
+  assert.ok(!verifySignature('other', header, body, { now }));
+  assert.ok(!verifySignature('secret', header, '{"a":2}', { now }));
+  assert.ok(!verifySignature('secret', header, body, { now: now + 10 * 60 * 1000 }));
+  assert.ok(!verifySignature('secret', 't=1,v1=zz', body, { now }));
+  assert.ok(!verifySignature('secret', undefined, body, { now }));
+});
+
+test('deliver retries 5xx answers and stops at the first success', async () => {
+  const { server, url } = await receiver({ secret: 'secret', fail: 2 });
+  try {
+    const result = await deliver(url, { id: 'd1', event: 'assessment.completed' }, configFor(url));
+    assert.deepStrictEqual([result.ok, result.attempts, result.status], [true, 3, 200]);
+    assert.strictEqual(server.deliveries.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('deliver gives up after the retries, and does not retry refusals', async () => {
+  const { server, url } = await receiver({ secret: 'secret', fail: 10 });
+  try {
+    const failed = await deliver(url, { id: 'd2', event: 'assessment.completed' }, configFor(url));
+    assert.deepStrictEqual([failed.ok, failed.attempts, failed.status], [false, 3, 503]);
+    const refused = await deliver(url, { id: 'd3', event: 'assessment.completed' }, configFor(url, { WEBHOOK_SECRET: 'wrong' }));
+    assert.deepStrictEqual([refused.ok, refused.attempts, refused.status], [false, 1, 401]);
+  } finally {
+    server.close();
+  }
+});
+
+test('queued deliveries wait in the outbox until a drain delivers them', async () => {
+  const { server, url } = await receiver({ secret: 'secret', fail: 1 });
+  try {
+    const config = configFor(url, { WEBHOOK_RETRY_BASE_MS: '0' });
+    const id = await queueAssessment(record, { config });
+    assert.strictEqual(fs.readdirSync(config.outboxDir).length, 1);
+    assert.strictEqual(server.deliveries.length, 0);
+
+    const first = await drainOutbox({ config });
+    assert.deepStrictEqual(first.map((r) => r.status), [503]);
+    assert.deepStrictEqual(fs.readdirSync(config.outboxDir), [`${id}.0.json`]);
+
+    const second = await drainOutbox({ config });
+    assert.deepStrictEqual(second.map((r) => [r.status, r.attempts]), [[200, 2]]);
+    assert.deepStrictEqual(fs.readdirSync(config.outboxDir), []);
+    assert.strictEqual(server.deliveries[0].assessmentId, 'a1');
+  } finally {
+    server.close();
+  }
+});
+
+test('a retry is not attempted before it is due', async () => {
+  const { server, url } = await receiver({ fail: 1 });
+  try {
+    const config = configFor(url, { WEBHOOK_RETRY_BASE_MS: '60000' });
+    await queueAssessment(record, { config });
+    await drainOutbox({ config });
+    assert.deepStrictEqual(await drainOutbox({ config }), []);
+    assert.strictEqual(fs.readdirSync(config.outboxDir).length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('only assessments that were stored are announced', async () => {
+  const { server, url } = await receiver({});
+  const store = process.env.ASSESSMENT_STORE_DIR;
+  const outbox = tempDir('outbox');
+  // The drain evaluate leaves running after its response
+  const drains = [];
+  globalThis[Symbol.for('@vercel/request-context')] = { get: () => ({ waitUntil: (promise) => drains.push(promise) }) };
+  Object.assign(process.env, { WEBHOOK_URLS: url, WEBHOOK_OUTBOX_DIR: outbox });
+  const body = { profile: { name: 'Ana', organization: 'Acme' }, answers: { q1: 'Finance teams lose 10 hours a week' } };
+  try {
+    // A store that cannot be written to
+    process.env.ASSESSMENT_STORE_DIR = path.join(tempDir('file'), 'store');
+    fs.writeFileSync(process.env.ASSESSMENT_STORE_DIR, '');
+    const unsaved = await call(evaluate, { method: 'POST', path: '/api/evaluate', body });
+    assert.strictEqual(unsaved.status, 200);
+    assert.strictEqual(unsaved.json.id, undefined);
+    await Promise.all(drains);
+    assert.deepStrictEqual(fs.readdirSync(outbox), []);
+    assert.strictEqual(server.deliveries.length, 0);
+
+    process.env.ASSESSMENT_STORE_DIR = store;
+    const saved = await call(evaluate, { method: 'POST', path: '/api/evaluate', body });
+    await Promise.all(drains);
+    assert.deepStrictEqual(server.deliveries.map((delivery) => delivery.assessmentId), [saved.json.id]);
+  } finally {
+    process.env.ASSESSMENT_STORE_DIR = store;
+    delete process.env.WEBHOOK_URLS;
+    delete process.env.WEBHOOK_OUTBOX_DIR;
+    delete globalThis[Symbol.for('@vercel/request-context')];
+    server.close();
+  }
+});
+
+test('an abandoned claim is taken over by one drain only', async () => {
+  const { server, url } = await receiver({});
+  try {
+    const config = configFor(url, { WEBHOOK_TIMEOUT_MS: '1000' });
+    const id = await queueAssessment(record, { config });
+    // Claimed by a drain stopped two minutes ago
+    const abandoned = path.join(config.outboxDir, `${id}.0.${Date.now() - 2 * 60 * 1000}-stopped.sending`);
+    fs.renameSync(path.join(config.outboxDir, `${id}.0.json`), abandoned);
+    const results = await Promise.all([drainOutbox({ config }), drainOutbox({ config })]);
+    assert.deepStrictEqual(results.flat().map((r) => r.status), [200]);
+    assert.strictEqual(server.deliveries.length, 1);
+    assert.deepStrictEqual(fs.readdirSync(config.outboxDir), []);
+  } finally {
+    server.close();
+  }
+});
+
+test('a recent claim is left to the drain that holds it', async () => {
+  const { server, url } = await receiver({});
+  try {
+    const config = configFor(url);
+    const id = await queueAssessment(record, { config });
+    const held = `${id}.0.${Date.now()}-running.sending`;
+    fs.renameSync(path.join(config.outboxDir, `${id}.0.json`), path.join(config.outboxDir, held));
+    assert.deepStrictEqual(await drainOutbox({ config }), []);
+    assert.deepStrictEqual(fs.readdirSync(config.outboxDir), [held]);
+  } finally {
+    server.close();
+  }
+});
+
+test('the scheduled drain needs the scheduler token', async () => {
+  const drain = require('../webhooks');
+  process.env.CRON_SECRET = 'cron';
+  try {
+    assert.strictEqual((await call(drain, { path: '/api/webhooks' })).status, 401);
+    assert.strictEqual((await call(drain, { path: '/api/webhooks', headers: { Authorization: 'Bearer other' } })).status, 401);
+    const drained = await call(drain, { path: '/api/webhooks', headers: { Authorization: 'Bearer cron' } });
+    assert.deepStrictEqual([drained.status, drained.json], [200, { attempted: 0, delivered: 0 }]);
+  } finally {
+    delete process.env.CRON_SECRET;
+  }
+});
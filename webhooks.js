@@ -0,0 +1,43 @@
+// Serverless endpoint draining the webhook outbox on a schedule.
+//
+//   GET /api/webhooks
+//
+// Deliveries are queued when an assessment is stored and attempted
+// after the response (see ./lib/webhooks). Retries that come due later,
+// and deliveries a stopped function left behind, wait for the next
+// drain; call this endpoint every few minutes to make sure they happen
+// without new assessments. With Vercel Cron that is
+//
+//   { "crons": [{ "path": "/api/webhooks", "schedule": "*/5 * * * *" }] }
+//
+// in vercel.json, which sends the CRON_SECRET of the project as a
+// bearer token; any other scheduler sends `Authorization: Bearer
+// <CRON_SECRET>` itself. Without CRON_SECRET the endpoint is off.
+
+const crypto = require('crypto');
+const { sendJson, rejectMethod } = require('./lib/http');
+const { drainOutbox } = require('./lib/webhooks');
+
+/**
+ * Whether a request carries the bearer token of CRON_SECRET, compared
+ * in constant time.
+ *
+ * @param {http.IncomingMessage} req
+ */
+function isScheduler(req) {
+  const expected = process.env.CRON_SECRET;
+  const given = req.headers.authorization;
+  if (!expected || !given) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(`Bearer ${expected}`));
+}
+
+module.exports = async (req, res) => {
+  if (rejectMethod(req, res, ['GET'])) return;
+  if (!isScheduler(req)) {
+    sendJson(res, 401, { error: 'The scheduler token is required.' });
+    return;
+  }
+  const results = await drainOutbox();
+  sendJson(res, 200, { attempted: results.length, delivered: results.filter((result) => result.ok).length });
+};